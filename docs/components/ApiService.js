@@ -1,77 +1,190 @@
+import LocalStorageAdapter from "./LocalStorageAdapter.js";
+import IndexedDbStorageAdapter from "./IndexedDbStorageAdapter.js";
+import MemoryStorageAdapter from "./MemoryStorageAdapter.js";
+import RestStorageAdapter from "./RestStorageAdapter.js";
+import EncryptedStorageAdapter from "./EncryptedStorageAdapter.js";
+
+/**
+ * Maps the `APP_CONFIG.app.storage.adapter` names to their adapter classes.
+ */
+const STORAGE_ADAPTERS = {
+    localStorage: LocalStorageAdapter,
+    indexedDB: IndexedDbStorageAdapter,
+    memory: MemoryStorageAdapter,
+    rest: RestStorageAdapter
+};
+
 /**
  * @class ApiService
- * @description Simulates asynchronous API calls for fetching and saving bill data.
- * Uses Promises to mimic network delays.
+ * @description Asynchronous persistence API for bill data. Every call is delegated to a
+ * storage adapter (see StorageAdapter), selected from `APP_CONFIG.app.storage`, so the rest
+ * of the app does not care whether data lives in localStorage, IndexedDB, memory or on a server.
+ * An optional artificial delay and a failure switch are kept for demos and testing.
  */
 export default class ApiService {
     /**
-     * @private
-     * @property {number} _delay - The simulated network delay in milliseconds.
+     * @constructor
+     * @param {object} [options] - Overrides for the values normally read from APP_CONFIG.app.
+     * @param {StorageAdapter} [options.adapter] - A ready-made adapter; skips config-based selection.
+     * @param {string} [options.storageKey] - The namespace to store data under.
+     * @param {number} [options.delayMs] - The simulated network delay in milliseconds.
+     */
+    constructor({ adapter, storageKey, delayMs } = {}) {
+        const appConfig = window.APP_CONFIG?.app || {};
+
+        /**
+         * @private
+         * @property {string} _localStorageKey - The namespace (storage key) data is stored under.
+         */
+        this._localStorageKey = storageKey || appConfig.storageKey || 'myBills'; // Use a configurable key or default to 'myBills'
+
+        /**
+         * @private
+         * @property {number} _delay - The simulated network delay in milliseconds.
+         */
+        this._delay = delayMs ?? appConfig.apiDelayMs ?? 500; // Use a configurable delay or default to 0.5 second
+
+        /**
+         * @private
+         * @property {boolean} _shouldFail - A flag to control error simulation.
+         * Set to 'true' to consistently simulate failures for testing.
+         */
+        this._shouldFail = false; // Set to true to simulate API failures
+
+        /**
+         * @property {StorageAdapter} adapter - The storage backend all reads and writes go through.
+         */
+        this.adapter = adapter || ApiService.createAdapter(appConfig.storage, this._localStorageKey);
+    }
+
+    /**
+     * @returns {string} The namespace (storage key) data is stored under.
      */
-    _delay = 500; // Simulate a 0.5 second network delay
+    get storageKey() {
+        return this._localStorageKey;
+    }
 
     /**
-     * @private
-     * @property {string} _localStorageKey - The key used to store data in localStorage for simulation.
-     * 
+     * Creates the storage adapter described by the configuration. With `encryption.enabled`, the
+     * adapter is wrapped in an EncryptedStorageAdapter, which must be unlocked before use.
+     * @param {object} [storageConfig] - `APP_CONFIG.app.storage`, e.g. { adapter: 'rest', baseUrl: '...', encryption: { enabled: true } }.
+     * @param {string} namespace - The namespace (storage key) to store data under.
+     * @returns {StorageAdapter} The adapter instance.
+     * @throws {Error} If the configured adapter name is unknown.
      */
-    _localStorageKey = window.APP_CONFIG.app?.storageKey || 'myBills'; // Use a configurable key or default to 'myBills'
+    static createAdapter(storageConfig = {}, namespace) {
+        const { adapter: adapterName = 'localStorage', encryption = {}, ...adapterOptions } = storageConfig;
+        const AdapterClass = STORAGE_ADAPTERS[adapterName];
+        if (!AdapterClass) {
+            throw new Error(`Unknown storage adapter "${adapterName}". Use one of: ${Object.keys(STORAGE_ADAPTERS).join(', ')}.`);
+        }
+        const adapter = new AdapterClass({ ...adapterOptions, namespace });
+        return encryption.enabled
+            ? new EncryptedStorageAdapter({ adapter, iterations: encryption.iterations })
+            : adapter;
+    }
 
     /**
      * @private
-     * @property {number} _delay - The simulated network delay in milliseconds.
+     * Waits for the simulated network delay.
+     * @returns {Promise<void>}
      */
-    _delay = window.APP_CONFIG.app?.apiDelayMs || 500; // Use a configurable delay or default to 0.5 second
+    _wait() {
+        return new Promise(resolve => setTimeout(resolve, this._delay));
+    }
 
     /**
      * @private
-     * @property {boolean} _shouldFail - A flag to control error simulation.
-     * Set to 'true' to consistently simulate failures for testing.
+     * Rejects when simulated failure mode is on.
+     * @param {string} action - A description of the write being attempted, used in the error message.
+     * @throws {Error} When `_shouldFail` is set.
      */
-    _shouldFail = false; // Set to true to simulate API failures
+    _checkSimulatedFailure(action) {
+        if (this._shouldFail) {
+            console.error(`API Service: Simulated network error during ${action}!`);
+            const error = new Error(`Simulated Network Error during ${action}!`);
+            error.retryable = true; // Behaves like a dropped connection, so the write is worth retrying
+            throw error;
+        }
+    }
 
     /**
-     * Simulates fetching bills from a backend API.
-     * Resolves with an array of bill data after a delay.
-     * @returns {Promise<Array<object>>} A promise that resolves with the bill data.
+     * Fetches bills from the storage adapter. The data is returned as stored; BillSchema reads
+     * the versioned envelope (or the bare array saved by older versions).
+     * @returns {Promise<object|Array<object>>} A promise that resolves with the bill data (an empty array if none was saved).
      */
-    fetchBills() {
-        return new Promise(resolve => {
-            setTimeout(() => {
-                const savedBillsJson = localStorage.getItem(this._localStorageKey);
-                const bills = savedBillsJson ? JSON.parse(savedBillsJson) : [];
-                console.log('API Service: Fetched data (simulated)', bills);
-                resolve(bills);
-            }, this._delay);
-        });
+    async fetchBills() {
+        await this._wait();
+        const bills = (await this.adapter.read('bills')) || [];
+        console.log('API Service: Fetched data', bills);
+        return bills;
     }
 
   /**
-   * Simulates saving bills to a backend API.
-   * Resolves after a delay, or rejects on simulated error.
-   * @param {Array<object>} billsData - The array of bill data to save.
-   * @returns {Promise<void>} A promise that resolves when the data is "saved" or rejects with an error.
+   * Saves bills through the storage adapter.
+   * Resolves after the write, or rejects on a storage or simulated error.
+   * @param {object} billsData - The bill data to save, usually the envelope from BillSchema.createEnvelope().
+   * @param {object} [options]
+   * @param {number} [options.baseRevision] - The revision of the stored bills this data is based on. If given, the
+   * write is refused when storage holds another revision (see StorageAdapter#writeRevision) instead of overwriting it.
+   * @returns {Promise<void>} A promise that resolves when the data is saved or rejects with an error
+   * (with `code` REVISION_CONFLICT if the stored bills were changed since `baseRevision`).
    */
-    saveBills(billsData) {
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                if (this._shouldFail) { 
-                    console.error('API Service: Simulated network error during save!');
-                    reject(new Error('Simulated Network Error during save!')); // Reject the promise on failure
-                    return;
-                }
-                localStorage.setItem(this._localStorageKey, JSON.stringify(billsData));
-                console.log('API Service: Saved data (simulated)', billsData);
-                resolve();
-            }, this._delay);
-        });
+    async saveBills(billsData, { baseRevision } = {}) {
+        await this._wait();
+        this._checkSimulatedFailure('save');
+        if (baseRevision === undefined) {
+            await this.adapter.write('bills', billsData);
+        } else {
+            await this.adapter.writeRevision('bills', billsData, baseRevision);
+        }
+        console.log('API Service: Saved data', billsData);
+    }
+
+    /**
+     * Fetches the user's settings (e.g. the exchange-rate table) from the storage adapter.
+     * @returns {Promise<object>} A promise that resolves with the settings, or an empty object if none were saved.
+     */
+    async fetchSettings() {
+        await this._wait();
+        const settings = (await this.adapter.read('settings')) || {};
+        console.log('API Service: Fetched settings', settings);
+        return settings;
     }
+
+    /**
+     * Saves the user's settings through the storage adapter.
+     * @param {object} settings - The settings object to save.
+     * @returns {Promise<void>} A promise that resolves when the settings are saved or rejects with an error.
+     */
+    async saveSettings(settings) {
+        await this._wait();
+        this._checkSimulatedFailure('settings save');
+        await this.adapter.write('settings', settings);
+        console.log('API Service: Saved settings', settings);
+    }
+
+    /**
+     * Removes everything stored in this namespace (bills, settings and any passphrase), e.g. when a profile is deleted.
+     * @returns {Promise<void>} A promise that resolves once the resources are gone.
+     */
+    async clear() {
+        await this._wait();
+        this._checkSimulatedFailure('clear');
+        await this.adapter.remove('bills');
+        await this.adapter.remove('settings');
+        if (this.adapter.encrypted) {
+            await this.adapter.removePassphrase();
+        }
+        console.log(`API Service: Cleared ${this.storageKey}`);
+    }
+
   /**
    * @public
    * Toggles the simulated failure state for testing purposes.
    */
-    toggleFailure(state = !this._shouldFail) { 
+    toggleFailure(state = !this._shouldFail) {
         this._shouldFail = state;
         console.warn(`API Service: Simulated failure mode is now ${this._shouldFail ? 'ON' : 'OFF'}`);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,108 @@
+// docs/components/ApiService.test.js
+
+import ApiService from './ApiService.js';
+import EncryptedStorageAdapter from './EncryptedStorageAdapter.js';
+import LocalStorageAdapter from './LocalStorageAdapter.js';
+import MemoryStorageAdapter from './MemoryStorageAdapter.js';
+import RestStorageAdapter from './RestStorageAdapter.js';
+import { REVISION_CONFLICT } from './StorageAdapter.js';
+
+describe('ApiService', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete window.APP_CONFIG;
+    jest.restoreAllMocks();
+  });
+
+  // Test case 1: Check that the adapter is selected from APP_CONFIG.app.storage.
+  it('should select the storage adapter from APP_CONFIG', () => {
+    window.APP_CONFIG = { app: { storageKey: 'clientBills', storage: { adapter: 'rest', baseUrl: 'http://api.test/' } } };
+
+    const apiService = new ApiService();
+
+    expect(apiService.adapter).toBeInstanceOf(RestStorageAdapter);
+    expect(apiService.adapter.urlFor('bills')).toBe('http://api.test/clientBills/bills');
+  });
+
+  // Test case 2: Check the localStorage default and its backwards-compatible keys.
+  it('should default to localStorage and keep the existing storage keys', async () => {
+    const apiService = new ApiService({ delayMs: 0 });
+    expect(apiService.adapter).toBeInstanceOf(LocalStorageAdapter);
+
+    await apiService.saveBills([{ id: '1' }]);
+    await apiService.saveSettings({ reportingCurrency: 'USD' });
+
+    expect(JSON.parse(localStorage.getItem('myBills'))).toEqual([{ id: '1' }]);
+    expect(JSON.parse(localStorage.getItem('myBills_settings'))).toEqual({ reportingCurrency: 'USD' });
+  });
+
+  // Test case 3: Check that unknown adapter names fail loudly.
+  it('should reject an unknown adapter name', () => {
+    expect(() => ApiService.createAdapter({ adapter: 'floppy' }, 'myBills')).toThrow('Unknown storage adapter "floppy"');
+  });
+
+  // Test case 4: Check round trips through an injected in-memory adapter, with empty defaults.
+  it('should read and write through an injected adapter', async () => {
+    const apiService = new ApiService({ adapter: new MemoryStorageAdapter(), delayMs: 0 });
+
+    expect(await apiService.fetchBills()).toEqual([]);
+    expect(await apiService.fetchSettings()).toEqual({});
+
+    await apiService.saveBills([{ id: 'm1' }]);
+    expect(await apiService.fetchBills()).toEqual([{ id: 'm1' }]);
+  });
+
+  // Test case 5: Check that simulated failure mode rejects writes without touching storage.
+  it('should reject saves while simulated failure mode is on', async () => {
+    const adapter = new MemoryStorageAdapter({ initialData: { bills: [{ id: 'keep' }] } });
+    const apiService = new ApiService({ adapter, delayMs: 0 });
+
+    apiService.toggleFailure(true);
+
+    await expect(apiService.saveBills([])).rejects.toThrow('Simulated Network Error');
+    expect(await adapter.read('bills')).toEqual([{ id: 'keep' }]);
+  });
+
+  // Test case 6: Check that clearing a namespace removes its bills and settings only.
+  it('should clear the bills and settings of its own namespace', async () => {
+    const apiService = new ApiService({ storageKey: 'myBills_profile_x', delayMs: 0 });
+    await apiService.saveBills([{ id: '1' }]);
+    await apiService.saveSettings({ reportingCurrency: 'USD' });
+    localStorage.setItem('myBills', '[]');
+
+    await apiService.clear();
+
+    expect(localStorage.getItem('myBills_profile_x')).toBeNull();
+    expect(localStorage.getItem('myBills_profile_x_settings')).toBeNull();
+    expect(localStorage.getItem('myBills')).toBe('[]');
+  });
+
+  // Test case 7: Check that enabling encryption wraps the configured adapter.
+  it('should wrap the adapter when encryption is enabled', () => {
+    const adapter = ApiService.createAdapter({ adapter: 'memory', encryption: { enabled: true, iterations: 1000 } }, 'myBills');
+
+    expect(adapter).toBeInstanceOf(EncryptedStorageAdapter);
+    expect(adapter.adapter).toBeInstanceOf(MemoryStorageAdapter);
+    expect(adapter.iterations).toBe(1000);
+    expect(adapter.isLocked).toBe(true);
+    expect(ApiService.createAdapter({ adapter: 'memory' }, 'myBills').encrypted).toBe(false);
+  });
+
+  // Test case 8: Check that a save based on an outdated revision is refused instead of overwriting newer bills.
+  it('should refuse to save bills based on an outdated revision', async () => {
+    const adapter = new MemoryStorageAdapter({ initialData: { bills: [{ id: 'legacy' }] } });
+    const apiService = new ApiService({ adapter, delayMs: 0 });
+
+    await apiService.saveBills({ revision: 1, bills: [{ id: 'first' }] }, { baseRevision: 0 }); // Unrevisioned data counts as revision 0
+    await expect(apiService.saveBills({ revision: 1, bills: [{ id: 'stale' }] }, { baseRevision: 0 }))
+      .rejects.toMatchObject({ code: REVISION_CONFLICT, status: 409, storedRevision: 1 });
+
+    expect(await adapter.read('bills')).toEqual({ revision: 1, bills: [{ id: 'first' }] });
+  });
+});
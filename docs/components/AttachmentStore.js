@@ -0,0 +1,242 @@
+/**
+ * The largest file accepted by default, in bytes.
+ */
+export const DEFAULT_MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+
+/**
+ * @class AttachmentStore
+ * @description Keeps the files attached to bills (receipts, invoices, payment confirmations)
+ * in a storage adapter, usually an IndexedDbStorageAdapter, since localStorage has far too
+ * little room for files.
+ *
+ * The 'attachments' resource is an index of each bill's attachments, keyed by `Bill.id`:
+ * `{ [billId]: [{ id, name, type, size, addedAt }] }`. The contents of each file are stored
+ * separately, base64-encoded, under `attachment_<id>`, so the index can be loaded at startup
+ * without reading any file. Contents are written before the index and removed after it, so
+ * the index never lists a file whose contents are missing.
+ */
+export default class AttachmentStore {
+  /**
+   * @constructor
+   * @param {object} options
+   * @param {StorageAdapter} options.adapter - The adapter the index and file contents are stored in.
+   * @param {number} [options.maxSize=DEFAULT_MAX_ATTACHMENT_SIZE] - The largest file accepted, in bytes.
+   */
+  constructor({ adapter, maxSize = DEFAULT_MAX_ATTACHMENT_SIZE }) {
+    this.adapter = adapter;
+    this.maxSize = maxSize;
+
+    /**
+     * @property {Object<string, Array<{id: string, name: string, type: string, size: number, addedAt: string}>>} index -
+     * The attachments of each bill, keyed by bill ID. Read it through `list()`.
+     */
+    this.index = {};
+  }
+
+  /**
+   * Reads the index from storage. Call once before using the store.
+   * @returns {Promise<void>}
+   * @async
+   */
+  async load() {
+    this.index = (await this.adapter.read('attachments')) || {};
+  }
+
+  /**
+   * @param {string} billId - The bill ID.
+   * @returns {Array<{id: string, name: string, type: string, size: number, addedAt: string}>} The bill's attachments, oldest first.
+   */
+  list(billId) {
+    return (this.index[billId] || []).map(attachment => ({ ...attachment }));
+  }
+
+  /**
+   * Reads the contents of an attachment.
+   * @param {string} attachmentId - The attachment ID.
+   * @returns {Promise<string|null>} The base64-encoded contents, or null if there are none.
+   * @async
+   */
+  async read(attachmentId) {
+    return this.adapter.read(`attachment_${attachmentId}`);
+  }
+
+  /**
+   * Attaches a file to a bill.
+   * @param {string} billId - The bill ID.
+   * @param {object} file
+   * @param {string} file.name - The file name, e.g. 'invoice-march.pdf'.
+   * @param {string} [file.type] - The MIME type, e.g. 'application/pdf'.
+   * @param {string} file.data - The base64-encoded contents.
+   * @returns {Promise<{id: string, name: string, type: string, size: number, addedAt: string}>} A promise that resolves with the new attachment.
+   * @throws {Error} If the file is empty or larger than `maxSize`, or the write fails.
+   * @async
+   */
+  async add(billId, { name, type, data }) {
+    const size = base64Size(data);
+    if (!size) {
+      throw new Error(`"${name}" is empty.`);
+    }
+    if (size > this.maxSize) {
+      throw new Error(`"${name}" is larger than the ${formatMegabytes(this.maxSize)} MB limit.`);
+    }
+
+    const attachment = {
+      id: createAttachmentId(),
+      name: name || 'attachment',
+      type: type || 'application/octet-stream',
+      size,
+      addedAt: new Date().toISOString()
+    };
+    await this.adapter.write(`attachment_${attachment.id}`, data);
+    await this._writeIndex({ ...this.index, [billId]: [...(this.index[billId] || []), attachment] });
+    return { ...attachment };
+  }
+
+  /**
+   * Removes one attachment from a bill.
+   * @param {string} billId - The bill ID.
+   * @param {string} attachmentId - The attachment ID.
+   * @returns {Promise<void>}
+   * @throws {Error} If the bill has no such attachment.
+   * @async
+   */
+  async remove(billId, attachmentId) {
+    const attachments = this.index[billId] || [];
+    if (!attachments.some(attachment => attachment.id === attachmentId)) {
+      throw new Error(`Attachment ${attachmentId} not found.`);
+    }
+    await this._writeIndex(withoutEmpty({ ...this.index, [billId]: attachments.filter(attachment => attachment.id !== attachmentId) }));
+    await this.adapter.remove(`attachment_${attachmentId}`);
+  }
+
+  /**
+   * Removes every attachment of the given bills, e.g. once they are deleted.
+   * @param {Array<string>} billIds - The bill IDs.
+   * @returns {Promise<Object<string, Array<object>>>} The removed attachments with their contents (`data`),
+   * keyed by bill ID, which `restore()` can put back. Bills without attachments are left out.
+   * @async
+   */
+  async removeAll(billIds) {
+    const removed = await this._readWithData(billIds);
+    if (Object.keys(removed).length === 0) return removed;
+
+    const index = { ...this.index };
+    Object.keys(removed).forEach((billId) => {
+      delete index[billId];
+    });
+    await this._writeIndex(index);
+    for (const attachments of Object.values(removed)) {
+      for (const { id } of attachments) {
+        await this.adapter.remove(`attachment_${id}`);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Puts attachments back, e.g. ones returned by `removeAll()` or read from a backup.
+   * Each bill's attachments replace any it has.
+   * @param {Object<string, Array<object>>} entries - Attachments with their contents (`data`), keyed by bill ID.
+   * @returns {Promise<void>}
+   * @async
+   */
+  async restore(entries) {
+    const index = { ...this.index };
+    for (const [billId, attachments] of Object.entries(entries)) {
+      for (const { data, ...attachment } of attachments) {
+        await this.adapter.write(`attachment_${attachment.id}`, data);
+      }
+      index[billId] = attachments.map(({ data, ...attachment }) => attachment);
+    }
+    await this._writeIndex(withoutEmpty(index));
+  }
+
+  /**
+   * Reads every attachment with its contents, for a backup.
+   * @returns {Promise<Object<string, Array<object>>>} Attachments with their contents (`data`), keyed by bill ID.
+   * @async
+   */
+  async exportAll() {
+    return this._readWithData(Object.keys(this.index));
+  }
+
+  /**
+   * Copies a bill's attachments to another store, e.g. when the bill is copied to another profile.
+   * The copies get new IDs; any attachments the target bill had are replaced.
+   * @param {AttachmentStore} target - The store to copy into.
+   * @param {string} billId - The ID of the bill here.
+   * @param {string} targetBillId - The ID of the bill in the target store.
+   * @returns {Promise<void>}
+   * @async
+   */
+  async copyTo(target, billId, targetBillId) {
+    const { [billId]: attachments } = await this._readWithData([billId]);
+    if (!attachments) return;
+
+    await target.restore({
+      [targetBillId]: attachments.map(attachment => ({ ...attachment, id: createAttachmentId() }))
+    });
+  }
+
+  /**
+   * @private
+   * @param {object} index - The new index.
+   * @returns {Promise<void>}
+   */
+  async _writeIndex(index) {
+    await this.adapter.write('attachments', index);
+    this.index = index;
+  }
+
+  /**
+   * @private
+   * Reads the attachments of some bills together with their contents.
+   * @param {Array<string>} billIds - The bill IDs.
+   * @returns {Promise<Object<string, Array<object>>>} The attachments keyed by bill ID; bills without any are left out.
+   */
+  async _readWithData(billIds) {
+    const entries = {};
+    for (const billId of billIds) {
+      const attachments = this.index[billId] || [];
+      if (attachments.length === 0) continue;
+      entries[billId] = [];
+      for (const attachment of attachments) {
+        entries[billId].push({ ...attachment, data: await this.read(attachment.id) });
+      }
+    }
+    return entries;
+  }
+}
+
+/**
+ * @returns {string} A new attachment ID. The random part keeps IDs created in the same millisecond apart.
+ */
+function createAttachmentId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * @param {string} data - Base64 text.
+ * @returns {number} The number of bytes it encodes.
+ */
+function base64Size(data) {
+  if (!data) return 0;
+  const padding = data.endsWith('==') ? 2 : (data.endsWith('=') ? 1 : 0);
+  return Math.floor((data.length * 3) / 4) - padding;
+}
+
+/**
+ * @param {number} bytes - A size in bytes.
+ * @returns {string} The size in megabytes, e.g. '5' or '2.5'.
+ */
+function formatMegabytes(bytes) {
+  return String(Math.round((bytes / (1024 * 1024)) * 10) / 10);
+}
+
+/**
+ * @param {object} index - An attachment index.
+ * @returns {object} The index without bills that have no attachments left.
+ */
+function withoutEmpty(index) {
+  return Object.fromEntries(Object.entries(index).filter(([, attachments]) => attachments.length));
+}
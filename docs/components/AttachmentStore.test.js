@@ -0,0 +1,56 @@
+// docs/components/AttachmentStore.test.js
+
+import AttachmentStore from './AttachmentStore.js';
+import MemoryStorageAdapter from './MemoryStorageAdapter.js';
+
+const PDF = { name: 'invoice.pdf', type: 'application/pdf', data: btoa('%PDF-1.4 invoice') };
+
+describe('AttachmentStore', () => {
+  let adapter;
+  let store;
+  beforeEach(() => {
+    adapter = new MemoryStorageAdapter();
+    store = new AttachmentStore({ adapter, maxSize: 100 });
+  });
+
+  // Test case 1: Check that a file is indexed by bill ID, its contents stored separately, and the index reloaded.
+  it('should index attachments by bill ID and keep their contents separately', async () => {
+    const attachment = await store.add('bill-1', PDF);
+
+    expect(attachment).toMatchObject({ name: 'invoice.pdf', type: 'application/pdf', size: 16 });
+    expect(await adapter.read('attachments')).toEqual({ 'bill-1': [attachment] });
+    expect(await store.read(attachment.id)).toBe(PDF.data);
+
+    const reopened = new AttachmentStore({ adapter });
+    await reopened.load();
+    expect(reopened.list('bill-1')).toEqual([attachment]);
+    expect(reopened.list('bill-2')).toEqual([]);
+  });
+
+  // Test case 2: Check that empty and oversized files are refused.
+  it('should refuse empty files and files over the size limit', async () => {
+    await expect(store.add('bill-1', { name: 'empty.txt', data: '' })).rejects.toThrow('"empty.txt" is empty.');
+    await expect(store.add('bill-1', { name: 'scan.png', data: btoa('x'.repeat(101)) })).rejects.toThrow('"scan.png" is larger than the 0 MB limit.');
+    expect(store.list('bill-1')).toEqual([]);
+  });
+
+  // Test case 3: Check removing one attachment, and removing a bill's attachments so they can be restored.
+  it('should remove attachments and restore removed ones', async () => {
+    const first = await store.add('bill-1', PDF);
+    const second = await store.add('bill-1', { ...PDF, name: 'receipt.pdf' });
+
+    await store.remove('bill-1', first.id);
+    expect(store.list('bill-1').map(attachment => attachment.name)).toEqual(['receipt.pdf']);
+    expect(await store.read(first.id)).toBeNull();
+    await expect(store.remove('bill-1', first.id)).rejects.toThrow(`Attachment ${first.id} not found.`);
+
+    const removed = await store.removeAll(['bill-1', 'bill-2']);
+    expect(Object.keys(removed)).toEqual(['bill-1']);
+    expect(await adapter.read('attachments')).toEqual({});
+    expect(await store.read(second.id)).toBeNull();
+
+    await store.restore(removed);
+    expect(store.list('bill-1')).toEqual([second]);
+    expect(await store.read(second.id)).toBe(PDF.data);
+  });
+});
@@ -1,5 +1,22 @@
+/**
+ * Supported recurrence frequencies and how far each one advances a due date.
+ * 'custom' uses the bill's own interval, expressed in days.
+ */
+export const RECURRENCE_STEPS = {
+  weekly: { days: 7 },
+  monthly: { months: 1 },
+  quarterly: { months: 3 },
+  yearly: { months: 12 }
+};
+
+/**
+ * The fields recorded in a bill's change log, in the shape used by `withChanges` (and the bill forms).
+ * Payments are logged one by one, as they are added or removed, rather than as a whole.
+ */
+export const LOGGED_FIELDS = ['type', 'name', 'paymentMethod', 'amount', 'currency', 'status', 'dueDate', 'recurrence', 'recurrenceInterval', 'notes'];
+
 export default class Bill {
-  constructor({ id, type, name, paymentMethod, amount, currency, status }) {
+  constructor({ id, type, name, paymentMethod, amount, currency, status, dueDate, recurrence, recurrenceInterval, payments, notes, changeLog }) {
     // Use the provided 'id' if it exists, otherwise generate a new one.
     this.id = id || Date.now().toString(); // Simple unique ID based on timestamp
 
@@ -13,5 +30,185 @@ export default class Bill {
       value: parseFloat(amount) || 0, // Ensure amount is a number
       currency: currency || 'EUR' // Default to EUR
     };
+
+    this.dueDate = dueDate || null; // ISO date string (YYYY-MM-DD), or null when no due date is set
+
+    // The recurrence rule is either null (one-off bill) or { frequency, interval }.
+    // 'interval' is only meaningful for the 'custom' frequency, where it counts days. Month-based rules
+    // also keep 'anchorDay', the day of the month the bill falls due on when the month is long enough.
+    this.recurrence = Bill.normalizeRecurrence(recurrence, recurrenceInterval, this.dueDate);
+
+    // The payment ledger: one record per payment, oldest first. Each record is
+    // { id, date, amount, currency, paymentMethod, reference, cycleDueDate }, where
+    // 'cycleDueDate' is the due date of the cycle the payment was made for (null for bills without one).
+    this.payments = Array.isArray(payments) ? payments.map(payment => ({ ...payment })) : [];
+
+    this.notes = notes || ''; // Free text, e.g. a contract number or who to call about the bill
+
+    // The append-only change log, oldest first. Each entry is { at, action, field, oldValue, newValue }:
+    // 'at' is an ISO timestamp, 'action' the operation that made the change (e.g. 'Editing "Netflix"'),
+    // and 'field' one of LOGGED_FIELDS, 'payments', or null when the whole bill was added or restored.
+    this.changeLog = Array.isArray(changeLog) ? changeLog.map(entry => ({ ...entry })) : [];
+  }
+
+  /**
+   * Normalizes a recurrence rule coming from a form (a frequency string plus an
+   * optional interval) or from storage (a { frequency, interval } object).
+   * @param {string|object|null} recurrence - The frequency string or rule object.
+   * @param {number|string} [interval] - The custom interval in days, used with a frequency string.
+   * @param {string|null} [dueDate] - The due date; a month-based rule without an anchor day takes its day.
+   * @returns {{frequency: string, interval: number, anchorDay?: number}|null} The normalized rule, or null if the bill does not repeat.
+   */
+  static normalizeRecurrence(recurrence, interval, dueDate = null) {
+    const rule = typeof recurrence === 'string'
+      ? { frequency: recurrence, interval }
+      : recurrence;
+
+    if (!rule || !rule.frequency || rule.frequency === 'none') return null;
+
+    if (rule.frequency === 'custom') {
+      const days = parseInt(rule.interval, 10);
+      return days > 0 ? { frequency: 'custom', interval: days } : null;
+    }
+
+    if (!RECURRENCE_STEPS[rule.frequency]) return null;
+    if (!RECURRENCE_STEPS[rule.frequency].months) return { frequency: rule.frequency, interval: 1 };
+
+    const anchorDay = Number.isInteger(rule.anchorDay) && rule.anchorDay >= 1 && rule.anchorDay <= 31
+      ? rule.anchorDay
+      : (dueDate ? Number(dueDate.slice(8, 10)) : null);
+    return anchorDay ? { frequency: rule.frequency, interval: 1, anchorDay } : { frequency: rule.frequency, interval: 1 };
+  }
+
+  /**
+   * Creates a copy of this bill with some fields changed, leaving this instance untouched.
+   * Changes use the same shape as the constructor (and the bill forms): 'amount' is the
+   * numeric value, 'currency' and 'recurrenceInterval' are separate fields. The ID never changes.
+   * @param {object} changes - The fields to change; fields that are missing or undefined keep their current value.
+   * @returns {Bill} The updated bill.
+   */
+  withChanges(changes) {
+    const fields = {
+      type: this.type,
+      name: this.name,
+      paymentMethod: this.paymentMethod,
+      status: this.status,
+      amount: this.amount.value,
+      currency: this.amount.currency,
+      dueDate: this.dueDate,
+      recurrence: this.recurrence ? this.recurrence.frequency : 'none',
+      recurrenceInterval: this.recurrence ? this.recurrence.interval : undefined,
+      payments: this.payments,
+      notes: this.notes,
+      changeLog: this.changeLog
+    };
+
+    Object.keys(fields).forEach(field => {
+      if (changes[field] !== undefined) {
+        fields[field] = changes[field];
+      }
+    });
+
+    // The same schedule keeps its anchor day; a new due date or frequency starts a new one.
+    if (this.recurrence?.anchorDay && fields.recurrence === this.recurrence.frequency && fields.dueDate === this.dueDate) {
+      fields.recurrence = this.recurrence;
+    }
+
+    return new Bill({ ...fields, id: this.id });
+  }
+
+  /**
+   * Lists what differs between this bill and another version of it, for the change log.
+   * Values are compared in the shape of LOGGED_FIELDS; each added or removed payment is listed on its own.
+   * @param {Bill} updated - The other version of the bill.
+   * @returns {Array<{field: string, oldValue: (string|number|null), newValue: (string|number|null)}>} The differences.
+   */
+  getChangesTo(updated) {
+    const before = this._getLoggedValues();
+    const after = updated._getLoggedValues();
+    const changes = LOGGED_FIELDS
+      .filter(field => before[field] !== after[field])
+      .map(field => ({ field, oldValue: before[field], newValue: after[field] }));
+
+    const paymentIds = bill => new Set(bill.payments.map(payment => payment.id));
+    const [oldIds, newIds] = [paymentIds(this), paymentIds(updated)];
+    this.payments.filter(payment => !newIds.has(payment.id))
+      .forEach(payment => changes.push({ field: 'payments', oldValue: Bill.describePayment(payment), newValue: null }));
+    updated.payments.filter(payment => !oldIds.has(payment.id))
+      .forEach(payment => changes.push({ field: 'payments', oldValue: null, newValue: Bill.describePayment(payment) }));
+
+    return changes;
+  }
+
+  /**
+   * @private
+   * @returns {object} The value of each of LOGGED_FIELDS, with null for empty ones.
+   */
+  _getLoggedValues() {
+    return {
+      type: this.type || null,
+      name: this.name || null,
+      paymentMethod: this.paymentMethod || null,
+      amount: this.amount.value,
+      currency: this.amount.currency,
+      status: this.status || null,
+      dueDate: this.dueDate,
+      recurrence: this.recurrence ? this.recurrence.frequency : 'none',
+      recurrenceInterval: this.recurrence?.frequency === 'custom' ? this.recurrence.interval : null,
+      notes: this.notes || null
+    };
+  }
+
+  /**
+   * Describes a payment record in one line, for the change log.
+   * @param {object} payment - The payment record.
+   * @returns {string} E.g. '15.99 EUR on 2025-05-01 (ref 123)'.
+   */
+  static describePayment(payment) {
+    const reference = payment.reference ? ` (${payment.reference})` : '';
+    return `${payment.amount} ${payment.currency} on ${payment.date}${reference}`;
+  }
+
+  /**
+   * Returns the payments made for the bill's current cycle (the cycle ending on its current due date).
+   * Payments for earlier cycles stay in the ledger as history.
+   * @returns {Array<object>} The payment records of the current cycle.
+   */
+  getCurrentCyclePayments() {
+    return this.payments.filter(payment => (payment.cycleDueDate ?? null) === this.dueDate);
+  }
+
+  /**
+   * Indicates whether this bill repeats on a schedule.
+   * @returns {boolean} True if a recurrence rule is set.
+   */
+  isRecurring() {
+    return this.recurrence !== null;
+  }
+
+  /**
+   * Calculates the due date of the cycle following the current one.
+   * Month-based steps fall on the rule's anchor day, clamped to the last day of the target month
+   * (e.g. 31 Jan -> 28 Feb -> 31 Mar).
+   * @returns {string|null} The next due date as YYYY-MM-DD, or null if the bill has no due date or does not repeat.
+   */
+  getNextDueDate() {
+    if (!this.dueDate || !this.isRecurring()) return null;
+
+    const [year, month, dueDay] = this.dueDate.split('-').map(Number);
+    const day = this.recurrence.anchorDay || dueDay;
+    const step = this.recurrence.frequency === 'custom'
+      ? { days: this.recurrence.interval }
+      : RECURRENCE_STEPS[this.recurrence.frequency];
+
+    let next;
+    if (step.months) {
+      const lastDayOfTargetMonth = new Date(Date.UTC(year, month - 1 + step.months + 1, 0)).getUTCDate();
+      next = new Date(Date.UTC(year, month - 1 + step.months, Math.min(day, lastDayOfTargetMonth)));
+    } else {
+      next = new Date(Date.UTC(year, month - 1, day + step.days));
+    }
+
+    return next.toISOString().slice(0, 10);
   }
-}
\ No newline at end of file
+}
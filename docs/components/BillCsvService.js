@@ -0,0 +1,292 @@
+import Bill from "./Bill.js"; // Import the Bill class, as imported rows are turned into Bill instances.
+
+/**
+ * The CSV columns written on export, in order, and the Bill field each one maps to.
+ * Import accepts the same headers (case-insensitive), so an exported file round-trips.
+ */
+export const CSV_COLUMNS = [
+  'id',
+  'type',
+  'name',
+  'paymentMethod',
+  'amount',
+  'currency',
+  'status',
+  'dueDate',
+  'recurrence',
+  'recurrenceInterval',
+  'notes'
+];
+
+/**
+ * The CSV columns of a change log export, in order. Export only: change logs are never imported.
+ */
+export const CHANGE_LOG_COLUMNS = [
+  'billId',
+  'bill',
+  'at',
+  'action',
+  'field',
+  'oldValue',
+  'newValue'
+];
+
+/**
+ * Alternative header spellings accepted on import, mapped to their Bill field.
+ */
+const HEADER_ALIASES = {
+  'bill type': 'type',
+  'payment method': 'paymentMethod',
+  'payment_method': 'paymentMethod',
+  'value': 'amount',
+  'due date': 'dueDate',
+  'due_date': 'dueDate',
+  'repeats': 'recurrence',
+  'recurrence interval': 'recurrenceInterval'
+};
+
+/**
+ * @class BillCsvService
+ * @description Converts bills to and from CSV. Export writes every bill field; import parses
+ * a CSV file, maps its columns to Bill fields and validates each row against the configured
+ * bill types, payment methods, statuses and currencies so the UI can preview per-row errors
+ * before anything is saved.
+ */
+export default class BillCsvService {
+  /**
+   * @constructor
+   * @param {object} [options] - The allowed values, usually taken from APP_CONFIG by `script.js`.
+   * An empty list means any value is accepted for that field.
+   * @param {Array<{value: string}>} [options.billTypes] - The configured bill types.
+   * @param {Array<{value: string}>} [options.paymentMethods] - The configured payment methods.
+   * @param {Array<{value: string}>} [options.statuses] - The configured statuses.
+   * @param {Array<string>} [options.currencies] - The supported currency codes.
+   * @param {Array<{value: string}>} [options.recurrenceChoices] - The configured recurrence choices.
+   */
+  constructor({ billTypes = [], paymentMethods = [], statuses = [], currencies = [], recurrenceChoices = [] } = {}) {
+    // Only keep real values; the bill type placeholder ("Select a type...") has an empty value.
+    const values = choices => choices.map(choice => choice.value).filter(Boolean);
+
+    this.billTypes = values(billTypes);
+    this.paymentMethods = values(paymentMethods);
+    this.statuses = values(statuses);
+    this.currencies = currencies;
+    this.recurrenceFrequencies = values(recurrenceChoices);
+  }
+
+  /**
+   * Serializes bills to CSV text, one row per bill, with a header row.
+   * @param {Array<Bill>} bills - The bills to export.
+   * @returns {string} The CSV text.
+   */
+  exportBills(bills) {
+    const rows = bills.map(bill => [
+      bill.id,
+      bill.type,
+      bill.name,
+      bill.paymentMethod,
+      bill.amount.value,
+      bill.amount.currency,
+      bill.status,
+      bill.dueDate,
+      bill.recurrence ? bill.recurrence.frequency : 'none',
+      bill.recurrence?.frequency === 'custom' ? bill.recurrence.interval : '',
+      bill.notes
+    ]);
+
+    return BillCsvService.toCsv(CSV_COLUMNS, rows);
+  }
+
+  /**
+   * Serializes the change logs of bills to CSV text, one row per entry, oldest first within each bill.
+   * @param {Array<Bill|{id: string, type: string, name: string|null, changeLog: Array<object>}>} bills - The bills
+   * whose change logs to export; deleted ones (see BillManager#deletedBills) are read the same way.
+   * @returns {string} The CSV text, with a header row.
+   */
+  exportChangeLog(bills) {
+    const rows = bills.flatMap(bill => bill.changeLog.map(entry => [
+      bill.id,
+      bill.name || bill.type,
+      entry.at,
+      entry.action,
+      entry.field,
+      entry.oldValue,
+      entry.newValue
+    ]));
+
+    return BillCsvService.toCsv(CHANGE_LOG_COLUMNS, rows);
+  }
+
+  /**
+   * Joins a header row and data rows into CSV text with CRLF line endings.
+   * @param {Array<string>} header - The column names.
+   * @param {Array<Array<*>>} rows - The data rows.
+   * @returns {string} The CSV text.
+   */
+  static toCsv(header, rows) {
+    return [header, ...rows]
+      .map(row => row.map(BillCsvService.escapeCell).join(','))
+      .join('\r\n');
+  }
+
+  /**
+   * Escapes a single value for CSV: values containing commas, quotes or line breaks are
+   * wrapped in double quotes, and embedded quotes are doubled.
+   * @param {*} value - The value to escape. null and undefined become empty cells.
+   * @returns {string} The escaped cell.
+   */
+  static escapeCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Parses CSV text into rows of cells. Supports quoted cells with embedded commas,
+   * doubled quotes and line breaks, and both LF and CRLF line endings.
+   * Blank lines are skipped.
+   * @param {string} text - The CSV text.
+   * @returns {Array<Array<string>>} The parsed rows.
+   */
+  parse(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const source = text.replace(/^\uFEFF/, ''); // Drop the byte-order mark some spreadsheet apps add
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (inQuotes) {
+        if (char === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+  }
+
+  /**
+   * Parses CSV text and validates every data row, without saving anything.
+   * @param {string} text - The CSV text, with a header row.
+   * @param {Array<string>} [existingIds] - IDs already in use; rows reusing one get a fresh ID.
+   * @returns {{columns: Array<string|null>, rows: Array<{rowNumber: number, bill: Bill|null, errors: Array<string>}>}}
+   * The Bill field each column was mapped to (null for ignored columns) and one entry per data row.
+   * 'rowNumber' counts the header as row 1, so it matches what a spreadsheet shows.
+   * @throws {Error} If the file is empty or has no recognizable 'type' and 'amount' columns.
+   */
+  previewImport(text, existingIds = []) {
+    const [header, ...dataRows] = this.parse(text);
+    if (!header) {
+      throw new Error('The CSV file is empty.');
+    }
+
+    const columns = header.map(BillCsvService.mapHeader);
+    if (!columns.includes('type') || !columns.includes('amount')) {
+      throw new Error("The CSV file needs at least a 'type' and an 'amount' column.");
+    }
+
+    const usedIds = new Set(existingIds);
+    const rows = dataRows.map((cells, index) => {
+      const record = columns.reduce((acc, field, columnIndex) => {
+        if (field) {
+          acc[field] = (cells[columnIndex] || '').trim();
+        }
+        return acc;
+      }, {});
+
+      const rowNumber = index + 2; // +1 for the header, +1 for 1-based numbering
+      const errors = this.validateRecord(record);
+      if (errors.length) {
+        return { rowNumber, bill: null, errors };
+      }
+
+      // Keep the exported ID when it is free, so a re-import of a backup keeps its IDs stable.
+      const id = record.id && !usedIds.has(record.id) ? record.id : `${Date.now()}-${rowNumber}`;
+      usedIds.add(id);
+
+      return {
+        rowNumber,
+        bill: new Bill({ ...record, id, status: record.status || undefined }),
+        errors
+      };
+    });
+
+    return { columns, rows };
+  }
+
+  /**
+   * Maps a CSV header cell to the Bill field it represents.
+   * @param {string} header - The header text.
+   * @returns {string|null} The Bill field, or null if the column is not recognized.
+   */
+  static mapHeader(header) {
+    const normalized = header.trim().toLowerCase();
+    const column = CSV_COLUMNS.find(field => field.toLowerCase() === normalized);
+    return column || HEADER_ALIASES[normalized] || null;
+  }
+
+  /**
+   * Validates a single mapped CSV record against the configured choices.
+   * @param {object} record - The record, keyed by Bill field.
+   * @returns {Array<string>} Human-readable errors; empty if the record is valid.
+   */
+  validateRecord(record) {
+    const errors = [];
+    const checkChoice = (field, label, allowed) => {
+      if (record[field] && allowed.length && !allowed.includes(record[field])) {
+        errors.push(`Unknown ${label} "${record[field]}".`);
+      }
+    };
+
+    if (!record.type) {
+      errors.push('Bill type is required.');
+    }
+    checkChoice('type', 'bill type', this.billTypes);
+
+    if (!record.amount) {
+      errors.push('Amount is required.');
+    } else if (!/^-?\d+(\.\d+)?$/.test(record.amount)) {
+      errors.push(`Amount "${record.amount}" is not a number.`);
+    }
+
+    checkChoice('paymentMethod', 'payment method', this.paymentMethods);
+    checkChoice('status', 'status', this.statuses);
+    checkChoice('currency', 'currency', this.currencies);
+    checkChoice('recurrence', 'recurrence', this.recurrenceFrequencies);
+
+    if (record.dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(record.dueDate)) {
+      errors.push(`Due date "${record.dueDate}" must use the YYYY-MM-DD format.`);
+    }
+    if (record.recurrence === 'custom' && !(parseInt(record.recurrenceInterval, 10) > 0)) {
+      errors.push('A custom recurrence needs a positive interval in days.');
+    }
+
+    return errors;
+  }
+}
@@ -0,0 +1,108 @@
+// docs/components/BillCsvService.test.js
+
+import BillCsvService from './BillCsvService.js';
+import Bill from './Bill.js';
+
+describe('BillCsvService', () => {
+  // Allowed values mirroring the shape of APP_CONFIG.options.
+  const csvService = new BillCsvService({
+    billTypes: [{ value: '' }, { value: 'Energy' }, { value: 'Streaming' }, { value: 'Other' }],
+    paymentMethods: [{ value: 'Direct Debit' }, { value: 'Credit Card' }],
+    statuses: [{ value: 'Paid' }, { value: 'Pending' }, { value: 'Unpaid' }],
+    currencies: ['EUR', 'USD'],
+    recurrenceChoices: [{ value: 'none' }, { value: 'monthly' }, { value: 'custom' }]
+  });
+
+  // Test case 1: Check that every field is exported and special characters are quoted.
+  it('should export every bill field and quote cells containing commas or quotes', () => {
+    const bills = [
+      new Bill({ id: 'e1', type: 'Streaming', name: 'Netflix, "Premium"', paymentMethod: 'Credit Card', amount: 17.99, currency: 'USD', status: 'Paid', dueDate: '2025-06-01', recurrence: 'monthly' }),
+      new Bill({ id: 'e2', type: 'Energy', paymentMethod: 'Direct Debit', amount: 80 }),
+    ];
+
+    const lines = csvService.exportBills(bills).split('\r\n');
+
+    expect(lines[0]).toBe('id,type,name,paymentMethod,amount,currency,status,dueDate,recurrence,recurrenceInterval,notes');
+    expect(lines[1]).toBe('e1,Streaming,"Netflix, ""Premium""",Credit Card,17.99,USD,Paid,2025-06-01,monthly,,');
+    expect(lines[2]).toBe('e2,Energy,,Direct Debit,80,EUR,Pending,,none,,');
+  });
+
+  // Test case 2: Check that the parser handles quoted cells, embedded line breaks and CRLF.
+  it('should parse quoted cells, embedded line breaks and blank lines', () => {
+    const rows = csvService.parse('a,b\r\n"x, y","multi\nline"\r\n\r\n"say ""hi""",2');
+    expect(rows).toEqual([['a', 'b'], ['x, y', 'multi\nline'], ['say "hi"', '2']]);
+  });
+
+  // Test case 3: Check that an exported file imports back into equivalent bills.
+  it('should round-trip exported bills through import', () => {
+    const original = new Bill({ id: 'rt1', type: 'Other', name: 'Gym', paymentMethod: 'Credit Card', amount: 30, currency: 'USD', status: 'Unpaid', dueDate: '2025-02-10', recurrence: 'custom', recurrenceInterval: 14 });
+
+    const { rows } = csvService.previewImport(csvService.exportBills([original]));
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0].errors).toEqual([]);
+    expect(rows[0].bill).toEqual(original);
+  });
+
+  // Test case 4: Check per-row validation against the configured choices.
+  it('should report per-row errors for values outside the configured choices', () => {
+    const csv = [
+      'Bill Type,Amount,Payment Method,Status,Currency,Due Date',
+      'Energy,45.5,Direct Debit,Paid,EUR,2025-01-05',
+      'Water,abc,Cheque,Late,JPY,05/01/2025',
+    ].join('\n');
+
+    const { rows } = csvService.previewImport(csv);
+
+    expect(rows[0]).toMatchObject({ rowNumber: 2, errors: [] });
+    expect(rows[0].bill.amount).toEqual({ value: 45.5, currency: 'EUR' });
+    expect(rows[1].rowNumber).toBe(3);
+    expect(rows[1].bill).toBeNull();
+    expect(rows[1].errors).toEqual([
+      'Unknown bill type "Water".',
+      'Amount "abc" is not a number.',
+      'Unknown payment method "Cheque".',
+      'Unknown status "Late".',
+      'Unknown currency "JPY".',
+      'Due date "05/01/2025" must use the YYYY-MM-DD format.',
+    ]);
+  });
+
+  // Test case 5: Check that IDs already in use are replaced rather than duplicated.
+  it('should assign a fresh id when an imported id is already in use', () => {
+    const csv = 'id,type,amount\nabc,Energy,10\nabc,Energy,20';
+    const { rows } = csvService.previewImport(csv, ['existing']);
+
+    expect(rows[0].bill.id).toBe('abc');
+    expect(rows[1].bill.id).not.toBe('abc');
+  });
+
+  // Test case 6: Check that files without the required columns are rejected up front.
+  it('should reject files without type and amount columns', () => {
+    expect(() => csvService.previewImport('')).toThrow('empty');
+    expect(() => csvService.previewImport('name,status\nNetflix,Paid')).toThrow("'type' and an 'amount'");
+  });
+
+  // Test case 7: Check that notes round-trip and change logs export one row per entry.
+  it('should round-trip notes and export change logs', () => {
+    const bill = new Bill({
+      id: 'n1',
+      type: 'Energy',
+      amount: 80,
+      notes: 'Contract 42, "fixed" until May',
+      changeLog: [
+        { at: '2025-06-01T09:00:00.000Z', action: 'Adding "Energy"', field: null, oldValue: null, newValue: null },
+        { at: '2025-06-02T09:00:00.000Z', action: 'Editing "Energy"', field: 'amount', oldValue: 75, newValue: 80 }
+      ]
+    });
+
+    const { rows } = csvService.previewImport(csvService.exportBills([bill]));
+    expect(rows[0].bill.notes).toBe('Contract 42, "fixed" until May');
+
+    expect(csvService.exportChangeLog([bill]).split('\r\n')).toEqual([
+      'billId,bill,at,action,field,oldValue,newValue',
+      'n1,Energy,2025-06-01T09:00:00.000Z,"Adding ""Energy""",,,',
+      'n1,Energy,2025-06-02T09:00:00.000Z,"Editing ""Energy""",amount,75,80'
+    ]);
+  });
+});
@@ -1,12 +1,100 @@
 import Bill from "./Bill.js"; // Import the Bill class, as BillManager will create and manage Bill instances.
 import ApiService from "./ApiService.js"; // Import the ApiService for asynchronous data persistence.
+import SyncQueue from "./SyncQueue.js"; // Import the SyncQueue to retry writes that failed to reach storage.
+import BillSchema from "./BillSchema.js"; // Import the BillSchema to version, migrate and validate stored bills.
+import { REVISION_CONFLICT } from "./StorageAdapter.js"; // The error code of a save refused because the bills changed elsewhere.
+
+/**
+ * The error code of bills that are not saved because a conflict waits to be resolved (see BillManager#conflict).
+ */
+export const CONFLICT_PENDING = 'CONFLICT_PENDING';
+
+/**
+ * The filter state when nothing is filtered. Empty strings and null mean "any".
+ */
+export const DEFAULT_FILTERS = Object.freeze({
+  status: 'All',
+  search: '',
+  type: '',
+  paymentMethod: '',
+  currency: '',
+  minAmount: null,
+  maxAmount: null
+});
+
+/**
+ * The bill fields a sort key can name, each mapped to the value it sorts by.
+ * Missing values (null, undefined or '') always sort last, whatever the direction.
+ */
+export const SORT_FIELDS = Object.freeze({
+  name: bill => bill.name || bill.type,
+  type: bill => bill.type,
+  status: bill => bill.status,
+  paymentMethod: bill => bill.paymentMethod,
+  amount: bill => bill.amount.value,
+  currency: bill => bill.amount.currency,
+  dueDate: bill => bill.dueDate,
+  recurrence: bill => bill.recurrence?.frequency
+});
+
+/**
+ * The `backupVersion` written by `exportBackup()`.
+ */
+export const BACKUP_VERSION = 1;
+
+/**
+ * The built-in sort choices. Each one is a list of keys applied in order: later keys only
+ * decide between bills that are equal on the earlier ones. An empty list keeps insertion order.
+ */
+export const DEFAULT_SORT_CHOICES = Object.freeze([
+  { value: 'default', keys: [] },
+  { value: 'amount-high-low', keys: [{ field: 'amount', direction: 'desc' }] },
+  { value: 'amount-low-high', keys: [{ field: 'amount', direction: 'asc' }] },
+  { value: 'name-az', keys: [{ field: 'name', direction: 'asc' }] },
+  { value: 'name-za', keys: [{ field: 'name', direction: 'desc' }] }
+]);
+
+/**
+ * The kinds of user-defined categories, each mapped to the bill field that holds its name.
+ */
+export const CATEGORY_FIELDS = Object.freeze({
+  billTypes: 'type',
+  paymentMethods: 'paymentMethod'
+});
+
+const CATEGORY_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * The change events BillManager emits to its subscribers (see `subscribe`):
+ * - bills: the bills list changed (loaded, added to, edited, or restored after a failed save)
+ * - settings: the exchange rates or the reporting currency changed
+ * - categories: the user's own bill types or payment methods changed
+ * - attachments: files were attached to or removed from a bill (the event carries `billId`)
+ * - filter: one or more filters changed
+ * - sort: the sort choice changed
+ * - selection: bills were selected or deselected for a bulk action
+ * - conflict: a save was refused because the bills were changed elsewhere, or that conflict was resolved (see `conflict`)
+ * - loading: an operation started or finished (the event carries `isLoading`)
+ */
+export const CHANGE_EVENTS = Object.freeze({
+  BILLS: 'bills',
+  SETTINGS: 'settings',
+  CATEGORIES: 'categories',
+  ATTACHMENTS: 'attachments',
+  FILTER: 'filter',
+  SORT: 'sort',
+  SELECTION: 'selection',
+  CONFLICT: 'conflict',
+  LOADING: 'loading'
+});
 
 /**
  * @class BillManager
- * @description Manages the application's bill data, including loading/saving to localStorage
+ * @description Manages the application's bill data, including loading/saving through a storage adapter
  * (via ApiService), CRUD operations (Create, Read, Update, Delete),
  * and filtering/sorting logic. This class acts as the single source of
- * truth for bill-related state.
+ * truth for bill-related state, and emits a change event (see CHANGE_EVENTS)
+ * whenever that state changes, so views can subscribe instead of being refreshed by hand.
  */
 export default class BillManager {
   /**
@@ -16,9 +104,37 @@ export default class BillManager {
    * Sets up default filter and sort states.
    * Bills are initialized as an empty array, and will be populated asynchronously
    * via the `initialize()` method called from `script.js`.
+   * @param {object} [options] - Optional settings, usually taken from APP_CONFIG by `script.js`.
+   * @param {string} [options.baseCurrency='EUR'] - The currency the exchange-rate table is expressed against.
+   * @param {object} [options.defaultExchangeRates] - Seed rates (units per 1 base currency) used until the user saves their own.
+   * @param {string} [options.reportingCurrency] - The reporting currency until the user saves their own; defaults to the base currency.
+   * @param {StorageAdapter} [options.storageAdapter] - The storage backend to use instead of the one selected in APP_CONFIG.
+   * @param {string} [options.storageKey] - The namespace to store data under instead of APP_CONFIG.app.storageKey, e.g. a profile's key.
+   * @param {Array<{value: string, keys: Array<{field: string, direction: 'asc'|'desc'}>}>} [options.sortChoices] - The sort
+   * choices offered to `setSort`. A choice without `keys` takes them from the built-in choice with the same value.
+   * @param {{billTypes?: Array<string>, paymentMethods?: Array<string>}} [options.defaultCategories] - The names of the
+   * configured bill types and payment methods, which the user's own categories may not reuse.
+   * @param {AttachmentStore} [options.attachmentStore] - Where files attached to bills are kept. Without one,
+   * bills cannot have attachments.
+   * @param {TabSync} [options.tabSync] - Tells other open tabs about every save. Without one, they are not told.
+   * @throws {Error} If a sort choice names an unknown field or direction.
    */
-  constructor() {
-    this.apiService = new ApiService(); // Instantiate ApiService for data operations.
+  constructor({ baseCurrency = 'EUR', defaultExchangeRates = {}, reportingCurrency = baseCurrency, storageAdapter, storageKey, sortChoices = DEFAULT_SORT_CHOICES, defaultCategories = {}, attachmentStore = null, tabSync = null } = {}) {
+    this.apiService = new ApiService({ adapter: storageAdapter, storageKey }); // Instantiate ApiService for data operations.
+
+    /**
+     * @property {SyncQueue} syncQueue - Holds writes that failed with a retryable error until they reach storage.
+     */
+    this.syncQueue = new SyncQueue({
+      storageKey: this.apiService.storageKey,
+      durable: !this.apiService.adapter?.encrypted, // Never write decrypted bills to disk
+      write: (resource, data) => this._write(resource, data)
+    });
+
+    /**
+     * @property {TabSync|null} tabSync - Tells other open tabs about saves; null if they are not told.
+     */
+    this.tabSync = tabSync;
 
     /**
      * @property {Array<Bill>} bills - The main array holding all Bill objects.
@@ -28,200 +144,2072 @@ export default class BillManager {
     this.bills = [];
 
     /**
-     * @property {'All' | 'Paid' | 'Unpaid' | 'Pending'} currentFilter - The active filter applied to bills.
+     * @property {Array<{index: number, record: *, errors: Array<string>}>} invalidRecords - Stored records that
+     * failed validation on the last load. They are not turned into bills, but are written back unchanged with
+     * every save so nothing is lost while the user (or a fix) sorts them out.
+     */
+    this.invalidRecords = [];
+
+    /**
+     * @property {{billTypes: Array<{name: string, color: string|null, retired: boolean}>,
+     * paymentMethods: Array<{name: string, color: string|null, retired: boolean}>}} categories - The user's own
+     * bill types and payment methods, stored with the bills. Retired ones are kept so bills using them still
+     * show their colour, but are not offered for new bills.
+     */
+    this.categories = { billTypes: [], paymentMethods: [] };
+
+    /**
+     * @property {Array<{id: string, type: string, name: string|null, changeLog: Array<object>}>} deletedBills - The
+     * change logs of deleted bills, each ending with the deletion, stored with the bills so their history can still
+     * be read and exported. A bill brought back, e.g. by undoing its deletion, carries its log on and leaves this list.
+     */
+    this.deletedBills = [];
+
+    /**
+     * @property {AttachmentStore|null} attachmentStore - Where files attached to bills are kept; null if attachments are unavailable.
+     */
+    this.attachmentStore = attachmentStore;
+
+    /**
+     * @private
+     * @property {Map<string, Array<object>>} _removedAttachments - The attachments of bills removed by an
+     * operation that can still be undone, with their contents, so undoing it brings them back too.
+     */
+    this._removedAttachments = new Map();
+
+    /**
+     * @property {{billTypes: Array<string>, paymentMethods: Array<string>}} defaultCategories - The configured names.
+     */
+    this.defaultCategories = {
+      billTypes: defaultCategories.billTypes || [],
+      paymentMethods: defaultCategories.paymentMethods || []
+    };
+
+    /**
+     * @private
+     * @property {Error|null} _loadError - Set when the stored bills could not be read at all (e.g. they were
+     * written by a newer version of the app). Saving bills is refused while it is set, so that data is not overwritten.
+     */
+    this._loadError = null;
+
+    /**
+     * @private
+     * @property {{revision: number, records: Map<string, string>|null, categories: string|null}} _base - The stored
+     * bills the bills here are based on: their revision, plus each bill (by ID) and the categories as JSON. It is the
+     * common ancestor `_mergeWith` compares both sides with. The records are null while unknown (the bills were loaded
+     * from unsynced changes of an earlier session), which makes every bill that differs a conflict.
+     */
+    this._base = { revision: 0, records: new Map(), categories: null };
+
+    /**
+     * @property {{bills: Array<{id: string, mine: Bill|null, theirs: Bill|null}>, stored: object}|null} conflict - Set
+     * when saving was refused because the bills were changed elsewhere (another device or tab) in ways that clash
+     * with the changes here, until `resolveConflict()` is called. `bills` lists the bills changed on both sides:
+     * `mine` is the version here and `theirs` the stored one, either null if the bill was deleted on that side.
+     * The unsaved changes stay in `bills` meanwhile. `stored` is what storage held (see `_readStored`).
+     */
+    this.conflict = null;
+
+    /**
+     * @property {{status: string, search: string, type: string, paymentMethod: string, currency: string,
+     * minAmount: number|null, maxAmount: number|null}} filters - The active filters applied to bills; they all
+     * have to match. The amount range is expressed in the reporting currency.
      * This state is managed internally by BillManager.
      */
-    this.currentFilter = 'All';
+    this.filters = { ...DEFAULT_FILTERS };
+
+    /**
+     * @property {Map<string, Array<{field: string, direction: 'asc'|'desc'}>>} sortChoices - The sort keys of each sort choice, by value.
+     */
+    this.sortChoices = new Map(sortChoices.map(choice => [choice.value, BillManager.normalizeSortKeys(
+      choice.keys ?? DEFAULT_SORT_CHOICES.find(({ value }) => value === choice.value)?.keys ?? []
+    )]));
 
     /**
-     * @property {'default' | 'amount-high-low' | 'amount-low-high' | 'name-az'} currentSort - The active sort order for bills.
+     * @property {string} currentSort - The value of the active sort choice, e.g. 'amount-high-low'.
      * This state is managed internally by BillManager.
      */
     this.currentSort = 'default';
+
+    /**
+     * @property {Array<{field: string, direction: 'asc'|'desc'}>} sortKeys - The keys of the active sort choice.
+     */
+    this.sortKeys = [];
+
+    /**
+     * @property {Set<string>} selectedIds - The IDs of the bills selected for a bulk action.
+     * Bills hidden by the filters stay selected, but bulk actions leave them out (see `getSelectedBills`).
+     */
+    this.selectedIds = new Set();
+
+    /**
+     * @property {string} baseCurrency - The currency every exchange rate is expressed against (its rate is always 1).
+     */
+    this.baseCurrency = baseCurrency;
+
+    /**
+     * @property {object} exchangeRates - How many units of each currency equal one unit of the base currency,
+     * e.g. { EUR: 1, USD: 1.08 }. User-editable and persisted alongside the bills.
+     */
+    this.exchangeRates = { ...defaultExchangeRates, [baseCurrency]: 1 };
+
+    /**
+     * @property {string} reportingCurrency - The currency the converted totals are reported in.
+     */
+    this.reportingCurrency = reportingCurrency;
+
+    /**
+     * @property {Array<{description: string, before: Array<Bill>, after: Array<Bill>}>} undoStack - Completed bill
+     * operations that can be undone, most recent last. Each entry keeps the bills list before and after the operation.
+     */
+    this.undoStack = [];
+
+    /**
+     * @property {Array<{description: string, before: Array<Bill>, after: Array<Bill>}>} redoStack - Undone operations
+     * that can be redone, most recent last. Cleared whenever a new operation is made.
+     */
+    this.redoStack = [];
+
+    /**
+     * @property {number} historyLimit - The maximum number of operations kept for undo.
+     */
+    this.historyLimit = 50;
+
+    /**
+     * @property {boolean} isLoading - True while an operation started by the UI is running (see `setLoading`).
+     */
+    this.isLoading = false;
+
+    /**
+     * @private
+     * @property {Map<string, Set<function(object): void>>} _listeners - The change listeners of each event type.
+     */
+    this._listeners = new Map(Object.values(CHANGE_EVENTS).map(type => [type, new Set()]));
+  }
+
+  /**
+   * Registers a listener for change events, so a view re-renders whenever the state it shows changes.
+   * Listeners are called synchronously, after the change has been applied in memory.
+   * @param {string|Array<string>} types - One or more of CHANGE_EVENTS, e.g. ['bills', 'filter'].
+   * @param {function({type: string, isLoading?: boolean}): void} listener - Called with the event for each change.
+   * @returns {function(): void} A function that removes the listener again.
+   * @throws {Error} If a type is not one of CHANGE_EVENTS.
+   */
+  subscribe(types, listener) {
+    const typeList = [].concat(types);
+    typeList.forEach((type) => {
+      if (!this._listeners.has(type)) {
+        throw new Error(`Unknown change event '${type}'.`);
+      }
+    });
+    typeList.forEach(type => this._listeners.get(type).add(listener));
+    return () => typeList.forEach(type => this._listeners.get(type).delete(listener));
   }
 
   /**
    * @private
-   * Saves the current 'bills' array to the backend via ApiService.
+   * Notifies the listeners of one event type. A listener that throws is logged and skipped,
+   * so a broken view cannot fail the operation that made the change.
+   * @param {string} type - One of CHANGE_EVENTS.
+   * @param {object} [detail] - Extra properties for the event, e.g. { isLoading: true }.
+   */
+  _emit(type, detail = {}) {
+    this._listeners.get(type).forEach((listener) => {
+      try {
+        listener({ type, ...detail });
+      } catch (error) {
+        console.error(`BillManager: A '${type}' listener failed`, error);
+      }
+    });
+  }
+
+  /**
+   * @private
+   * Saves the exchange-rate table and reporting currency via ApiService.
    * This method is asynchronous and should be awaited.
-   * It maps Bill instances to plain objects for safe JSON stringification.
-   * Includes error handling for the save operation.
    * @async
    */
-  async _saveBillsToLocalStorage() {
-    const billsPlainData = this.bills.map(bill => ({
-        id: bill.id,
-        type: bill.type,
-        name: bill.name,
-        paymentMethod: bill.paymentMethod,
-        status: bill.status,
-        amount: bill.amount // amount is already an object {value, currency}
-    }));
-    await this.apiService.saveBills(billsPlainData);
+  async _saveSettings() {
+    await this._persist('settings', {
+      exchangeRates: this.exchangeRates,
+      reportingCurrency: this.reportingCurrency
+    });
+  }
+
+  /**
+   * @returns {number} The revision of the stored bills the bills here are based on; 0 before anything was saved.
+   */
+  get revision() {
+    return this._base.revision;
   }
 
   /**
    * @private
-   * Loads bills from the backend via ApiService and rehydrates them into Bill instances.
-   * This method is asynchronous and should be awaited.
-   * @returns {Promise<Array<Bill>>} A promise that resolves with the array of Bill objects.
+   * Sends one resource to storage and tells other tabs about it. The bills are saved at the next revision and only
+   * if storage still holds the one they are based on. If it does not, they were changed elsewhere: nothing is
+   * written and the stored bills are merged with these instead (see `_applyMerge`). If that leaves a conflict,
+   * or one was already waiting (see `conflict`), the bills are not written until it is resolved.
+   * @param {'bills'|'settings'} resource - The resource to write.
+   * @param {*} data - The full value to write.
+   * @throws {Error} If the write fails. While there is a conflict, the bills are refused with an error the
+   * sync queue holds on to (see `SyncQueue.isHeld`).
    * @async
    */
-  async _loadBillsFromLocalStorage() {
-    const plainBills = await this.apiService.fetchBills(); // Fetch plain data from API service.
-
-    if (plainBills) {
-      // Rehydrate plain objects back into proper Bill instances.
-      // This is crucial to restore Bill methods and correct nested object structures.
-      return plainBills.map(billData => new Bill({
-        id: billData.id,
-        type: billData.type,
-        name: billData.name,
-        paymentMethod: billData.paymentMethod,
-        status: billData.status,
-        // Access nested properties for re-creation
-        amount: billData.amount ? billData.amount.value : 0, // Handle cases where amount might be missing
-        currency: billData.amount ? billData.amount.currency : 'EUR' // Handle cases where currency might be missing
-      }));
+  async _write(resource, data) {
+    if (resource === 'settings') {
+      await this.apiService.saveSettings(data);
     } else {
-      return []; // Return an empty array if no bills are found.
+      if (this.conflict) throw BillManager._createConflictPending();
+      const baseRevision = this._base.revision; // Unsynced bills may have been queued before the last save landed
+      const envelope = { ...data, revision: baseRevision + 1 };
+      try {
+        await this.apiService.saveBills(envelope, { baseRevision });
+      } catch (error) {
+        if (error.code !== REVISION_CONFLICT) throw error;
+        console.warn('BillManager: The stored bills were changed elsewhere; merging', error);
+        await this._applyMerge(await this._readStored());
+        if (this.conflict) throw BillManager._createConflictPending();
+        return;
+      }
+      this._base = BillManager._createBase(envelope.revision, envelope.bills, envelope.categories);
     }
+    this.tabSync?.notify(resource);
   }
 
   /**
-   * Adds a new Bill instance to the collection and saves the updated list.
-   * This method is asynchronous because it calls the asynchronous _saveBillsToLocalStorage.
-   * @param {Bill} newBill - The Bill object to be added.
-   * @async
+   * @private
+   * Creates the error bills are refused with while a conflict waits to be resolved.
+   * @returns {Error} An error with `code` CONFLICT_PENDING and `held` set, so the sync queue keeps the write.
    */
-  async addBill(newBill) {
-    this.bills.push(newBill);
-    await this._saveBillsToLocalStorage(); // Await the asynchronous save operation.
+  static _createConflictPending() {
+    const error = new Error('The bills were changed elsewhere; choose which version to keep before they are saved.');
+    error.code = CONFLICT_PENDING;
+    error.held = true;
+    return error;
   }
 
   /**
-   * Deletes a bill from the collection by its unique ID and saves the updated list.
-   * This method is asynchronous because it calls the asynchronous _saveBillsToLocalStorage.
-   * @param {string} id - The unique ID of the bill to delete.
+   * @private
+   * Writes a resource through ApiService. If the write fails with a retryable error (e.g. the
+   * connection dropped) it is handed to the sync queue instead of failing, and the change stays
+   * in memory as an unsynced change. While older writes are still queued, new ones join the
+   * queue so they cannot overtake them. Other tabs are told about queued writes too, so they
+   * reload and build on the queued value instead of replacing it with their own. Bills refused because of a
+   * conflict (see `conflict`) stay unsaved here, and other tabs are not told; resolving it saves them.
+   * @param {'bills'|'settings'} resource - The resource to write.
+   * @param {*} data - The full value to write.
+   * @throws {Error} If the write fails with an error that retrying would not fix.
    * @async
    */
-  async deleteBill(id) {
-    this.bills = this.bills.filter(bill => bill.id !== id);
-    await this._saveBillsToLocalStorage(); // Await the asynchronous save operation.
+  async _persist(resource, data) {
+    if (this.syncQueue.hasPending()) {
+      this.syncQueue.enqueue(resource, data);
+      this.tabSync?.notify(resource);
+      this.syncQueue.flush();
+      return;
+    }
+
+    try {
+      await this._write(resource, data);
+    } catch (error) {
+      if (SyncQueue.isHeld(error)) return;
+      if (!SyncQueue.isRetryable(error)) {
+        throw error;
+      }
+      console.warn(`BillManager: Queued '${resource}' write for retry`, error);
+      this.syncQueue.enqueue(resource, data);
+      this.tabSync?.notify(resource);
+    }
   }
 
   /**
-   * Updates an existing bill in the collection with new data and saves the updated list.
-   * This method is asynchronous because it calls the asynchronous _saveBillsToLocalStorage.
-   * It uses immutable updates for the bill object.
-   * @param {object} updatedData - An object containing the bill's ID and updated properties (amount, status).
+   * @private
+   * Captures the state a mutation may change, so it can be restored if saving fails.
+   * The bills array is copied; mutations replace Bill objects rather than editing them in place.
+   * @returns {object} A snapshot to pass to `_restoreState()`.
+   */
+  _captureState() {
+    return {
+      bills: [...this.bills],
+      invalidRecords: this.invalidRecords,
+      categories: this.categories,
+      deletedBills: this.deletedBills,
+      exchangeRates: this.exchangeRates,
+      reportingCurrency: this.reportingCurrency,
+      base: this._base,
+      conflict: this.conflict
+    };
+  }
+
+  /**
+   * @private
+   * Restores a snapshot taken by `_captureState()`.
+   * @param {object} snapshot - The state to restore.
+   */
+  _restoreState(snapshot) {
+    this.bills = snapshot.bills;
+    this.invalidRecords = snapshot.invalidRecords;
+    this.categories = snapshot.categories;
+    this.deletedBills = snapshot.deletedBills;
+    this.exchangeRates = snapshot.exchangeRates;
+    this.reportingCurrency = snapshot.reportingCurrency;
+    this._base = snapshot.base;
+    this.conflict = snapshot.conflict;
+  }
+
+  /**
+   * @private
+   * Runs a mutation transactionally: the change is applied to memory straight away
+   * (optimistic update) and then saved. If the save is rejected, the previous state is
+   * restored and the error is rethrown with a message naming the reverted operation.
+   * Writes handed to the sync queue do not reject, so they are kept as unsynced changes.
+   * Successful bill operations are recorded in the undo history; those left unsaved by a conflict
+   * (see `conflict`) are not. Subscribers are notified when
+   * the change is applied, and again if it is reverted. Every bill the change adds or alters gets
+   * entries in its change log (see `_logChanges`).
+   * @param {string} description - What the operation did, e.g. 'Deleting "Netflix"'. Used in the error message.
+   * @param {function(): *} apply - Applies the change to memory; its return value is passed through.
+   * @param {object} [options]
+   * @param {function(): Promise<void>} [options.save] - Persists the change. Defaults to saving the bills.
+   * @param {boolean} [options.undoable=true] - Whether to record the operation in the undo history.
+   * @param {string|Array<string>} [options.event='bills'] - The change event(s) to emit (see CHANGE_EVENTS).
+   * @param {boolean} [options.log=true] - Whether to write the changes to the bills' change logs.
+   * @returns {Promise<*>} A promise that resolves with the value returned by `apply`; bills in it are
+   * the logged versions.
+   * @throws {Error} An error with `revertedOperation` (the description) and `cause` (the save error) set.
    * @async
    */
-  async updateBill(updatedData) {
-    this.bills = this.bills.map(bill => {
-      if (bill.id === updatedData.id) {
-        // Return a new Bill object by spreading existing properties and
-        // overwriting the amount value and status.
-        return {
-          ...bill, // Copy all existing properties
-          amount: {
-            ...bill.amount, // Copy existing amount properties (like currency)
-            value: parseFloat(updatedData.amount) // Overwrite only the value
-          },
-          status: updatedData.status // Overwrite status
-        };
+  async _transact(description, apply, { save = () => this._saveBillsToLocalStorage(), undoable = true, event = CHANGE_EVENTS.BILLS, log = true } = {}) {
+    const snapshot = this._captureState();
+    const history = this.undoStack;
+    const events = [].concat(event);
+    const logged = log ? this._logChanges(snapshot.bills, description, apply()) : apply();
+    events.forEach(type => this._emit(type));
+
+    try {
+      await save();
+    } catch (error) {
+      this._restoreState(snapshot);
+      events.forEach(type => this._emit(type));
+      console.error(`BillManager: ${description} was reverted`, error);
+      const revertError = new Error(`${description} could not be saved and was undone (${error.message || 'Unknown error'}).`, { cause: error });
+      revertError.revertedOperation = description;
+      throw revertError;
+    }
+
+    // Saving may have merged in changes made elsewhere, which clears the history; the snapshot predates them.
+    if (undoable && this.undoStack === history && !this.conflict) {
+      this.undoStack.push({ description, before: snapshot.bills, after: [...this.bills] });
+      if (this.undoStack.length > this.historyLimit) {
+        this.undoStack.shift();
       }
-      return bill; // Return unchanged bills
+      this.redoStack = [];
+    }
+
+    return logged;
+  }
+
+  /**
+   * @private
+   * Appends to the change log of every bill that was added or altered since `previousBills`: one entry per
+   * changed field (see `Bill#getChangesTo`), or a single entry with a null field for a bill that was added
+   * or brought back. Each bill keeps the log of its previous version, so undoing a change logs the reverse
+   * change instead of dropping the entries; the log only ever grows. A bill that is gone since `previousBills`
+   * keeps its log in `deletedBills`, with a null-field entry for the deletion, and picks it up again if it is
+   * brought back.
+   * @param {Array<Bill>} previousBills - The bills before the change.
+   * @param {string} action - What the operation did, e.g. 'Editing "Netflix"'.
+   * @param {*} result - The value returned by the change; Bill instances in it are swapped for their logged versions.
+   * @returns {*} The result with logged bills.
+   */
+  _logChanges(previousBills, action, result) {
+    const previousById = new Map(previousBills.map(bill => [bill.id, bill]));
+    const deletedById = new Map(this.deletedBills.map(deleted => [deleted.id, deleted]));
+    const at = new Date().toISOString();
+    const loggedBills = new Map();
+
+    this.bills = this.bills.map((bill) => {
+      const previous = previousById.get(bill.id);
+      if (previous === bill) return bill;
+
+      const changes = previous ? previous.getChangesTo(bill) : [{ field: null, oldValue: null, newValue: null }];
+      if (changes.length === 0 && previous.changeLog === bill.changeLog) return bill;
+
+      // A bill brought back continues the log its deletion left, unless it was logged further elsewhere.
+      const deletedLog = previous ? [] : (deletedById.get(bill.id)?.changeLog || []);
+      const pastLog = previous ? previous.changeLog : (deletedLog.length > bill.changeLog.length ? deletedLog : bill.changeLog);
+      const changeLog = [...pastLog, ...changes.map(change => ({ at, action, ...change }))];
+      const loggedBill = bill.withChanges({ changeLog });
+      loggedBills.set(bill, loggedBill);
+      return loggedBill;
     });
-    await this._saveBillsToLocalStorage(); // Await the asynchronous save operation.
+
+    const currentIds = new Set(this.bills.map(bill => bill.id));
+    const deleted = previousBills.filter(bill => !currentIds.has(bill.id)).map(bill => ({
+      id: bill.id,
+      type: bill.type,
+      name: bill.name,
+      changeLog: [...bill.changeLog, { at, action, field: null, oldValue: null, newValue: null }]
+    }));
+    if (deleted.length || this.deletedBills.some(({ id }) => currentIds.has(id))) {
+      const deletedIds = new Set(deleted.map(({ id }) => id));
+      this.deletedBills = [...this.deletedBills.filter(({ id }) => !currentIds.has(id) && !deletedIds.has(id)), ...deleted];
+    }
+
+    const swap = value => loggedBills.get(value) || value;
+    return Array.isArray(result) ? result.map(swap) : swap(result);
   }
 
   /**
-   * Sets the loading state of the BillManager.
-   * @param {boolean} state - True if an operation is loading, false otherwise.
+   * @returns {boolean} True if there is an operation to undo.
    */
-  setLoading(state) { // <--- ADD THIS METHOD
-    this.isLoading = state;
-    console.log(`BillManager: Loading state is now ${this.isLoading ? 'ON' : 'OFF'}`); // For debugging
+  canUndo() {
+    return this.undoStack.length > 0;
   }
 
-  setFilter(newFilter) {
-    this.currentFilter = newFilter;
+  /**
+   * @returns {boolean} True if there is an undone operation to redo.
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
   }
 
-  setSort(newSort) {
-    this.currentSort = newSort;
+  /**
+   * Undoes the most recent bill operation by restoring the bills list from before it, and saves.
+   * If the save fails, nothing changes and the operation stays undoable.
+   * @returns {Promise<string|null>} A promise that resolves with the description of the undone operation, or null if there was nothing to undo.
+   * @async
+   */
+  async undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+    const previousBills = this.bills;
+
+    try {
+      await this._transact(`Undoing ${entry.description}`, () => {
+        this.bills = [...entry.before];
+      }, { undoable: false });
+    } catch (error) {
+      this.undoStack.push(entry);
+      throw error;
+    }
+
+    await this._reconcileAttachments(previousBills);
+    this.redoStack.push(entry);
+    return entry.description;
   }
 
   /**
-   * Retrieves a filtered and sorted list of bills based on the BillManager's
-   * internal 'currentFilter' and 'currentSort' states.
-   * This method is synchronous as it operates on the already loaded `this.bills` array.
-   * @returns {Array<Bill>} A new array containing the bills ready for display.
+   * Redoes the most recently undone bill operation and saves.
+   * If the save fails, nothing changes and the operation stays redoable.
+   * @returns {Promise<string|null>} A promise that resolves with the description of the redone operation, or null if there was nothing to redo.
+   * @async
    */
-  getDisplayBills() {
-    let filteredBills;
+  async redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+    const previousBills = this.bills;
 
-    // Apply filtering based on currentFilter
-    if (this.currentFilter === 'All') {
-      filteredBills = this.bills;
-    } else {
-      filteredBills = this.bills.filter(bill => bill.status === this.currentFilter);
+    try {
+      await this._transact(`Redoing ${entry.description}`, () => {
+        this.bills = [...entry.after];
+      }, { undoable: false });
+    } catch (error) {
+      this.redoStack.push(entry);
+      throw error;
     }
 
-    // Apply sorting based on currentSort.
-    // A shallow copy ([...filteredBills]) is created to sort without modifying
-    // the original 'filteredBills' array, ensuring consistent behavior.
-    const sortedAndFilteredBills = [...filteredBills].sort((a, b) => {
-      switch (this.currentSort) {
-        case 'amount-high-low':
-          return b.amount.value - a.amount.value;
-        case 'amount-low-high':
-          return a.amount.value - b.amount.value;
-        case 'name-az':
-          const nameA = a.name || a.type;
-          const nameB = b.name || b.type;
-          return nameA.localeCompare(nameB); // Use localeCompare for proper string sorting.
-        default:
-          return 0; // Default case means no specific sorting is applied.
-      }
-    });
+    await this._reconcileAttachments(previousBills);
+    this.undoStack.push(entry);
+    return entry.description;
+  }
 
-    return sortedAndFilteredBills;
+  /**
+   * @private
+   * Returns the name a bill is shown under, for messages about operations on it.
+   * @param {Bill} bill - The bill.
+   * @returns {string} The quoted display name, e.g. '"Netflix"'.
+   */
+  _describeBill(bill) {
+    return `"${bill?.name || bill?.type || 'bill'}"`;
   }
 
   /**
-   * Calculates the total amount for bills based on their status (Paid, Unpaid, Pending).
-   * This method is synchronous as it operates on the already loaded `this.bills` array.
-   * @returns {object} An object with keys 'Paid', 'Unpaid', 'Pending' and their respective sums.
+   * @private
+   * Saves the current 'bills' array to the backend via ApiService.
+   * This method is asynchronous and should be awaited.
+   * The bills are saved in the versioned storage envelope (see `_createEnvelope`).
+   * Includes error handling for the save operation.
+   * @async
    */
-  getTotalsByStatus() {
-    const initialTotals = {
-      Paid: 0,
-      Unpaid: 0,
-      Pending: 0
+  async _saveBillsToLocalStorage() {
+    if (this._loadError) {
+      throw new Error(`Stored bills could not be read, so they will not be overwritten (${this._loadError.message}).`);
+    }
+    await this._persist('bills', this._createEnvelope());
+  }
+
+  /**
+   * @private
+   * Maps the bills to plain objects for safe JSON stringification and wraps them, together with
+   * the unreadable records, the user's categories and the deleted bills' logs, in the versioned storage envelope. The envelope
+   * is stamped with the revision after the current one; `_write` stamps it again if that moved on.
+   * @returns {object} The envelope (see BillSchema#createEnvelope).
+   */
+  _createEnvelope() {
+    const billsPlainData = this.bills.map(BillManager._toRecord);
+    const invalidRecords = this.invalidRecords.map(({ record }) => record);
+    return BillSchema.createEnvelope([...billsPlainData, ...invalidRecords], this.categories, this._base.revision + 1, this.deletedBills);
+  }
+
+  /**
+   * @private
+   * Maps a bill to the plain record it is stored as.
+   * @param {Bill} bill - The bill.
+   * @returns {object} The record.
+   */
+  static _toRecord(bill) {
+    return {
+      id: bill.id,
+      type: bill.type,
+      name: bill.name,
+      paymentMethod: bill.paymentMethod,
+      status: bill.status,
+      amount: bill.amount, // amount is already an object {value, currency}
+      dueDate: bill.dueDate,
+      recurrence: bill.recurrence, // recurrence is already an object {frequency, interval} or null
+      payments: bill.payments, // payments are already plain records
+      notes: bill.notes,
+      changeLog: bill.changeLog // so are change log entries
     };
+  }
 
-    // Use .reduce() to iterate through all bills and sum amounts into the correct category.
-    const totals = this.bills.reduce((acc, bill) => {
-      if (acc.hasOwnProperty(bill.status)) {
-        acc[bill.status] += bill.amount.value;
-      }
-      return acc;
-    }, initialTotals);
+  /**
+   * @private
+   * Describes stored bills as the base of later changes (see `_base`).
+   * @param {number} revision - Their revision.
+   * @param {Array<object>} records - Their records, as written by `_toRecord`. Records without an ID are left out.
+   * @param {object} categories - The stored categories.
+   * @returns {{revision: number, records: Map<string, string>, categories: string}} The base.
+   */
+  static _createBase(revision, records, categories) {
+    return {
+      revision,
+      records: new Map(records.filter(record => typeof record?.id === 'string').map(record => [record.id, JSON.stringify(record)])),
+      categories: JSON.stringify(categories ?? null)
+    };
+  }
 
-    return totals;
+  /**
+   * @private
+   * Reads the stored bills without replacing the ones here, to merge them with these.
+   * @returns {Promise<{bills: Array<Bill>, invalidRecords: Array<object>, categories: object, deletedBills: Array<object>,
+   * base: object}>} The stored bills, unreadable records, categories and deleted bills, and the base (see `_base`) they make.
+   * @throws {Error} If the stored data cannot be read, e.g. it was written by a newer version of the app.
+   * @async
+   */
+  async _readStored() {
+    const { bills: plainBills, invalid, categories, deletedBills, revision } = BillSchema.parse(await this.apiService.fetchBills());
+    const bills = BillManager._rehydrate(plainBills);
+    return { bills, invalidRecords: invalid, categories, deletedBills, base: BillManager._createBase(revision, bills.map(BillManager._toRecord), categories) };
   }
 
   /**
-   * @public
-   * Initializes the BillManager by loading bills asynchronously from the API Service.
-   * This method should be called externally (e.g., from script.js init) after
-   * the BillManager instance has been created.
+   * @private
+   * Three-way merges stored bills (theirs) into the bills here (mine), using `_base` as the common ancestor.
+   * A bill changed, added or deleted on one side only takes that side's version; one changed on both sides
+   * in different ways is a conflict, settled by `choices` or else listed in `conflicts`. The categories are
+   * taken from this side if they were changed here, and from storage otherwise. The logs of bills deleted on
+   * either side are all kept, the longer one where both deleted a bill, except for bills the merge keeps.
+   * @param {{bills: Array<Bill>, categories: object, deletedBills: Array<object>}} stored - The stored bills,
+   * categories and deleted bills (see `_readStored`).
+   * @param {Object<string, 'mine'|'theirs'>} [choices] - The version to keep of conflicting bills, by bill ID.
+   * @returns {{bills: Array<Bill>, categories: object, deletedBills: Array<object>, conflicts: Array<{id: string,
+   * mine: Bill|null, theirs: Bill|null}>}} The merged bills (in their order here, followed by bills added elsewhere),
+   * the categories, the deleted bills, and the conflicts without a choice; the merged bills keep this side's version of those.
+   */
+  _mergeWith(stored, choices = {}) {
+    const mineById = new Map(this.bills.map(bill => [bill.id, bill]));
+    const theirsById = new Map(stored.bills.map(bill => [bill.id, bill]));
+    const toJson = bill => (bill ? JSON.stringify(BillManager._toRecord(bill)) : null);
+    const conflicts = [];
+
+    const bills = [...new Set([...mineById.keys(), ...theirsById.keys()])].map((id) => {
+      const mine = mineById.get(id) || null;
+      const theirs = theirsById.get(id) || null;
+      const [mineJson, theirsJson] = [toJson(mine), toJson(theirs)];
+      const baseJson = this._base.records ? (this._base.records.get(id) ?? null) : undefined; // undefined: unknown
+
+      if (mineJson === theirsJson || theirsJson === baseJson) return mine;
+      if (mineJson === baseJson) return theirs;
+      if (choices[id] === 'theirs') return theirs;
+      if (choices[id] !== 'mine') conflicts.push({ id, mine, theirs });
+      return mine;
+    }).filter(Boolean);
+
+    const categories = JSON.stringify(this.categories) === this._base.categories ? stored.categories : this.categories;
+    const deletedById = new Map(this.deletedBills.map(deleted => [deleted.id, deleted]));
+    (stored.deletedBills || []).forEach((deleted) => {
+      if ((deletedById.get(deleted.id)?.changeLog.length ?? -1) < deleted.changeLog.length) deletedById.set(deleted.id, deleted);
+    });
+    const keptIds = new Set(bills.map(bill => bill.id));
+    const deletedBills = [...deletedById.values()].filter(({ id }) => !keptIds.has(id));
+    return { bills, categories, deletedBills, conflicts };
+  }
+
+  /**
+   * @private
+   * Merges stored bills into the bills here (see `_mergeWith`) and saves the result based on their revision.
+   * If bills conflict, nothing is saved: the conflict is kept in `conflict` for the user to resolve.
+   * A merge clears the undo history, since undoing an operation from before it would drop the merged-in changes.
+   * @param {object} stored - The stored bills (see `_readStored`).
+   * @param {Object<string, 'mine'|'theirs'>} [choices] - The version to keep of conflicting bills, by bill ID.
+   * @returns {Promise<void>}
+   * @throws {Error} If the merged bills cannot be saved; the bills here are then left as they were.
    * @async
    */
-  async initialize() {
-    this.bills = await this._loadBillsFromLocalStorage(); // Await the asynchronous load operation.
-    console.log("BillManager: Initialized with bills from API service (simulated)", this.bills);
+  async _applyMerge(stored, choices = {}) {
+    const { bills, categories, deletedBills, conflicts } = this._mergeWith(stored, choices);
+    if (conflicts.length) {
+      this.conflict = { bills: conflicts, stored };
+      this._emit(CHANGE_EVENTS.CONFLICT);
+      return;
+    }
+
+    await this._transact('Merging the changes made elsewhere', () => {
+      this.bills = bills;
+      this.categories = categories;
+      this.deletedBills = deletedBills;
+      this.invalidRecords = stored.invalidRecords;
+      this._base = stored.base;
+      this.conflict = null;
+    }, {
+      undoable: false,
+      event: [CHANGE_EVENTS.CATEGORIES, CHANGE_EVENTS.BILLS, CHANGE_EVENTS.CONFLICT],
+      log: false // Each bill keeps the change log of the version taken
+    });
+
+    this.undoStack = [];
+    this.redoStack = [];
+    this._removedAttachments.clear();
+    const currentIds = new Set(this.bills.map(bill => bill.id));
+    [...this.selectedIds].filter(id => !currentIds.has(id)).forEach(id => this.selectedIds.delete(id));
+    this._emit(CHANGE_EVENTS.SELECTION);
+  }
+
+  /**
+   * Resolves the conflict in `conflict` by keeping one version of each conflicting bill, merging in the other
+   * changes made elsewhere, and saving. A bill deleted on the chosen side is deleted.
+   * @param {Object<string, 'mine'|'theirs'>} choices - The version to keep, by bill ID: 'mine' (the one here)
+   * or 'theirs' (the stored one).
+   * @returns {Promise<void>}
+   * @throws {Error} If a conflicting bill has no choice, or the merged bills cannot be saved. If the bills were
+   * changed elsewhere once more, no error is thrown; `conflict` lists any new conflicts instead.
+   * @async
+   */
+  async resolveConflict(choices) {
+    if (!this.conflict) return;
+    const unresolved = this.conflict.bills.filter(({ id }) => !['mine', 'theirs'].includes(choices[id]));
+    if (unresolved.length) {
+      throw new Error(`Choose which version to keep of ${unresolved.map(({ mine, theirs }) => this._describeBill(mine || theirs)).join(', ')}.`);
+    }
+    await this._applyMerge(this.conflict.stored, choices);
+  }
+
+  /**
+   * @private
+   * Loads bills from the backend via ApiService and rehydrates them into Bill instances.
+   * Older data is migrated to the current schema first, and records that fail validation
+   * are kept aside in `invalidRecords` instead of being turned into bills.
+   * This method is asynchronous and should be awaited.
+   * @returns {Promise<Array<Bill>>} A promise that resolves with the array of Bill objects.
+   * @throws {Error} If the stored data cannot be read, e.g. it was written by a newer version of the app.
+   * @async
+   */
+  async _loadBillsFromLocalStorage() {
+    // Unsynced changes from a previous session are newer than what storage holds.
+    const storedData = this.syncQueue.getPendingValue('bills')
+      || await this.apiService.fetchBills(); // Fetch plain data from API service.
+
+    let parsed;
+    try {
+      parsed = BillSchema.parse(storedData);
+      this._loadError = null;
+    } catch (error) {
+      this._loadError = error;
+      throw error;
+    }
+
+    const { bills: plainBills, invalid, categories, deletedBills, revision, migratedFrom } = parsed;
+    this.invalidRecords = invalid;
+    this.categories = categories;
+    this.deletedBills = deletedBills;
+    const bills = BillManager._rehydrate(plainBills);
+    // Unsynced bills were stamped with the revision after their base, but what that base held is unknown.
+    this._base = this.syncQueue.getPendingValue('bills')
+      ? { revision: Math.max(revision - 1, 0), records: null, categories: null }
+      : BillManager._createBase(revision, bills.map(BillManager._toRecord), categories);
+
+    if (migratedFrom !== null) {
+      console.log(`BillManager: Migrated stored bills from schema version ${migratedFrom}`);
+    }
+    if (invalid.length) {
+      console.warn('BillManager: Skipped invalid stored bills', invalid);
+    }
+
+    return bills;
+  }
+
+  /**
+   * @private
+   * Rehydrates validated plain bill records into proper Bill instances.
+   * This is crucial to restore Bill methods and correct nested object structures.
+   * @param {Array<object>} plainBills - Records that passed BillSchema validation.
+   * @returns {Array<Bill>} The bills.
+   */
+  static _rehydrate(plainBills) {
+    return plainBills.map(billData => new Bill({
+      id: billData.id,
+      type: billData.type,
+      name: billData.name,
+      paymentMethod: billData.paymentMethod,
+      status: billData.status,
+      // Access nested properties for re-creation; validation guarantees they exist
+      amount: billData.amount.value,
+      currency: billData.amount.currency,
+      dueDate: billData.dueDate,
+      recurrence: billData.recurrence,
+      payments: billData.payments,
+      notes: billData.notes,
+      changeLog: billData.changeLog
+    }));
+  }
+
+  /**
+   * Adds a new Bill instance to the collection and saves the updated list.
+   * This method is asynchronous because it calls the asynchronous _saveBillsToLocalStorage.
+   * The change is applied immediately and undone if the save is rejected.
+   * @param {Bill} newBill - The Bill object to be added.
+   * @async
+   */
+  async addBill(newBill) {
+    await this._transact(`Adding ${this._describeBill(newBill)}`, () => {
+      this.bills.push(newBill);
+    });
+  }
+
+  /**
+   * Adds several Bill instances at once (e.g. rows accepted from a CSV import)
+   * and saves the updated list in a single operation.
+   * This method is asynchronous because it calls the asynchronous _saveBillsToLocalStorage.
+   * The change is applied immediately and undone if the save is rejected.
+   * @param {Array<Bill>} newBills - The Bill objects to be added.
+   * @returns {Promise<Array<Bill>>} A promise that resolves with the bills as added, their change logs included.
+   * @async
+   */
+  async importBills(newBills) {
+    return this._transact(`Importing ${newBills.length} bills`, () => {
+      this.bills.push(...newBills);
+      return [...newBills];
+    }); // One save for the whole batch.
+  }
+
+  /**
+   * Copies bills into another BillManager, usually one opened on another profile's storage,
+   * in a single save there. Copies keep their IDs unless the target already has a bill with
+   * the same ID, in which case they get a new one. The bills here are left untouched.
+   * @param {Array<string>} ids - The IDs of the bills to copy.
+   * @param {BillManager} target - The initialized manager to copy the bills into.
+   * @returns {Promise<Array<Bill>>} A promise that resolves with the copies, as added to the target.
+   * @throws {Error} If a bill is not found, or the target could not save the copies.
+   * @async
+   */
+  async copyBillsTo(ids, target) {
+    const bills = this._findBills(ids);
+    const usedIds = new Set(target.bills.map(bill => bill.id));
+    const stamp = Date.now();
+    const copies = bills.map((bill, index) => new Bill({
+      id: usedIds.has(bill.id) ? `${stamp}-${index + 1}` : bill.id,
+      type: bill.type,
+      name: bill.name,
+      paymentMethod: bill.paymentMethod,
+      status: bill.status,
+      amount: bill.amount.value,
+      currency: bill.amount.currency,
+      dueDate: bill.dueDate,
+      recurrence: bill.recurrence,
+      payments: bill.payments,
+      notes: bill.notes,
+      changeLog: bill.changeLog
+    }));
+
+    const added = await target.importBills(copies);
+    if (this.attachmentStore && target.attachmentStore) {
+      for (const [index, bill] of bills.entries()) {
+        await this.attachmentStore.copyTo(target.attachmentStore, bill.id, copies[index].id);
+      }
+    }
+    return added;
+  }
+
+  /**
+   * Moves bills into another BillManager: copies them there (see `copyBillsTo`), then removes
+   * them here. The removal cannot be undone, and it clears this manager's undo history, because
+   * undoing it would leave the bills in both places.
+   *
+   * The bills are only removed here once the copies have reached the target's storage. A copy that
+   * is merely queued for retry (e.g. while offline) may never get there, above all when the queue is
+   * held in memory for encrypted storage, so the move stops with the bills kept here and the copies
+   * taken out of the target again; trying again later copies them once.
+   * @param {Array<string>} ids - The IDs of the bills to move.
+   * @param {BillManager} target - The initialized manager to move the bills into.
+   * @returns {Promise<Array<Bill>>} A promise that resolves with the bills as added to the target.
+   * @throws {Error} If a bill is not found, or either save fails. If the copies could not be stored
+   * yet, or only the removal fails, the bills are still here and the error says so.
+   * @async
+   */
+  async moveBillsTo(ids, target) {
+    const copies = await this.copyBillsTo(ids, target);
+    try {
+      await BillManager._ensureSynced(target);
+    } catch (error) {
+      await target._removeCopies(copies);
+      throw error;
+    }
+    const movedIds = new Set(ids);
+    const previousBills = this.bills;
+
+    try {
+      await this._transact(`Moving ${ids.length} bills to another profile`, () => {
+        this.bills = this.bills.filter(bill => !movedIds.has(bill.id));
+      }, { undoable: false });
+    } catch (error) {
+      error.message = `${error.message} The bills were copied, so they now exist in both profiles.`;
+      throw error;
+    }
+
+    this.undoStack = [];
+    this.redoStack = [];
+    await this._reconcileAttachments(previousBills);
+    this._removedAttachments.clear(); // They cannot be undone any more
+    return copies;
+  }
+
+  /**
+   * @private
+   * Makes sure a manager has no writes waiting in its sync queue, retrying them once now.
+   * @param {BillManager} manager - The manager whose writes must have reached storage.
+   * @throws {Error} If writes are still queued, or storage rejected one (its error is the `cause`).
+   * @async
+   */
+  static async _ensureSynced(manager) {
+    if (!manager.syncQueue.hasPending()) return;
+
+    let rejection = null;
+    const unsubscribe = manager.syncQueue.subscribe((pendingCount, failure) => {
+      if (failure) rejection = failure.error;
+    });
+    const synced = await manager.syncQueue.flush();
+    unsubscribe();
+    if (synced && !rejection) return;
+
+    const error = new Error('The other profile could not save the bills, so they were kept here. Try again once the connection is back.');
+    error.cause = rejection;
+    throw error;
+  }
+
+  /**
+   * @private
+   * Takes bills copied in by a move that could not be completed out again, with their attachments, so
+   * trying the move again does not copy them twice. The removal is queued like any other write if storage
+   * is still unreachable; if it fails outright, it is logged, since the move's own error is what matters.
+   * @param {Array<Bill>} copies - The copies, as returned by `copyBillsTo`.
+   * @returns {Promise<void>}
+   */
+  async _removeCopies(copies) {
+    const copyIds = new Set(copies.map(bill => bill.id));
+    const previousBills = this.bills;
+    try {
+      await this._transact('Taking back bills that could not be moved', () => {
+        this.bills = this.bills.filter(bill => !copyIds.has(bill.id));
+      }, { undoable: false, log: false });
+      await this._reconcileAttachments(previousBills);
+    } catch (error) {
+      console.error('BillManager: Copies of bills that could not be moved were left in place', error);
+    }
+  }
+
+  /**
+   * Deletes a bill from the collection by its unique ID and saves the updated list.
+   * This method is asynchronous because it calls the asynchronous _saveBillsToLocalStorage.
+   * The change is applied immediately and undone if the save is rejected. The bill's attachments
+   * are removed once it is saved; undoing the deletion brings them back.
+   * @param {string} id - The unique ID of the bill to delete.
+   * @async
+   */
+  async deleteBill(id) {
+    const bill = this.bills.find(bill => bill.id === id);
+    const previousBills = this.bills;
+    await this._transact(`Deleting ${this._describeBill(bill)}`, () => {
+      this.bills = this.bills.filter(bill => bill.id !== id);
+    });
+    await this._reconcileAttachments(previousBills);
+  }
+
+  /**
+   * Deletes several bills in a single operation and a single save, e.g. a bulk action on the selection.
+   * The deleted bills are removed from the selection, and their attachments are removed as with `deleteBill`.
+   * The change is applied immediately and undone if the save is rejected.
+   * @param {Array<string>} ids - The unique IDs of the bills to delete.
+   * @throws {Error} If a bill is not found; nothing is deleted then.
+   * @async
+   */
+  async deleteBills(ids) {
+    this._findBills(ids);
+    const deletedIds = new Set(ids);
+    const previousBills = this.bills;
+    await this._transact(`Deleting ${ids.length} bills`, () => {
+      this.bills = this.bills.filter(bill => !deletedIds.has(bill.id));
+    });
+    await this._reconcileAttachments(previousBills);
+
+    ids.forEach(id => this.selectedIds.delete(id));
+    this._emit(CHANGE_EVENTS.SELECTION);
+  }
+
+  /**
+   * Applies the same changes to several bills in a single operation and a single save,
+   * e.g. setting the status or payment method of the selection. Each bill is replaced
+   * by a new Bill instance (see `Bill#withChanges`).
+   * The change is applied immediately and undone if the save is rejected.
+   * @param {Array<string>} ids - The unique IDs of the bills to change.
+   * @param {object} changes - The fields to change, as accepted by `updateBill`, e.g. { status: 'Paid' }.
+   * @returns {Promise<Array<Bill>>} A promise that resolves with the updated bills.
+   * @throws {Error} If a bill is not found; nothing is changed then.
+   * @async
+   */
+  async updateBills(ids, changes) {
+    const updatedBills = new Map(this._findBills(ids).map(bill => [bill.id, bill.withChanges(changes)]));
+    return this._transact(`Updating ${ids.length} bills`, () => {
+      this.bills = this.bills.map(bill => updatedBills.get(bill.id) || bill);
+      return [...updatedBills.values()];
+    });
+  }
+
+  /**
+   * @private
+   * Looks up several bills by ID.
+   * @param {Array<string>} ids - The IDs.
+   * @returns {Array<Bill>} The bills, in the order of `ids`.
+   * @throws {Error} If a bill is not found.
+   */
+  _findBills(ids) {
+    return ids.map((id) => {
+      const bill = this.bills.find(bill => bill.id === id);
+      if (!bill) {
+        throw new Error(`Bill ${id} not found.`);
+      }
+      return bill;
+    });
+  }
+
+  /**
+   * Updates an existing bill in the collection with new data and saves the updated list.
+   * This method is asynchronous because it calls the asynchronous _saveBillsToLocalStorage.
+   * The change is applied immediately and undone if the save is rejected.
+   * The bill is replaced by a new Bill instance (see `Bill#withChanges`), never mutated in place.
+   * @param {object} updatedData - The bill's ID plus any fields to change (type, name, paymentMethod, amount,
+   * currency, status, dueDate, recurrence, recurrenceInterval, notes). Missing fields keep their current value.
+   * Each changed field is written to the bill's change log.
+   * @returns {Promise<Bill>} A promise that resolves with the updated bill.
+   * @throws {Error} If no bill has the given ID.
+   * @async
+   */
+  async updateBill(updatedData) {
+    const { id, ...changes } = updatedData;
+    const existingBill = this.bills.find(bill => bill.id === id);
+
+    if (!existingBill) {
+      throw new Error(`Bill ${id} not found.`);
+    }
+
+    const updatedBill = existingBill.withChanges(changes);
+    return this._transact(`Editing ${this._describeBill(existingBill)}`, () => {
+      this.bills = this.bills.map(bill => bill.id === id ? updatedBill : bill);
+      return updatedBill;
+    });
+  }
+
+  /**
+   * Rolls a paid recurring bill forward into its next cycle: the due date advances
+   * by one recurrence step and the status resets to 'Pending'.
+   * This method is asynchronous because it calls the asynchronous _saveBillsToLocalStorage.
+   * The change is applied immediately and undone if the save is rejected.
+   * @param {string} id - The unique ID of the bill to roll forward.
+   * @returns {Promise<Bill>} A promise that resolves with the rolled-forward bill.
+   * @throws {Error} If the bill does not exist, is not recurring, has no due date, or is not paid yet.
+   * @async
+   */
+  async rollForwardBill(id) {
+    const existingBill = this.bills.find(bill => bill.id === id);
+
+    if (!existingBill) {
+      throw new Error(`Bill ${id} not found.`);
+    }
+
+    if (!existingBill.isRecurring() || !existingBill.dueDate) {
+      throw new Error('Only recurring bills with a due date can be rolled forward.');
+    }
+    if (existingBill.status !== 'Paid') {
+      throw new Error('Only paid bills can be rolled forward into their next cycle.');
+    }
+
+    // Passing the rule itself keeps its anchor day, so a bill due on the 31st returns to it after shorter months.
+    const bill = existingBill.withChanges({ dueDate: existingBill.getNextDueDate(), status: 'Pending', recurrence: existingBill.recurrence });
+    return this._transact(`Starting the next cycle of ${this._describeBill(bill)}`, () => {
+      this.bills = this.bills.map(current => current.id === id ? bill : current);
+      return bill;
+    });
+  }
+
+  /**
+   * Records a payment in a bill's ledger for its current cycle and saves the updated list.
+   * The bill's status is then derived from the ledger (see `deriveStatus`).
+   * This method is asynchronous because it calls the asynchronous _saveBillsToLocalStorage.
+   * The change is applied immediately and undone if the save is rejected.
+   * @param {string} id - The unique ID of the bill that was paid.
+   * @param {object} payment - The payment details.
+   * @param {number|string} payment.amount - The amount paid; must be positive.
+   * @param {string} [payment.date] - The payment date as YYYY-MM-DD. Defaults to today.
+   * @param {string} [payment.currency] - The currency paid in. Defaults to the bill's currency.
+   * @param {string} [payment.paymentMethod] - How it was paid. Defaults to the bill's payment method.
+   * @param {string} [payment.reference] - An optional reference, e.g. a confirmation number.
+   * @returns {Promise<Bill>} A promise that resolves with the updated bill.
+   * @throws {Error} If the bill does not exist or the amount or date is invalid.
+   * @async
+   */
+  async recordPayment(id, { amount, date, currency, paymentMethod, reference } = {}) {
+    const existingBill = this.bills.find(bill => bill.id === id);
+
+    if (!existingBill) {
+      throw new Error(`Bill ${id} not found.`);
+    }
+
+    const paidAmount = parseFloat(amount);
+    if (!(paidAmount > 0)) {
+      throw new Error('A payment needs a positive amount.');
+    }
+    const paymentDate = date || new Date().toISOString().slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(paymentDate)) {
+      throw new Error(`Payment date "${paymentDate}" must use the YYYY-MM-DD format.`);
+    }
+
+    const payment = {
+      id: `${Date.now()}-${existingBill.payments.length + 1}`,
+      date: paymentDate,
+      amount: paidAmount,
+      currency: currency || existingBill.amount.currency,
+      paymentMethod: paymentMethod || existingBill.paymentMethod || null,
+      reference: reference || null,
+      cycleDueDate: existingBill.dueDate
+    };
+
+    const paidBill = existingBill.withChanges({ payments: [...existingBill.payments, payment] });
+    paidBill.status = this.deriveStatus(paidBill);
+
+    return this._transact(`Recording a payment for ${this._describeBill(existingBill)}`, () => {
+      this.bills = this.bills.map(bill => bill.id === id ? paidBill : bill);
+      return paidBill;
+    });
+  }
+
+  /**
+   * @private
+   * @param {string} kind - 'billTypes' or 'paymentMethods'.
+   * @throws {Error} If the kind is unknown.
+   */
+  _requireCategoryKind(kind) {
+    if (!Object.hasOwn(CATEGORY_FIELDS, kind)) {
+      throw new Error(`Unknown category kind '${kind}'.`);
+    }
+  }
+
+  /**
+   * @private
+   * Checks a name for a new or renamed category.
+   * @param {string} kind - 'billTypes' or 'paymentMethods'.
+   * @param {string} name - The proposed name.
+   * @param {string} [currentName] - The category being renamed, which may keep its own name in another case.
+   * @returns {string} The trimmed name.
+   * @throws {Error} If the name is empty or used by a configured or another user-defined category (ignoring case).
+   */
+  _validateCategoryName(kind, name, currentName) {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+      throw new Error('A category needs a name.');
+    }
+    const taken = [...this.defaultCategories[kind], ...this.categories[kind].map(category => category.name)]
+      .filter(existing => existing !== currentName);
+    if (taken.some(existing => existing.toLowerCase() === trimmedName.toLowerCase())) {
+      throw new Error(`"${trimmedName}" already exists.`);
+    }
+    return trimmedName;
+  }
+
+  /**
+   * @private
+   * @param {string|null|undefined} color - A colour from a colour input, e.g. '#1f77b4'.
+   * @returns {string|null} The colour, or null for none.
+   * @throws {Error} If the colour is not a #rrggbb value.
+   */
+  _validateCategoryColor(color) {
+    if (color === null || color === undefined || color === '') return null;
+    if (!CATEGORY_COLOR.test(color)) {
+      throw new Error(`Colour "${color}" must be a #rrggbb value.`);
+    }
+    return color;
+  }
+
+  /**
+   * @private
+   * Finds one of the user's categories by name.
+   * @param {string} kind - 'billTypes' or 'paymentMethods'.
+   * @param {string} name - The category name.
+   * @returns {{name: string, color: string|null, retired: boolean}} The category.
+   * @throws {Error} If the kind is unknown or there is no such category.
+   */
+  _findCategory(kind, name) {
+    this._requireCategoryKind(kind);
+    const category = this.categories[kind].find(category => category.name === name);
+    if (!category) {
+      throw new Error(`Category "${name}" not found.`);
+    }
+    return category;
+  }
+
+  /**
+   * @private
+   * Replaces one category with a changed copy and saves, without touching the bills.
+   * @param {string} kind - 'billTypes' or 'paymentMethods'.
+   * @param {string} name - The category to change.
+   * @param {object} changes - The new color and/or retired flag.
+   * @param {string} description - What the change does, for error messages.
+   * @returns {Promise<object>} A promise that resolves with the changed category.
+   */
+  async _updateCategory(kind, name, changes, description) {
+    const category = { ...this._findCategory(kind, name), ...changes };
+    return this._transact(description, () => {
+      this.categories = {
+        ...this.categories,
+        [kind]: this.categories[kind].map(existing => existing.name === name ? category : existing)
+      };
+      return { ...category };
+    }, { undoable: false, event: CHANGE_EVENTS.CATEGORIES });
+  }
+
+  /**
+   * Adds a bill type or payment method of the user's own, saved with the bills.
+   * @param {'billTypes'|'paymentMethods'} kind - The kind of category.
+   * @param {object} category
+   * @param {string} category.name - The name; bills store it as their type or payment method.
+   * @param {string|null} [category.color] - A #rrggbb colour to tag bills with, or null for none.
+   * @returns {Promise<{name: string, color: string|null, retired: boolean}>} A promise that resolves with the new category.
+   * @throws {Error} If the kind is unknown, the name is empty or taken, or the colour is invalid.
+   * @async
+   */
+  async addCategory(kind, { name, color = null }) {
+    this._requireCategoryKind(kind);
+    const category = { name: this._validateCategoryName(kind, name), color: this._validateCategoryColor(color), retired: false };
+    return this._transact(`Adding "${category.name}"`, () => {
+      this.categories = { ...this.categories, [kind]: [...this.categories[kind], category] };
+      return { ...category };
+    }, { undoable: false, event: CHANGE_EVENTS.CATEGORIES });
+  }
+
+  /**
+   * Renames one of the user's categories, and every bill using it (for payment methods, their
+   * recorded payments too), in a single save. The undo history is cleared, because undoing an
+   * earlier operation would bring back bills with the old name.
+   * @param {'billTypes'|'paymentMethods'} kind - The kind of category.
+   * @param {string} name - The current name.
+   * @param {string} newName - The new name.
+   * @returns {Promise<{name: string, color: string|null, retired: boolean}>} A promise that resolves with the renamed category.
+   * @throws {Error} If the category is not found or the new name is empty or taken.
+   * @async
+   */
+  async renameCategory(kind, name, newName) {
+    const category = { ...this._findCategory(kind, name), name: this._validateCategoryName(kind, newName, name) };
+    const field = CATEGORY_FIELDS[kind];
+    const rename = value => value === name ? category.name : value;
+
+    const renamed = await this._transact(`Renaming "${name}" to "${category.name}"`, () => {
+      this.categories = {
+        ...this.categories,
+        [kind]: this.categories[kind].map(existing => existing.name === name ? category : existing)
+      };
+      this.bills = this.bills.map((bill) => {
+        const paymentsToRename = field === 'paymentMethod' && bill.payments.some(payment => payment.paymentMethod === name);
+        if (bill[field] !== name && !paymentsToRename) return bill;
+        return bill.withChanges({
+          [field]: rename(bill[field]),
+          payments: paymentsToRename
+            ? bill.payments.map(payment => ({ ...payment, paymentMethod: rename(payment.paymentMethod) }))
+            : undefined
+        });
+      });
+      return { ...category };
+    }, { undoable: false, event: [CHANGE_EVENTS.CATEGORIES, CHANGE_EVENTS.BILLS] });
+
+    this.undoStack = [];
+    this.redoStack = [];
+    return renamed;
+  }
+
+  /**
+   * Changes the colour of one of the user's categories.
+   * @param {'billTypes'|'paymentMethods'} kind - The kind of category.
+   * @param {string} name - The category name.
+   * @param {string|null} color - A #rrggbb colour, or null for none.
+   * @returns {Promise<object>} A promise that resolves with the changed category.
+   * @throws {Error} If the category is not found or the colour is invalid.
+   * @async
+   */
+  async setCategoryColor(kind, name, color) {
+    return this._updateCategory(kind, name, { color: this._validateCategoryColor(color) }, `Recolouring "${name}"`);
+  }
+
+  /**
+   * Retires one of the user's categories, or brings it back. Retired categories are no longer
+   * offered for new bills; bills already using them keep them.
+   * @param {'billTypes'|'paymentMethods'} kind - The kind of category.
+   * @param {string} name - The category name.
+   * @param {boolean} [retired=true] - Whether the category should be retired.
+   * @returns {Promise<object>} A promise that resolves with the changed category.
+   * @throws {Error} If the category is not found.
+   * @async
+   */
+  async setCategoryRetired(kind, name, retired = true) {
+    return this._updateCategory(kind, name, { retired }, `${retired ? 'Retiring' : 'Restoring'} "${name}"`);
+  }
+
+  /**
+   * Looks up the colour of a bill type or payment method, for tagging bills in the list.
+   * @param {'billTypes'|'paymentMethods'} kind - The kind of category.
+   * @param {string} name - The name stored on the bill.
+   * @returns {string|null} The colour, or null if the name has none (including configured names).
+   */
+  getCategoryColor(kind, name) {
+    return this.categories[kind]?.find(category => category.name === name)?.color || null;
+  }
+
+  /**
+   * @private
+   * @returns {AttachmentStore} The attachment store.
+   * @throws {Error} If attachments are unavailable.
+   */
+  _requireAttachmentStore() {
+    if (!this.attachmentStore) {
+      throw new Error('Attachments are not available.');
+    }
+    return this.attachmentStore;
+  }
+
+  /**
+   * @private
+   * Keeps attachments in step with the bills after an operation added or removed bills. The
+   * attachments of bills that are gone are removed from storage but kept in memory, and put back
+   * if the bill returns (e.g. its deletion is undone). Failures are logged rather than thrown,
+   * because the bills themselves were saved.
+   * @param {Array<Bill>} previousBills - The bills before the operation.
+   * @returns {Promise<void>}
+   */
+  async _reconcileAttachments(previousBills) {
+    if (!this.attachmentStore) return;
+    const currentIds = new Set(this.bills.map(bill => bill.id));
+    const previousIds = new Set(previousBills.map(bill => bill.id));
+    const goneIds = [...previousIds].filter(id => !currentIds.has(id));
+    const returned = Object.fromEntries([...this._removedAttachments]
+      .filter(([id]) => currentIds.has(id) && !previousIds.has(id)));
+
+    try {
+      const removed = await this.attachmentStore.removeAll(goneIds);
+      Object.entries(removed).forEach(([id, attachments]) => this._removedAttachments.set(id, attachments));
+      if (Object.keys(returned).length) {
+        await this.attachmentStore.restore(returned);
+        Object.keys(returned).forEach(id => this._removedAttachments.delete(id));
+      }
+    } catch (error) {
+      console.warn('BillManager: Attachments could not be updated', error);
+    }
+    [...goneIds, ...Object.keys(returned)].forEach(billId => this._emit(CHANGE_EVENTS.ATTACHMENTS, { billId }));
+    if (goneIds.length || Object.keys(returned).length) {
+      this.tabSync?.notify('attachments');
+    }
+  }
+
+  /**
+   * @param {string} billId - The bill ID.
+   * @returns {Array<{id: string, name: string, type: string, size: number, addedAt: string}>} The files attached
+   * to the bill, oldest first; empty if attachments are unavailable.
+   */
+  getAttachments(billId) {
+    return this.attachmentStore ? this.attachmentStore.list(billId) : [];
+  }
+
+  /**
+   * Attaches a file (e.g. a PDF invoice or a photo of a receipt) to a bill. Attachments are saved
+   * straight away and are not part of the undo history.
+   * @param {string} billId - The bill ID.
+   * @param {{name: string, type: string, data: string}} file - The file name, MIME type and base64-encoded contents.
+   * @returns {Promise<object>} A promise that resolves with the new attachment.
+   * @throws {Error} If the bill is not found, attachments are unavailable, or the file is rejected (see AttachmentStore#add).
+   * @async
+   */
+  async addAttachment(billId, file) {
+    this._findBills([billId]);
+    const attachment = await this._requireAttachmentStore().add(billId, file);
+    this._emit(CHANGE_EVENTS.ATTACHMENTS, { billId });
+    this.tabSync?.notify('attachments');
+    return attachment;
+  }
+
+  /**
+   * Reads the contents of an attachment, for a preview or download.
+   * @param {string} attachmentId - The attachment ID.
+   * @returns {Promise<string|null>} The base64-encoded contents, or null if there are none.
+   * @async
+   */
+  async getAttachmentData(attachmentId) {
+    return this._requireAttachmentStore().read(attachmentId);
+  }
+
+  /**
+   * Removes a file from a bill. This cannot be undone.
+   * @param {string} billId - The bill ID.
+   * @param {string} attachmentId - The attachment ID.
+   * @returns {Promise<void>}
+   * @throws {Error} If attachments are unavailable or the bill has no such attachment.
+   * @async
+   */
+  async removeAttachment(billId, attachmentId) {
+    await this._requireAttachmentStore().remove(billId, attachmentId);
+    this._emit(CHANGE_EVENTS.ATTACHMENTS, { billId });
+    this.tabSync?.notify('attachments');
+  }
+
+  /**
+   * Collects everything stored for this profile into one JSON-serializable backup: the bills
+   * (in their storage envelope, unreadable records and user-defined categories included),
+   * the settings and every attachment with its contents.
+   * @returns {Promise<object>} A promise that resolves with the backup.
+   * @async
+   */
+  async exportBackup() {
+    return {
+      backupVersion: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      bills: this._createEnvelope(),
+      settings: { exchangeRates: this.exchangeRates, reportingCurrency: this.reportingCurrency },
+      attachments: this.attachmentStore ? await this.attachmentStore.exportAll() : {}
+    };
+  }
+
+  /**
+   * Replaces the bills, categories, settings and attachments with those of a backup made by
+   * `exportBackup()`. The bills and settings are saved first; if that fails nothing changes.
+   * This cannot be undone, so the undo history is cleared.
+   * @param {object} backup - The parsed backup file.
+   * @returns {Promise<void>}
+   * @throws {Error} If the file is not a backup, was made by a newer version of the app, or cannot be saved.
+   * @async
+   */
+  async restoreBackup(backup) {
+    if (backup?.backupVersion !== BACKUP_VERSION || !backup.bills) {
+      throw new Error('This file is not a Bill Calculator Pro backup.');
+    }
+    const { bills: plainBills, invalid, categories, deletedBills } = BillSchema.parse(backup.bills);
+    const settings = backup.settings || {};
+    const previousBills = this.bills;
+
+    await this._transact('Restoring the backup', () => {
+      this.bills = BillManager._rehydrate(plainBills);
+      this.invalidRecords = invalid;
+      this.categories = categories;
+      this.deletedBills = deletedBills;
+      this.exchangeRates = { ...this.exchangeRates, ...settings.exchangeRates, [this.baseCurrency]: 1 };
+      this.reportingCurrency = settings.reportingCurrency || this.reportingCurrency;
+    }, {
+      save: async () => {
+        await this._saveBillsToLocalStorage();
+        await this._saveSettings();
+      },
+      undoable: false,
+      event: [CHANGE_EVENTS.CATEGORIES, CHANGE_EVENTS.BILLS, CHANGE_EVENTS.SETTINGS],
+      log: false // The backup's change logs are restored as they were
+    });
+
+    this.undoStack = [];
+    this.redoStack = [];
+    this._removedAttachments.clear();
+    this.selectedIds.clear();
+    this._emit(CHANGE_EVENTS.SELECTION);
+
+    if (this.attachmentStore) {
+      await this.attachmentStore.removeAll([...new Set([...previousBills.map(bill => bill.id), ...Object.keys(this.attachmentStore.index)])]);
+      await this.attachmentStore.restore(backup.attachments || {});
+      this.bills.forEach(bill => this._emit(CHANGE_EVENTS.ATTACHMENTS, { billId: bill.id }));
+      this.tabSync?.notify('attachments');
+    }
+  }
+
+  /**
+   * Sums the payments made for a bill's current cycle and what is still owed.
+   * Payments in another currency are converted with the exchange-rate table; payments in a
+   * currency without a rate cannot be counted and are reported in `unconverted` instead.
+   * @param {Bill} bill - The bill.
+   * @returns {{paid: number, outstanding: number, currency: string, unconverted: Array<object>}}
+   * The amount paid and still outstanding (never below 0), both in the bill's currency.
+   */
+  getPaymentSummary(bill) {
+    const currency = bill.amount.currency;
+    const unconverted = [];
+    const paid = bill.getCurrentCyclePayments().reduce((sum, payment) => {
+      const converted = this.convertAmount(payment.amount, payment.currency, currency);
+      if (converted === null) {
+        unconverted.push(payment);
+        return sum;
+      }
+      return sum + converted;
+    }, 0);
+
+    return {
+      paid,
+      outstanding: Math.max(bill.amount.value - paid, 0),
+      currency,
+      unconverted
+    };
+  }
+
+  /**
+   * Calculates how much is still owed on a bill for its current cycle, taking partial payments into account.
+   * @param {string} id - The unique ID of the bill.
+   * @returns {number} The outstanding amount in the bill's currency.
+   * @throws {Error} If the bill does not exist.
+   */
+  getOutstandingBalance(id) {
+    const bill = this.bills.find(bill => bill.id === id);
+    if (!bill) {
+      throw new Error(`Bill ${id} not found.`);
+    }
+    return this.getPaymentSummary(bill).outstanding;
+  }
+
+  /**
+   * Derives a bill's status from its ledger: 'Paid' once the current cycle is fully paid,
+   * 'Pending' while it is only partly paid. Without payments for the current cycle the
+   * bill keeps the status it was given by hand.
+   * @param {Bill} bill - The bill.
+   * @returns {string} The derived status.
+   */
+  deriveStatus(bill) {
+    if (bill.getCurrentCyclePayments().length === 0) {
+      return bill.status;
+    }
+    return this.getPaymentSummary(bill).outstanding === 0 ? 'Paid' : 'Pending';
+  }
+
+  /**
+   * Sets the loading state of the BillManager and emits a 'loading' event.
+   * @param {boolean} state - True if an operation is loading, false otherwise.
+   */
+  setLoading(state) {
+    this.isLoading = state;
+    console.log(`BillManager: Loading state is now ${this.isLoading ? 'ON' : 'OFF'}`); // For debugging
+    this._emit(CHANGE_EVENTS.LOADING, { isLoading: state });
+  }
+
+  /**
+   * @property {'All' | 'Paid' | 'Unpaid' | 'Pending'} currentFilter - The status filter (`filters.status`).
+   */
+  get currentFilter() {
+    return this.filters.status;
+  }
+
+  set currentFilter(status) {
+    this.filters = { ...this.filters, status };
+    this._emit(CHANGE_EVENTS.FILTER);
+  }
+
+  setFilter(newFilter) {
+    this.currentFilter = newFilter;
+  }
+
+  /**
+   * Updates some of the filters, leaving the others as they are.
+   * Amount bounds may be given as strings (from form inputs); empty values clear them.
+   * @param {object} changes - The filters to change, e.g. { search: 'net', currency: 'EUR' }.
+   */
+  setFilters(changes) {
+    this.filters = BillManager._mergeFilters(this.filters, changes);
+    this._emit(CHANGE_EVENTS.FILTER);
+  }
+
+  /**
+   * Clears every filter, including the status filter.
+   */
+  resetFilters() {
+    this.filters = { ...DEFAULT_FILTERS };
+    this._emit(CHANGE_EVENTS.FILTER);
+  }
+
+  /**
+   * @private
+   * Applies filter changes to a set of filters (see `setFilters`).
+   * @param {object} filters - The filters to start from.
+   * @param {object} changes - The filters to change; undefined values are left as they are.
+   * @returns {object} The new filters.
+   */
+  static _mergeFilters(filters, changes) {
+    const next = { ...filters };
+    Object.keys(DEFAULT_FILTERS).forEach((key) => {
+      if (changes[key] === undefined) return;
+      if (key === 'minAmount' || key === 'maxAmount') {
+        const amount = parseFloat(changes[key]);
+        next[key] = Number.isFinite(amount) ? amount : null;
+      } else {
+        next[key] = changes[key] ?? DEFAULT_FILTERS[key];
+      }
+    });
+    return next;
+  }
+
+  /**
+   * @returns {boolean} True if any filter other than the status buttons is set.
+   */
+  hasActiveFilters() {
+    return Object.keys(DEFAULT_FILTERS).some(key => key !== 'status' && this.filters[key] !== DEFAULT_FILTERS[key]);
+  }
+
+  /**
+   * @private
+   * Checks a bill against every active filter.
+   * @param {Bill} bill - The bill to check.
+   * @returns {boolean} True if the bill should be displayed.
+   */
+  _matchesFilters(bill) {
+    const { status, search, type, paymentMethod, currency, minAmount, maxAmount } = this.filters;
+
+    if (status !== 'All' && bill.status !== status) return false;
+    if (type && bill.type !== type) return false;
+    if (paymentMethod && bill.paymentMethod !== paymentMethod) return false;
+    if (currency && bill.amount.currency !== currency) return false;
+
+    const query = search.trim().toLowerCase();
+    if (query && ![bill.name, bill.type].some(text => text && text.toLowerCase().includes(query))) {
+      return false;
+    }
+
+    if (minAmount !== null || maxAmount !== null) {
+      const amount = this.convertAmount(bill.amount.value, bill.amount.currency, this.reportingCurrency);
+      if (amount === null) return false; // Cannot be compared without an exchange rate
+      if (minAmount !== null && amount < minAmount) return false;
+      if (maxAmount !== null && amount > maxAmount) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Checks a list of sort keys and fills in the default direction.
+   * @param {Array<{field: string, direction?: 'asc'|'desc'}>} keys - The keys, most significant first.
+   * @returns {Array<{field: string, direction: 'asc'|'desc'}>} The keys, each with a direction ('asc' if omitted).
+   * @throws {Error} If a key names an unknown field or direction.
+   */
+  static normalizeSortKeys(keys) {
+    return keys.map(({ field, direction = 'asc' }) => {
+      if (!Object.hasOwn(SORT_FIELDS, field)) {
+        throw new Error(`Unknown sort field '${field}'.`);
+      }
+      if (direction !== 'asc' && direction !== 'desc') {
+        throw new Error(`Sort direction must be 'asc' or 'desc', not '${direction}'.`);
+      }
+      return { field, direction };
+    });
+  }
+
+  /**
+   * Selects the active sort choice.
+   * @param {string} newSort - The value of one of the sort choices, e.g. 'name-za'.
+   * @throws {Error} If there is no sort choice with that value.
+   */
+  setSort(newSort) {
+    if (!this.sortChoices.has(newSort)) {
+      throw new Error(`Unknown sort choice '${newSort}'.`);
+    }
+    this.currentSort = newSort;
+    this.sortKeys = this.sortChoices.get(newSort);
+    this._emit(CHANGE_EVENTS.SORT);
+  }
+
+  /**
+   * @param {string} id - A bill ID.
+   * @returns {boolean} True if the bill is selected.
+   */
+  isSelected(id) {
+    return this.selectedIds.has(id);
+  }
+
+  /**
+   * Selects or deselects one bill.
+   * @param {string} id - The bill ID.
+   * @param {boolean} [selected=true] - Whether the bill should be selected.
+   */
+  setSelected(id, selected = true) {
+    if (selected) {
+      this.selectedIds.add(id);
+    } else {
+      this.selectedIds.delete(id);
+    }
+    this._emit(CHANGE_EVENTS.SELECTION);
+  }
+
+  /**
+   * Selects or deselects every bill in the current view (see `getDisplayBills`).
+   * Selected bills outside the view are left as they are.
+   * @param {boolean} [selected=true] - Whether the bills should be selected.
+   */
+  selectDisplayed(selected = true) {
+    this.getDisplayBills().forEach(({ id }) => {
+      if (selected) {
+        this.selectedIds.add(id);
+      } else {
+        this.selectedIds.delete(id);
+      }
+    });
+    this._emit(CHANGE_EVENTS.SELECTION);
+  }
+
+  /**
+   * Deselects every bill.
+   */
+  clearSelection() {
+    this.selectedIds.clear();
+    this._emit(CHANGE_EVENTS.SELECTION);
+  }
+
+  /**
+   * Returns the bills a bulk action applies to: the selected bills in the current view, in display order.
+   * Selected bills hidden by the filters are left out, so an action never touches a bill the user cannot see.
+   * @returns {Array<Bill>} The selected bills that are displayed.
+   */
+  getSelectedBills() {
+    return this.getDisplayBills().filter(bill => this.selectedIds.has(bill.id));
+  }
+
+  /**
+   * @returns {{filters: object, sort: string}} A copy of the current view: every filter and the sort choice.
+   */
+  getViewState() {
+    return { filters: { ...this.filters }, sort: this.currentSort };
+  }
+
+  /**
+   * Replaces the current view, e.g. with one read from the URL or from storage.
+   * Filters that are not given are reset, and an unknown sort choice falls back to 'default',
+   * so a stale bookmark still opens. Emits one 'filter' and one 'sort' event.
+   * @param {{filters?: object, sort?: string}|null} [view] - The view to apply; null or omitted resets it.
+   */
+  applyViewState(view) {
+    const { filters = {}, sort = 'default' } = view || {};
+    const knownSort = this.sortChoices.has(sort);
+    this.filters = BillManager._mergeFilters(DEFAULT_FILTERS, filters);
+    this.currentSort = knownSort ? sort : 'default';
+    this.sortKeys = knownSort ? this.sortChoices.get(sort) : [];
+    this._emit(CHANGE_EVENTS.FILTER);
+    this._emit(CHANGE_EVENTS.SORT);
+  }
+
+  /**
+   * @private
+   * Compares two bills on the active sort keys.
+   * @param {Bill} a - The first bill.
+   * @param {Bill} b - The second bill.
+   * @returns {number} Negative if a comes first, positive if b does, 0 if the keys do not tell them apart.
+   */
+  _compareBills(a, b) {
+    for (const { field, direction } of this.sortKeys) {
+      const valueA = SORT_FIELDS[field](a);
+      const valueB = SORT_FIELDS[field](b);
+      const missingA = valueA === null || valueA === undefined || valueA === '';
+      const missingB = valueB === null || valueB === undefined || valueB === '';
+
+      if (missingA || missingB) {
+        if (missingA !== missingB) return missingA ? 1 : -1; // Missing values go last in both directions
+        continue;
+      }
+
+      const order = typeof valueA === 'number' && typeof valueB === 'number'
+        ? valueA - valueB
+        : String(valueA).localeCompare(String(valueB), undefined, { numeric: true, sensitivity: 'base' });
+      if (order !== 0) {
+        return direction === 'desc' ? -order : order;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Retrieves a filtered and sorted list of bills based on the BillManager's
+   * internal 'filters' and 'currentSort' states.
+   * This method is synchronous as it operates on the already loaded `this.bills` array.
+   * @returns {Array<Bill>} A new array containing the bills ready for display.
+   */
+  getDisplayBills() {
+    // Apply every active filter (status, search, type, payment method, currency, amount range)
+    const filteredBills = this.bills.filter(bill => this._matchesFilters(bill));
+
+    // Apply the sort keys of currentSort. Ties fall back to the position in 'this.bills',
+    // so bills that compare equal always keep their insertion order.
+    const positions = new Map(this.bills.map((bill, index) => [bill, index]));
+    const sortedAndFilteredBills = filteredBills.sort((a, b) =>
+      this._compareBills(a, b) || positions.get(a) - positions.get(b)
+    );
+
+    return sortedAndFilteredBills;
+  }
+
+  /**
+   * Replaces the exchange-rate table and saves it alongside the bills.
+   * Rates that are not positive numbers are dropped; the base currency always stays at 1.
+   * @param {object} rates - Units of each currency per one unit of the base currency, e.g. { USD: 1.08 }.
+   * @async
+   */
+  async setExchangeRates(rates) {
+    const validRates = Object.entries(rates).reduce((acc, [code, rate]) => {
+      const value = parseFloat(rate);
+      if (value > 0) {
+        acc[code] = value;
+      }
+      return acc;
+    }, {});
+
+    await this._transact('Updating the exchange rates', () => {
+      this.exchangeRates = { ...validRates, [this.baseCurrency]: 1 };
+    }, { save: () => this._saveSettings(), undoable: false, event: CHANGE_EVENTS.SETTINGS });
+  }
+
+  /**
+   * Changes the currency the converted totals are reported in and saves the choice.
+   * @param {string} currencyCode - The ISO currency code, e.g. 'USD'.
+   * @async
+   */
+  async setReportingCurrency(currencyCode) {
+    await this._transact(`Switching the reporting currency to ${currencyCode}`, () => {
+      this.reportingCurrency = currencyCode;
+    }, { save: () => this._saveSettings(), undoable: false, event: CHANGE_EVENTS.SETTINGS });
+  }
+
+  /**
+   * Converts an amount between two currencies using the exchange-rate table.
+   * @param {number} value - The amount to convert.
+   * @param {string} fromCurrency - The currency the amount is in.
+   * @param {string} toCurrency - The currency to convert into.
+   * @returns {number|null} The converted amount, or null if either rate is missing.
+   */
+  convertAmount(value, fromCurrency, toCurrency) {
+    if (fromCurrency === toCurrency) return value;
+
+    const fromRate = this.exchangeRates[fromCurrency];
+    const toRate = this.exchangeRates[toCurrency];
+    if (!fromRate || !toRate) return null;
+
+    return (value / fromRate) * toRate;
+  }
+
+  /**
+   * Lists the currencies used by bills that have no exchange rate, so they
+   * cannot be included in the converted totals.
+   * @returns {Array<string>} The currency codes without a rate.
+   */
+  getMissingExchangeRates() {
+    const currencies = new Set(this.bills.map(bill => bill.amount.currency));
+    return [...currencies].filter(code => !this.exchangeRates[code]);
+  }
+
+  /**
+   * Calculates the unconverted totals for each currency, split by status.
+   * This method is synchronous as it operates on the already loaded `this.bills` array.
+   * @returns {object} An object keyed by currency code, each holding 'Paid', 'Unpaid' and 'Pending' sums,
+   * e.g. { EUR: { Paid: 10, Unpaid: 0, Pending: 5 } }. Only currencies in use appear.
+   */
+  getTotalsByCurrency() {
+    return this.bills.reduce((acc, bill) => {
+      const currency = bill.amount.currency;
+      if (!acc[currency]) {
+        acc[currency] = { Paid: 0, Unpaid: 0, Pending: 0 };
+      }
+      if (acc[currency].hasOwnProperty(bill.status)) {
+        acc[currency][bill.status] += bill.amount.value;
+      }
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Calculates the total amount for bills based on their status (Paid, Unpaid, Pending),
+   * converted into a single currency. Bills whose currency has no exchange rate are
+   * left out (see `getMissingExchangeRates()`).
+   * This method is synchronous as it operates on the already loaded `this.bills` array.
+   * @param {string} [reportingCurrency] - The currency to report in. Defaults to `this.reportingCurrency`.
+   * @returns {object} An object with keys 'Paid', 'Unpaid', 'Pending' and their respective sums.
+   */
+  getTotalsByStatus(reportingCurrency = this.reportingCurrency) {
+    const initialTotals = {
+      Paid: 0,
+      Unpaid: 0,
+      Pending: 0
+    };
+
+    // Use .reduce() to iterate through all bills and sum converted amounts into the correct category.
+    const totals = this.bills.reduce((acc, bill) => {
+      const converted = this.convertAmount(bill.amount.value, bill.amount.currency, reportingCurrency);
+      if (acc.hasOwnProperty(bill.status) && converted !== null) {
+        acc[bill.status] += converted;
+      }
+      return acc;
+    }, initialTotals);
+
+    return totals;
+  }
+
+  /**
+   * Calculates the grand total of all bills converted into a single currency.
+   * @param {string} [reportingCurrency] - The currency to report in. Defaults to `this.reportingCurrency`.
+   * @returns {number} The converted grand total.
+   */
+  getGrandTotal(reportingCurrency = this.reportingCurrency) {
+    const totals = this.getTotalsByStatus(reportingCurrency);
+    return totals.Paid + totals.Unpaid + totals.Pending;
+  }
+
+  /**
+   * @private
+   * Groups every bill by a key and sums the amounts, converted into the reporting currency.
+   * Bills in a currency without an exchange rate are left out (see `getMissingExchangeRates`).
+   * @param {function(Bill): string} keyOf - Returns the group a bill belongs to.
+   * @param {string} reportingCurrency - The currency to report in.
+   * @returns {Array<{key: string, total: number, count: number}>} One entry per group, largest total first.
+   */
+  _groupSpending(keyOf, reportingCurrency) {
+    const groups = this.bills.reduce((acc, bill) => {
+      const converted = this.convertAmount(bill.amount.value, bill.amount.currency, reportingCurrency);
+      if (converted === null) return acc;
+
+      const key = keyOf(bill) || 'Unspecified';
+      acc[key] = acc[key] || { key, total: 0, count: 0 };
+      acc[key].total += converted;
+      acc[key].count += 1;
+      return acc;
+    }, {});
+
+    return Object.values(groups).sort((a, b) => b.total - a.total);
+  }
+
+  /**
+   * Breaks spending down by bill type, in the reporting currency.
+   * @param {string} [reportingCurrency] - The currency to report in. Defaults to `this.reportingCurrency`.
+   * @returns {Array<{key: string, total: number, count: number}>} One entry per bill type, largest total first.
+   */
+  getSpendingByType(reportingCurrency = this.reportingCurrency) {
+    return this._groupSpending(bill => bill.type, reportingCurrency);
+  }
+
+  /**
+   * Breaks spending down by payment method, in the reporting currency.
+   * @param {string} [reportingCurrency] - The currency to report in. Defaults to `this.reportingCurrency`.
+   * @returns {Array<{key: string, total: number, count: number}>} One entry per payment method, largest total first.
+   */
+  getSpendingByPaymentMethod(reportingCurrency = this.reportingCurrency) {
+    return this._groupSpending(bill => bill.paymentMethod, reportingCurrency);
+  }
+
+  /**
+   * Breaks spending down by the currency bills are billed in, converted into the reporting currency
+   * so the shares can be compared.
+   * @param {string} [reportingCurrency] - The currency to report in. Defaults to `this.reportingCurrency`.
+   * @returns {Array<{key: string, total: number, count: number}>} One entry per bill currency, largest total first.
+   */
+  getSpendingByCurrency(reportingCurrency = this.reportingCurrency) {
+    return this._groupSpending(bill => bill.amount.currency, reportingCurrency);
+  }
+
+  /**
+   * Builds a month-by-month spending trend in the reporting currency. For each month it sums what
+   * was paid (from the payment ledgers, by payment date) and what fell due (bill amounts, by due date),
+   * and the change in payments compared with the previous month.
+   * @param {object} [options]
+   * @param {number} [options.months=6] - How many months to include, ending with the current one.
+   * @param {Date} [options.today] - The reference date; defaults to now.
+   * @param {string} [options.reportingCurrency] - The currency to report in. Defaults to `this.reportingCurrency`.
+   * @returns {Array<{month: string, paid: number, due: number, change: number|null}>} One entry per month
+   * (YYYY-MM), oldest first. 'change' is the relative change in 'paid' (0.25 = +25%), or null when the previous month had none.
+   */
+  getMonthlyTrend({ months = 6, today = new Date(), reportingCurrency = this.reportingCurrency } = {}) {
+    const trend = [];
+    for (let offset = months - 1; offset >= 0; offset--) {
+      const date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - offset, 1));
+      trend.push({ month: date.toISOString().slice(0, 7), paid: 0, due: 0, change: null });
+    }
+    const byMonth = Object.fromEntries(trend.map(entry => [entry.month, entry]));
+
+    this.bills.forEach((bill) => {
+      const dueMonth = bill.dueDate && byMonth[bill.dueDate.slice(0, 7)];
+      const dueAmount = this.convertAmount(bill.amount.value, bill.amount.currency, reportingCurrency);
+      if (dueMonth && dueAmount !== null) {
+        dueMonth.due += dueAmount;
+      }
+
+      bill.payments.forEach((payment) => {
+        const paidMonth = byMonth[payment.date.slice(0, 7)];
+        const paidAmount = this.convertAmount(payment.amount, payment.currency, reportingCurrency);
+        if (paidMonth && paidAmount !== null) {
+          paidMonth.paid += paidAmount;
+        }
+      });
+    });
+
+    trend.forEach((entry, index) => {
+      const previous = trend[index - 1];
+      if (previous && previous.paid > 0) {
+        entry.change = (entry.paid - previous.paid) / previous.paid;
+      }
+    });
+
+    return trend;
+  }
+
+  /**
+   * Finds the largest bills by amount, compared in the reporting currency.
+   * Bills in a currency without an exchange rate are left out.
+   * @param {number} [limit=5] - How many bills to return.
+   * @param {string} [reportingCurrency] - The currency to report in. Defaults to `this.reportingCurrency`.
+   * @returns {Array<{bill: Bill, amount: number}>} The largest bills with their converted amount, largest first.
+   */
+  getLargestBills(limit = 5, reportingCurrency = this.reportingCurrency) {
+    return this.bills
+      .map(bill => ({ bill, amount: this.convertAmount(bill.amount.value, bill.amount.currency, reportingCurrency) }))
+      .filter(({ amount }) => amount !== null)
+      .sort((a, b) => b.amount - a.amount)
+      .slice(0, limit);
+  }
+
+  /**
+   * @public
+   * Initializes the BillManager by loading bills asynchronously from the API Service.
+   * This method should be called externally (e.g., from script.js init) after
+   * the BillManager instance has been created. Emits 'categories', 'bills' and 'settings' once loaded.
+   * @async
+   */
+  async initialize() {
+    this.bills = await this._loadBillsFromLocalStorage(); // Await the asynchronous load operation.
+
+    if (this.attachmentStore) {
+      try {
+        await this.attachmentStore.load();
+      } catch (error) {
+        console.warn('BillManager: Attachments are unavailable', error);
+        this.attachmentStore = null; // The bills still work without them
+      }
+    }
+
+    await this._loadSettings();
+    console.log("BillManager: Initialized with bills from API service", this.bills);
+    this._emit(CHANGE_EVENTS.CATEGORIES);
+    this._emit(CHANGE_EVENTS.BILLS);
+    this._emit(CHANGE_EVENTS.SETTINGS);
+
+    if (this.syncQueue.hasPending()) {
+      this.syncQueue.flush(); // Retry writes left over from a previous session in the background.
+    }
+  }
+
+  /**
+   * @private
+   * Loads the exchange-rate table and reporting currency. Settings are optional: the seeded
+   * defaults are kept for anything that was never saved.
+   * @async
+   */
+  async _loadSettings() {
+    const settings = this.syncQueue.getPendingValue('settings')
+      || (await this.apiService.fetchSettings()) || {};
+    if (settings.exchangeRates) {
+      this.exchangeRates = { ...settings.exchangeRates, [this.baseCurrency]: 1 };
+    }
+    if (settings.reportingCurrency) {
+      this.reportingCurrency = settings.reportingCurrency;
+    }
+  }
+
+  /**
+   * Reads the bills, categories, settings and attachment index from storage again, e.g. after another tab
+   * saved them (see TabSync). Filters and the sort order are kept, and so is the selection of bills that
+   * still exist. If the bills changed, the undo history is cleared: undoing an operation from before the
+   * reload would overwrite the other tab's changes. While a conflict waits to be resolved (see `conflict`), the
+   * reloaded bills are merged into the unsaved ones here instead of replacing them.
+   * @returns {Promise<{changedIds: Array<string>, removedIds: Array<string>}>} A promise that resolves with
+   * the IDs of the bills that were changed or removed elsewhere.
+   * @throws {Error} If the stored bills cannot be read (see `initialize`); saving is refused until they can.
+   * @async
+   */
+  async reload() {
+    const previousById = new Map(this.bills.map(bill => [bill.id, bill]));
+    this.syncQueue.refresh(); // The other tab may have queued its change rather than saved it
+    if (this.conflict) {
+      // The changes here are not saved yet; merge the newer bills into them rather than dropping them.
+      await this._applyMerge(await this._readStored());
+    } else {
+      this.bills = await this._loadBillsFromLocalStorage();
+    }
+    await this._loadSettings();
+    if (this.attachmentStore) {
+      try {
+        await this.attachmentStore.load();
+      } catch (error) {
+        console.warn('BillManager: Attachments could not be reloaded', error);
+      }
+    }
+
+    const currentIds = new Set(this.bills.map(bill => bill.id));
+    const removedIds = [...previousById.keys()].filter(id => !currentIds.has(id));
+    const changedIds = this.bills
+      .filter((bill) => {
+        const previous = previousById.get(bill.id);
+        return previous && (previous.getChangesTo(bill).length > 0 || previous.changeLog.length !== bill.changeLog.length);
+      })
+      .map(bill => bill.id);
+
+    if (changedIds.length || removedIds.length || currentIds.size !== previousById.size - removedIds.length) {
+      this.undoStack = [];
+      this.redoStack = [];
+      this._removedAttachments.clear();
+    }
+    removedIds.forEach(id => this.selectedIds.delete(id));
+
+    this._emit(CHANGE_EVENTS.CATEGORIES);
+    this._emit(CHANGE_EVENTS.BILLS);
+    this._emit(CHANGE_EVENTS.SETTINGS);
+    this._emit(CHANGE_EVENTS.SELECTION);
+    this._emit(CHANGE_EVENTS.ATTACHMENTS);
+    return { changedIds, removedIds };
+  }
+
+  /**
+   * Stops the background work of a manager that is no longer needed, e.g. one opened only to copy bills
+   * into another profile: its sync queue stops retrying and its tab sync channel is closed. Writes still
+   * queued durably are sent the next time the profile is opened.
+   */
+  close() {
+    this.syncQueue.close();
+    this.tabSync?.close();
   }
 }
\ No newline at end of file
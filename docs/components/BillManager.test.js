@@ -2,9 +2,13 @@
 
 // Import the BillManager and Bill classes we want to test.
 // Note: Jest provides 'describe', 'it', and 'expect' globally, so they are not imported.
-import BillManager from './BillManager.js';
+import BillManager, { CHANGE_EVENTS } from './BillManager.js';
 import Bill from './Bill.js';
 import ApiService from './ApiService.js';
+import BillSchema, { CURRENT_SCHEMA_VERSION } from './BillSchema.js';
+import AttachmentStore from './AttachmentStore.js';
+import MemoryStorageAdapter from './MemoryStorageAdapter.js';
+import StorageAdapter from './StorageAdapter.js';
 
 // Mock the ApiService class to prevent actual async operations during tests.
 // This allows us to control the behavior of fetching and saving data.
@@ -48,7 +52,7 @@ describe('BillManager', () => {
 
       // Check if the bills array now contains the new bill.
       expect(manager.bills).toHaveLength(1);
-      expect(manager.bills[0]).toEqual(mockBill);
+      expect(manager.bills[0]).toEqual({ ...mockBill, changeLog: [expect.objectContaining({ action: 'Adding "Netflix"', field: null })] });
 
       // Check if the save method was called exactly once.
       expect(saveSpy).toHaveBeenCalledTimes(1);
@@ -194,4 +198,1238 @@ describe('BillManager', () => {
       expect(totals.Pending).toBe(5);    // 5
     });
   });
+
+  // --- Tests for Due Dates and Recurrence ---
+  describe('Due dates and recurrence', () => {
+    // Test case 13: Check that month-based recurrence clamps to the end of shorter months.
+    it('should advance monthly bills and clamp to the last day of the month', () => {
+      const bill = new Bill({ id: 'r1', amount: 10, dueDate: '2025-01-31', recurrence: 'monthly' });
+      expect(bill.getNextDueDate()).toBe('2025-02-28');
+    });
+
+    // Test case 14: Check weekly, quarterly, yearly and custom recurrence steps.
+    it('should advance due dates by the configured recurrence step', () => {
+      const dueDate = '2024-02-29';
+      expect(new Bill({ dueDate, recurrence: 'weekly' }).getNextDueDate()).toBe('2024-03-07');
+      expect(new Bill({ dueDate, recurrence: 'quarterly' }).getNextDueDate()).toBe('2024-05-29');
+      expect(new Bill({ dueDate, recurrence: 'yearly' }).getNextDueDate()).toBe('2025-02-28');
+      expect(new Bill({ dueDate, recurrence: 'custom', recurrenceInterval: '10' }).getNextDueDate()).toBe('2024-03-10');
+    });
+
+    // Test case 15: Check that non-recurring or invalid rules normalize to null.
+    it('should treat "none" and invalid custom intervals as non-recurring', () => {
+      expect(new Bill({ recurrence: 'none' }).recurrence).toBeNull();
+      expect(new Bill({ recurrence: 'custom', recurrenceInterval: '' }).recurrence).toBeNull();
+      expect(new Bill({ recurrence: { frequency: 'monthly', interval: 1 } }).isRecurring()).toBe(true);
+    });
+
+    // Test case 16: Check that a paid recurring bill rolls forward and is saved.
+    it('should roll a paid recurring bill forward into its next cycle', async () => {
+      const manager = new BillManager();
+      manager.bills = [new Bill({ id: 'r2', amount: 30, status: 'Paid', dueDate: '2025-03-15', recurrence: 'monthly' })];
+      const saveSpy = jest.spyOn(manager, '_saveBillsToLocalStorage');
+
+      const rolled = await manager.rollForwardBill('r2');
+
+      expect(rolled.dueDate).toBe('2025-04-15');
+      expect(rolled.status).toBe('Pending');
+      expect(manager.bills[0]).toBe(rolled);
+      expect(saveSpy).toHaveBeenCalledTimes(1);
+    });
+
+    // Test case 87: Check that a bill due on the 31st returns to it after being clamped in shorter months.
+    it('should keep the day of the month of a monthly bill across several roll-forwards', async () => {
+      const manager = new BillManager();
+      manager.bills = [new Bill({ id: 'r6', amount: 30, status: 'Paid', dueDate: '2025-01-31', recurrence: 'monthly' })];
+
+      const dueDates = [];
+      for (let cycle = 0; cycle < 3; cycle += 1) {
+        dueDates.push((await manager.rollForwardBill('r6')).dueDate);
+        await manager.updateBill({ id: 'r6', status: 'Paid', recurrence: 'monthly', dueDate: dueDates[cycle] }); // An edit keeps the schedule
+      }
+
+      expect(dueDates).toEqual(['2025-02-28', '2025-03-31', '2025-04-30']);
+      expect(manager.bills[0].recurrence).toEqual({ frequency: 'monthly', interval: 1, anchorDay: 31 });
+      await manager.updateBill({ id: 'r6', dueDate: '2025-05-15' });
+      expect(manager.bills[0].getNextDueDate()).toBe('2025-06-15'); // A new due date starts a new schedule
+    });
+
+    // Test case 17: Check that unpaid or one-off bills cannot be rolled forward.
+    it('should refuse to roll forward unpaid or non-recurring bills', async () => {
+      const manager = new BillManager();
+      manager.bills = [
+        new Bill({ id: 'r3', status: 'Unpaid', dueDate: '2025-03-15', recurrence: 'monthly' }),
+        new Bill({ id: 'r4', status: 'Paid', dueDate: '2025-03-15' })
+      ];
+
+      await expect(manager.rollForwardBill('r3')).rejects.toThrow('Only paid bills');
+      await expect(manager.rollForwardBill('r4')).rejects.toThrow('Only recurring bills');
+    });
+
+    // Test case 18: Check that due dates and recurrence survive a save/load round trip.
+    it('should persist due dates and recurrence rules through the API service', async () => {
+      const manager = new BillManager();
+      manager.bills = [new Bill({ id: 'r5', type: 'Energy', amount: 12, dueDate: '2025-05-01', recurrence: 'custom', recurrenceInterval: 14 })];
+
+      await manager._saveBillsToLocalStorage();
+      const savedData = manager.apiService.saveBills.mock.calls[0][0];
+      expect(savedData.bills[0]).toMatchObject({ dueDate: '2025-05-01', recurrence: { frequency: 'custom', interval: 14 } });
+
+      manager.apiService.fetchBills.mockResolvedValue(savedData);
+      const [loaded] = await manager._loadBillsFromLocalStorage();
+      expect(loaded).toBeInstanceOf(Bill);
+      expect(loaded.getNextDueDate()).toBe('2025-05-15');
+    });
+  });
+
+  // --- Tests for Multi-Currency Totals ---
+  describe('Multi-currency totals', () => {
+    const mixedBills = [
+      new Bill({ id: 'c1', amount: 10, currency: 'EUR', status: 'Paid' }),
+      new Bill({ id: 'c2', amount: 20, currency: 'USD', status: 'Paid' }),
+      new Bill({ id: 'c3', amount: 50, currency: 'BRL', status: 'Unpaid' }),
+      new Bill({ id: 'c4', amount: 8, currency: 'GBP', status: 'Pending' }),
+    ];
+
+    let manager;
+    beforeEach(() => {
+      manager = new BillManager({ baseCurrency: 'EUR', defaultExchangeRates: { USD: 2, BRL: 5 } });
+      manager.bills = mixedBills;
+    });
+
+    // Test case 19: Check that totals are grouped per currency without conversion.
+    it('should group totals per currency', () => {
+      expect(manager.getTotalsByCurrency()).toEqual({
+        EUR: { Paid: 10, Unpaid: 0, Pending: 0 },
+        USD: { Paid: 20, Unpaid: 0, Pending: 0 },
+        BRL: { Paid: 0, Unpaid: 50, Pending: 0 },
+        GBP: { Paid: 0, Unpaid: 0, Pending: 8 },
+      });
+    });
+
+    // Test case 20: Check conversion into the reporting currency and reporting of missing rates.
+    it('should convert status totals into the reporting currency and skip currencies without a rate', () => {
+      expect(manager.getTotalsByStatus()).toEqual({ Paid: 20, Unpaid: 10, Pending: 0 }); // 10 EUR + 20 USD / 2
+      expect(manager.getTotalsByStatus('USD')).toEqual({ Paid: 40, Unpaid: 20, Pending: 0 });
+      expect(manager.getGrandTotal()).toBe(30);
+      expect(manager.getMissingExchangeRates()).toEqual(['GBP']);
+    });
+
+    // Test case 21: Check that edited rates are validated and saved alongside the bills.
+    it('should save a validated exchange-rate table and keep the base currency at 1', async () => {
+      await manager.setExchangeRates({ EUR: 3, USD: '1.25', GBP: '', BRL: -1 });
+
+      expect(manager.exchangeRates).toEqual({ EUR: 1, USD: 1.25 });
+      expect(manager.apiService.saveSettings).toHaveBeenCalledWith({
+        exchangeRates: { EUR: 1, USD: 1.25 },
+        reportingCurrency: 'EUR'
+      });
+    });
+
+    // Test case 22: Check that saved settings override the seeded defaults on initialize.
+    it('should load the saved rate table and reporting currency on initialize', async () => {
+      manager.apiService.fetchBills.mockResolvedValue([]);
+      manager.apiService.fetchSettings.mockResolvedValue({
+        exchangeRates: { GBP: 0.5 },
+        reportingCurrency: 'GBP'
+      });
+
+      await manager.initialize();
+
+      expect(manager.exchangeRates).toEqual({ EUR: 1, GBP: 0.5 });
+      expect(manager.reportingCurrency).toBe('GBP');
+    });
+  });
+
+  // --- Tests for Bulk Import ---
+  describe('Bulk import', () => {
+    // Test case 23: Check that importBills adds a batch with a single save.
+    it('should import several bills with a single save', async () => {
+      const manager = new BillManager();
+      const saveSpy = jest.spyOn(manager, '_saveBillsToLocalStorage');
+
+      await manager.importBills([
+        new Bill({ id: 'i1', type: 'Energy', amount: 10 }),
+        new Bill({ id: 'i2', type: 'Broadband', amount: 20 }),
+      ]);
+
+      expect(manager.bills.map(bill => bill.id)).toEqual(['i1', 'i2']);
+      expect(saveSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  // --- Tests for the Offline Write Queue ---
+  describe('Offline write queue', () => {
+    const retryableError = () => Object.assign(new Error('Simulated Network Error during save!'), { retryable: true });
+
+    // Test case 24: Check that a retryable save failure is queued instead of thrown.
+    it('should queue a bill save that fails with a retryable error and keep the change', async () => {
+      const manager = new BillManager();
+      manager.apiService.saveBills.mockRejectedValueOnce(retryableError());
+
+      await manager.addBill(new Bill({ id: 'q1', type: 'Energy', amount: 10 }));
+
+      expect(manager.bills).toHaveLength(1);
+      expect(manager.syncQueue.getPendingCount()).toBe(1);
+      expect(manager.syncQueue.getPendingValue('bills').bills[0].id).toBe('q1');
+    });
+
+    // Test case 25: Check that permanent failures still reject.
+    it('should rethrow save failures that retrying would not fix', async () => {
+      const manager = new BillManager();
+      manager.apiService.saveBills.mockRejectedValueOnce(new Error('Quota exceeded'));
+
+      await expect(manager.addBill(new Bill({ id: 'q2', amount: 5 }))).rejects.toThrow('Quota exceeded');
+      expect(manager.syncQueue.hasPending()).toBe(false);
+    });
+
+    // Test case 26: Check that unsynced bills from a previous session win over stored data on load.
+    it('should load unsynced bills from the queue instead of the stale stored copy', async () => {
+      const firstSession = new BillManager();
+      firstSession.apiService.saveBills.mockRejectedValueOnce(retryableError());
+      await firstSession.addBill(new Bill({ id: 'q3', type: 'Energy', amount: 42 }));
+
+      const secondSession = new BillManager();
+      secondSession.apiService.fetchBills.mockResolvedValue([]);
+      secondSession.apiService.fetchSettings.mockResolvedValue({});
+      secondSession.apiService.saveBills.mockResolvedValue();
+
+      await secondSession.initialize();
+
+      expect(secondSession.bills.map(bill => bill.id)).toEqual(['q3']);
+      expect(secondSession.apiService.fetchBills).not.toHaveBeenCalled();
+      await secondSession.syncQueue.flush();
+      expect(secondSession.apiService.saveBills).toHaveBeenCalled();
+      expect(secondSession.syncQueue.hasPending()).toBe(false);
+    });
+  });
+
+  // --- Tests for Rollback on Save Failure ---
+  describe('Rollback on save failure', () => {
+    const existingBill = new Bill({ id: 'tx1', type: 'Streaming', name: 'Netflix', amount: 15, status: 'Unpaid' });
+
+    let manager;
+    beforeEach(() => {
+      manager = new BillManager();
+      manager.bills = [existingBill];
+      manager.apiService.saveBills.mockRejectedValueOnce(new Error('Quota exceeded'));
+      manager.apiService.saveSettings.mockRejectedValueOnce(new Error('Quota exceeded'));
+    });
+
+    // Test case 27: Check that a failed add restores the previous list and names the operation.
+    it('should revert a failed add and name the reverted operation', async () => {
+      const error = await manager.addBill(new Bill({ id: 'tx2', type: 'Energy', amount: 50 })).catch(e => e);
+
+      expect(error.revertedOperation).toBe('Adding "Energy"');
+      expect(error.message).toBe('Adding "Energy" could not be saved and was undone (Quota exceeded).');
+      expect(error.cause.message).toBe('Quota exceeded');
+      expect(manager.bills).toEqual([existingBill]);
+    });
+
+    // Test case 28: Check that a failed delete brings the bill back.
+    it('should revert a failed delete', async () => {
+      await expect(manager.deleteBill('tx1')).rejects.toMatchObject({ revertedOperation: 'Deleting "Netflix"' });
+      expect(manager.bills).toEqual([existingBill]);
+    });
+
+    // Test case 29: Check that a failed update restores the original bill object.
+    it('should revert a failed update', async () => {
+      await expect(manager.updateBill({ id: 'tx1', amount: 99, status: 'Paid' })).rejects.toMatchObject({ revertedOperation: 'Editing "Netflix"' });
+      expect(manager.bills[0]).toBe(existingBill);
+      expect(manager.bills[0].amount.value).toBe(15);
+    });
+
+    // Test case 30: Check that a failed import adds none of the batch.
+    it('should revert a failed import as a whole', async () => {
+      await expect(manager.importBills([new Bill({ id: 'tx3' }), new Bill({ id: 'tx4' })])).rejects.toMatchObject({ revertedOperation: 'Importing 2 bills' });
+      expect(manager.bills).toEqual([existingBill]);
+    });
+
+    // Test case 31: Check that settings changes roll back too.
+    it('should revert a failed reporting currency change', async () => {
+      await expect(manager.setReportingCurrency('USD')).rejects.toThrow('undone');
+      expect(manager.reportingCurrency).toBe('EUR');
+    });
+  });
+
+  // --- Tests for Undo and Redo ---
+  describe('Undo and redo', () => {
+    const netflix = new Bill({ id: 'ur1', type: 'Streaming', name: 'Netflix', amount: 15 });
+    const energy = new Bill({ id: 'ur2', type: 'Energy', amount: 80 });
+    // Undo logs the reverse change instead of dropping entries, so compare bills without their change logs.
+    const withoutChangeLog = bills => bills.map(({ changeLog, ...fields }) => fields);
+
+    let manager;
+    beforeEach(() => {
+      manager = new BillManager();
+      manager.bills = [netflix];
+    });
+
+    // Test case 32: Check that an add can be undone and redone, saving each time.
+    it('should undo and redo an add', async () => {
+      await manager.addBill(energy);
+      expect(manager.canUndo()).toBe(true);
+
+      await expect(manager.undo()).resolves.toBe('Adding "Energy"');
+      expect(manager.bills).toEqual([netflix]);
+      expect(manager.canRedo()).toBe(true);
+
+      await expect(manager.redo()).resolves.toBe('Adding "Energy"');
+      expect(withoutChangeLog(manager.bills)).toEqual(withoutChangeLog([netflix, energy]));
+      expect(manager.apiService.saveBills).toHaveBeenCalledTimes(3);
+    });
+
+    // Test case 33: Check that operations are undone in reverse order, edits and deletes included.
+    it('should undo edits and deletes in reverse order', async () => {
+      await manager.updateBill({ id: 'ur1', amount: 20, status: 'Paid' });
+      await manager.deleteBill('ur1');
+      expect(manager.bills).toEqual([]);
+
+      await manager.undo();
+      expect(manager.bills[0].amount.value).toBe(20);
+      await manager.undo();
+      expect(withoutChangeLog(manager.bills)).toEqual(withoutChangeLog([netflix]));
+      expect(manager.canUndo()).toBe(false);
+      await expect(manager.undo()).resolves.toBeNull();
+    });
+
+    // Test case 34: Check that a new operation clears the redo history.
+    it('should clear the redo history after a new operation', async () => {
+      await manager.addBill(energy);
+      await manager.undo();
+      await manager.deleteBill('ur1');
+
+      expect(manager.canRedo()).toBe(false);
+    });
+
+    // Test case 35: Check that a failed undo leaves the bills and the history untouched.
+    it('should keep the operation undoable when undoing fails to save', async () => {
+      await manager.addBill(energy);
+      manager.apiService.saveBills.mockRejectedValueOnce(new Error('Quota exceeded'));
+
+      await expect(manager.undo()).rejects.toMatchObject({ revertedOperation: 'Undoing Adding "Energy"' });
+      expect(withoutChangeLog(manager.bills)).toEqual(withoutChangeLog([netflix, energy]));
+      expect(manager.canUndo()).toBe(true);
+      expect(manager.canRedo()).toBe(false);
+    });
+
+    // Test case 36: Check that failed operations and settings changes are not recorded.
+    it('should only record successful bill operations', async () => {
+      manager.apiService.saveBills.mockRejectedValueOnce(new Error('Quota exceeded'));
+      await manager.addBill(energy).catch(() => {});
+      await manager.setReportingCurrency('USD');
+
+      expect(manager.canUndo()).toBe(false);
+    });
+  });
+
+  // --- Tests for Full-Field Editing ---
+  describe('Full-field editing', () => {
+    const original = new Bill({
+      id: 'fe1', type: 'Streaming', name: 'Netflix', paymentMethod: 'Credit Card',
+      amount: 15, currency: 'EUR', status: 'Pending', dueDate: '2025-05-01', recurrence: 'monthly'
+    });
+
+    // Test case 37: Check that any field can be patched and the result is still a Bill.
+    it('should patch any field and keep the bill a Bill instance', async () => {
+      const manager = new BillManager();
+      manager.bills = [original];
+
+      const updated = await manager.updateBill({
+        id: 'fe1', type: 'Other', name: 'Gym', paymentMethod: 'Direct Debit', currency: 'USD',
+        recurrence: 'custom', recurrenceInterval: '14'
+      });
+
+      expect(updated).toBeInstanceOf(Bill);
+      expect(manager.bills[0]).toBe(updated);
+      expect(updated).toMatchObject({
+        id: 'fe1', type: 'Other', name: 'Gym', paymentMethod: 'Direct Debit', status: 'Pending',
+        amount: { value: 15, currency: 'USD' }, dueDate: '2025-05-01', recurrence: { frequency: 'custom', interval: 14 }
+      });
+      expect(updated.getNextDueDate()).toBe('2025-05-15');
+      expect(original.type).toBe('Streaming'); // The previous instance is left untouched
+    });
+
+    // Test case 38: Check that names and due dates can be cleared, and unknown IDs are rejected.
+    it('should clear fields set to null and reject unknown bills', async () => {
+      const manager = new BillManager();
+      manager.bills = [original];
+
+      const updated = await manager.updateBill({ id: 'fe1', type: 'Energy', name: null, dueDate: '', recurrence: 'none' });
+
+      expect(updated.name).toBeNull();
+      expect(updated.dueDate).toBeNull();
+      expect(updated.isRecurring()).toBe(false);
+      await expect(manager.updateBill({ id: 'missing', amount: 1 })).rejects.toThrow('Bill missing not found.');
+    });
+  });
+
+  // --- Tests for Stored Data Migrations ---
+  describe('Stored data schema', () => {
+    const legacyRecord = { id: 'm1', type: 'Energy', paymentMethod: 'Direct Debit', status: 'Paid', amount: { value: 40, currency: 'EUR' } };
+
+    // Test case 39: Check that a legacy bare array is migrated and saved back as a versioned envelope.
+    it('should migrate a legacy bare array and save it as the current envelope', async () => {
+      const manager = new BillManager();
+      manager.apiService.fetchBills.mockResolvedValue([legacyRecord]);
+
+      const [loaded] = await manager._loadBillsFromLocalStorage();
+      expect(loaded).toMatchObject({ id: 'm1', dueDate: null, recurrence: null });
+
+      manager.bills = [loaded];
+      await manager._saveBillsToLocalStorage();
+      const savedData = manager.apiService.saveBills.mock.calls[0][0];
+      expect(savedData.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+      expect(savedData.bills).toHaveLength(1);
+    });
+
+    // Test case 40: Check that malformed records are reported, hidden and kept in storage.
+    it('should report invalid records instead of turning them into bills', async () => {
+      const badRecord = { id: 'm2', type: 'Energy', amount: { value: 'lots', currency: 'EUR' }, dueDate: null, recurrence: null };
+      const manager = new BillManager();
+      manager.apiService.fetchBills.mockResolvedValue(BillSchema.createEnvelope([legacyRecord, badRecord]));
+
+      const loaded = await manager._loadBillsFromLocalStorage();
+
+      expect(loaded.map(bill => bill.id)).toEqual(['m1']);
+      expect(manager.invalidRecords).toEqual([{ index: 1, record: badRecord, errors: ["'amount.value' must be a finite number."] }]);
+
+      manager.bills = loaded;
+      await manager._saveBillsToLocalStorage();
+      expect(manager.apiService.saveBills.mock.calls[0][0].bills[1]).toBe(badRecord);
+    });
+
+    // Test case 41: Check that data from a newer app version is refused and never overwritten.
+    it('should refuse data from a newer schema version and block saves', async () => {
+      const manager = new BillManager();
+      manager.apiService.fetchBills.mockResolvedValue({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, bills: [] });
+
+      await expect(manager._loadBillsFromLocalStorage()).rejects.toThrow('only understands up to');
+      await expect(manager.addBill(new Bill({ id: 'm3', type: 'Energy' }))).rejects.toThrow('will not be overwritten');
+      expect(manager.apiService.saveBills).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- Tests for the Payment Ledger ---
+  describe('Payment ledger', () => {
+    let manager;
+    beforeEach(() => {
+      manager = new BillManager({ defaultExchangeRates: { USD: 2 } });
+      manager.bills = [new Bill({
+        id: 'p1', type: 'Energy', paymentMethod: 'Direct Debit', amount: 100, currency: 'EUR',
+        status: 'Unpaid', dueDate: '2025-03-15', recurrence: 'monthly'
+      })];
+    });
+
+    // Test case 42: Check that a partial payment is recorded and leaves the bill pending.
+    it('should record a partial payment and compute the outstanding balance', async () => {
+      const bill = await manager.recordPayment('p1', { amount: '40', date: '2025-03-10', reference: 'TX-1' });
+
+      expect(bill.payments).toEqual([expect.objectContaining({
+        date: '2025-03-10', amount: 40, currency: 'EUR', paymentMethod: 'Direct Debit', reference: 'TX-1', cycleDueDate: '2025-03-15'
+      })]);
+      expect(manager.getOutstandingBalance('p1')).toBe(60);
+      expect(bill.status).toBe('Pending');
+      expect(manager.apiService.saveBills.mock.calls[0][0].bills[0].payments).toHaveLength(1);
+    });
+
+    // Test case 43: Check that payments in other currencies are converted and complete the bill.
+    it('should convert foreign-currency payments and mark a fully paid bill as Paid', async () => {
+      await manager.recordPayment('p1', { amount: 40, date: '2025-03-10' });
+      const bill = await manager.recordPayment('p1', { amount: 120, currency: 'USD', date: '2025-03-12' });
+
+      expect(manager.getPaymentSummary(bill)).toEqual({ paid: 100, outstanding: 0, currency: 'EUR', unconverted: [] });
+      expect(bill.status).toBe('Paid');
+    });
+
+    // Test case 44: Check that past cycles stay in the ledger but do not count towards the new one.
+    it('should keep payments of earlier cycles as history after rolling forward', async () => {
+      await manager.recordPayment('p1', { amount: 100, date: '2025-03-10' });
+      const rolled = await manager.rollForwardBill('p1');
+
+      expect(rolled.payments).toHaveLength(1);
+      expect(rolled.getCurrentCyclePayments()).toEqual([]);
+      expect(manager.getOutstandingBalance('p1')).toBe(100);
+      expect(manager.deriveStatus(rolled)).toBe('Pending');
+    });
+
+    // Test case 45: Check that invalid payments are rejected and can be undone.
+    it('should reject invalid payments and undo recorded ones', async () => {
+      await expect(manager.recordPayment('p1', { amount: 0 })).rejects.toThrow('positive amount');
+      await expect(manager.recordPayment('p1', { amount: 5, date: '10/03/2025' })).rejects.toThrow('YYYY-MM-DD');
+      await expect(manager.recordPayment('nope', { amount: 5 })).rejects.toThrow('Bill nope not found.');
+
+      await manager.recordPayment('p1', { amount: 5, date: '2025-03-10' });
+      await manager.undo();
+      expect(manager.bills[0].payments).toEqual([]);
+      expect(manager.bills[0].status).toBe('Unpaid');
+    });
+  });
+
+  // --- Tests for Spending Analytics ---
+  describe('Spending analytics', () => {
+    let manager;
+    beforeEach(() => {
+      manager = new BillManager({ defaultExchangeRates: { USD: 2 } });
+      manager.bills = [
+        new Bill({ id: 'a1', type: 'Energy', paymentMethod: 'Direct Debit', amount: 100, currency: 'EUR', dueDate: '2025-02-10',
+          payments: [{ id: 'x', date: '2025-01-20', amount: 50, currency: 'EUR' }, { id: 'y', date: '2025-02-05', amount: 100, currency: 'USD' }] }),
+        new Bill({ id: 'a2', type: 'Energy', paymentMethod: 'Credit Card', amount: 40, currency: 'USD', dueDate: '2025-03-01' }),
+        new Bill({ id: 'a3', type: 'Streaming', name: 'Netflix', paymentMethod: 'Credit Card', amount: 15, currency: 'EUR' }),
+        new Bill({ id: 'a4', type: 'Other', paymentMethod: 'Credit Card', amount: 999, currency: 'JPY' }) // No rate: left out
+      ];
+    });
+
+    // Test case 46: Check the breakdowns by type, payment method and currency.
+    it('should group spending in the reporting currency, largest first', () => {
+      expect(manager.getSpendingByType()).toEqual([
+        { key: 'Energy', total: 120, count: 2 },
+        { key: 'Streaming', total: 15, count: 1 }
+      ]);
+      expect(manager.getSpendingByPaymentMethod()).toEqual([
+        { key: 'Direct Debit', total: 100, count: 1 },
+        { key: 'Credit Card', total: 35, count: 2 }
+      ]);
+      expect(manager.getSpendingByCurrency('USD')).toEqual([
+        { key: 'EUR', total: 230, count: 2 },
+        { key: 'USD', total: 40, count: 1 }
+      ]);
+    });
+
+    // Test case 47: Check the monthly trend of payments and due amounts.
+    it('should build a month-over-month trend from payments and due dates', () => {
+      const trend = manager.getMonthlyTrend({ months: 3, today: new Date(Date.UTC(2025, 2, 15)) });
+
+      expect(trend).toEqual([
+        { month: '2025-01', paid: 50, due: 0, change: null },
+        { month: '2025-02', paid: 50, due: 100, change: 0 },
+        { month: '2025-03', paid: 0, due: 20, change: -1 }
+      ]);
+    });
+
+    // Test case 48: Check the largest bills.
+    it('should list the largest convertible bills', () => {
+      expect(manager.getLargestBills(2).map(({ bill, amount }) => [bill.id, amount])).toEqual([['a1', 100], ['a2', 20]]);
+    });
+  });
+
+  // --- Tests for Compound Filtering ---
+  describe('Compound filtering', () => {
+    let manager;
+    const ids = () => manager.getDisplayBills().map(bill => bill.id);
+    beforeEach(() => {
+      manager = new BillManager({ defaultExchangeRates: { USD: 2 } });
+      manager.bills = [
+        new Bill({ id: 'f1', type: 'Internet', name: 'Fibre Net', paymentMethod: 'Direct Debit', amount: 40, currency: 'EUR', status: 'Unpaid' }),
+        new Bill({ id: 'f2', type: 'Streaming', name: 'Netflix', paymentMethod: 'Credit Card', amount: 30, currency: 'USD', status: 'Paid' }),
+        new Bill({ id: 'f3', type: 'Energy', paymentMethod: 'Credit Card', amount: 90, currency: 'EUR', status: 'Unpaid' }),
+        new Bill({ id: 'f4', type: 'Other', name: 'Gym', paymentMethod: 'Credit Card', amount: 500, currency: 'JPY', status: 'Unpaid' })
+      ];
+    });
+
+    // Test case 49: Check the case-insensitive search over names and types.
+    it('should search bill names and types without regard to case', () => {
+      manager.setFilters({ search: '  NET ' });
+      expect(ids()).toEqual(['f1', 'f2']);
+
+      manager.setFilters({ search: 'energy' });
+      expect(ids()).toEqual(['f3']);
+    });
+
+    // Test case 50: Check that every active filter has to match.
+    it('should combine the status, type, payment method and currency filters', () => {
+      manager.setFilter('Unpaid');
+      manager.setFilters({ paymentMethod: 'Credit Card' });
+      expect(ids()).toEqual(['f3', 'f4']);
+
+      manager.setFilters({ currency: 'EUR' });
+      expect(ids()).toEqual(['f3']);
+
+      manager.setFilters({ type: 'Internet' });
+      expect(ids()).toEqual([]);
+    });
+
+    // Test case 51: Check the amount range, compared in the reporting currency.
+    it('should filter by amount in the reporting currency and skip unconvertible bills', () => {
+      manager.setFilters({ minAmount: '15', maxAmount: '40' });
+      expect(ids()).toEqual(['f1', 'f2']); // The 30 USD bill counts as 15 EUR
+
+      manager.setFilters({ minAmount: '', maxAmount: '20' });
+      expect(manager.filters.minAmount).toBeNull();
+      expect(ids()).toEqual(['f2']);
+    });
+
+    // Test case 52: Check that the status buttons keep working and reset clears everything.
+    it('should keep currentFilter in sync and reset every filter', () => {
+      manager.currentFilter = 'Paid';
+      expect(manager.filters.status).toBe('Paid');
+      expect(manager.hasActiveFilters()).toBe(false);
+
+      manager.setFilters({ search: 'net' });
+      expect(manager.hasActiveFilters()).toBe(true);
+
+      manager.resetFilters();
+      expect(manager.currentFilter).toBe('All');
+      expect(manager.hasActiveFilters()).toBe(false);
+      expect(ids()).toEqual(['f1', 'f2', 'f3', 'f4']);
+    });
+  });
+
+  // --- Tests for Multi-key Sorting ---
+  describe('Multi-key sorting', () => {
+    let manager;
+    const ids = () => manager.getDisplayBills().map(bill => bill.id);
+    beforeEach(() => {
+      manager = new BillManager({
+        sortChoices: [
+          { value: 'default' },
+          { value: 'name-za' },
+          { value: 'status-amount', keys: [{ field: 'status' }, { field: 'amount', direction: 'desc' }] },
+          { value: 'due-date', keys: [{ field: 'dueDate', direction: 'desc' }] }
+        ]
+      });
+      manager.bills = [
+        new Bill({ id: 's1', name: 'beta', amount: 10, status: 'Unpaid', dueDate: '2025-03-01' }),
+        new Bill({ id: 's2', name: 'Alpha', amount: 10, status: 'Paid' }),
+        new Bill({ id: 's3', name: 'Gamma', amount: 30, status: 'Unpaid', dueDate: '2025-01-01' }),
+        new Bill({ id: 's4', name: 'Delta', amount: 20, status: 'Paid' }),
+        new Bill({ id: 's5', name: 'Epsilon', amount: 10, status: 'Unpaid' })
+      ];
+    });
+
+    // Test case 53: Check that later keys break ties of earlier ones.
+    it('should sort by status, then by amount descending', () => {
+      manager.setSort('status-amount');
+      expect(ids()).toEqual(['s4', 's2', 's3', 's1', 's5']);
+    });
+
+    // Test case 54: Check the descending name sort and the built-in keys of choices without keys.
+    it('should sort names Z-A without regard to case', () => {
+      manager.setSort('name-za');
+      expect(ids()).toEqual(['s3', 's5', 's4', 's1', 's2']);
+      expect(manager.sortKeys).toEqual([{ field: 'name', direction: 'desc' }]);
+    });
+
+    // Test case 55: Check that missing values go last and ties keep insertion order.
+    it('should put bills without a due date last, in insertion order', () => {
+      manager.setSort('due-date');
+      expect(ids()).toEqual(['s1', 's3', 's2', 's4', 's5']);
+
+      manager.setSort('default');
+      expect(ids()).toEqual(['s1', 's2', 's3', 's4', 's5']);
+    });
+
+    // Test case 56: Check that unknown choices and fields are rejected.
+    it('should reject unknown sort choices, fields and directions', () => {
+      expect(() => manager.setSort('size')).toThrow("Unknown sort choice 'size'.");
+      expect(manager.currentSort).toBe('default');
+      expect(() => new BillManager({ sortChoices: [{ value: 'x', keys: [{ field: 'colour' }] }] })).toThrow("Unknown sort field 'colour'.");
+      expect(() => BillManager.normalizeSortKeys([{ field: 'amount', direction: 'up' }])).toThrow("Sort direction must be 'asc' or 'desc'");
+    });
+
+    // Test case 57: Check that a saved view replaces the current one and tolerates stale sort choices.
+    it('should apply a view state and fall back to the default sort', () => {
+      manager.setFilters({ search: 'old' });
+      manager.applyViewState({ filters: { status: 'Unpaid', maxAmount: 10 }, sort: 'status-amount' });
+
+      expect(manager.getViewState()).toEqual({
+        filters: { status: 'Unpaid', search: '', type: '', paymentMethod: '', currency: '', minAmount: null, maxAmount: 10 },
+        sort: 'status-amount'
+      });
+      expect(ids()).toEqual(['s1', 's5']);
+
+      manager.applyViewState({ sort: 'removed-choice' });
+      expect(manager.getViewState().sort).toBe('default');
+      expect(manager.currentFilter).toBe('All');
+
+      manager.applyViewState(null);
+      expect(manager.hasActiveFilters()).toBe(false);
+    });
+  });
+
+  // --- Tests for Copying and Moving Bills Between Profiles ---
+  describe('Copying and moving bills between profiles', () => {
+    let source;
+    let target;
+    beforeEach(() => {
+      source = new BillManager();
+      target = new BillManager({ storageKey: 'myBills_profile_x', reportingCurrency: 'USD' });
+      source.bills = [
+        new Bill({ id: 't1', type: 'Energy', amount: 50, payments: [{ id: 'p', date: '2025-01-01', amount: 10, currency: 'EUR' }] }),
+        new Bill({ id: 't2', type: 'Water', amount: 20 })
+      ];
+      target.bills = [new Bill({ id: 't2', type: 'Rent', amount: 900 })];
+    });
+
+    // Test case 58: Check that copies land in the target with their payments, and clashing IDs are replaced.
+    it('should copy bills into another manager and keep the originals', async () => {
+      const copies = await source.copyBillsTo(['t1', 't2'], target);
+
+      expect(target.reportingCurrency).toBe('USD');
+      expect(target.bills.map(bill => bill.type)).toEqual(['Rent', 'Energy', 'Water']);
+      expect(copies[0].id).toBe('t1');
+      expect(copies[1].id).not.toBe('t2');
+      expect(copies[0].payments).toEqual(source.bills[0].payments);
+      expect(copies[0].payments).not.toBe(source.bills[0].payments);
+      expect(source.bills).toHaveLength(2);
+      expect(target.canUndo()).toBe(true);
+    });
+
+    // Test case 59: Check that moving removes the bills here and clears the undo history.
+    it('should move bills and clear the undo history of the source', async () => {
+      await source.addBill(new Bill({ id: 't3', type: 'Gas', amount: 5 }));
+      await source.moveBillsTo(['t1'], target);
+
+      expect(source.bills.map(bill => bill.id)).toEqual(['t2', 't3']);
+      expect(target.bills.map(bill => bill.id)).toEqual(['t2', 't1']);
+      expect(source.canUndo()).toBe(false);
+    });
+
+    // Test case 60: Check that unknown bills are rejected before anything is copied.
+    it('should reject unknown bill IDs without changing either manager', async () => {
+      await expect(source.copyBillsTo(['t1', 'nope'], target)).rejects.toThrow('Bill nope not found.');
+      expect(target.bills).toHaveLength(1);
+    });
+
+    // Test case 85: Check that a move keeps the bills here while the copies are only queued in the target.
+    it('should keep moved bills until the copies have reached storage', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      target.syncQueue.durable = false; // As for an encrypted profile: the queue is lost with the tab
+      target.apiService.saveBills.mockRejectedValue(Object.assign(new Error('Offline'), { retryable: true }));
+
+      await expect(source.moveBillsTo(['t1'], target)).rejects.toThrow('so they were kept here');
+      expect(source.bills.map(bill => bill.id)).toEqual(['t1', 't2']);
+      expect(target.bills.map(bill => bill.id)).toEqual(['t2']); // The copy was taken out again
+      expect(source.apiService.saveBills).not.toHaveBeenCalled();
+
+      target.apiService.saveBills.mockResolvedValue();
+      await source.moveBillsTo(['t1'], target);
+      expect(source.bills.map(bill => bill.id)).toEqual(['t2']);
+      expect(target.bills.map(bill => bill.id)).toEqual(['t2', 't1']);
+      expect(target.syncQueue.hasPending()).toBe(false);
+      console.warn.mockRestore();
+    });
+  });
+
+  // --- Tests for Change Subscriptions ---
+  describe('Change subscriptions', () => {
+    let manager;
+    let events;
+    beforeEach(() => {
+      manager = new BillManager();
+      events = [];
+      manager.subscribe(Object.values(CHANGE_EVENTS), event => events.push(event));
+    });
+
+    // Test case 61: Check that each kind of change emits its own event type.
+    it('should emit typed events for filter, sort and loading changes', () => {
+      manager.setFilter('Paid');
+      manager.setFilters({ search: 'net' });
+      manager.resetFilters();
+      manager.setSort('name-az');
+      manager.setLoading(true);
+
+      expect(events).toEqual([
+        { type: 'filter' },
+        { type: 'filter' },
+        { type: 'filter' },
+        { type: 'sort' },
+        { type: 'loading', isLoading: true }
+      ]);
+    });
+
+    // Test case 62: Check that a failed save notifies subscribers of the change and of its rollback.
+    it('should emit when a bill change is applied and again when it is reverted', async () => {
+      const seen = [];
+      manager.subscribe(CHANGE_EVENTS.BILLS, () => seen.push(manager.bills.length));
+      manager.apiService.saveBills.mockRejectedValueOnce(new Error('Quota exceeded'));
+
+      await expect(manager.addBill(new Bill({ id: 'e1', type: 'Energy', amount: 5 }))).rejects.toThrow('could not be saved');
+
+      expect(seen).toEqual([1, 0]);
+      expect(events.map(({ type }) => type)).toEqual(['bills', 'bills']);
+    });
+
+    // Test case 63: Check that settings changes, applied views and unsubscribing behave as expected.
+    it('should emit settings events, one event per part of an applied view, and stop after unsubscribing', async () => {
+      const listener = jest.fn();
+      const unsubscribe = manager.subscribe('settings', listener);
+
+      await manager.setReportingCurrency('USD');
+      manager.applyViewState({ filters: { status: 'Unpaid' }, sort: 'amount-low-high' });
+      unsubscribe();
+      await manager.setExchangeRates({ USD: 1.1 });
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(events.map(({ type }) => type)).toEqual(['settings', 'filter', 'sort', 'settings']);
+    });
+
+    // Test case 64: Check that unknown event types are rejected and a failing listener does not break others.
+    it('should reject unknown event types and isolate failing listeners', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(() => manager.subscribe(['bills', 'nope'], jest.fn())).toThrow("Unknown change event 'nope'.");
+
+      manager.subscribe('sort', () => { throw new Error('broken view'); });
+      expect(() => manager.setSort('name-za')).not.toThrow();
+      expect(events).toEqual([{ type: 'sort' }]);
+      console.error.mockRestore();
+    });
+  });
+
+  // --- Tests for Selection and Bulk Actions ---
+  describe('Selection and bulk actions', () => {
+    let manager;
+    beforeEach(() => {
+      manager = new BillManager();
+      manager.bills = [
+        new Bill({ id: 'b1', type: 'Energy', amount: 50, status: 'Unpaid', paymentMethod: 'Cash' }),
+        new Bill({ id: 'b2', type: 'Water', amount: 20, status: 'Paid', paymentMethod: 'Cash' }),
+        new Bill({ id: 'b3', type: 'Gas', amount: 30, status: 'Unpaid', paymentMethod: 'Cash' })
+      ];
+    });
+
+    // Test case 65: Check that select-all covers the current view only, and hidden bills are left out of bulk actions.
+    it('should select the displayed bills and only act on selected bills that are displayed', () => {
+      manager.setFilter('Unpaid');
+      manager.selectDisplayed();
+      expect([...manager.selectedIds]).toEqual(['b1', 'b3']);
+
+      manager.setSelected('b3', false);
+      manager.setFilter('All');
+      manager.setSelected('b2');
+      manager.setFilter('Paid');
+
+      expect(manager.getSelectedBills().map(bill => bill.id)).toEqual(['b2']);
+      manager.clearSelection();
+      expect(manager.selectedIds.size).toBe(0);
+    });
+
+    // Test case 66: Check that a bulk update changes every bill with a single save and one undo step.
+    it('should update several bills in a single save', async () => {
+      const updated = await manager.updateBills(['b1', 'b3'], { status: 'Paid', paymentMethod: 'Credit Card' });
+
+      expect(manager.apiService.saveBills).toHaveBeenCalledTimes(1);
+      expect(updated.map(bill => bill.id)).toEqual(['b1', 'b3']);
+      expect(manager.bills.map(bill => `${bill.status}/${bill.paymentMethod}`)).toEqual(['Paid/Credit Card', 'Paid/Cash', 'Paid/Credit Card']);
+      expect(manager.undoStack).toHaveLength(1);
+
+      await manager.undo();
+      expect(manager.bills.map(bill => bill.status)).toEqual(['Unpaid', 'Paid', 'Unpaid']);
+    });
+
+    // Test case 67: Check that a bulk delete saves once and removes the bills from the selection.
+    it('should delete several bills in a single save and deselect them', async () => {
+      manager.selectDisplayed();
+      await manager.deleteBills(['b1', 'b2']);
+
+      expect(manager.apiService.saveBills).toHaveBeenCalledTimes(1);
+      expect(manager.bills.map(bill => bill.id)).toEqual(['b3']);
+      expect([...manager.selectedIds]).toEqual(['b3']);
+    });
+
+    // Test case 68: Check that an unknown ID aborts the whole bulk action.
+    it('should reject a bulk action naming an unknown bill without changing anything', async () => {
+      await expect(manager.updateBills(['b1', 'nope'], { status: 'Paid' })).rejects.toThrow('Bill nope not found.');
+      await expect(manager.deleteBills(['nope'])).rejects.toThrow('Bill nope not found.');
+
+      expect(manager.apiService.saveBills).not.toHaveBeenCalled();
+      expect(manager.bills.map(bill => bill.status)).toEqual(['Unpaid', 'Paid', 'Unpaid']);
+    });
+  });
+
+  // --- Tests for User-Defined Categories ---
+  describe('User-defined categories', () => {
+    let manager;
+    beforeEach(() => {
+      manager = new BillManager({ defaultCategories: { billTypes: ['Energy', 'Other'], paymentMethods: ['Cash'] } });
+      manager.bills = [
+        new Bill({ id: 'b1', type: 'Gym', amount: 30, paymentMethod: 'Wallet', payments: [{ id: 'p1', date: '2024-05-01', amount: 10, currency: 'EUR', paymentMethod: 'Wallet' }] }),
+        new Bill({ id: 'b2', type: 'Energy', amount: 50, paymentMethod: 'Cash' })
+      ];
+      manager.categories = {
+        billTypes: [{ name: 'Gym', color: '#ff0000', retired: false }],
+        paymentMethods: [{ name: 'Wallet', color: null, retired: false }]
+      };
+    });
+
+    // Test case 69: Check that a category is added, saved with the bills, and announced.
+    it('should add a category and save it in the bills envelope', async () => {
+      const events = [];
+      manager.subscribe(CHANGE_EVENTS.CATEGORIES, () => events.push('categories'));
+
+      const added = await manager.addCategory('billTypes', { name: '  Insurance ', color: '#00AA00' });
+
+      expect(added).toEqual({ name: 'Insurance', color: '#00AA00', retired: false });
+      expect(events).toEqual(['categories']);
+      const [envelope] = manager.apiService.saveBills.mock.calls[0];
+      expect(envelope.categories.billTypes.map(category => category.name)).toEqual(['Gym', 'Insurance']);
+      expect(manager.undoStack).toHaveLength(0);
+    });
+
+    // Test case 70: Check that empty, duplicate (including configured names, ignoring case) and badly coloured categories are rejected.
+    it('should reject invalid category names, kinds and colours', async () => {
+      await expect(manager.addCategory('billTypes', { name: ' ' })).rejects.toThrow('A category needs a name.');
+      await expect(manager.addCategory('billTypes', { name: 'energy' })).rejects.toThrow('"energy" already exists.');
+      await expect(manager.addCategory('billTypes', { name: 'GYM' })).rejects.toThrow('"GYM" already exists.');
+      await expect(manager.addCategory('statuses', { name: 'Late' })).rejects.toThrow("Unknown category kind 'statuses'.");
+      await expect(manager.addCategory('billTypes', { name: 'Rent', color: 'red' })).rejects.toThrow('Colour "red" must be a #rrggbb value.');
+      await expect(manager.renameCategory('billTypes', 'Energy', 'Power')).rejects.toThrow('Category "Energy" not found.');
+
+      expect(manager.apiService.saveBills).not.toHaveBeenCalled();
+    });
+
+    // Test case 71: Check that a rename cascades to bills and payments in one save and clears the undo history.
+    it('should rename a payment method on bills and their payments in a single save', async () => {
+      await manager.updateBills(['b2'], { status: 'Paid' });
+      manager.apiService.saveBills.mockClear();
+
+      await manager.renameCategory('paymentMethods', 'Wallet', 'Mobile Wallet');
+
+      expect(manager.apiService.saveBills).toHaveBeenCalledTimes(1);
+      expect(manager.categories.paymentMethods[0].name).toBe('Mobile Wallet');
+      expect(manager.bills[0].paymentMethod).toBe('Mobile Wallet');
+      expect(manager.bills[0].payments[0].paymentMethod).toBe('Mobile Wallet');
+      expect(manager.bills[1].paymentMethod).toBe('Cash');
+      expect(manager.canUndo()).toBe(false);
+
+      await manager.renameCategory('billTypes', 'Gym', 'gym');
+      expect(manager.bills[0].type).toBe('gym');
+    });
+
+    // Test case 72: Check recolouring and retiring, and that a failed save reverts both the category and the bills.
+    it('should recolour and retire categories and revert a rename that cannot be saved', async () => {
+      await manager.setCategoryColor('billTypes', 'Gym', '#0000ff');
+      await manager.setCategoryRetired('billTypes', 'Gym');
+      expect(manager.categories.billTypes[0]).toEqual({ name: 'Gym', color: '#0000ff', retired: true });
+      expect(manager.getCategoryColor('billTypes', 'Gym')).toBe('#0000ff');
+      expect(manager.getCategoryColor('billTypes', 'Energy')).toBeNull();
+
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      manager.apiService.saveBills.mockRejectedValueOnce(new Error('Disk full'));
+      await expect(manager.renameCategory('billTypes', 'Gym', 'Fitness')).rejects.toThrow('could not be saved');
+      console.error.mockRestore();
+
+      expect(manager.categories.billTypes[0].name).toBe('Gym');
+      expect(manager.bills[0].type).toBe('Gym');
+    });
+  });
+
+  // --- Tests for Attachments and Backups ---
+  describe('Attachments and backups', () => {
+    const RECEIPT = { name: 'receipt.png', type: 'image/png', data: btoa('png bytes') };
+    let manager;
+    beforeEach(() => {
+      manager = new BillManager({ attachmentStore: new AttachmentStore({ adapter: new MemoryStorageAdapter() }) });
+      manager.bills = [
+        new Bill({ id: 'b1', type: 'Energy', amount: 50 }),
+        new Bill({ id: 'b2', type: 'Water', amount: 20 })
+      ];
+    });
+
+    // Test case 73: Check that attachments are added to existing bills only and announced.
+    it('should attach files to a bill and emit an attachments event', async () => {
+      const events = [];
+      manager.subscribe(CHANGE_EVENTS.ATTACHMENTS, event => events.push(event));
+
+      const attachment = await manager.addAttachment('b1', RECEIPT);
+
+      expect(manager.getAttachments('b1')).toEqual([attachment]);
+      expect(await manager.getAttachmentData(attachment.id)).toBe(RECEIPT.data);
+      expect(events).toEqual([{ type: 'attachments', billId: 'b1' }]);
+      await expect(manager.addAttachment('nope', RECEIPT)).rejects.toThrow('Bill nope not found.');
+      const withoutStore = new BillManager();
+      withoutStore.bills = [new Bill({ id: 'b1', type: 'Energy', amount: 50 })];
+      expect(withoutStore.getAttachments('b1')).toEqual([]);
+      await expect(withoutStore.addAttachment('b1', RECEIPT)).rejects.toThrow('Attachments are not available.');
+    });
+
+    // Test case 74: Check that deleting a bill removes its attachments, and undoing the deletion brings them back.
+    it('should remove the attachments of a deleted bill and restore them on undo', async () => {
+      const attachment = await manager.addAttachment('b1', RECEIPT);
+
+      await manager.deleteBill('b1');
+      expect(manager.getAttachments('b1')).toEqual([]);
+      expect(await manager.getAttachmentData(attachment.id)).toBeNull();
+
+      await manager.undo();
+      expect(manager.getAttachments('b1')).toEqual([attachment]);
+      expect(await manager.getAttachmentData(attachment.id)).toBe(RECEIPT.data);
+    });
+
+    // Test case 75: Check that copying a bill to another profile copies its attachments.
+    it('should copy attachments along with bills to another profile', async () => {
+      await manager.addAttachment('b1', RECEIPT);
+      const target = new BillManager({ storageKey: 'other', attachmentStore: new AttachmentStore({ adapter: new MemoryStorageAdapter() }) });
+
+      const [copy] = await manager.copyBillsTo(['b1'], target);
+
+      const [copied] = target.getAttachments(copy.id);
+      expect(copied.name).toBe('receipt.png');
+      expect(await target.getAttachmentData(copied.id)).toBe(RECEIPT.data);
+    });
+
+    // Test case 76: Check that a backup holds bills, settings and attachments, and restores them all.
+    it('should export a backup with attachments and restore it', async () => {
+      await manager.addAttachment('b2', RECEIPT);
+      await manager.setExchangeRates({ USD: 1.2 });
+      const backup = JSON.parse(JSON.stringify(await manager.exportBackup()));
+
+      expect(backup.bills.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+      expect(backup.attachments.b2[0]).toMatchObject({ name: 'receipt.png', data: RECEIPT.data });
+
+      await manager.deleteBill('b2');
+      await manager.addAttachment('b1', RECEIPT);
+      await manager.setExchangeRates({ USD: 2 });
+      await manager.restoreBackup(backup);
+
+      expect(manager.bills.map(bill => bill.id)).toEqual(['b1', 'b2']);
+      expect(manager.exchangeRates.USD).toBe(1.2);
+      expect(manager.getAttachments('b1')).toEqual([]);
+      expect(manager.getAttachments('b2')).toHaveLength(1);
+      expect(manager.canUndo()).toBe(false);
+      await expect(manager.restoreBackup({ bills: [] })).rejects.toThrow('This file is not a Bill Calculator Pro backup.');
+    });
+  });
+
+  // --- Tests for Notes and the Change Log ---
+  describe('Notes and change log', () => {
+    let manager;
+    beforeEach(() => {
+      manager = new BillManager();
+      manager.bills = [new Bill({ id: 'c1', type: 'Streaming', name: 'Netflix', amount: 15, dueDate: '2025-06-01', recurrence: 'monthly' })];
+    });
+
+    // Test case 77: Check that an edit logs each changed field, notes included, and nothing for unchanged ones.
+    it('should log every changed field of an edit and save notes', async () => {
+      const updated = await manager.updateBill({ id: 'c1', amount: 17.99, status: 'Pending', notes: 'Family plan' });
+
+      expect(updated).toBe(manager.bills[0]);
+      expect(updated.notes).toBe('Family plan');
+      expect(updated.changeLog).toEqual([
+        { at: expect.any(String), action: 'Editing "Netflix"', field: 'amount', oldValue: 15, newValue: 17.99 },
+        { at: expect.any(String), action: 'Editing "Netflix"', field: 'notes', oldValue: null, newValue: 'Family plan' }
+      ]);
+      const saved = manager.apiService.saveBills.mock.calls[0][0].bills[0];
+      expect(saved.notes).toBe('Family plan');
+      expect(saved.changeLog).toHaveLength(2);
+    });
+
+    // Test case 78: Check that payments, roll-forwards and category renames are logged too.
+    it('should log payments, roll-forwards and renames', async () => {
+      await manager.recordPayment('c1', { amount: 15, date: '2025-05-30', reference: 'R1' });
+      await manager.rollForwardBill('c1');
+
+      const fields = manager.bills[0].changeLog.map(({ action, field, oldValue, newValue }) => [action, field, oldValue, newValue]);
+      expect(fields).toEqual([
+        ['Recording a payment for "Netflix"', 'status', 'Pending', 'Paid'],
+        ['Recording a payment for "Netflix"', 'payments', null, '15 EUR on 2025-05-30 (R1)'],
+        ['Starting the next cycle of "Netflix"', 'status', 'Paid', 'Pending'],
+        ['Starting the next cycle of "Netflix"', 'dueDate', '2025-06-01', '2025-07-01']
+      ]);
+    });
+
+    // Test case 79: Check that undo appends the reverse change instead of dropping entries, and restores keep backup logs.
+    it('should keep the change log append-only through undo and redo', async () => {
+      await manager.updateBill({ id: 'c1', amount: 20 });
+      await manager.undo();
+      await manager.redo();
+
+      expect(manager.bills[0].changeLog.map(({ action, oldValue, newValue }) => [action, oldValue, newValue])).toEqual([
+        ['Editing "Netflix"', 15, 20],
+        ['Undoing Editing "Netflix"', 20, 15],
+        ['Redoing Editing "Netflix"', 15, 20]
+      ]);
+
+      const backup = await manager.exportBackup();
+      await manager.deleteBill('c1');
+      await manager.restoreBackup(backup);
+      expect(manager.bills[0].changeLog).toHaveLength(3);
+    });
+
+    // Test case 88: Check that a deleted bill's history is kept and stored, and carried on if the bill is brought back.
+    it('should keep the change log of a deleted bill', async () => {
+      await manager.updateBill({ id: 'c1', amount: 20 });
+      await manager.deleteBill('c1');
+
+      const readHistory = changeLog => changeLog.map(({ action, field }) => [action, field]);
+      expect(manager.deletedBills).toEqual([{ id: 'c1', type: 'Streaming', name: 'Netflix', changeLog: expect.any(Array) }]);
+      expect(readHistory(manager.deletedBills[0].changeLog)).toEqual([['Editing "Netflix"', 'amount'], ['Deleting "Netflix"', null]]);
+
+      // The history is stored with the bills, so another session can still read it.
+      const savedData = manager.apiService.saveBills.mock.calls[1][0];
+      const secondSession = new BillManager();
+      secondSession.apiService.fetchBills.mockResolvedValue(savedData);
+      await secondSession._loadBillsFromLocalStorage();
+      expect(secondSession.deletedBills).toEqual(manager.deletedBills);
+
+      await manager.undo();
+      expect(manager.deletedBills).toEqual([]);
+      expect(readHistory(manager.bills[0].changeLog)).toEqual([
+        ['Editing "Netflix"', 'amount'],
+        ['Deleting "Netflix"', null],
+        ['Undoing Deleting "Netflix"', null]
+      ]);
+    });
+  });
+
+  // --- Tests for Sync Between Tabs ---
+  describe('Sync between tabs', () => {
+    let manager;
+    let tabSync;
+    beforeEach(() => {
+      tabSync = { notify: jest.fn() };
+      manager = new BillManager({ tabSync });
+      manager.bills = [
+        new Bill({ id: 't1', type: 'Energy', amount: 50 }),
+        new Bill({ id: 't2', type: 'Water', amount: 20 }),
+        new Bill({ id: 't3', type: 'Broadband', amount: 30 })
+      ];
+    });
+
+    // Test case 80: Check that other tabs are told about saves, and not about failed ones.
+    it('should notify other tabs after every successful save', async () => {
+      await manager.updateBill({ id: 't1', amount: 55 });
+      await manager.setReportingCurrency('USD');
+      manager.apiService.saveBills.mockRejectedValueOnce(new Error('Quota exceeded'));
+      await manager.deleteBill('t2').catch(() => {});
+
+      expect(tabSync.notify.mock.calls).toEqual([['bills'], ['settings']]);
+    });
+
+    // Test case 81: Check that a reload reports changed and removed bills, keeps the view and clears the undo history.
+    it('should reload changes saved elsewhere and report them', async () => {
+      await manager.updateBill({ id: 't3', amount: 35 });
+      manager.setFilter('Pending');
+      manager.setSelected('t1');
+      manager.setSelected('t2');
+      const stored = manager.apiService.saveBills.mock.calls[0][0];
+      manager.apiService.fetchBills.mockResolvedValue({
+        ...stored,
+        bills: [{ ...stored.bills[0], amount: { value: 60, currency: 'EUR' } }, stored.bills[2]]
+      });
+      const events = [];
+      manager.subscribe([CHANGE_EVENTS.BILLS, CHANGE_EVENTS.SELECTION], event => events.push(event.type));
+
+      await expect(manager.reload()).resolves.toEqual({ changedIds: ['t1'], removedIds: ['t2'] });
+
+      expect(manager.bills.map(bill => bill.amount.value)).toEqual([60, 35]);
+      expect(manager.currentFilter).toBe('Pending');
+      expect([...manager.selectedIds]).toEqual(['t1']);
+      expect(manager.canUndo()).toBe(false);
+      expect(events).toEqual(['bills', 'selection']);
+    });
+
+    // Test case 86: Check that a change queued in one tab reaches the others, which build on it.
+    it('should notify other tabs about queued changes and reload them from the queue', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const otherTab = new BillManager();
+      otherTab.bills = [...manager.bills];
+      manager.apiService.saveBills.mockRejectedValue(Object.assign(new Error('Offline'), { retryable: true }));
+      await manager.updateBill({ id: 't1', amount: 55 });
+      expect(tabSync.notify).toHaveBeenCalledWith('bills');
+
+      await otherTab.reload();
+      expect(otherTab.bills.map(bill => bill.amount.value)).toEqual([55, 20, 30]);
+
+      otherTab.apiService.saveBills.mockRejectedValue(Object.assign(new Error('Offline'), { retryable: true }));
+      await otherTab.deleteBill('t2');
+      manager.syncQueue.refresh(); // What the storage event does in the first tab
+      expect(manager.syncQueue.getPendingCount()).toBe(2);
+      expect(manager.syncQueue.getPendingValue('bills').bills.map(({ id, amount }) => [id, amount.value])).toEqual([['t1', 55], ['t3', 30]]);
+      console.warn.mockRestore();
+    });
+  });
+
+  // --- Tests for Revisions and Conflicts ---
+  describe('Revisions and conflicts', () => {
+    const record = (id, value) => ({ id, type: 'Energy', name: id, amount: { value, currency: 'EUR' } });
+    const storedAt = (revision, records) => BillSchema.createEnvelope(records, undefined, revision);
+    let manager;
+    beforeEach(async () => {
+      manager = new BillManager();
+      manager.apiService.fetchBills.mockResolvedValue(storedAt(3, [record('r1', 10), record('r2', 20)]));
+      await manager.initialize();
+    });
+
+    // Test case 82: Check that every save carries the revision it was based on.
+    it('should save each change based on the revision before it', async () => {
+      await manager.updateBill({ id: 'r1', amount: 11 });
+      await manager.updateBill({ id: 'r2', amount: 21 });
+
+      const revisions = manager.apiService.saveBills.mock.calls.map(([envelope, { baseRevision }]) => [envelope.revision, baseRevision]);
+      expect(revisions).toEqual([[4, 3], [5, 4]]);
+      expect(manager.revision).toBe(5);
+    });
+
+    // Test case 83: Check that changes made elsewhere to other bills are merged in rather than overwritten.
+    it('should merge in changes made elsewhere to other bills', async () => {
+      manager.apiService.saveBills.mockRejectedValueOnce(StorageAdapter.createRevisionConflict('bills', 4));
+      manager.apiService.fetchBills.mockResolvedValue(storedAt(4, [record('r1', 10), record('r2', 25), record('r3', 30)]));
+
+      await manager.updateBill({ id: 'r1', amount: 11 });
+
+      const [envelope, options] = manager.apiService.saveBills.mock.calls[1];
+      expect(options).toEqual({ baseRevision: 4 });
+      expect(envelope.bills.map(bill => bill.amount.value)).toEqual([11, 25, 30]);
+      expect(manager.bills.map(bill => bill.amount.value)).toEqual([11, 25, 30]);
+      expect(manager.conflict).toBeNull();
+      expect(manager.revision).toBe(5);
+      expect(manager.canUndo()).toBe(false);
+    });
+
+    // Test case 84: Check that a bill changed on both sides waits for the user to pick a version.
+    it('should surface bills changed on both sides and save the version picked', async () => {
+      manager.apiService.saveBills.mockRejectedValueOnce(StorageAdapter.createRevisionConflict('bills', 4));
+      manager.apiService.fetchBills.mockResolvedValue(storedAt(4, [record('r1', 15)])); // r2 was deleted there
+      const conflicts = [];
+      manager.subscribe(CHANGE_EVENTS.CONFLICT, () => conflicts.push(manager.conflict && manager.conflict.bills.map(({ id }) => id)));
+
+      await manager.updateBill({ id: 'r1', amount: 11 });
+
+      expect(manager.apiService.saveBills).toHaveBeenCalledTimes(1);
+      expect(manager.bills.map(bill => bill.amount.value)).toEqual([11, 20]); // The unsaved change is kept meanwhile
+      expect(manager.conflict.bills).toEqual([{ id: 'r1', mine: manager.bills[0], theirs: expect.objectContaining({ amount: { value: 15, currency: 'EUR' } }) }]);
+      expect(manager.canUndo()).toBe(false); // Nothing was saved to undo
+      await expect(manager.resolveConflict({})).rejects.toThrow('Choose which version to keep of "r1"');
+
+      await manager.resolveConflict({ r1: 'theirs' });
+
+      expect(manager.apiService.saveBills.mock.calls[1][1]).toEqual({ baseRevision: 4 });
+      expect(manager.bills.map(bill => bill.amount.value)).toEqual([15]);
+      expect(manager.conflict).toBeNull();
+      expect(conflicts).toEqual([['r1'], null]);
+    });
+
+    // Test case 89: Check that a queued change that meets a conflict stays queued, and other tabs are not told, until it is resolved.
+    it('should keep a queued change queued while it conflicts', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      manager.tabSync = { notify: jest.fn() };
+      manager.apiService.saveBills.mockRejectedValueOnce(Object.assign(new Error('Offline'), { retryable: true }));
+      await manager.updateBill({ id: 'r1', amount: 11 });
+      manager.tabSync.notify.mockClear();
+
+      manager.apiService.saveBills.mockRejectedValueOnce(StorageAdapter.createRevisionConflict('bills', 4));
+      manager.apiService.fetchBills.mockResolvedValue(storedAt(4, [record('r1', 15), record('r2', 20)]));
+      const counts = [];
+      manager.syncQueue.subscribe(count => counts.push(count));
+
+      await expect(manager.syncQueue.flush()).resolves.toBe(false);
+      expect(manager.conflict.bills.map(({ id }) => id)).toEqual(['r1']);
+      expect(manager.syncQueue.getPendingCount()).toBe(1);
+      expect(manager.syncQueue.getPendingValue('bills').bills[0].amount.value).toBe(11);
+      expect(counts).not.toContain(0);
+      expect(manager.tabSync.notify).not.toHaveBeenCalled();
+
+      // Flushing again does not try to save until the user has chosen.
+      await manager.syncQueue.flush();
+      expect(manager.apiService.saveBills).toHaveBeenCalledTimes(2);
+
+      await manager.resolveConflict({ r1: 'mine' });
+      await manager.syncQueue.flush();
+      expect(manager.apiService.saveBills.mock.calls[2][1]).toEqual({ baseRevision: 4 });
+      expect(manager.syncQueue.hasPending()).toBe(false);
+      expect(counts[counts.length - 1]).toBe(0);
+      console.warn.mockRestore();
+    });
+  });
 });
@@ -0,0 +1,362 @@
+import { RECURRENCE_STEPS } from "./Bill.js";
+
+/**
+ * The schema version written with every save. Bump it whenever the shape of a stored
+ * bill changes, and register a migration from the previous version in MIGRATIONS.
+ */
+export const CURRENT_SCHEMA_VERSION = 7;
+
+/**
+ * The version assumed for data saved before the storage envelope existed: a bare array of bills.
+ */
+export const LEGACY_SCHEMA_VERSION = 1;
+
+/**
+ * Upgrades stored bills one version at a time. The function registered under version N
+ * receives a single bill record of version N and returns it in the shape of version N + 1.
+ * Records that are not objects are never passed in; they are left for validation to report.
+ */
+export const MIGRATIONS = {
+  // v1 -> v2: bills saved before due dates and recurrence existed get explicit empty values.
+  1: bill => ({
+    ...bill,
+    dueDate: bill.dueDate ?? null,
+    recurrence: bill.recurrence ?? null
+  }),
+  // v2 -> v3: bills get an empty payment ledger. Their status is kept as it was.
+  2: bill => ({
+    ...bill,
+    payments: bill.payments ?? []
+  }),
+  // v3 -> v4: bills are unchanged. The envelope gained `categories` (the user's own bill types and
+  // payment methods); the bump keeps older versions, which would drop them on save, from overwriting it.
+  3: bill => bill,
+  // v4 -> v5: bills are unchanged; the new `notes` and `changeLog` are optional. The bump keeps older versions,
+  // which would drop both on save, from overwriting them.
+  4: bill => bill,
+  // v5 -> v6: bills are unchanged. The envelope gained `revision`, which makes saves based on an outdated
+  // revision fail; the bump keeps older versions, which would save without checking it, from overwriting newer data.
+  5: bill => bill,
+  // v6 -> v7: bills are unchanged. The envelope gained `deletedBills`, the change logs of deleted bills; the bump
+  // keeps older versions, which would drop them on save, from overwriting them.
+  6: bill => bill
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * @class BillSchema
+ * @description Reads and writes the versioned storage envelope for bills:
+ * `{ schemaVersion, revision, bills, categories, deletedBills }`. Loading migrates older data (including the legacy bare
+ * array) up to CURRENT_SCHEMA_VERSION and validates every record, so malformed entries
+ * are reported instead of being silently turned into bills with default values.
+ */
+export default class BillSchema {
+  /**
+   * Wraps plain bill records in the current storage envelope.
+   * @param {Array<object>} bills - The plain bill records to save.
+   * @param {{billTypes: Array<object>, paymentMethods: Array<object>}} [categories] - The user's own bill types
+   * and payment methods, saved with the bills so a rename and the bills it renames are written together.
+   * @param {number} [revision] - Counts the saves of the bills: each save is stored at the revision it was based on,
+   * plus one. Omitted for envelopes that are not stored as they are, e.g. in a backup.
+   * @param {Array<{id: string, type: string, name: string|null, changeLog: Array<object>}>} [deletedBills] - The change
+   * logs of deleted bills, so their history outlives them. Left out when there are none.
+   * @returns {{schemaVersion: number, revision?: number, bills: Array<object>, categories?: object,
+   * deletedBills?: Array<object>}} The envelope.
+   */
+  static createEnvelope(bills, categories, revision, deletedBills) {
+    return {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      ...(revision === undefined ? {} : { revision }),
+      bills,
+      ...(categories ? { categories } : {}),
+      ...(deletedBills?.length ? { deletedBills } : {})
+    };
+  }
+
+  /**
+   * Reads the revision of stored bill data.
+   * @param {*} stored - What storage returned.
+   * @returns {number} The revision; 0 for data saved without one, including the legacy bare array and empty storage.
+   */
+  static readRevision(stored) {
+    return Number.isInteger(stored?.revision) && stored.revision > 0 ? stored.revision : 0;
+  }
+
+  /**
+   * Reads the user's categories from a stored envelope. Malformed entries are dropped rather than
+   * reported: a category is only a name on a list, while the bills using it keep the name themselves.
+   * @param {*} stored - The `categories` of a stored envelope (missing before schema version 4).
+   * @returns {{billTypes: Array<{name: string, color: string|null, retired: boolean}>,
+   * paymentMethods: Array<{name: string, color: string|null, retired: boolean}>}} The categories.
+   */
+  static parseCategories(stored) {
+    const readList = list => (Array.isArray(list) ? list : [])
+      .filter(entry => isObject(entry) && typeof entry.name === 'string' && entry.name.trim() !== '')
+      .map(({ name, color, retired }) => ({
+        name,
+        color: typeof color === 'string' && HEX_COLOR.test(color) ? color : null,
+        retired: retired === true
+      }));
+
+    return {
+      billTypes: readList(stored?.billTypes),
+      paymentMethods: readList(stored?.paymentMethods)
+    };
+  }
+
+  /**
+   * Reads the change logs of deleted bills from a stored envelope. Malformed entries are dropped rather than
+   * reported, like categories: there is no bill left to fix them on. Entries of a kept log are validated
+   * as those of a bill are (see `validateChangeLogEntry`).
+   * @param {*} stored - The `deletedBills` of a stored envelope (missing before schema version 7).
+   * @returns {Array<{id: string, type: string, name: string|null, changeLog: Array<object>}>} The deleted bills.
+   */
+  static parseDeletedBills(stored) {
+    return (Array.isArray(stored) ? stored : [])
+      .filter(entry => isObject(entry) && typeof entry.id === 'string' && entry.id !== '' && Array.isArray(entry.changeLog)
+        && entry.changeLog.every(change => BillSchema.validateChangeLogEntry(change).length === 0))
+      .map(({ id, type, name, changeLog }) => ({
+        id,
+        type: typeof type === 'string' ? type : '',
+        name: typeof name === 'string' ? name : null,
+        changeLog
+      }));
+  }
+
+  /**
+   * Brings stored data up to the current schema version.
+   * @param {Array<object>|{schemaVersion: number, bills: Array<object>}|null} stored - What storage returned.
+   * @returns {{schemaVersion: number, bills: Array<*>, migratedFrom: number|null}} The current envelope, and the
+   * version it was upgraded from (null if it was already current or storage was empty).
+   * @throws {Error} If the data is not an envelope or array, was written by a newer version of the app,
+   * or a required migration is missing.
+   */
+  static migrate(stored) {
+    if (stored === null || stored === undefined) {
+      return { schemaVersion: CURRENT_SCHEMA_VERSION, bills: [], migratedFrom: null };
+    }
+
+    const envelope = Array.isArray(stored)
+      ? { schemaVersion: LEGACY_SCHEMA_VERSION, bills: stored }
+      : stored;
+
+    if (!Number.isInteger(envelope.schemaVersion) || !Array.isArray(envelope.bills)) {
+      throw new Error('Stored bill data is not in a recognized format.');
+    }
+    if (envelope.schemaVersion > CURRENT_SCHEMA_VERSION) {
+      throw new Error(`Stored bills use schema version ${envelope.schemaVersion}, but this version of the app only understands up to ${CURRENT_SCHEMA_VERSION}.`);
+    }
+
+    let { schemaVersion, bills } = envelope;
+    while (schemaVersion < CURRENT_SCHEMA_VERSION) {
+      const migration = MIGRATIONS[schemaVersion];
+      if (!migration) {
+        throw new Error(`No migration from bill schema version ${schemaVersion}.`);
+      }
+      bills = bills.map(bill => isObject(bill) ? migration(bill) : bill);
+      schemaVersion += 1;
+    }
+
+    return {
+      schemaVersion,
+      bills,
+      migratedFrom: envelope.schemaVersion === CURRENT_SCHEMA_VERSION ? null : envelope.schemaVersion
+    };
+  }
+
+  /**
+   * Validates a single stored bill record against the current schema.
+   * @param {*} record - The record to check.
+   * @returns {Array<string>} Human-readable errors; empty if the record is valid.
+   */
+  static validateRecord(record) {
+    if (!isObject(record)) {
+      return ['Record is not an object.'];
+    }
+
+    const errors = [];
+    const checkOptionalString = (field) => {
+      if (isPresent(record[field]) && typeof record[field] !== 'string') {
+        errors.push(`'${field}' must be text.`);
+      }
+    };
+
+    if (typeof record.id !== 'string' || record.id === '') {
+      errors.push("'id' must be a non-empty string.");
+    }
+    if (typeof record.type !== 'string' || record.type === '') {
+      errors.push("'type' must be a non-empty string.");
+    }
+    checkOptionalString('name');
+    checkOptionalString('paymentMethod');
+    checkOptionalString('status');
+    checkOptionalString('notes');
+
+    if (!isObject(record.amount)) {
+      errors.push("'amount' must be an object with a value and a currency.");
+    } else {
+      if (typeof record.amount.value !== 'number' || !Number.isFinite(record.amount.value)) {
+        errors.push("'amount.value' must be a finite number.");
+      }
+      if (typeof record.amount.currency !== 'string' || !CURRENCY_CODE.test(record.amount.currency)) {
+        errors.push("'amount.currency' must be a three-letter currency code.");
+      }
+    }
+
+    if (isPresent(record.dueDate) && !(typeof record.dueDate === 'string' && ISO_DATE.test(record.dueDate))) {
+      errors.push("'dueDate' must be null or a YYYY-MM-DD date.");
+    }
+
+    if (isPresent(record.recurrence)) {
+      const { frequency, interval } = isObject(record.recurrence) ? record.recurrence : {};
+      const knownFrequency = frequency === 'custom' || Object.hasOwn(RECURRENCE_STEPS, frequency);
+      if (!knownFrequency || !Number.isInteger(interval) || interval < 1) {
+        errors.push("'recurrence' must be null or { frequency, interval } with a known frequency and a positive interval.");
+      }
+      const { anchorDay } = isObject(record.recurrence) ? record.recurrence : {};
+      if (isPresent(anchorDay) && !(Number.isInteger(anchorDay) && anchorDay >= 1 && anchorDay <= 31)) {
+        errors.push("'recurrence.anchorDay' must be a day of the month from 1 to 31.");
+      }
+    }
+
+    // The ledger is optional; a missing one means no payments were recorded.
+    if (isPresent(record.payments)) {
+      if (!Array.isArray(record.payments)) {
+        errors.push("'payments' must be a list.");
+      } else {
+        record.payments.forEach((payment, index) => {
+          errors.push(...BillSchema.validatePayment(payment).map(error => `Payment ${index + 1}: ${error}`));
+        });
+      }
+    }
+
+    // The change log is optional too; a missing one means nothing has been logged yet.
+    if (isPresent(record.changeLog)) {
+      if (!Array.isArray(record.changeLog)) {
+        errors.push("'changeLog' must be a list.");
+      } else {
+        record.changeLog.forEach((entry, index) => {
+          errors.push(...BillSchema.validateChangeLogEntry(entry).map(error => `Change ${index + 1}: ${error}`));
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates a single entry of a bill's change log.
+   * @param {*} entry - The entry to check.
+   * @returns {Array<string>} Human-readable errors; empty if the entry is valid.
+   */
+  static validateChangeLogEntry(entry) {
+    if (!isObject(entry)) {
+      return ['Record is not an object.'];
+    }
+
+    const errors = [];
+    if (typeof entry.at !== 'string' || Number.isNaN(Date.parse(entry.at))) {
+      errors.push("'at' must be a date and time.");
+    }
+    if (typeof entry.action !== 'string') {
+      errors.push("'action' must be text.");
+    }
+    if (isPresent(entry.field) && typeof entry.field !== 'string') {
+      errors.push("'field' must be null or text.");
+    }
+    ['oldValue', 'newValue'].forEach((field) => {
+      if (isPresent(entry[field]) && !['string', 'number'].includes(typeof entry[field])) {
+        errors.push(`'${field}' must be null, text or a number.`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validates a single payment record from a bill's ledger.
+   * @param {*} payment - The payment record to check.
+   * @returns {Array<string>} Human-readable errors; empty if the payment is valid.
+   */
+  static validatePayment(payment) {
+    if (!isObject(payment)) {
+      return ['Record is not an object.'];
+    }
+
+    const errors = [];
+    if (typeof payment.id !== 'string' || payment.id === '') {
+      errors.push("'id' must be a non-empty string.");
+    }
+    if (typeof payment.date !== 'string' || !ISO_DATE.test(payment.date)) {
+      errors.push("'date' must be a YYYY-MM-DD date.");
+    }
+    if (typeof payment.amount !== 'number' || !Number.isFinite(payment.amount) || payment.amount <= 0) {
+      errors.push("'amount' must be a positive number.");
+    }
+    if (typeof payment.currency !== 'string' || !CURRENCY_CODE.test(payment.currency)) {
+      errors.push("'currency' must be a three-letter currency code.");
+    }
+    ['paymentMethod', 'reference'].forEach((field) => {
+      if (isPresent(payment[field]) && typeof payment[field] !== 'string') {
+        errors.push(`'${field}' must be text.`);
+      }
+    });
+    if (isPresent(payment.cycleDueDate) && !(typeof payment.cycleDueDate === 'string' && ISO_DATE.test(payment.cycleDueDate))) {
+      errors.push("'cycleDueDate' must be null or a YYYY-MM-DD date.");
+    }
+
+    return errors;
+  }
+
+  /**
+   * Migrates and validates stored data in one step.
+   * @param {*} stored - What storage returned.
+   * @returns {{bills: Array<object>, invalid: Array<{index: number, record: *, errors: Array<string>}>, categories: object,
+   * deletedBills: Array<object>, revision: number, migratedFrom: number|null}} The valid records, the rejected ones with
+   * their errors, the user's categories (see `parseCategories`), the deleted bills (see `parseDeletedBills`), the revision
+   * (see `readRevision`) and the version the data was upgraded from.
+   * @throws {Error} See `migrate`.
+   */
+  static parse(stored) {
+    const { bills: records, migratedFrom } = BillSchema.migrate(stored);
+    const bills = [];
+    const invalid = [];
+
+    records.forEach((record, index) => {
+      const errors = BillSchema.validateRecord(record);
+      if (errors.length) {
+        invalid.push({ index, record, errors });
+      } else {
+        bills.push(record);
+      }
+    });
+
+    return {
+      bills,
+      invalid,
+      categories: BillSchema.parseCategories(stored?.categories),
+      deletedBills: BillSchema.parseDeletedBills(stored?.deletedBills),
+      revision: BillSchema.readRevision(stored),
+      migratedFrom
+    };
+  }
+}
+
+/**
+ * @param {*} value - Any value.
+ * @returns {boolean} True unless the value is null or undefined (optional fields may be either).
+ */
+function isPresent(value) {
+  return value !== null && value !== undefined;
+}
+
+/**
+ * @param {*} value - Any value.
+ * @returns {boolean} True for plain objects (not null, not arrays).
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,115 @@
+// docs/components/BillSchema.test.js
+
+import BillSchema, { CURRENT_SCHEMA_VERSION, LEGACY_SCHEMA_VERSION } from './BillSchema.js';
+
+describe('BillSchema', () => {
+  const validRecord = {
+    id: 'b1',
+    type: 'Streaming',
+    name: 'Netflix',
+    paymentMethod: 'Credit Card',
+    status: 'Pending',
+    amount: { value: 15.99, currency: 'EUR' },
+    dueDate: '2025-05-01',
+    recurrence: { frequency: 'monthly', interval: 1 },
+    payments: [{ id: 'p1', date: '2025-04-28', amount: 15.99, currency: 'EUR', paymentMethod: 'Credit Card', reference: null, cycleDueDate: '2025-05-01' }]
+  };
+
+  // Test case 1: Check that empty storage reads as an empty current envelope.
+  it('should treat missing data as an empty list', () => {
+    expect(BillSchema.migrate(null)).toEqual({ schemaVersion: CURRENT_SCHEMA_VERSION, bills: [], migratedFrom: null });
+  });
+
+  // Test case 2: Check that a bare array is read as the legacy version and upgraded.
+  it('should migrate a bare array from the legacy version', () => {
+    const { id, type, amount } = validRecord;
+    const result = BillSchema.migrate([{ id, type, amount }]);
+
+    expect(result.migratedFrom).toBe(LEGACY_SCHEMA_VERSION);
+    expect(result.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(result.bills[0]).toEqual({ id, type, amount, dueDate: null, recurrence: null, payments: [] });
+  });
+
+  // Test case 3: Check that current envelopes pass through untouched.
+  it('should leave current data unchanged', () => {
+    const envelope = BillSchema.createEnvelope([validRecord]);
+    expect(BillSchema.migrate(envelope)).toEqual({ ...envelope, migratedFrom: null });
+  });
+
+  // Test case 4: Check that unknown formats and newer versions are rejected.
+  it('should reject unrecognized data and newer schema versions', () => {
+    expect(() => BillSchema.migrate({ bills: 'nope' })).toThrow('not in a recognized format');
+    expect(() => BillSchema.migrate({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, bills: [] })).toThrow('only understands up to');
+  });
+
+  // Test case 5: Check that every malformed field is reported.
+  it('should report malformed fields', () => {
+    expect(BillSchema.validateRecord(validRecord)).toEqual([]);
+    expect(BillSchema.validateRecord('Netflix')).toEqual(['Record is not an object.']);
+    expect(BillSchema.validateRecord({
+      id: '',
+      type: 'Energy',
+      name: 42,
+      amount: { value: NaN, currency: 'euro' },
+      dueDate: '01/05/2025',
+      recurrence: { frequency: 'hourly', interval: 1 }
+    })).toEqual([
+      "'id' must be a non-empty string.",
+      "'name' must be text.",
+      "'amount.value' must be a finite number.",
+      "'amount.currency' must be a three-letter currency code.",
+      "'dueDate' must be null or a YYYY-MM-DD date.",
+      "'recurrence' must be null or { frequency, interval } with a known frequency and a positive interval."
+    ]);
+  });
+
+  // Test case 6: Check that payment records are validated and reported with their position.
+  it('should report malformed payments', () => {
+    const record = { ...validRecord, payments: [validRecord.payments[0], { id: 'p2', date: 'yesterday', amount: -5, currency: 'EUR' }] };
+
+    expect(BillSchema.validateRecord(record)).toEqual([
+      "Payment 2: 'date' must be a YYYY-MM-DD date.",
+      "Payment 2: 'amount' must be a positive number."
+    ]);
+    expect(BillSchema.validateRecord({ ...validRecord, payments: 'none' })).toEqual(["'payments' must be a list."]);
+  });
+
+  // Test case 7: Check that parse splits valid and invalid records, keeping their positions.
+  it('should split valid and invalid records', () => {
+    const broken = { ...validRecord, id: 'b2', amount: 12 };
+    const { bills, invalid } = BillSchema.parse(BillSchema.createEnvelope([validRecord, broken, null]));
+
+    expect(bills).toEqual([validRecord]);
+    expect(invalid.map(({ index }) => index)).toEqual([1, 2]);
+    expect(invalid[0].errors).toEqual(["'amount' must be an object with a value and a currency."]);
+  });
+
+  // Test case 8: Check that categories are written with the bills and malformed entries are dropped on read.
+  it('should keep categories in the envelope and drop malformed ones when parsing', () => {
+    const categories = {
+      billTypes: [{ name: 'Pets', color: '#aa3300', retired: false }, { name: '' }, 'Garden'],
+      paymentMethods: [{ name: 'PayPal', color: 'blue', retired: true }]
+    };
+    const envelope = BillSchema.createEnvelope([validRecord], categories);
+
+    expect(envelope.categories).toBe(categories);
+    expect(BillSchema.parse(envelope).categories).toEqual({
+      billTypes: [{ name: 'Pets', color: '#aa3300', retired: false }],
+      paymentMethods: [{ name: 'PayPal', color: null, retired: true }]
+    });
+    expect(BillSchema.parse([validRecord]).categories).toEqual({ billTypes: [], paymentMethods: [] });
+  });
+
+  // Test case 9: Check that notes and change log entries are validated and reported with their position.
+  it('should report malformed notes and change log entries', () => {
+    const entry = { at: '2025-06-01T09:00:00.000Z', action: 'Editing "Netflix"', field: 'amount', oldValue: 12.99, newValue: 15.99 };
+
+    expect(BillSchema.validateRecord({ ...validRecord, notes: 'Family plan', changeLog: [entry] })).toEqual([]);
+    expect(BillSchema.validateRecord({ ...validRecord, notes: 7, changeLog: [entry, { at: 'soon', action: 'Editing', oldValue: {} }] })).toEqual([
+      "'notes' must be text.",
+      "Change 2: 'at' must be a date and time.",
+      "Change 2: 'oldValue' must be null, text or a number."
+    ]);
+    expect(BillSchema.validateRecord({ ...validRecord, changeLog: {} })).toEqual(["'changeLog' must be a list."]);
+  });
+});
@@ -0,0 +1,301 @@
+import StorageAdapter from "./StorageAdapter.js";
+
+/**
+ * The value encrypted into the key check, so a wrong passphrase is detected before any data is read.
+ */
+const KEY_CHECK_TEXT = 'bill-calculator-pro';
+
+/**
+ * The `code` set on the error thrown when a passphrase does not match the stored data.
+ */
+export const WRONG_PASSPHRASE = 'WRONG_PASSPHRASE';
+
+/**
+ * @class EncryptedStorageAdapter
+ * @extends StorageAdapter
+ * @description Wraps another adapter and encrypts every resource at rest with AES-GCM, using a key
+ * derived from the user's passphrase with PBKDF2 (WebCrypto). The inner adapter only ever sees
+ * `{ iv, data }` records.
+ *
+ * Records of revisioned values (see StorageAdapter#writeRevision) also carry the value's `revision`
+ * in plain text, so revisioned writes can leave the comparison to the inner adapter, which may
+ * compare and write in one step.
+ *
+ * The salt, iteration count and a key check are stored unencrypted in the inner adapter's
+ * 'encryption' resource. The adapter is locked until `unlock()` is called with the passphrase;
+ * the first `unlock()` on unencrypted storage sets the passphrase and encrypts the resources
+ * listed in `resources`. The derived key is kept in memory only, never stored.
+ */
+export default class EncryptedStorageAdapter extends StorageAdapter {
+  /**
+   * @constructor
+   * @param {object} options
+   * @param {StorageAdapter} options.adapter - The adapter the encrypted records are stored in.
+   * @param {Array<string>} [options.resources=['bills', 'settings']] - The resources to encrypt when a passphrase is first set or changed.
+   * @param {number} [options.iterations=310000] - The PBKDF2 iteration count for newly set passphrases.
+   * @param {Crypto} [options.crypto=globalThis.crypto] - The WebCrypto implementation.
+   */
+  constructor({ adapter, resources = ['bills', 'settings'], iterations = 310000, crypto = globalThis.crypto }) {
+    super({ namespace: adapter.namespace });
+    this.adapter = adapter;
+    this.resources = resources;
+    this.iterations = iterations;
+    this._crypto = crypto;
+    this.encrypted = true;
+
+    /**
+     * @private
+     * @property {CryptoKey|null} _key - The key derived from the passphrase; null while locked.
+     */
+    this._key = null;
+  }
+
+  /**
+   * @returns {boolean} True until the adapter has been unlocked with the passphrase.
+   */
+  get isLocked() {
+    return this._key === null;
+  }
+
+  /**
+   * Checks whether a passphrase has been set for this storage yet.
+   * @returns {Promise<boolean>} True if the stored data is encrypted.
+   * @async
+   */
+  async hasPassphrase() {
+    return (await this.adapter.read('encryption')) !== null;
+  }
+
+  /**
+   * Unlocks the storage. If no passphrase has been set yet, this one becomes the passphrase
+   * and the existing resources are encrypted with it.
+   * @param {string} passphrase - The passphrase.
+   * @returns {Promise<void>}
+   * @throws {Error} With `code` WRONG_PASSPHRASE if the passphrase does not match the stored data.
+   * @async
+   */
+  async unlock(passphrase) {
+    const info = await this.adapter.read('encryption');
+    if (!info) {
+      await this._setPassphrase(passphrase, await this._readAll(value => value));
+      return;
+    }
+
+    const key = await this._deriveKey(passphrase, fromBase64(info.salt), info.iterations);
+    try {
+      await this._decrypt(info.check, key);
+    } catch (error) {
+      const wrongPassphrase = new Error('The passphrase is incorrect.', { cause: error });
+      wrongPassphrase.code = WRONG_PASSPHRASE;
+      throw wrongPassphrase;
+    }
+    this._key = key;
+  }
+
+  /**
+   * Forgets the derived key. Reads and writes fail until `unlock()` is called again.
+   */
+  lock() {
+    this._key = null;
+  }
+
+  /**
+   * Removes the stored salt and key check and locks the adapter. Only for storage whose
+   * resources have been removed: any left behind become unreadable.
+   * @returns {Promise<void>}
+   * @async
+   */
+  async removePassphrase() {
+    await this.adapter.remove('encryption');
+    this.lock();
+  }
+
+  /**
+   * Changes the passphrase and re-encrypts every resource with a key derived from the new one.
+   * @param {string} currentPassphrase - The passphrase in use.
+   * @param {string} newPassphrase - The passphrase to use from now on.
+   * @returns {Promise<void>}
+   * @throws {Error} With `code` WRONG_PASSPHRASE if the current passphrase is incorrect.
+   * @async
+   */
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    await this.unlock(currentPassphrase);
+    const values = await this._readAll(value => this._decrypt(value, this._key));
+    await this._setPassphrase(newPassphrase, values);
+  }
+
+  async read(resource) {
+    const record = await this.adapter.read(resource);
+    if (record === null) return null;
+    return JSON.parse(await this._decrypt(record, this._requireKey()));
+  }
+
+  async write(resource, value) {
+    await this.adapter.write(resource, await this._seal(value));
+  }
+
+  async writeRevision(resource, value, baseRevision) {
+    const record = await this._seal(value);
+    const stored = await this.adapter.read(resource);
+    if (stored !== null && !Number.isInteger(stored.revision)) {
+      // Written before records carried their revision: compare the decrypted value once; this write adds it.
+      const storedRevision = StorageAdapter.revisionOf(JSON.parse(await this._decrypt(stored, this._requireKey())));
+      if (storedRevision !== baseRevision) {
+        throw StorageAdapter.createRevisionConflict(resource, storedRevision);
+      }
+      await this.adapter.write(resource, record);
+      return;
+    }
+    await this.adapter.writeRevision(resource, record, baseRevision);
+  }
+
+  async remove(resource) {
+    await this.adapter.remove(resource);
+  }
+
+  /**
+   * @private
+   * @returns {CryptoKey} The derived key.
+   * @throws {Error} If the adapter is still locked.
+   */
+  _requireKey() {
+    if (!this._key) {
+      throw new Error('Encrypted storage is locked. Enter the passphrase first.');
+    }
+    return this._key;
+  }
+
+  /**
+   * @private
+   * Reads every resource in `resources` from the inner adapter.
+   * @param {function(*): (string|Promise<string>)} toJson - Turns a stored record into its JSON text
+   * (identity for unencrypted values, decryption for encrypted ones).
+   * @returns {Promise<Map<string, string>>} The JSON text of each resource that exists.
+   */
+  async _readAll(toJson) {
+    const values = new Map();
+    for (const resource of this.resources) {
+      const stored = await this.adapter.read(resource);
+      if (stored !== null) {
+        const json = await toJson(stored);
+        values.set(resource, typeof json === 'string' ? json : JSON.stringify(json));
+      }
+    }
+    return values;
+  }
+
+  /**
+   * @private
+   * Derives a key from a new passphrase and a fresh salt, writes the resources encrypted with it,
+   * then stores the new salt and key check. If a write fails part-way, the records stored before
+   * are written back, so the data stays readable with the previous passphrase (or unencrypted).
+   * @param {string} passphrase - The new passphrase.
+   * @param {Map<string, string>} values - The JSON text of each resource to encrypt.
+   * @throws {Error} If the passphrase is empty or a write fails.
+   */
+  async _setPassphrase(passphrase, values) {
+    if (!passphrase) {
+      throw new Error('The passphrase cannot be empty.');
+    }
+    const salt = this._crypto.getRandomValues(new Uint8Array(16));
+    const key = await this._deriveKey(passphrase, salt, this.iterations);
+
+    const previous = new Map();
+    for (const resource of [...values.keys(), 'encryption']) {
+      previous.set(resource, await this.adapter.read(resource));
+    }
+
+    try {
+      for (const [resource, json] of values) {
+        await this.adapter.write(resource, await this._encrypt(json, key));
+      }
+      await this.adapter.write('encryption', {
+        version: 1,
+        salt: toBase64(salt),
+        iterations: this.iterations,
+        check: await this._encrypt(KEY_CHECK_TEXT, key)
+      });
+    } catch (error) {
+      for (const [resource, record] of previous) {
+        await (record === null ? this.adapter.remove(resource) : this.adapter.write(resource, record));
+      }
+      throw error;
+    }
+    this._key = key;
+  }
+
+  /**
+   * @private
+   * Derives an AES-GCM key from a passphrase with PBKDF2-SHA-256.
+   * @param {string} passphrase - The passphrase.
+   * @param {Uint8Array} salt - The salt.
+   * @param {number} iterations - The PBKDF2 iteration count.
+   * @returns {Promise<CryptoKey>} The key.
+   */
+  async _deriveKey(passphrase, salt, iterations) {
+    const { subtle } = this._crypto;
+    const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * @private
+   * Encrypts a value into the record stored for it, adding the value's revision if it has one.
+   * @param {*} value - The value.
+   * @returns {Promise<{iv: string, data: string, revision?: number}>} The record.
+   */
+  async _seal(value) {
+    const record = await this._encrypt(JSON.stringify(value), this._requireKey());
+    return Number.isInteger(value?.revision) ? { ...record, revision: value.revision } : record;
+  }
+
+  /**
+   * @private
+   * @param {string} text - The text to encrypt.
+   * @param {CryptoKey} key - The key.
+   * @returns {Promise<{iv: string, data: string}>} The random IV and the ciphertext, both base64.
+   */
+  async _encrypt(text, key) {
+    const iv = this._crypto.getRandomValues(new Uint8Array(12));
+    const data = await this._crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+  }
+
+  /**
+   * @private
+   * @param {{iv: string, data: string}} record - A record written by `_encrypt`.
+   * @param {CryptoKey} key - The key.
+   * @returns {Promise<string>} The decrypted text.
+   * @throws {Error} If the key is wrong or the record was tampered with.
+   */
+  async _decrypt(record, key) {
+    const data = await this._crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(record.iv) }, key, fromBase64(record.data));
+    return new TextDecoder().decode(data);
+  }
+}
+
+/**
+ * @param {Uint8Array} bytes - Binary data.
+ * @returns {string} The data as base64.
+ */
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte); // One at a time: spreading a large array overflows the call stack
+  });
+  return btoa(binary);
+}
+
+/**
+ * @param {string} base64 - Base64 text.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
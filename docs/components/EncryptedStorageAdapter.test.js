@@ -0,0 +1,102 @@
+// docs/components/EncryptedStorageAdapter.test.js
+
+import { webcrypto } from 'node:crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import EncryptedStorageAdapter, { WRONG_PASSPHRASE } from './EncryptedStorageAdapter.js';
+import MemoryStorageAdapter from './MemoryStorageAdapter.js';
+
+// jsdom provides neither WebCrypto's subtle API nor the text codecs
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const createAdapter = (inner) => new EncryptedStorageAdapter({ adapter: inner, iterations: 1000, crypto: webcrypto });
+
+describe('EncryptedStorageAdapter', () => {
+  // Test case 1: Check that the first unlock sets the passphrase and encrypts existing data.
+  it('should encrypt existing unencrypted data when the passphrase is first set', async () => {
+    const inner = new MemoryStorageAdapter({ initialData: { bills: [{ id: '1', name: 'Energy' }] } });
+    const adapter = createAdapter(inner);
+    expect(await adapter.hasPassphrase()).toBe(false);
+
+    await adapter.unlock('correct horse');
+
+    expect(await adapter.hasPassphrase()).toBe(true);
+    const stored = await inner.read('bills');
+    expect(Object.keys(stored).sort()).toEqual(['data', 'iv']);
+    expect(JSON.stringify(stored)).not.toContain('Energy');
+    expect(await adapter.read('bills')).toEqual([{ id: '1', name: 'Energy' }]);
+  });
+
+  // Test case 2: Check round trips, and that a new instance can read the data with the same passphrase.
+  it('should read back what it wrote after unlocking again', async () => {
+    const inner = new MemoryStorageAdapter();
+    const adapter = createAdapter(inner);
+    await adapter.unlock('correct horse');
+    await adapter.write('settings', { reportingCurrency: 'USD' });
+    expect(await adapter.read('missing')).toBeNull();
+
+    const reopened = createAdapter(inner);
+    await reopened.unlock('correct horse');
+
+    expect(await reopened.read('settings')).toEqual({ reportingCurrency: 'USD' });
+  });
+
+  // Test case 3: Check that a wrong passphrase is reported with its code and leaves the adapter locked.
+  it('should reject a wrong passphrase', async () => {
+    const inner = new MemoryStorageAdapter();
+    await createAdapter(inner).unlock('correct horse');
+    const adapter = createAdapter(inner);
+
+    await expect(adapter.unlock('wrong')).rejects.toMatchObject({ code: WRONG_PASSPHRASE });
+    expect(adapter.isLocked).toBe(true);
+  });
+
+  // Test case 4: Check that a locked adapter refuses reads and writes.
+  it('should refuse to read or write while locked', async () => {
+    const inner = new MemoryStorageAdapter();
+    const adapter = createAdapter(inner);
+    await adapter.unlock('correct horse');
+    await adapter.write('bills', []);
+    adapter.lock();
+
+    await expect(adapter.read('bills')).rejects.toThrow('Encrypted storage is locked');
+    await expect(adapter.write('bills', [])).rejects.toThrow('Encrypted storage is locked');
+  });
+
+  // Test case 5: Check that changing the passphrase re-encrypts the data.
+  it('should re-encrypt the data when the passphrase is changed', async () => {
+    const inner = new MemoryStorageAdapter();
+    const adapter = createAdapter(inner);
+    await adapter.unlock('old passphrase');
+    await adapter.write('bills', [{ id: '1' }]);
+
+    await expect(adapter.changePassphrase('not it', 'new passphrase')).rejects.toMatchObject({ code: WRONG_PASSPHRASE });
+    await adapter.changePassphrase('old passphrase', 'new passphrase');
+
+    await expect(createAdapter(inner).unlock('old passphrase')).rejects.toMatchObject({ code: WRONG_PASSPHRASE });
+    const reopened = createAdapter(inner);
+    await reopened.unlock('new passphrase');
+    expect(await reopened.read('bills')).toEqual([{ id: '1' }]);
+  });
+
+  // Test case 6: Check that revisioned writes leave the comparison to the inner adapter.
+  it('should pass revision checks through to the inner adapter', async () => {
+    const inner = new MemoryStorageAdapter();
+    const adapter = createAdapter(inner);
+    await adapter.unlock('correct horse');
+    await adapter.write('bills', { revision: 1, bills: [] });
+    const { revision, ...legacyRecord } = await inner.read('bills');
+    expect(revision).toBe(1);
+    await inner.write('bills', legacyRecord); // As stored before records carried their revision
+    const innerWriteRevision = jest.spyOn(inner, 'writeRevision');
+
+    await adapter.writeRevision('bills', { revision: 2, bills: [{ id: '1' }] }, 1);
+    expect(innerWriteRevision).not.toHaveBeenCalled();
+    expect((await inner.read('bills')).revision).toBe(2);
+
+    await adapter.writeRevision('bills', { revision: 3, bills: [] }, 2);
+    expect(innerWriteRevision).toHaveBeenCalledWith('bills', expect.objectContaining({ revision: 3 }), 2);
+    await expect(adapter.writeRevision('bills', { revision: 3, bills: [{ id: '2' }] }, 2)).rejects.toMatchObject({ code: 'REVISION_CONFLICT', storedRevision: 3 });
+    expect(await adapter.read('bills')).toEqual({ revision: 3, bills: [] });
+  });
+});
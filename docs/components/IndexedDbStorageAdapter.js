@@ -0,0 +1,114 @@
+import StorageAdapter from "./StorageAdapter.js";
+
+/**
+ * @class IndexedDbStorageAdapter
+ * @extends StorageAdapter
+ * @description Stores resources in an IndexedDB object store, which has far more room than
+ * localStorage and does not block the page while writing. Values are stored as structured
+ * clones under the same keys LocalStorageAdapter would use.
+ */
+export default class IndexedDbStorageAdapter extends StorageAdapter {
+  /**
+   * @constructor
+   * @param {object} [options]
+   * @param {string} [options.namespace] - The namespace resources are stored under.
+   * @param {string} [options.databaseName='billCalculatorPro'] - The IndexedDB database name.
+   * @param {string} [options.storeName='resources'] - The object store name.
+   */
+  constructor({ namespace, databaseName = 'billCalculatorPro', storeName = 'resources' } = {}) {
+    super({ namespace });
+    this.databaseName = databaseName;
+    this.storeName = storeName;
+
+    /**
+     * @private
+     * @property {Promise<IDBDatabase>|null} _dbPromise - The open database, created lazily on first use.
+     */
+    this._dbPromise = null;
+  }
+
+  /**
+   * @private
+   * Opens (and on first use creates) the database.
+   * @returns {Promise<IDBDatabase>} A promise that resolves with the open database.
+   */
+  _openDatabase() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available in this browser.'));
+          return;
+        }
+        const request = indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._dbPromise;
+  }
+
+  /**
+   * @private
+   * Runs a single request against the object store inside its own transaction.
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+   * @param {function(IDBObjectStore): IDBRequest} makeRequest - Creates the request to run.
+   * @returns {Promise<*>} A promise that resolves with the request result once the transaction completes.
+   */
+  async _run(mode, makeRequest) {
+    const db = await this._openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = makeRequest(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted.'));
+    });
+  }
+
+  async read(resource) {
+    const value = await this._run('readonly', store => store.get(this.keyFor(resource)));
+    return value === undefined ? null : value;
+  }
+
+  async write(resource, value) {
+    await this._run('readwrite', store => store.put(value, this.keyFor(resource)));
+  }
+
+  /**
+   * Compares the stored revision and writes the value in a single readwrite transaction, so no other
+   * tab can write in between (see StorageAdapter#writeRevision).
+   * @param {string} resource - The resource name.
+   * @param {{revision: number}} value - The value to store.
+   * @param {number} baseRevision - The revision the value was based on.
+   * @returns {Promise<void>}
+   * @throws {Error} With `code` REVISION_CONFLICT if the stored value is at another revision.
+   * @async
+   */
+  async writeRevision(resource, value, baseRevision) {
+    const db = await this._openDatabase();
+    const key = this.keyFor(resource);
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      let conflict = null;
+      const request = store.get(key);
+      request.onsuccess = () => {
+        const storedRevision = StorageAdapter.revisionOf(request.result);
+        if (storedRevision !== baseRevision) {
+          conflict = StorageAdapter.createRevisionConflict(resource, storedRevision);
+          transaction.abort();
+          return;
+        }
+        store.put(value, key);
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(conflict || transaction.error || new Error('IndexedDB transaction aborted.'));
+    });
+  }
+
+  async remove(resource) {
+    await this._run('readwrite', store => store.delete(this.keyFor(resource)));
+  }
+}
@@ -0,0 +1,22 @@
+import StorageAdapter from "./StorageAdapter.js";
+
+/**
+ * @class LocalStorageAdapter
+ * @extends StorageAdapter
+ * @description Stores each resource as a JSON string in the browser's localStorage.
+ * This is the default adapter and keeps the keys the app has always used ('myBills', ...).
+ */
+export default class LocalStorageAdapter extends StorageAdapter {
+  async read(resource) {
+    const json = localStorage.getItem(this.keyFor(resource));
+    return json ? JSON.parse(json) : null;
+  }
+
+  async write(resource, value) {
+    localStorage.setItem(this.keyFor(resource), JSON.stringify(value));
+  }
+
+  async remove(resource) {
+    localStorage.removeItem(this.keyFor(resource));
+  }
+}
@@ -0,0 +1,42 @@
+import StorageAdapter from "./StorageAdapter.js";
+
+/**
+ * @class MemoryStorageAdapter
+ * @extends StorageAdapter
+ * @description Keeps resources in a Map for the lifetime of the page. Nothing survives a reload,
+ * which makes it suited to tests and throwaway demos.
+ * Values are stored as JSON strings so callers never share object references with the store.
+ */
+export default class MemoryStorageAdapter extends StorageAdapter {
+  /**
+   * @constructor
+   * @param {object} [options]
+   * @param {string} [options.namespace] - The namespace resources are stored under.
+   * @param {object} [options.initialData] - Resources to start with, keyed by resource name.
+   */
+  constructor({ namespace, initialData = {} } = {}) {
+    super({ namespace });
+
+    /**
+     * @private
+     * @property {Map<string, string>} _store - Stored JSON, keyed by storage key.
+     */
+    this._store = new Map();
+    Object.entries(initialData).forEach(([resource, value]) => {
+      this._store.set(this.keyFor(resource), JSON.stringify(value));
+    });
+  }
+
+  async read(resource) {
+    const json = this._store.get(this.keyFor(resource));
+    return json ? JSON.parse(json) : null;
+  }
+
+  async write(resource, value) {
+    this._store.set(this.keyFor(resource), JSON.stringify(value));
+  }
+
+  async remove(resource) {
+    this._store.delete(this.keyFor(resource));
+  }
+}
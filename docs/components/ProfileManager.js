@@ -0,0 +1,153 @@
+/**
+ * The ID of the profile that always exists. It stores its data under the configured storageKey
+ * itself, so bills saved before profiles existed become its bills.
+ */
+export const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * @class ProfileManager
+ * @description Keeps the list of household profiles (e.g. "Home", "Rental flat") and which one is active.
+ * Every profile has its own storage key, so its bills, settings, unsynced changes and last-used
+ * view are stored apart from the other profiles'. Other profiles use `<storageKey>_profile_<id>`.
+ *
+ * The list itself lives in localStorage under `<storageKey>_profiles`, next to the data of the
+ * default profile, whatever storage adapter the bills use.
+ */
+export default class ProfileManager {
+  /**
+   * @constructor
+   * @param {object} [options]
+   * @param {string} [options.storageKey='myBills'] - The app's storage key (APP_CONFIG.app.storageKey).
+   * @param {string} [options.defaultProfileName='Home'] - The name of the default profile the first time the app runs.
+   * @param {string} [options.defaultCurrency='EUR'] - The default profile's currency the first time the app runs.
+   */
+  constructor({ storageKey = 'myBills', defaultProfileName = 'Home', defaultCurrency = 'EUR' } = {}) {
+    this.storageKey = storageKey;
+    this._registryKey = `${storageKey}_profiles`;
+
+    /**
+     * @private
+     * @property {{activeId: string, profiles: Array<{id: string, name: string, currency: string, storageKey: string}>}} _state
+     * The profile list and the active profile. Mirrored to localStorage on every change.
+     */
+    this._state = this._loadState({ defaultProfileName, defaultCurrency });
+  }
+
+  /**
+   * @private
+   * Reads the profile list from localStorage, creating the default profile if there is none.
+   * @param {object} defaults - The name and currency of the default profile.
+   * @returns {{activeId: string, profiles: Array<object>}} The stored state.
+   */
+  _loadState({ defaultProfileName, defaultCurrency }) {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this._registryKey));
+      if (saved && Array.isArray(saved.profiles) && saved.profiles.some(({ id }) => id === DEFAULT_PROFILE_ID)) {
+        const activeId = saved.profiles.some(({ id }) => id === saved.activeId) ? saved.activeId : DEFAULT_PROFILE_ID;
+        return { activeId, profiles: saved.profiles };
+      }
+    } catch (error) {
+      console.error('ProfileManager: Ignoring unreadable profile list', error);
+    }
+
+    return {
+      activeId: DEFAULT_PROFILE_ID,
+      profiles: [{ id: DEFAULT_PROFILE_ID, name: defaultProfileName, currency: defaultCurrency, storageKey: this.storageKey }]
+    };
+  }
+
+  /**
+   * @private
+   * Mirrors the profile list to localStorage.
+   */
+  _saveState() {
+    localStorage.setItem(this._registryKey, JSON.stringify(this._state));
+  }
+
+  /**
+   * @returns {Array<{id: string, name: string, currency: string, storageKey: string}>} Copies of every profile, oldest first.
+   */
+  getProfiles() {
+    return this._state.profiles.map(profile => ({ ...profile }));
+  }
+
+  /**
+   * @param {string} id - The profile ID.
+   * @returns {{id: string, name: string, currency: string, storageKey: string}|null} A copy of the profile, or null if there is none.
+   */
+  getProfile(id) {
+    const profile = this._state.profiles.find(profile => profile.id === id);
+    return profile ? { ...profile } : null;
+  }
+
+  /**
+   * @returns {{id: string, name: string, currency: string, storageKey: string}} A copy of the active profile.
+   */
+  getActiveProfile() {
+    return this.getProfile(this._state.activeId);
+  }
+
+  /**
+   * Creates a profile with empty storage. It does not become active.
+   * @param {object} profile
+   * @param {string} profile.name - The name shown in the profile switcher; must be unique (ignoring case).
+   * @param {string} profile.currency - The profile's default currency, e.g. 'USD'.
+   * @returns {{id: string, name: string, currency: string, storageKey: string}} The new profile.
+   * @throws {Error} If the name is empty or already taken.
+   */
+  createProfile({ name, currency }) {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+      throw new Error('A profile needs a name.');
+    }
+    if (this._state.profiles.some(profile => profile.name.toLowerCase() === trimmedName.toLowerCase())) {
+      throw new Error(`A profile named "${trimmedName}" already exists.`);
+    }
+
+    const id = Date.now().toString(36);
+    const profile = { id, name: trimmedName, currency, storageKey: `${this.storageKey}_profile_${id}` };
+    this._state = { ...this._state, profiles: [...this._state.profiles, profile] };
+    this._saveState();
+    return { ...profile };
+  }
+
+  /**
+   * Makes a profile the active one. The app has to be reloaded to show its bills.
+   * @param {string} id - The profile ID.
+   * @throws {Error} If there is no profile with that ID.
+   */
+  setActiveProfile(id) {
+    if (!this.getProfile(id)) {
+      throw new Error(`Profile ${id} not found.`);
+    }
+    this._state = { ...this._state, activeId: id };
+    this._saveState();
+  }
+
+  /**
+   * Removes a profile from the list, along with its unsynced changes and last-used view.
+   * Its bills and settings live in the storage adapter and are removed by the caller
+   * (see ApiService#clear). If the profile was active, the default profile becomes active.
+   * @param {string} id - The profile ID.
+   * @returns {{id: string, name: string, currency: string, storageKey: string}} The removed profile.
+   * @throws {Error} If the profile is the default one or does not exist.
+   */
+  deleteProfile(id) {
+    if (id === DEFAULT_PROFILE_ID) {
+      throw new Error('The default profile cannot be deleted.');
+    }
+    const profile = this.getProfile(id);
+    if (!profile) {
+      throw new Error(`Profile ${id} not found.`);
+    }
+
+    this._state = {
+      activeId: this._state.activeId === id ? DEFAULT_PROFILE_ID : this._state.activeId,
+      profiles: this._state.profiles.filter(profile => profile.id !== id)
+    };
+    this._saveState();
+    localStorage.removeItem(`${profile.storageKey}_pendingWrites`); // See SyncQueue
+    localStorage.removeItem(`${profile.storageKey}_view`); // See ViewState
+    return profile;
+  }
+}
@@ -0,0 +1,68 @@
+// docs/components/ProfileManager.test.js
+
+import ProfileManager, { DEFAULT_PROFILE_ID } from './ProfileManager.js';
+
+describe('ProfileManager', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Test case 1: Check the default profile, which keeps the existing storage key.
+  it('should start with a default profile stored under the configured key', () => {
+    const profiles = new ProfileManager({ storageKey: 'myBills', defaultProfileName: 'Home', defaultCurrency: 'GBP' });
+
+    expect(profiles.getActiveProfile()).toEqual({ id: DEFAULT_PROFILE_ID, name: 'Home', currency: 'GBP', storageKey: 'myBills' });
+    expect(profiles.getProfiles()).toHaveLength(1);
+  });
+
+  // Test case 2: Check that new profiles get their own storage key and survive a reload.
+  it('should create profiles with isolated storage keys and remember the active one', () => {
+    const profiles = new ProfileManager();
+    const rental = profiles.createProfile({ name: '  Rental flat ', currency: 'USD' });
+
+    expect(rental.name).toBe('Rental flat');
+    expect(rental.storageKey).toBe(`myBills_profile_${rental.id}`);
+    expect(profiles.getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+
+    profiles.setActiveProfile(rental.id);
+    const reloaded = new ProfileManager();
+    expect(reloaded.getActiveProfile()).toEqual(rental);
+    expect(reloaded.getProfiles().map(({ name }) => name)).toEqual(['Home', 'Rental flat']);
+  });
+
+  // Test case 3: Check name validation and unknown profiles.
+  it('should reject empty or duplicate names and unknown profiles', () => {
+    const profiles = new ProfileManager();
+
+    expect(() => profiles.createProfile({ name: ' ', currency: 'EUR' })).toThrow('A profile needs a name.');
+    expect(() => profiles.createProfile({ name: 'home', currency: 'EUR' })).toThrow('A profile named "home" already exists.');
+    expect(() => profiles.setActiveProfile('nope')).toThrow('Profile nope not found.');
+  });
+
+  // Test case 4: Check that deleting a profile removes its local data and falls back to the default profile.
+  it('should delete a profile with its local data, but never the default one', () => {
+    const profiles = new ProfileManager();
+    const parents = profiles.createProfile({ name: 'Parents', currency: 'EUR' });
+    profiles.setActiveProfile(parents.id);
+    localStorage.setItem(`${parents.storageKey}_view`, '{}');
+    localStorage.setItem(`${parents.storageKey}_pendingWrites`, '{}');
+
+    expect(profiles.deleteProfile(parents.id)).toEqual(parents);
+    expect(profiles.getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+    expect(localStorage.getItem(`${parents.storageKey}_view`)).toBeNull();
+    expect(localStorage.getItem(`${parents.storageKey}_pendingWrites`)).toBeNull();
+    expect(() => profiles.deleteProfile(DEFAULT_PROFILE_ID)).toThrow('The default profile cannot be deleted.');
+  });
+
+  // Test case 5: Check that an unreadable profile list is replaced by the default profile.
+  it('should ignore an unreadable profile list', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.setItem('myBills_profiles', '{oops');
+
+    expect(new ProfileManager().getProfiles().map(({ id }) => id)).toEqual([DEFAULT_PROFILE_ID]);
+  });
+});
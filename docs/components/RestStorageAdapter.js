@@ -0,0 +1,90 @@
+import StorageAdapter from "./StorageAdapter.js";
+
+/**
+ * @class RestStorageAdapter
+ * @extends StorageAdapter
+ * @description Stores resources on an HTTP server using `fetch`. The contract is intentionally
+ * small so any backend (or the stand-in in `server/rest-stand-in.js`) can serve it:
+ *
+ * - `GET    {baseUrl}/{namespace}/{resource}` -> 200 with the JSON value, or 404 if never written
+ * - `PUT    {baseUrl}/{namespace}/{resource}` with a JSON body -> 200 or 204
+ * - `DELETE {baseUrl}/{namespace}/{resource}` -> 200, 204 or 404
+ *
+ * `namespace` is the app's storageKey and `resource` is 'bills', 'settings', etc.
+ * Revisioned writes (see StorageAdapter#writeRevision) are PUTs with an `If-Match: "<baseRevision>"` header;
+ * the server answers 412 if the stored value is at another revision, so the check and the write happen together.
+ * Any other status rejects with an Error carrying the HTTP `status`.
+ */
+export default class RestStorageAdapter extends StorageAdapter {
+  /**
+   * @constructor
+   * @param {object} options
+   * @param {string} [options.namespace] - The namespace resources are stored under.
+   * @param {string} options.baseUrl - The API root, e.g. 'http://localhost:3001/api'.
+   * @param {function} [options.fetchFn] - The fetch implementation; defaults to the global `fetch`.
+   */
+  constructor({ namespace, baseUrl, fetchFn } = {}) {
+    super({ namespace });
+    if (!baseUrl) {
+      throw new Error('RestStorageAdapter needs a baseUrl (APP_CONFIG.app.storage.baseUrl).');
+    }
+    this.baseUrl = baseUrl.replace(/\/+$/, ''); // Avoid double slashes when joining paths
+    this._fetch = fetchFn || ((...args) => fetch(...args));
+  }
+
+  /**
+   * Builds the URL of a resource.
+   * @param {string} resource - The resource name.
+   * @returns {string} The resource URL.
+   */
+  urlFor(resource) {
+    return `${this.baseUrl}/${encodeURIComponent(this.namespace)}/${encodeURIComponent(resource)}`;
+  }
+
+  /**
+   * @private
+   * Sends a request and turns unexpected HTTP statuses into errors.
+   * @param {string} method - The HTTP method.
+   * @param {string} resource - The resource name.
+   * @param {Array<number>} okStatuses - Statuses that count as success besides 2xx.
+   * @param {*} [body] - The value to send as JSON.
+   * @param {object} [headers] - Extra request headers.
+   * @returns {Promise<Response>} A promise that resolves with the response.
+   */
+  async _request(method, resource, okStatuses, body, headers = {}) {
+    const url = this.urlFor(resource);
+    const response = await this._fetch(url, {
+      method,
+      headers: { ...(body === undefined ? { Accept: 'application/json' } : { 'Content-Type': 'application/json' }), ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    if (!response.ok && !okStatuses.includes(response.status)) {
+      const error = new Error(`${method} ${url} failed with HTTP ${response.status}.`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  async read(resource) {
+    const response = await this._request('GET', resource, [404]);
+    return response.status === 404 ? null : response.json();
+  }
+
+  async write(resource, value) {
+    await this._request('PUT', resource, [], value);
+  }
+
+  async writeRevision(resource, value, baseRevision) {
+    const response = await this._request('PUT', resource, [412], value, { 'If-Match': `"${baseRevision}"` });
+    if (response.status === 412) {
+      const { revision = null } = await response.json().catch(() => ({}));
+      throw StorageAdapter.createRevisionConflict(resource, revision);
+    }
+  }
+
+  async remove(resource) {
+    await this._request('DELETE', resource, [404]);
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * @jest-environment node
+ */
+// docs/components/RestStorageAdapter.test.js
+// Runs against the local stand-in server, so the adapter and the documented contract are tested together.
+
+import RestStorageAdapter from './RestStorageAdapter.js';
+import { createStandInServer } from '../../server/createStandInServer.js';
+import { REVISION_CONFLICT } from './StorageAdapter.js';
+
+describe('RestStorageAdapter', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(done => {
+    server = createStandInServer();
+    server.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}/api`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  // Test case 1: Check that a resource that was never written reads as null.
+  it('should resolve null for a resource that was never written', async () => {
+    const adapter = new RestStorageAdapter({ namespace: 'empty', baseUrl });
+    expect(await adapter.read('bills')).toBeNull();
+  });
+
+  // Test case 2: Check write, read and remove against the stand-in server.
+  it('should write, read and remove resources over HTTP', async () => {
+    const adapter = new RestStorageAdapter({ namespace: 'myBills', baseUrl });
+
+    await adapter.write('bills', [{ id: 'r1', amount: { value: 10, currency: 'EUR' } }]);
+    expect(await adapter.read('bills')).toEqual([{ id: 'r1', amount: { value: 10, currency: 'EUR' } }]);
+
+    await adapter.remove('bills');
+    expect(await adapter.read('bills')).toBeNull();
+  });
+
+  // Test case 3: Check that namespaces (storage keys) are isolated from each other.
+  it('should keep namespaces separate', async () => {
+    await new RestStorageAdapter({ namespace: 'home', baseUrl }).write('settings', { reportingCurrency: 'EUR' });
+    expect(await new RestStorageAdapter({ namespace: 'office', baseUrl }).read('settings')).toBeNull();
+  });
+
+  // Test case 4: Check that unexpected HTTP statuses reject with the status attached.
+  it('should reject with the HTTP status when the server fails', async () => {
+    const fetchFn = jest.fn().mockResolvedValue({ ok: false, status: 500 });
+    const adapter = new RestStorageAdapter({ namespace: 'myBills', baseUrl: 'http://api.test', fetchFn });
+
+    await expect(adapter.write('bills', [])).rejects.toMatchObject({ status: 500 });
+    expect(fetchFn).toHaveBeenCalledWith('http://api.test/myBills/bills', expect.objectContaining({ method: 'PUT', body: '[]' }));
+  });
+
+  // Test case 5: Check that the server refuses revisioned writes based on an outdated revision.
+  it('should reject a write based on an outdated revision with a conflict', async () => {
+    const adapter = new RestStorageAdapter({ namespace: 'revisions', baseUrl });
+
+    await adapter.writeRevision('bills', { revision: 1, bills: [] }, 0);
+    await adapter.writeRevision('bills', { revision: 2, bills: [{ id: 'r1' }] }, 1);
+    await expect(adapter.writeRevision('bills', { revision: 2, bills: [] }, 1))
+      .rejects.toMatchObject({ code: REVISION_CONFLICT, storedRevision: 2 });
+
+    expect(await adapter.read('bills')).toEqual({ revision: 2, bills: [{ id: 'r1' }] });
+  });
+
+  // Test case 6: Check that a base URL is required.
+  it('should require a base URL', () => {
+    expect(() => new RestStorageAdapter({ namespace: 'myBills' })).toThrow('needs a baseUrl');
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * The `code` set on the error thrown when a revisioned write is based on an outdated revision (see `writeRevision`).
+ */
+export const REVISION_CONFLICT = 'REVISION_CONFLICT';
+
+/**
+ * @class StorageAdapter
+ * @description The interface every storage backend implements so that ApiService (and through it,
+ * BillManager) never depends on where data actually lives.
+ *
+ * Data is organised in named resources ('bills', 'settings', ...) inside a namespace, which is the
+ * configured `storageKey`. Each resource holds one JSON-serializable value. Adapters must:
+ * - resolve `read()` with the stored value, or null if the resource was never written;
+ * - resolve `write()` once the value is durably stored;
+ * - resolve `remove()` once the resource is gone (removing a missing resource is not an error);
+ * - reject with an Error when the backend fails.
+ *
+ * Resources that several clients may write (the bills) are saved with `writeRevision()`, which refuses
+ * to overwrite a newer value than the one the client started from. The base implementation compares
+ * and writes in two steps; adapters whose backend can do both at once (RestStorageAdapter,
+ * IndexedDbStorageAdapter) override it.
+ *
+ * Shipped implementations: LocalStorageAdapter, IndexedDbStorageAdapter, MemoryStorageAdapter
+ * and RestStorageAdapter.
+ */
+export default class StorageAdapter {
+  /**
+   * @constructor
+   * @param {object} [options]
+   * @param {string} [options.namespace='myBills'] - The namespace resources are stored under (the app's storageKey).
+   */
+  constructor({ namespace = 'myBills' } = {}) {
+    this.namespace = namespace;
+
+    /**
+     * @property {boolean} encrypted - True if the adapter encrypts values at rest (see EncryptedStorageAdapter).
+     * Plaintext copies of the data, such as the sync queue, must then stay in memory.
+     */
+    this.encrypted = false;
+  }
+
+  /**
+   * Builds the flat key a resource is stored under. The 'bills' resource uses the bare
+   * namespace so data saved before adapters existed is still found.
+   * @param {string} resource - The resource name, e.g. 'bills' or 'settings'.
+   * @returns {string} The storage key, e.g. 'myBills' or 'myBills_settings'.
+   */
+  keyFor(resource) {
+    return resource === 'bills' ? this.namespace : `${this.namespace}_${resource}`;
+  }
+
+  /**
+   * Reads a resource.
+   * @param {string} resource - The resource name.
+   * @returns {Promise<*>} A promise that resolves with the stored value, or null if there is none.
+   * @async
+   */
+  async read(resource) {
+    throw new Error(`${this.constructor.name} does not implement read('${resource}').`);
+  }
+
+  /**
+   * Writes a resource, replacing any previous value.
+   * @param {string} resource - The resource name.
+   * @param {*} value - The JSON-serializable value to store.
+   * @returns {Promise<void>}
+   * @async
+   */
+  async write(resource, value) {
+    throw new Error(`${this.constructor.name} does not implement write('${resource}').`);
+  }
+
+  /**
+   * Writes a revisioned resource, a value carrying a numeric `revision`, but only if the stored value is still
+   * at `baseRevision`. A value stored without a revision (or no value at all) counts as revision 0.
+   * @param {string} resource - The resource name.
+   * @param {{revision: number}} value - The JSON-serializable value to store, usually at `baseRevision + 1`.
+   * @param {number} baseRevision - The revision the value was based on.
+   * @returns {Promise<void>}
+   * @throws {Error} With `code` REVISION_CONFLICT if the stored value is at another revision.
+   * @async
+   */
+  async writeRevision(resource, value, baseRevision) {
+    const storedRevision = StorageAdapter.revisionOf(await this.read(resource));
+    if (storedRevision !== baseRevision) {
+      throw StorageAdapter.createRevisionConflict(resource, storedRevision);
+    }
+    await this.write(resource, value);
+  }
+
+  /**
+   * Reads the revision of a stored value.
+   * @param {*} stored - The stored value, or null.
+   * @returns {number} Its `revision`, or 0 if it has none (or there is no value).
+   */
+  static revisionOf(stored) {
+    return Number.isInteger(stored?.revision) ? stored.revision : 0;
+  }
+
+  /**
+   * Creates the error a revisioned write rejects with when it is based on an outdated revision.
+   * @param {string} resource - The resource name.
+   * @param {number|null} storedRevision - The revision in storage, if known.
+   * @returns {Error} An error with `code` REVISION_CONFLICT, `status` 409 and `storedRevision` set.
+   */
+  static createRevisionConflict(resource, storedRevision) {
+    const error = new Error(`'${resource}' was changed elsewhere since it was loaded (it is now at revision ${storedRevision ?? 'unknown'}).`);
+    error.code = REVISION_CONFLICT;
+    error.status = 409; // Not retryable: sending the same write again would fail the same way
+    error.storedRevision = storedRevision;
+    return error;
+  }
+
+  /**
+   * Removes a resource.
+   * @param {string} resource - The resource name.
+   * @returns {Promise<void>}
+   * @async
+   */
+  async remove(resource) {
+    throw new Error(`${this.constructor.name} does not implement remove('${resource}').`);
+  }
+}
@@ -0,0 +1,363 @@
+/**
+ * @class SyncQueue
+ * @description Durable queue for writes that failed to reach storage (e.g. while offline).
+ *
+ * Every write in this app replaces a whole resource ('bills' or 'settings'), so the queue only
+ * needs to keep the latest pending value per resource; older queued values are superseded. It
+ * also counts how many changes are waiting, for the "N unsynced changes" indicator.
+ *
+ * The queue itself lives in localStorage under `<storageKey>_pendingWrites`, so unsynced changes
+ * survive a reload even when the configured adapter is remote. A non-durable queue (used when the
+ * storage is encrypted, so no plaintext reaches the disk) keeps them in memory only. Retries use exponential backoff
+ * and are also triggered as soon as the browser reports it is back online.
+ *
+ * Every open tab of a profile shares the durable queue. Each change to it therefore re-reads the stored
+ * queue and only replaces or removes the entry it is about, and a `storage` event for the key (another tab
+ * changed the queue) reloads it. Tabs see each other's queued values this way, and none overwrites them.
+ *
+ * A retry that fails with a permanent error (see `isRetryable`), e.g. a value the server refuses, is not
+ * retried again: its resource is dropped from the queue and the error is passed to the listeners.
+ * A write that rejects with an error marked `held` (see `isHeld`) can only go through once the user has
+ * decided something, e.g. which version of bills changed elsewhere to keep. It stays queued, and counted,
+ * without being retried; the next value queued for the resource, or the next flush, sends it again.
+ */
+export default class SyncQueue {
+  /**
+   * @constructor
+   * @param {object} options
+   * @param {function(string, *): Promise<void>} options.write - Sends one resource to storage, e.g. (resource, data) => apiService.saveBills(data).
+   * @param {string} [options.storageKey='myBills'] - The app's storage key; the queue is stored next to it.
+   * @param {number} [options.baseDelayMs=1000] - The delay before the first retry.
+   * @param {number} [options.maxDelayMs=60000] - The longest delay between retries.
+   * @param {boolean} [options.durable=true] - Whether to mirror the queue to localStorage.
+   */
+  constructor({ write, storageKey = 'myBills', baseDelayMs = 1000, maxDelayMs = 60000, durable = true }) {
+    this._write = write;
+    this._queueKey = `${storageKey}_pendingWrites`;
+    this.durable = durable;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+
+    /**
+     * @private
+     * @property {{writes: Object<string, {data: *, sequence: number, changes: number}>}} _state - The latest pending
+     * value per resource, with its sequence and how many changes it holds. A copy of the stored queue if it is durable.
+     */
+    this._state = this._loadState();
+
+    /**
+     * @private
+     * @property {Object<string, number>} _lastSequence - The highest sequence this queue has seen per resource, so
+     * sequences keep growing after an entry is removed.
+     */
+    this._lastSequence = {};
+
+    /**
+     * @private
+     * @property {number} _attempt - How many retries in a row have failed; drives the backoff delay.
+     */
+    this._attempt = 0;
+
+    /**
+     * @private
+     * @property {number|null} _retryTimer - The pending retry timeout, if any.
+     */
+    this._retryTimer = null;
+
+    /**
+     * @private
+     * @property {Promise<boolean>|null} _flushing - The flush in progress, so concurrent calls share it.
+     */
+    this._flushing = null;
+
+    /**
+     * @private
+     * @property {Set<function(number, {resource: string, error: Error}=): void>} _listeners - Called with the
+     * pending count whenever it changes, and with the failure when a queued write is dropped.
+     */
+    this._listeners = new Set();
+
+    /**
+     * @private
+     * @property {boolean} _closed - Set by `close()`; no more retries are scheduled after it.
+     */
+    this._closed = false;
+
+    this._onOnline = () => this.flush();
+    this._onStorage = (event) => {
+      if (event.key === this._queueKey) this.refresh();
+    };
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this._onOnline);
+      if (durable) {
+        window.addEventListener('storage', this._onStorage);
+      }
+    }
+  }
+
+  /**
+   * Stops retrying: removes the window listeners and the pending retry, e.g. for a manager opened only
+   * to copy bills into another profile. A durable queue's writes stay stored for the next time the
+   * profile is opened.
+   */
+  close() {
+    this._closed = true;
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    this._listeners.clear();
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this._onOnline);
+      window.removeEventListener('storage', this._onStorage);
+    }
+  }
+
+  /**
+   * Decides whether a failed write is worth retrying later, as opposed to a permanent
+   * failure the caller must handle. Network failures, server errors, rate limiting and
+   * errors explicitly marked `retryable` qualify, as does any failure while offline.
+   * @param {Error} error - The error a write rejected with.
+   * @returns {boolean} True if the write should be queued.
+   */
+  static isRetryable(error) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+    if (!error) return false;
+    if (error.retryable === true) return true;
+    if (error instanceof TypeError) return true; // fetch() rejects with a TypeError on network failure
+    return error.status >= 500 || error.status === 408 || error.status === 429;
+  }
+
+  /**
+   * Decides whether a failed write has to wait for the user rather than be retried or dropped.
+   * @param {Error} error - The error a write rejected with.
+   * @returns {boolean} True if the write should stay queued without retries.
+   */
+  static isHeld(error) {
+    return error?.held === true;
+  }
+
+  /**
+   * @private
+   * Reads the durable queue from localStorage; a non-durable queue only has the one in memory.
+   * @returns {{writes: object}} The stored queue, or an empty one.
+   */
+  _loadState() {
+    if (!this.durable) return this._state || { writes: {} };
+    try {
+      const saved = JSON.parse(localStorage.getItem(this._queueKey));
+      if (saved && saved.writes) {
+        // Queues stored before entries counted their changes: the sequence started at 1 for each queued value.
+        Object.values(saved.writes).forEach((entry) => {
+          entry.changes = entry.changes ?? entry.sequence;
+        });
+        return { writes: saved.writes };
+      }
+    } catch (error) {
+      console.error('SyncQueue: Ignoring unreadable pending writes', error);
+    }
+    return { writes: {} };
+  }
+
+  /**
+   * @private
+   * Changes one resource's entry in the queue as stored now, which may hold other tabs' values, then stores
+   * the queue (removing the key when empty) and notifies listeners.
+   * @param {string} resource - The resource whose entry changes.
+   * @param {function(object|undefined): object|undefined} update - Given the current entry, returns the new
+   * one, or undefined to remove it.
+   * @param {{resource: string, error: Error}} [failure] - The write that was dropped, if that is the change.
+   */
+  _updateEntry(resource, update, failure) {
+    const state = this._loadState();
+    const entry = update(state.writes[resource]);
+    if (entry) {
+      state.writes[resource] = entry;
+    } else {
+      delete state.writes[resource];
+    }
+    this._state = state;
+
+    if (this.durable && this.hasPending()) {
+      localStorage.setItem(this._queueKey, JSON.stringify({ ...state, count: this.getPendingCount() }));
+    } else if (this.durable) {
+      localStorage.removeItem(this._queueKey);
+    }
+    this._notify(failure);
+  }
+
+  /**
+   * @private
+   * Tells the listeners the pending count.
+   * @param {{resource: string, error: Error}} [failure] - The write that was dropped, if any.
+   */
+  _notify(failure) {
+    const count = this.getPendingCount();
+    this._listeners.forEach(listener => (failure ? listener(count, failure) : listener(count)));
+  }
+
+  /**
+   * Reloads the durable queue, e.g. after another tab queued a value or sent the queued ones, and
+   * tells the listeners. Does nothing for a non-durable queue, which no other tab can change.
+   */
+  refresh() {
+    if (!this.durable) return;
+    this._state = this._loadState();
+    this._notify();
+    this._scheduleRetry();
+  }
+
+  /**
+   * Registers a listener for changes to the number of unsynced changes.
+   * @param {function(number, {resource: string, error: Error}=): void} listener - Called with the new pending
+   * count. When a queued write was dropped because storage rejected it, the second argument says which and why.
+   * @returns {function(): void} A function that removes the listener.
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * @returns {number} How many changes have not reached storage yet.
+   */
+  getPendingCount() {
+    return Object.values(this._state.writes).reduce((count, { changes }) => count + changes, 0);
+  }
+
+  /**
+   * @returns {boolean} True if any write is waiting to be retried.
+   */
+  hasPending() {
+    return Object.keys(this._state.writes).length > 0;
+  }
+
+  /**
+   * Returns the queued value of a resource, which is newer than what storage holds.
+   * @param {string} resource - The resource name, e.g. 'bills'.
+   * @returns {*} The pending value, or undefined if nothing is queued for it.
+   */
+  getPendingValue(resource) {
+    return this._state.writes[resource]?.data;
+  }
+
+  /**
+   * Queues a write and schedules a retry. A newer value replaces any queued value for the same resource.
+   * @param {string} resource - The resource name, e.g. 'bills'.
+   * @param {*} data - The full value to write.
+   */
+  enqueue(resource, data) {
+    this._updateEntry(resource, (entry) => {
+      // 'sequence' tells a finished retry whether a newer value arrived for the resource meanwhile, in any tab.
+      const sequence = Math.max(entry?.sequence || 0, this._lastSequence[resource] || 0) + 1;
+      this._lastSequence[resource] = sequence;
+      return { data, sequence, changes: (entry?.changes || 0) + 1 };
+    });
+    this._scheduleRetry();
+  }
+
+  /**
+   * Tries to send every queued write now. Concurrent calls share the same attempt.
+   * On failure another retry is scheduled with a longer delay.
+   * @returns {Promise<boolean>} A promise that resolves with true once the queue is empty, false if writes are still pending.
+   * @async
+   */
+  flush() {
+    if (!this._flushing) {
+      this._flushing = this._flushOnce().finally(() => {
+        this._flushing = null;
+      });
+    }
+    return this._flushing;
+  }
+
+  /**
+   * @private
+   * Sends the queued writes one resource at a time. Held writes (see `isHeld`) are skipped over.
+   * @returns {Promise<boolean>} True if the queue is empty afterwards.
+   * @async
+   */
+  async _flushOnce() {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    const held = new Map();
+
+    for (const [resource, { data, sequence }] of Object.entries(this._state.writes)) {
+      try {
+        await this._write(resource, data);
+      } catch (error) {
+        if (SyncQueue.isHeld(error)) {
+          console.warn(`SyncQueue: '${resource}' is held until the user decides`, error);
+          held.set(resource, sequence);
+          continue;
+        }
+        if (!SyncQueue.isRetryable(error)) {
+          console.error(`SyncQueue: Dropped '${resource}', which storage rejected`, error);
+          this._drop(resource, sequence, error);
+          continue;
+        }
+        console.warn(`SyncQueue: Retry of '${resource}' failed`, error);
+        this._attempt += 1;
+        this._scheduleRetry();
+        return false;
+      }
+
+      this._settle(resource, sequence);
+    }
+
+    if (!this.hasPending()) {
+      clearTimeout(this._retryTimer);
+      this._retryTimer = null;
+      this._attempt = 0;
+      return true;
+    }
+    if (Object.entries(this._state.writes).every(([resource, { sequence }]) => held.get(resource) === sequence)) {
+      return false; // Only held writes are left
+    }
+
+    // A newer value was queued during the flush; send it straight away.
+    return this._flushOnce();
+  }
+
+  /**
+   * @private
+   * Removes a value that was sent, unless a newer value was queued for the resource (here or in another tab)
+   * while it was being sent.
+   * @param {string} resource - The resource that was sent.
+   * @param {number} sequence - The sequence of the value that was sent.
+   * @param {{resource: string, error: Error}} [failure] - Why it was dropped instead, if storage rejected it.
+   */
+  _settle(resource, sequence, failure) {
+    this._updateEntry(resource, entry => (entry?.sequence === sequence ? undefined : entry), failure);
+  }
+
+  /**
+   * @private
+   * Removes a write that failed permanently, so it stops blocking the writes after it, and reports it.
+   * A newer value queued for the resource meanwhile stays queued; it may well be accepted.
+   * @param {string} resource - The resource whose write failed.
+   * @param {number} sequence - The sequence of the value that was sent.
+   * @param {Error} error - Why it failed.
+   */
+  _drop(resource, sequence, error) {
+    this._settle(resource, sequence, { resource, error });
+  }
+
+  /**
+   * Computes the delay before the next retry: baseDelayMs doubled for every failed attempt, capped at maxDelayMs.
+   * @returns {number} The delay in milliseconds.
+   */
+  getRetryDelay() {
+    return Math.min(this.baseDelayMs * 2 ** this._attempt, this.maxDelayMs);
+  }
+
+  /**
+   * @private
+   * Schedules the next retry unless one is already pending.
+   */
+  _scheduleRetry() {
+    if (this._closed || this._retryTimer || !this.hasPending()) return;
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null;
+      this.flush();
+    }, this.getRetryDelay());
+  }
+}
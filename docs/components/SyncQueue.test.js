@@ -0,0 +1,204 @@
+// docs/components/SyncQueue.test.js
+
+import SyncQueue from './SyncQueue.js';
+
+describe('SyncQueue', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  // Test case 1: Check that queued writes are stored durably and counted.
+  it('should persist queued writes and count every change', () => {
+    const queue = new SyncQueue({ write: jest.fn(), storageKey: 'testBills' });
+
+    queue.enqueue('bills', [{ id: '1' }]);
+    queue.enqueue('bills', [{ id: '1' }, { id: '2' }]);
+
+    expect(queue.getPendingCount()).toBe(2);
+    expect(queue.getPendingValue('bills')).toEqual([{ id: '1' }, { id: '2' }]);
+
+    // A new queue (e.g. after a reload) picks up where the old one left off.
+    const reloaded = new SyncQueue({ write: jest.fn(), storageKey: 'testBills' });
+    expect(reloaded.getPendingCount()).toBe(2);
+    expect(reloaded.getPendingValue('bills')).toEqual([{ id: '1' }, { id: '2' }]);
+  });
+
+  // Test case 2: Check exponential backoff between failed retries, capped at maxDelayMs.
+  it('should retry with exponential backoff until the write succeeds', async () => {
+    const write = jest.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValue();
+    const queue = new SyncQueue({ write, baseDelayMs: 100, maxDelayMs: 300 });
+    const listener = jest.fn();
+    queue.subscribe(listener);
+
+    queue.enqueue('bills', []);
+    expect(queue.getRetryDelay()).toBe(100);
+
+    await jest.advanceTimersByTimeAsync(100); // 1st retry fails
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(queue.getRetryDelay()).toBe(200);
+
+    await jest.advanceTimersByTimeAsync(200); // 2nd retry fails
+    expect(write).toHaveBeenCalledTimes(2);
+    expect(queue.getRetryDelay()).toBe(300); // 400 capped to 300
+
+    await jest.advanceTimersByTimeAsync(300); // 3rd retry succeeds
+    expect(write).toHaveBeenCalledTimes(3);
+    expect(queue.hasPending()).toBe(false);
+    expect(localStorage.getItem('myBills_pendingWrites')).toBeNull();
+    expect(listener).toHaveBeenLastCalledWith(0);
+  });
+
+  // Test case 3: Check that coming back online flushes immediately.
+  it('should flush when the browser comes back online', async () => {
+    const write = jest.fn().mockResolvedValue();
+    const queue = new SyncQueue({ write, baseDelayMs: 60000 });
+    queue.enqueue('settings', { reportingCurrency: 'USD' });
+
+    window.dispatchEvent(new Event('online'));
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(write).toHaveBeenCalledWith('settings', { reportingCurrency: 'USD' });
+    expect(queue.hasPending()).toBe(false);
+  });
+
+  // Test case 4: Check that a value queued during a flush is not lost.
+  it('should send a value that was queued while a flush was in progress', async () => {
+    let releaseFirstWrite;
+    const write = jest.fn()
+      .mockImplementationOnce(() => new Promise(resolve => { releaseFirstWrite = resolve; }))
+      .mockResolvedValue();
+    const queue = new SyncQueue({ write });
+
+    queue.enqueue('bills', ['old']);
+    const flushed = queue.flush();
+    queue.enqueue('bills', ['new']);
+    releaseFirstWrite();
+
+    await expect(flushed).resolves.toBe(true);
+    expect(write).toHaveBeenLastCalledWith('bills', ['new']);
+    expect(queue.hasPending()).toBe(false);
+  });
+
+  // Test case 5: Check which failures are considered retryable.
+  it('should only treat transient failures as retryable', () => {
+    expect(SyncQueue.isRetryable(Object.assign(new Error('x'), { retryable: true }))).toBe(true);
+    expect(SyncQueue.isRetryable(new TypeError('Failed to fetch'))).toBe(true);
+    expect(SyncQueue.isRetryable(Object.assign(new Error('x'), { status: 503 }))).toBe(true);
+    expect(SyncQueue.isRetryable(Object.assign(new Error('x'), { status: 400 }))).toBe(false);
+    expect(SyncQueue.isRetryable(new Error('Quota exceeded'))).toBe(false);
+  });
+
+  // Test case 6: Check that a non-durable queue keeps its writes in memory only.
+  it('should not mirror a non-durable queue to localStorage', () => {
+    localStorage.setItem('testBills_pendingWrites', JSON.stringify({ writes: { bills: ['stale'] }, count: 1 }));
+    const queue = new SyncQueue({ write: jest.fn(), storageKey: 'testBills', durable: false });
+    expect(queue.hasPending()).toBe(false);
+
+    queue.enqueue('bills', [{ id: '1' }]);
+
+    expect(queue.hasPending()).toBe(true);
+    expect(JSON.parse(localStorage.getItem('testBills_pendingWrites'))).toEqual({ writes: { bills: ['stale'] }, count: 1 });
+  });
+
+  // Test case 7: Check that a write storage rejects for good is dropped and reported instead of blocking the queue.
+  it('should drop and report a write that fails permanently', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const rejected = Object.assign(new Error('Payload too large'), { status: 413 });
+    const write = jest.fn(resource => (resource === 'bills' ? Promise.reject(rejected) : Promise.resolve()));
+    const queue = new SyncQueue({ write, storageKey: 'testBills' });
+    const listener = jest.fn();
+    queue.subscribe(listener);
+
+    queue.enqueue('bills', ['huge']);
+    queue.enqueue('bills', ['huger']);
+    queue.enqueue('settings', { reportingCurrency: 'USD' });
+
+    await expect(queue.flush()).resolves.toBe(true);
+    expect(write).toHaveBeenCalledTimes(2); // Not retried
+    expect(listener).toHaveBeenCalledWith(1, { resource: 'bills', error: rejected });
+    expect(listener).toHaveBeenLastCalledWith(0);
+    expect(queue.hasPending()).toBe(false);
+    expect(localStorage.getItem('testBills_pendingWrites')).toBeNull();
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(write).toHaveBeenCalledTimes(2);
+  });
+
+  // Test case 8: Check that two tabs sharing the durable queue keep each other's writes.
+  it('should keep the writes queued by other tabs of the same storage key', async () => {
+    const write = jest.fn().mockResolvedValue();
+    const firstTab = new SyncQueue({ write: jest.fn(), storageKey: 'shared' });
+    const secondTab = new SyncQueue({ write, storageKey: 'shared' }); // Opened before anything was queued
+
+    firstTab.enqueue('bills', ['first']);
+    secondTab.enqueue('settings', { reportingCurrency: 'USD' });
+
+    const stored = JSON.parse(localStorage.getItem('shared_pendingWrites'));
+    expect(Object.keys(stored.writes)).toEqual(['bills', 'settings']);
+    expect(stored.count).toBe(2);
+    expect(secondTab.getPendingValue('bills')).toEqual(['first']);
+
+    // The browser tells the first tab that the queue changed; it picks up the second tab's write.
+    window.dispatchEvent(new StorageEvent('storage', { key: 'shared_pendingWrites' }));
+    expect(firstTab.getPendingValue('settings')).toEqual({ reportingCurrency: 'USD' });
+    expect(firstTab.getPendingCount()).toBe(2);
+
+    // A value the first tab queues while the second is sending the older one is not dropped with it.
+    const flushed = secondTab.flush();
+    firstTab.enqueue('bills', ['first', 'again']);
+    await expect(flushed).resolves.toBe(true);
+    expect(write.mock.calls).toEqual([
+      ['bills', ['first']], ['settings', { reportingCurrency: 'USD' }], ['bills', ['first', 'again']]
+    ]);
+    expect(localStorage.getItem('shared_pendingWrites')).toBeNull();
+  });
+
+  // Test case 9: Check that a closed queue stops retrying and no longer reacts to the window.
+  it('should stop retrying once closed', async () => {
+    const write = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    const queue = new SyncQueue({ write, storageKey: 'closed', baseDelayMs: 100 });
+    queue.enqueue('bills', ['pending']);
+
+    queue.close();
+    await jest.advanceTimersByTimeAsync(1000);
+    window.dispatchEvent(new Event('online'));
+    window.dispatchEvent(new StorageEvent('storage', { key: 'closed_pendingWrites' }));
+
+    expect(write).not.toHaveBeenCalled();
+    expect(JSON.parse(localStorage.getItem('closed_pendingWrites')).writes.bills.data).toEqual(['pending']); // Kept for next time
+  });
+
+  // Test case 10: Check that a held write stays queued without retries, and goes out with the next value queued.
+  it('should keep a held write queued until a newer value is queued', async () => {
+    const held = Object.assign(new Error('Waiting for the user'), { held: true });
+    const write = jest.fn(resource => (resource === 'bills' && write.mock.calls.length === 1 ? Promise.reject(held) : Promise.resolve()));
+    const queue = new SyncQueue({ write, storageKey: 'held', baseDelayMs: 100 });
+    const listener = jest.fn();
+    queue.subscribe(listener);
+    queue.enqueue('bills', ['mine']);
+    queue.enqueue('settings', { reportingCurrency: 'USD' });
+
+    await expect(queue.flush()).resolves.toBe(false);
+    expect(queue.getPendingValue('bills')).toEqual(['mine']);
+    expect(queue.hasPending()).toBe(true);
+    expect(listener).toHaveBeenLastCalledWith(1); // Settings went out; the held write is still counted
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(write).toHaveBeenCalledTimes(2);
+
+    queue.enqueue('bills', ['merged']);
+    await expect(queue.flush()).resolves.toBe(true);
+    expect(write).toHaveBeenLastCalledWith('bills', ['merged']);
+    expect(listener).toHaveBeenLastCalledWith(0);
+  });
+});
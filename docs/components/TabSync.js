@@ -0,0 +1,115 @@
+/**
+ * @class TabSync
+ * @description Tells the other open tabs of the app when this tab has saved something, so they can
+ * reload instead of holding on to stale bills and overwriting newer data with their next save.
+ *
+ * Messages go over a BroadcastChannel named after the storage key, so only tabs showing the same
+ * profile hear them, whichever storage adapter is configured. Browsers without BroadcastChannel fall
+ * back to `storage` events: each notification is written to localStorage under `<storageKey>_tabSync`,
+ * which fires a `storage` event in every other tab. A tab never hears its own notifications.
+ */
+export default class TabSync {
+  /**
+   * @constructor
+   * @param {object} options
+   * @param {string} [options.storageKey='myBills'] - The storage key of the profile; tabs on other keys are not notified.
+   * @param {function(string): BroadcastChannel|null} [options.createChannel] - Opens a channel by name. Defaults to
+   * `new BroadcastChannel(name)` where available; return null to use the `storage` event fallback.
+   */
+  constructor({ storageKey = 'myBills', createChannel = defaultCreateChannel } = {}) {
+    this.storageKey = storageKey;
+
+    /**
+     * @property {string} tabId - Identifies this tab's messages, so it can ignore them if they come back.
+     */
+    this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+    /**
+     * @private
+     * @property {Set<function({resource: string}): void>} _listeners - Called for every change made in another tab.
+     */
+    this._listeners = new Set();
+
+    /**
+     * @private
+     * @property {string} _fallbackKey - The localStorage key notifications are written to without BroadcastChannel.
+     */
+    this._fallbackKey = `${storageKey}_tabSync`;
+
+    this._channel = createChannel(`billCalculatorPro:${storageKey}`);
+    if (this._channel) {
+      this._channel.onmessage = event => this._receive(event.data);
+    } else if (typeof window !== 'undefined') {
+      this._onStorage = (event) => {
+        if (event.key === this._fallbackKey && event.newValue) {
+          this._receive(JSON.parse(event.newValue));
+        }
+      };
+      window.addEventListener('storage', this._onStorage);
+    }
+  }
+
+  /**
+   * Registers a listener for changes saved by other tabs.
+   * @param {function({resource: string}): void} listener - Called with the resource that changed,
+   * e.g. 'bills', 'settings' or 'attachments'.
+   * @returns {function(): void} A function that removes the listener.
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Tells the other tabs that this tab has saved a resource.
+   * @param {string} resource - The resource that was saved, e.g. 'bills'.
+   */
+  notify(resource) {
+    const message = { tabId: this.tabId, resource, at: Date.now() };
+    try {
+      if (this._channel) {
+        this._channel.postMessage(message);
+      } else {
+        localStorage.setItem(this._fallbackKey, JSON.stringify(message)); // 'at' makes every write a change, so it always fires
+      }
+    } catch (error) {
+      console.warn('TabSync: Could not notify other tabs', error); // The save itself succeeded
+    }
+  }
+
+  /**
+   * Stops listening and closes the channel, e.g. for a manager opened only to copy bills into another profile.
+   */
+  close() {
+    this._listeners.clear();
+    if (this._channel) {
+      this._channel.close();
+    } else if (this._onStorage) {
+      window.removeEventListener('storage', this._onStorage);
+    }
+  }
+
+  /**
+   * @private
+   * Passes a message from another tab on to the listeners.
+   * @param {{tabId: string, resource: string}} message - The message.
+   */
+  _receive(message) {
+    if (!message || message.tabId === this.tabId) return;
+    this._listeners.forEach((listener) => {
+      try {
+        listener({ resource: message.resource });
+      } catch (error) {
+        console.error('TabSync: A listener failed', error);
+      }
+    });
+  }
+}
+
+/**
+ * @param {string} name - The channel name.
+ * @returns {BroadcastChannel|null} A channel, or null where BroadcastChannel is not supported.
+ */
+function defaultCreateChannel(name) {
+  return typeof BroadcastChannel === 'function' ? new BroadcastChannel(name) : null;
+}
@@ -0,0 +1,69 @@
+// docs/components/TabSync.test.js
+
+import TabSync from './TabSync.js';
+
+describe('TabSync', () => {
+  // Stands in for BroadcastChannel: every channel opened under a name hears the others' messages.
+  const openChannels = [];
+  const createChannel = (name) => {
+    const channel = {
+      name,
+      onmessage: null,
+      postMessage: data => openChannels
+        .filter(other => other !== channel && other.name === name)
+        .forEach(other => other.onmessage?.({ data })),
+      close: () => openChannels.splice(openChannels.indexOf(channel), 1)
+    };
+    openChannels.push(channel);
+    return channel;
+  };
+
+  afterEach(() => {
+    openChannels.length = 0;
+    localStorage.clear();
+  });
+
+  // Test case 1: Check that other tabs on the same storage key are told about a save, and the saving tab is not.
+  it('should notify other tabs on the same storage key only', () => {
+    const [first, second, otherProfile] = [
+      new TabSync({ storageKey: 'bills', createChannel }),
+      new TabSync({ storageKey: 'bills', createChannel }),
+      new TabSync({ storageKey: 'bills_profile_2', createChannel })
+    ];
+    const [firstListener, secondListener, otherListener] = [jest.fn(), jest.fn(), jest.fn()];
+    first.subscribe(firstListener);
+    const unsubscribe = second.subscribe(secondListener);
+    otherProfile.subscribe(otherListener);
+
+    first.notify('bills');
+    expect(secondListener).toHaveBeenCalledWith({ resource: 'bills' });
+    expect(firstListener).not.toHaveBeenCalled();
+    expect(otherListener).not.toHaveBeenCalled();
+
+    unsubscribe();
+    first.notify('settings');
+    second.close();
+    first.notify('settings');
+    expect(secondListener).toHaveBeenCalledTimes(1);
+  });
+
+  // Test case 2: Check the storage event fallback used without BroadcastChannel.
+  it('should fall back to storage events without BroadcastChannel', () => {
+    const tab = new TabSync({ storageKey: 'bills', createChannel: () => null });
+    const listener = jest.fn();
+    tab.subscribe(listener);
+
+    tab.notify('bills');
+    const written = localStorage.getItem('bills_tabSync');
+    expect(JSON.parse(written)).toMatchObject({ tabId: tab.tabId, resource: 'bills' });
+
+    // The browser fires storage events in the other tabs only; simulate one sent by another tab.
+    window.dispatchEvent(new StorageEvent('storage', { key: 'bills_tabSync', newValue: written }));
+    window.dispatchEvent(new StorageEvent('storage', { key: 'bills', newValue: '[]' }));
+    window.dispatchEvent(new StorageEvent('storage', { key: 'bills_tabSync', newValue: JSON.stringify({ tabId: 'other', resource: 'settings' }) }));
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ resource: 'settings' });
+    tab.close();
+  });
+});
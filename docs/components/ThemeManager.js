@@ -0,0 +1,172 @@
+/**
+ * @constant {string[]} COLOR_MODES - The colour modes a user can pick; 'system' follows the
+ * operating system's `prefers-color-scheme` setting and changes along with it.
+ */
+export const COLOR_MODES = ['light', 'dark', 'system'];
+
+/**
+ * @class ThemeManager
+ * @description Applies the theme packs from `APP_CONFIG.theme` to the page and remembers which one,
+ * and which colour mode, the user picked. A pack's tokens are written as CSS variables on the root
+ * element, e.g. `primaryHover` as `--app-primary-hover`, overriding the defaults in `styles/theme.css`.
+ * Tokens under `tokens` apply in both modes; those under `light` or `dark` only in that mode. Tokens a
+ * pack leaves out keep the stylesheet's defaults for the mode.
+ *
+ * The root element also gets `data-theme` (the pack name), `data-color-mode` (the mode picked, which may
+ * be 'system') and Bootstrap's `data-bs-theme` (the mode in effect, 'light' or 'dark'). The choice is
+ * kept in localStorage under `<storageKey>_theme`, so it is shared by every profile in the browser.
+ */
+export default class ThemeManager {
+  /**
+   * @constructor
+   * @param {object} [options]
+   * @param {string} [options.storageKey='myBills'] - The app's storage key; the choice is stored next to it.
+   * @param {object} [options.config] - The theme config: brandName (the default pack), mode (the default mode)
+   * and packs, keyed by name. A config without packs is read as a single pack named brandName, whose tokens
+   * are the config's other colour keys (primary, success, warning, danger).
+   * @param {HTMLElement} [options.root=document.documentElement] - The element the theme is applied to.
+   * @param {function(string): MediaQueryList|null} [options.matchMedia] - Evaluates a media query. Defaults
+   * to `window.matchMedia` where available; without it, 'system' means light.
+   */
+  constructor({ storageKey = 'myBills', config = {}, root = document.documentElement, matchMedia = defaultMatchMedia } = {}) {
+    const { brandName = 'default', mode = 'system', packs, ...legacyTokens } = config;
+
+    /**
+     * @private
+     * @property {Object<string, {label?: string, tokens?: object, light?: object, dark?: object}>} _packs - The theme packs by name.
+     */
+    this._packs = packs && Object.keys(packs).length ? packs : { [brandName]: { tokens: legacyTokens } };
+    this._defaultPack = this._packs[brandName] ? brandName : Object.keys(this._packs)[0];
+    this._defaultMode = COLOR_MODES.includes(mode) ? mode : 'system';
+
+    this._root = root;
+    this._themeKey = `${storageKey}_theme`;
+
+    /**
+     * @private
+     * @property {string[]} _appliedProperties - The CSS variables last set, removed before the next pack is applied.
+     */
+    this._appliedProperties = [];
+
+    const saved = this._load();
+    this._packName = this._packs[saved.pack] ? saved.pack : this._defaultPack;
+    this._mode = COLOR_MODES.includes(saved.mode) ? saved.mode : this._defaultMode;
+
+    this._darkQuery = matchMedia('(prefers-color-scheme: dark)');
+    this._darkQuery?.addEventListener?.('change', () => {
+      if (this._mode === 'system') this.apply();
+    });
+  }
+
+  /**
+   * @returns {Array<{value: string, label: string}>} The theme packs, for a select element.
+   */
+  get packChoices() {
+    return Object.entries(this._packs).map(([name, pack]) => ({ value: name, label: pack.label || name }));
+  }
+
+  /**
+   * @returns {string} The name of the pack in use.
+   */
+  get packName() {
+    return this._packName;
+  }
+
+  /**
+   * @returns {string} The colour mode picked: 'light', 'dark' or 'system'.
+   */
+  get mode() {
+    return this._mode;
+  }
+
+  /**
+   * @returns {string} The colour mode in effect, 'light' or 'dark'; for 'system', whichever the operating system prefers.
+   */
+  get resolvedMode() {
+    if (this._mode !== 'system') return this._mode;
+    return this._darkQuery?.matches ? 'dark' : 'light';
+  }
+
+  /**
+   * Switches to another theme pack and remembers it.
+   * @param {string} name - The pack's name in the theme config.
+   * @throws {Error} If there is no pack by that name.
+   */
+  setPack(name) {
+    if (!this._packs[name]) {
+      throw new Error(`ThemeManager: Unknown theme pack "${name}"`);
+    }
+    this._packName = name;
+    this._save();
+    this.apply();
+  }
+
+  /**
+   * Switches to another colour mode and remembers it.
+   * @param {string} mode - 'light', 'dark' or 'system'.
+   * @throws {Error} If the mode is not one of COLOR_MODES.
+   */
+  setMode(mode) {
+    if (!COLOR_MODES.includes(mode)) {
+      throw new Error(`ThemeManager: Unknown colour mode "${mode}"`);
+    }
+    this._mode = mode;
+    this._save();
+    this.apply();
+  }
+
+  /**
+   * Writes the current pack and mode to the root element.
+   */
+  apply() {
+    const pack = this._packs[this._packName];
+    const resolvedMode = this.resolvedMode;
+    const tokens = { ...pack.tokens, ...pack[resolvedMode] };
+
+    this._appliedProperties.forEach(property => this._root.style.removeProperty(property));
+    this._appliedProperties = Object.entries(tokens).map(([token, value]) => {
+      const property = `--app-${token.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+      this._root.style.setProperty(property, value);
+      return property;
+    });
+
+    this._root.setAttribute('data-theme', this._packName);
+    this._root.setAttribute('data-color-mode', this._mode);
+    this._root.setAttribute('data-bs-theme', resolvedMode);
+  }
+
+  /**
+   * @private
+   * Reads the stored choice.
+   * @returns {{pack?: string, mode?: string}} The stored choice, or an empty object if there is none or it is unreadable.
+   */
+  _load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this._themeKey));
+      if (saved && typeof saved === 'object') return saved;
+    } catch (error) {
+      console.error('ThemeManager: Ignoring unreadable theme choice', error);
+    }
+    return {};
+  }
+
+  /**
+   * @private
+   * Stores the current choice.
+   */
+  _save() {
+    try {
+      localStorage.setItem(this._themeKey, JSON.stringify({ pack: this._packName, mode: this._mode }));
+    } catch (error) {
+      console.warn('ThemeManager: Could not remember the theme choice', error); // The theme still applies until reload
+    }
+  }
+}
+
+/**
+ * @param {string} query - The media query.
+ * @returns {MediaQueryList|null} The query's result, or null where matchMedia is not supported.
+ */
+function defaultMatchMedia(query) {
+  return typeof window !== 'undefined' && typeof window.matchMedia === 'function' ? window.matchMedia(query) : null;
+}
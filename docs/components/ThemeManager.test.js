@@ -0,0 +1,80 @@
+// docs/components/ThemeManager.test.js
+
+import ThemeManager from './ThemeManager.js';
+
+describe('ThemeManager', () => {
+  const config = {
+    brandName: 'default',
+    mode: 'system',
+    packs: {
+      default: { label: 'Default', tokens: { primary: '#0d6efd' } },
+      forest: { label: 'Forest', tokens: { primary: '#2f7d4f', primaryHover: '#25643f' }, dark: { bg: '#0f1a14' } }
+    }
+  };
+  // Stands in for window.matchMedia: a prefers-color-scheme query whose result can be changed.
+  const createDarkQuery = (matches) => {
+    const listeners = [];
+    const query = {
+      matches,
+      addEventListener: (type, listener) => listeners.push(listener),
+      change: (value) => {
+        query.matches = value;
+        listeners.forEach(listener => listener({ matches: value }));
+      }
+    };
+    return query;
+  };
+  let root;
+
+  beforeEach(() => {
+    root = document.createElement('html');
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  // Test case 1: Check that a pack's tokens become CSS variables, including the ones for the mode in effect.
+  it('should apply the pack tokens for the resolved mode as CSS variables', () => {
+    const darkQuery = createDarkQuery(true);
+    const themes = new ThemeManager({ storageKey: 'bills', config, root, matchMedia: () => darkQuery });
+    themes.setPack('forest');
+
+    expect(root.style.getPropertyValue('--app-primary-hover')).toBe('#25643f');
+    expect(root.style.getPropertyValue('--app-bg')).toBe('#0f1a14');
+    expect(root.getAttribute('data-theme')).toBe('forest');
+    expect(root.getAttribute('data-color-mode')).toBe('system');
+    expect(root.getAttribute('data-bs-theme')).toBe('dark');
+
+    // Following the system: the dark-only token goes once the system prefers light.
+    darkQuery.change(false);
+    expect(root.getAttribute('data-bs-theme')).toBe('light');
+    expect(root.style.getPropertyValue('--app-bg')).toBe('');
+
+    // A mode picked by the user wins over the system setting.
+    themes.setMode('dark');
+    darkQuery.change(false);
+    expect(root.getAttribute('data-bs-theme')).toBe('dark');
+
+    themes.setPack('default');
+    expect(root.style.getPropertyValue('--app-primary')).toBe('#0d6efd');
+    expect(root.style.getPropertyValue('--app-primary-hover')).toBe('');
+    expect(() => themes.setMode('sepia')).toThrow('Unknown colour mode');
+  });
+
+  // Test case 2: Check that the choice is remembered, and that a config without packs still drives the colours.
+  it('should remember the choice and read a config without packs', () => {
+    new ThemeManager({ storageKey: 'bills', config, root, matchMedia: () => null }).setMode('dark');
+    new ThemeManager({ storageKey: 'bills', config, root, matchMedia: () => null }).setPack('forest');
+
+    const reopened = new ThemeManager({ storageKey: 'bills', config, root, matchMedia: () => null });
+    expect([reopened.packName, reopened.mode]).toEqual(['forest', 'dark']);
+    expect(reopened.packChoices).toEqual([{ value: 'default', label: 'Default' }, { value: 'forest', label: 'Forest' }]);
+
+    const legacy = new ThemeManager({ storageKey: 'other', config: { brandName: 'acme', primary: '#ff5500' }, root, matchMedia: () => null });
+    legacy.apply();
+    expect(legacy.packName).toBe('acme');
+    expect(legacy.resolvedMode).toBe('light');
+    expect(root.style.getPropertyValue('--app-primary')).toBe('#ff5500');
+  });
+});
@@ -0,0 +1,79 @@
+import { DEFAULT_FILTERS } from "./BillManager.js";
+
+const NUMERIC_FILTERS = ['minAmount', 'maxAmount'];
+
+/**
+ * @class ViewState
+ * @description Serializes the bill list's view (its filters and sort choice) so it survives a
+ * reload and can be bookmarked. The URL hash holds the view as query parameters, e.g.
+ * `#status=Unpaid&sort=amount-high-low`; only values that differ from the defaults are written.
+ * The last-used view is also kept in localStorage under `<storageKey>_view`, which is used
+ * whenever the page is opened without a view in its URL.
+ */
+export default class ViewState {
+  /**
+   * @constructor
+   * @param {object} [options]
+   * @param {string} [options.storageKey='myBills'] - The app's storage key; the view is stored next to it.
+   */
+  constructor({ storageKey = 'myBills' } = {}) {
+    this._viewKey = `${storageKey}_view`;
+  }
+
+  /**
+   * Writes a view as URL hash parameters.
+   * @param {{filters: object, sort: string}} view - The view, as returned by BillManager#getViewState.
+   * @returns {string} The hash without its leading '#', or '' for the default view.
+   */
+  static toHash({ filters = {}, sort = 'default' }) {
+    const params = new URLSearchParams();
+    Object.keys(DEFAULT_FILTERS).forEach((key) => {
+      const value = filters[key];
+      if (value !== undefined && value !== null && value !== DEFAULT_FILTERS[key]) {
+        params.set(key, String(value));
+      }
+    });
+    if (sort && sort !== 'default') {
+      params.set('sort', sort);
+    }
+    return params.toString();
+  }
+
+  /**
+   * Reads a view from URL hash parameters. Unknown parameters are ignored.
+   * @param {string} hash - The hash, with or without its leading '#'.
+   * @returns {{filters: object, sort: string}} The view; filters missing from the hash are left out.
+   */
+  static fromHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const filters = {};
+    Object.keys(DEFAULT_FILTERS).forEach((key) => {
+      if (!params.has(key)) return;
+      const value = params.get(key);
+      filters[key] = NUMERIC_FILTERS.includes(key) ? parseFloat(value) : value;
+    });
+    return { filters, sort: params.get('sort') || 'default' };
+  }
+
+  /**
+   * Reads the last-used view.
+   * @returns {{filters: object, sort: string}|null} The stored view, or null if there is none or it is unreadable.
+   */
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this._viewKey));
+      if (saved && typeof saved === 'object' && !Array.isArray(saved)) return saved;
+    } catch (error) {
+      console.error('ViewState: Ignoring unreadable view state', error);
+    }
+    return null;
+  }
+
+  /**
+   * Remembers a view as the last-used one.
+   * @param {{filters: object, sort: string}} view - The view to store.
+   */
+  save(view) {
+    localStorage.setItem(this._viewKey, JSON.stringify(view));
+  }
+}
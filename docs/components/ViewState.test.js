@@ -0,0 +1,53 @@
+// docs/components/ViewState.test.js
+
+import ViewState from './ViewState.js';
+import { DEFAULT_FILTERS } from './BillManager.js';
+
+describe('ViewState', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Test case 1: Check that only non-default values are written to the hash, and read back.
+  it('should round-trip a view through the URL hash', () => {
+    const view = {
+      filters: { ...DEFAULT_FILTERS, status: 'Unpaid', search: 'net & tv', minAmount: 12.5 },
+      sort: 'amount-high-low'
+    };
+
+    const hash = ViewState.toHash(view);
+    expect(hash).toBe('status=Unpaid&search=net+%26+tv&minAmount=12.5&sort=amount-high-low');
+    expect(ViewState.fromHash(`#${hash}`)).toEqual({
+      filters: { status: 'Unpaid', search: 'net & tv', minAmount: 12.5 },
+      sort: 'amount-high-low'
+    });
+  });
+
+  // Test case 2: Check the default view and unknown parameters.
+  it('should write an empty hash for the default view and ignore unknown parameters', () => {
+    expect(ViewState.toHash({ filters: { ...DEFAULT_FILTERS }, sort: 'default' })).toBe('');
+    expect(ViewState.fromHash('#colour=red')).toEqual({ filters: {}, sort: 'default' });
+  });
+
+  // Test case 3: Check that the last-used view is stored per storage key.
+  it('should remember the last-used view per storage key', () => {
+    const view = { filters: { status: 'Paid' }, sort: 'name-az' };
+    new ViewState({ storageKey: 'homeBills' }).save(view);
+
+    expect(localStorage.getItem('homeBills_view')).toBe(JSON.stringify(view));
+    expect(new ViewState({ storageKey: 'homeBills' }).load()).toEqual(view);
+    expect(new ViewState({ storageKey: 'workBills' }).load()).toBeNull();
+  });
+
+  // Test case 4: Check that unreadable stored views are ignored.
+  it('should ignore an unreadable stored view', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.setItem('myBills_view', '{not json');
+
+    expect(new ViewState().load()).toBeNull();
+  });
+});
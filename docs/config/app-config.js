@@ -11,9 +11,30 @@ window.APP_CONFIG = Object.freeze({
     title: "Bill Calculator Pro",
     subtitle: "Manage your monthly expenses with ease.",
     storageKey: "myBills", // keep same key to avoid breaking existing saved data
+    // Where data is stored: "localStorage" (default), "indexedDB", "memory" (lost on reload) or "rest".
+    // "rest" needs baseUrl; run `npm run start:api` for a local stand-in server.
+    storage: {
+      adapter: "localStorage",
+      baseUrl: "http://localhost:3001/api",
+      // Encrypts stored bills and settings with a passphrase asked for at startup (AES-GCM, key derived with PBKDF2).
+      // There is no recovery: a forgotten passphrase means the data cannot be read.
+      encryption: {
+        enabled: false,
+        iterations: 310000
+      }
+    },
+    // Files attached to bills are kept in IndexedDB (whatever the storage adapter), up to maxSizeMb each.
+    // They are turned off while encryption is enabled, since they would be stored unencrypted.
+    attachments: {
+      enabled: true,
+      maxSizeMb: 5
+    },
     currency: {
       defaultCode: "EUR",
-      supported: ["EUR", "USD", "BRL", "GBP"]
+      supported: ["EUR", "USD", "BRL", "GBP"],
+      // Starting exchange rates: units of each currency per 1 unit of defaultCode.
+      // Users can edit these in the app; their saved table takes precedence.
+      defaultExchangeRates: { EUR: 1, USD: 1.08, BRL: 5.9, GBP: 0.85 }
     }
   },
 
@@ -43,11 +64,25 @@ window.APP_CONFIG = Object.freeze({
       { value: "Unpaid", label: "Unpaid" },
       { value: "Pending", label: "Pending" }      
     ],
+    // Each choice sorts by its keys in order; later keys only break ties. Fields: name, type, status,
+    // paymentMethod, amount, currency, dueDate, recurrence. Directions: "asc" or "desc".
     sortChoices: [
-      { value: "default", label: "Default Sort" },
-      { value: "amount-high-low", label: "Amount (High to Low)" },
-      { value: "amount-low-high", label: "Amount (Low to High)" },
-      { value: "name-az", label: "Name (A-Z)" }
+      { value: "default", label: "Default Sort", keys: [] },
+      { value: "amount-high-low", label: "Amount (High to Low)", keys: [{ field: "amount", direction: "desc" }] },
+      { value: "amount-low-high", label: "Amount (Low to High)", keys: [{ field: "amount", direction: "asc" }] },
+      { value: "name-az", label: "Name (A-Z)", keys: [{ field: "name", direction: "asc" }] },
+      { value: "name-za", label: "Name (Z-A)", keys: [{ field: "name", direction: "desc" }] },
+      { value: "due-date", label: "Due Date (Soonest First)", keys: [{ field: "dueDate", direction: "asc" }, { field: "name", direction: "asc" }] },
+      { value: "status-amount", label: "Status, then Amount", keys: [{ field: "status", direction: "asc" }, { field: "amount", direction: "desc" }] }
+    ],
+    // 'custom' repeats every N days, where N is entered in the form
+    recurrenceChoices: [
+      { value: "none", label: "Does not repeat" },
+      { value: "weekly", label: "Weekly" },
+      { value: "monthly", label: "Monthly" },
+      { value: "quarterly", label: "Quarterly" },
+      { value: "yearly", label: "Yearly" },
+      { value: "custom", label: "Custom interval" }
     ]
   },
 
@@ -61,7 +96,31 @@ window.APP_CONFIG = Object.freeze({
       amountLabel: "Amount",
       paymentMethodLabel: "Payment Method",
       statusLabel: "Status",
+      dueDateLabel: "Due Date",
+      recurrenceLabel: "Repeats",
+      recurrenceIntervalLabel: "Repeat every (days)",
+      notesLabel: "Notes",
+      nextDueLabel: "Next due",
+      rollForwardButtonLabel: "Start Next Cycle",
+      recordPaymentButtonLabel: "Record Payment",
+      paymentsLabel: "Payments",
+      paidSoFarLabel: "Paid",
+      outstandingLabel: "Outstanding",
+      noPaymentsText: "No payments recorded yet.",
+      searchPlaceholder: "Search name or type...",
+      filterPanelToggleLabel: "More Filters",
+      filterAnyLabel: "Any",
+      filterCurrencyLabel: "Currency",
+      filterMinAmountLabel: "Min amount",
+      filterMaxAmountLabel: "Max amount",
+      clearFiltersLabel: "Clear Filters",
       sortByLabel: "Sort By",
+      selectBillLabel: "Select",
+      selectAllLabel: "Select all shown",
+      selectedCountLabel: "selected",
+      bulkStatusButtonLabel: "Set Status",
+      bulkPaymentMethodButtonLabel: "Set Payment Method",
+      bulkDeleteButtonLabel: "Delete Selected",
       emptyStateText: "No bills to display.",
       addButton: "Add Bill",
       editButtonLabel: "Edit",
@@ -69,11 +128,133 @@ window.APP_CONFIG = Object.freeze({
       totalsPaidLabel: "Paid",
       totalsPendingLabel: "Pending",
       totalsUnpaidLabel: "Unpaid",
+      totalsGrandLabel: "Total",
+      reportingCurrencyLabel: "Report in",
+      exchangeRatesToggleLabel: "Exchange Rates",
+      exchangeRatesSaveLabel: "Save Rates",
+      missingRatesText: "Not included (no exchange rate):",
+      analyticsTitle: "Spending Analytics",
+      analyticsByTypeLabel: "By Bill Type",
+      analyticsByPaymentMethodLabel: "By Payment Method",
+      analyticsByCurrencyLabel: "By Currency",
+      analyticsTrendLabel: "Month over Month",
+      analyticsLargestBillsLabel: "Largest Bills",
+      analyticsPaidLabel: "Paid",
+      analyticsDueLabel: "Due",
+      analyticsNoDataText: "Nothing to show yet.",
+      unsyncedChangesLabel: "unsynced changes",
+      unsyncedSaveText: "Saved on this device only; it will sync when the connection is back.",
+      syncCompleteText: "All changes synced.",
+      syncFailedText: "Storage rejected unsynced changes, so they are not saved",
+      invalidRecordsText: "saved bills could not be read and are hidden. They are kept in storage unchanged.",
+      undoActionLabel: "Undo",
+      redoActionLabel: "Redo",
+      nothingToUndoText: "Nothing to undo.",
+      nothingToRedoText: "Nothing to redo.",
       editModalTitle: "Edit Bill",
       editModalAmountLabel: "Amount",
       editModalStatusLabel: "Status",
       editModalCloseLabel: "Close",
-      editModalSaveLabel: "Save Changes"
+      editModalSaveLabel: "Save Changes",
+      paymentModalTitle: "Record Payment",
+      paymentDateLabel: "Payment Date",
+      paymentReferenceLabel: "Reference (optional)",
+      paymentModalCloseLabel: "Close",
+      paymentModalSaveLabel: "Save Payment",
+      exportCsvButtonLabel: "Export CSV",
+      importCsvButtonLabel: "Import CSV",
+      importModalTitle: "Import Bills",
+      importModalCancelLabel: "Cancel",
+      importModalConfirmLabel: "Import",
+      exportBackupButtonLabel: "Backup",
+      restoreBackupButtonLabel: "Restore Backup",
+      restoreBackupConfirmText: "Replace all bills, settings and attachments of this profile with the backup? This cannot be undone.",
+      attachmentsLabel: "Attachments",
+      attachFilesLabel: "Attach files",
+      noAttachmentsText: "No files attached.",
+      attachmentPreviewLabel: "Preview",
+      attachmentDownloadLabel: "Download",
+      attachmentDeleteLabel: "Delete",
+      attachmentDeleteConfirmText: "Delete this file? This cannot be undone.",
+      noPreviewText: "No preview for this type of file. Download it instead.",
+      attachmentsModalCloseLabel: "Close",
+      historyLabel: "History",
+      exportHistoryButtonLabel: "Export History",
+      historyExportLabel: "Export CSV",
+      noHistoryText: "No changes recorded yet.",
+      emptyValueText: "(none)",
+      historyModalCloseLabel: "Close",
+      externalChangeText: "Updated with changes made in another tab.",
+      editChangedElsewhereText: "This bill was changed in another tab. Saving will overwrite those changes.",
+      editDeletedElsewhereText: "This bill was deleted in another tab, so it can no longer be saved.",
+      showLatestButtonLabel: "Show Latest",
+      conflictModalTitle: "Changed Elsewhere",
+      conflictIntroText: "These bills were changed here and on another device or tab. Choose which version of each to keep; every other change from both sides is kept.",
+      conflictFieldLabel: "Field",
+      conflictMineLabel: "Mine",
+      conflictTheirsLabel: "Theirs",
+      conflictBillLabel: "Bill",
+      conflictChangedText: "Changed",
+      conflictDeletedText: "Deleted",
+      keepMineLabel: "Keep mine",
+      keepTheirsLabel: "Keep theirs",
+      conflictSaveLabel: "Save Merge",
+      conflictCloseLabel: "Decide Later",
+      conflictSaveText: "Not saved yet: it clashes with changes made elsewhere.",
+      conflictResolvedText: "Merged and saved.",
+      themeLabel: "Theme",
+      colorModeLabel: "Mode",
+      lightModeLabel: "Light",
+      darkModeLabel: "Dark",
+      systemModeLabel: "System",
+      profileLabel: "Profile",
+      defaultProfileName: "Home",
+      manageProfilesLabel: "Manage Profiles",
+      profileModalTitle: "Profiles",
+      newProfileTitle: "New Profile",
+      profileNameLabel: "Name",
+      profileCurrencyLabel: "Default Currency",
+      createProfileButtonLabel: "Create and Switch",
+      transferBillsTitle: "Copy or Move Bills",
+      transferBillsHint: "bills currently shown in the list will be transferred.",
+      transferTargetLabel: "To Profile",
+      transferCopyLabel: "Copy",
+      transferMoveLabel: "Move",
+      transferBillsButtonLabel: "Transfer Bills",
+      deleteProfileButtonLabel: "Delete This Profile",
+      deleteProfileConfirmText: "Delete this profile and all of its bills? This cannot be undone.",
+      profileModalCloseLabel: "Close",
+      unlockModalTitle: "Unlock Your Bills",
+      unlockHintText: "Enter the passphrase of the profile",
+      unlockNewHintText: "Bills are stored encrypted on this device. Choose a passphrase; it cannot be recovered if you forget it. Profile:",
+      unlockPassphraseLabel: "Passphrase",
+      unlockConfirmLabel: "Repeat Passphrase",
+      unlockButtonLabel: "Unlock",
+      unlockCancelLabel: "Cancel",
+      wrongPassphraseText: "The passphrase is incorrect.",
+      passphraseMismatchText: "The passphrases do not match.",
+      changePassphraseButtonLabel: "Change Passphrase",
+      passphraseModalTitle: "Change Passphrase",
+      currentPassphraseLabel: "Current Passphrase",
+      newPassphraseLabel: "New Passphrase",
+      confirmPassphraseLabel: "Repeat New Passphrase",
+      passphraseModalCloseLabel: "Close",
+      passphraseModalSaveLabel: "Change Passphrase",
+      passphraseChangedText: "Passphrase changed. Your bills were encrypted again with the new one.",
+      manageCategoriesLabel: "Manage Categories",
+      categoriesModalTitle: "Categories",
+      customBillTypesTitle: "Your Bill Types",
+      customPaymentMethodsTitle: "Your Payment Methods",
+      newBillTypePlaceholder: "New bill type",
+      newPaymentMethodPlaceholder: "New payment method",
+      categoryColorLabel: "Colour",
+      addCategoryButtonLabel: "Add",
+      renameCategoryButtonLabel: "Rename",
+      retireCategoryButtonLabel: "Retire",
+      restoreCategoryButtonLabel: "Restore",
+      retiredCategoryLabel: "retired",
+      noCustomCategoriesText: "None of your own yet.",
+      categoriesModalCloseLabel: "Close"
     },
     statusBadgeMap: {
       "Paid": "success",
@@ -87,13 +268,29 @@ window.APP_CONFIG = Object.freeze({
     }
   },
 
-  // Theme settings for the application - currently informational, but can be expanded to control actual styling in the future
+  // Theme packs, applied as the CSS variables in styles/theme.css (e.g. primaryHover sets --app-primary-hover).
+  // Tokens under "tokens" apply in both colour modes, those under "light"/"dark" only in that mode.
+  // Users pick a pack and a mode in the header; their choice overrides brandName and mode.
   theme: {
-    // purely informational for now — CSS vars will control real styling
-    brandName: "default",
-    primary: "#0d6efd",
-    success: "#198754",
-    warning: "#ffc107",
-    danger: "#dc3545"
+    brandName: "default", // The pack used until the user picks another
+    mode: "system", // "light", "dark" or "system" (follows the operating system's setting)
+    packs: {
+      default: {
+        label: "Default",
+        tokens: { primary: "#0d6efd", primaryHover: "#0b5ed7", success: "#198754", warning: "#ffc107", danger: "#dc3545" },
+        dark: { primary: "#3d8bfd", primaryHover: "#6ea8fe", primaryContrast: "#0b1120" }
+      },
+      forest: {
+        label: "Forest",
+        tokens: { primary: "#2f7d4f", primaryHover: "#25643f", radius: "0.75rem" },
+        light: { bg: "#fbfdfb", surface: "#f1f7f2", surfaceMuted: "#e6f0e8", border: "#cfe0d3" },
+        dark: { primary: "#4fa872", primaryHover: "#6dbf8c", bg: "#101813", surface: "#17221b", surfaceMuted: "#1d2b22", border: "#2c3d32" }
+      },
+      slate: {
+        label: "Slate",
+        tokens: { primary: "#475569", primaryHover: "#334155", radius: "0.25rem" },
+        dark: { primary: "#94a3b8", primaryHover: "#cbd5e1", primaryContrast: "#0f172a", bg: "#0f172a", surface: "#1e293b", surfaceMuted: "#273449", border: "#334155" }
+      }
+    }
   }
 });
\ No newline at end of file
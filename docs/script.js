@@ -13,13 +13,34 @@
 
 // --- IMPORTS ---
 import Bill from "./components/Bill.js";
-import BillManager from "./components/BillManager.js";
+import BillManager, { CHANGE_EVENTS } from "./components/BillManager.js";
+import BillCsvService from "./components/BillCsvService.js";
 import renderSortChoices from "./tools/renderSortChoices.js";
 import renderBillTypeChoices from "./tools/renderBillTypeChoices.js";
 import renderStatusChoices from "./tools/renderStatusChoices.js";
 import renderPaymentMethodChoices from "./tools/renderPaymentMethodChoices.js";
 import renderCurrencyChoices from "./tools/renderCurrencyChoices.js";
 import renderFilterButtons from "./tools/renderFilterButtons.js";
+import renderFilterChoices from "./tools/renderFilterChoices.js";
+import renderRecurrenceChoices from "./tools/renderRecurrenceChoices.js";
+import renderExchangeRateInputs from "./tools/renderExchangeRateInputs.js";
+import renderImportPreview from "./tools/renderImportPreview.js";
+import renderBillCards from "./tools/renderBills.js";
+import renderAnalytics from "./tools/renderAnalytics.js";
+import ViewState from "./components/ViewState.js";
+import ProfileManager, { DEFAULT_PROFILE_ID } from "./components/ProfileManager.js";
+import renderProfileChoices from "./tools/renderProfileChoices.js";
+import renderCategoryList from "./tools/renderCategoryList.js";
+import mergeCategoryChoices from "./tools/mergeCategoryChoices.js";
+import { WRONG_PASSPHRASE } from "./components/EncryptedStorageAdapter.js";
+import AttachmentStore from "./components/AttachmentStore.js";
+import IndexedDbStorageAdapter from "./components/IndexedDbStorageAdapter.js";
+import renderAttachmentList from "./tools/renderAttachmentList.js";
+import renderChangeLog from "./tools/renderChangeLog.js";
+import TabSync from "./components/TabSync.js";
+import renderConflictList from "./tools/renderConflictList.js";
+import ThemeManager from "./components/ThemeManager.js";
+import renderThemeChoices from "./tools/renderThemeChoices.js";
 
 // --- CONFIGURATION ACCESSORS ---
 const APP_CONFIG = window.APP_CONFIG || {};
@@ -33,6 +54,9 @@ const APP_SUBTITLE = APP_META.subtitle || 'Manage your bills with ease';
 
 const CURRENCY_DEFAULT_CODE = APP_META.currency?.defaultCode || 'EUR';
 const CURRENCY_CHOICES = APP_META.currency?.supported || [];
+const CURRENCY_DEFAULT_RATES = APP_META.currency?.defaultExchangeRates || {};
+
+const ATTACHMENTS_CONFIG = APP_META.attachments || {};
 
 const FORM_SECTION_TITLE = UI_LABELS.addFormTitle || 'Add a New Bill';
 const LIST_SECTION_TITLE = UI_LABELS.listTitle || 'My Bills';
@@ -41,14 +65,61 @@ const OTHER_TYPE_LABEL = UI_LABELS.otherTypeLabel || 'Specify Bill Type';
 const AMOUNT_LABEL = UI_LABELS.amountLabel || 'Amount';
 const PAYMENT_METHOD_LABEL = UI_LABELS.paymentMethodLabel || 'Payment Method';
 const STATUS_LABEL = UI_LABELS.statusLabel || 'Status';
+const DUE_DATE_LABEL = UI_LABELS.dueDateLabel || 'Due Date';
+const RECURRENCE_LABEL = UI_LABELS.recurrenceLabel || 'Repeats';
+const RECURRENCE_INTERVAL_LABEL = UI_LABELS.recurrenceIntervalLabel || 'Repeat every (days)';
+const NOTES_LABEL = UI_LABELS.notesLabel || 'Notes';
+const NEXT_DUE_LABEL = UI_LABELS.nextDueLabel || 'Next due';
+const ROLL_FORWARD_BUTTON_LABEL = UI_LABELS.rollForwardButtonLabel || 'Start Next Cycle';
+const RECORD_PAYMENT_BUTTON_LABEL = UI_LABELS.recordPaymentButtonLabel || 'Record Payment';
+const PAYMENTS_LABEL = UI_LABELS.paymentsLabel || 'Payments';
+const PAID_SO_FAR_LABEL = UI_LABELS.paidSoFarLabel || 'Paid';
+const OUTSTANDING_LABEL = UI_LABELS.outstandingLabel || 'Outstanding';
+const NO_PAYMENTS_TEXT = UI_LABELS.noPaymentsText || 'No payments recorded yet.';
 const SORT_BY_LABEL = UI_LABELS.sortByLabel || 'Sort By:';
+const SEARCH_PLACEHOLDER = UI_LABELS.searchPlaceholder || 'Search name or type...';
+const FILTER_PANEL_TOGGLE_LABEL = UI_LABELS.filterPanelToggleLabel || 'More Filters';
+const FILTER_ANY_LABEL = UI_LABELS.filterAnyLabel || 'Any';
+const FILTER_CURRENCY_LABEL = UI_LABELS.filterCurrencyLabel || 'Currency';
+const FILTER_MIN_AMOUNT_LABEL = UI_LABELS.filterMinAmountLabel || 'Min amount';
+const FILTER_MAX_AMOUNT_LABEL = UI_LABELS.filterMaxAmountLabel || 'Max amount';
+const CLEAR_FILTERS_LABEL = UI_LABELS.clearFiltersLabel || 'Clear Filters';
 const ADD_BUTTON_LABEL = UI_LABELS.addButton || 'Add Bill';
 const EDIT_BUTTON_LABEL = UI_LABELS.editButtonLabel || 'Edit';
 const DELETE_BUTTON_LABEL = UI_LABELS.deleteButtonLabel || 'Delete Bill';
+const SELECT_BILL_LABEL = UI_LABELS.selectBillLabel || 'Select';
+const SELECT_ALL_LABEL = UI_LABELS.selectAllLabel || 'Select all shown';
+const SELECTED_COUNT_LABEL = UI_LABELS.selectedCountLabel || 'selected';
+const BULK_STATUS_BUTTON_LABEL = UI_LABELS.bulkStatusButtonLabel || 'Set Status';
+const BULK_PAYMENT_METHOD_BUTTON_LABEL = UI_LABELS.bulkPaymentMethodButtonLabel || 'Set Payment Method';
+const BULK_DELETE_BUTTON_LABEL = UI_LABELS.bulkDeleteButtonLabel || 'Delete Selected';
 const EMPTY_STATE_TEXT = UI_LABELS.emptyStateText || 'No bills to display.';
 const TOTALS_PAID_LABEL = UI_LABELS.totalsPaidLabel || 'Paid';
 const TOTALS_PENDING_LABEL = UI_LABELS.totalsPendingLabel || 'Pending';
 const TOTALS_UNPAID_LABEL = UI_LABELS.totalsUnpaidLabel || 'Unpaid';
+const TOTALS_GRAND_LABEL = UI_LABELS.totalsGrandLabel || 'Total';
+const REPORTING_CURRENCY_LABEL = UI_LABELS.reportingCurrencyLabel || 'Report in';
+const EXCHANGE_RATES_TOGGLE_LABEL = UI_LABELS.exchangeRatesToggleLabel || 'Exchange Rates';
+const EXCHANGE_RATES_SAVE_LABEL = UI_LABELS.exchangeRatesSaveLabel || 'Save Rates';
+const MISSING_RATES_TEXT = UI_LABELS.missingRatesText || 'Not included (no exchange rate):';
+const ANALYTICS_TITLE = UI_LABELS.analyticsTitle || 'Spending Analytics';
+const ANALYTICS_BY_TYPE_LABEL = UI_LABELS.analyticsByTypeLabel || 'By Bill Type';
+const ANALYTICS_BY_PAYMENT_METHOD_LABEL = UI_LABELS.analyticsByPaymentMethodLabel || 'By Payment Method';
+const ANALYTICS_BY_CURRENCY_LABEL = UI_LABELS.analyticsByCurrencyLabel || 'By Currency';
+const ANALYTICS_TREND_LABEL = UI_LABELS.analyticsTrendLabel || 'Month over Month';
+const ANALYTICS_LARGEST_BILLS_LABEL = UI_LABELS.analyticsLargestBillsLabel || 'Largest Bills';
+const ANALYTICS_PAID_LABEL = UI_LABELS.analyticsPaidLabel || 'Paid';
+const ANALYTICS_DUE_LABEL = UI_LABELS.analyticsDueLabel || 'Due';
+const ANALYTICS_NO_DATA_TEXT = UI_LABELS.analyticsNoDataText || 'Nothing to show yet.';
+const UNSYNCED_CHANGES_LABEL = UI_LABELS.unsyncedChangesLabel || 'unsynced changes';
+const UNSYNCED_SAVE_TEXT = UI_LABELS.unsyncedSaveText || 'Saved on this device only; it will sync when the connection is back.';
+const SYNC_COMPLETE_TEXT = UI_LABELS.syncCompleteText || 'All changes synced.';
+const SYNC_FAILED_TEXT = UI_LABELS.syncFailedText || 'Storage rejected unsynced changes, so they are not saved';
+const INVALID_RECORDS_TEXT = UI_LABELS.invalidRecordsText || 'saved bills could not be read and are hidden. They are kept in storage unchanged.';
+const UNDO_ACTION_LABEL = UI_LABELS.undoActionLabel || 'Undo';
+const REDO_ACTION_LABEL = UI_LABELS.redoActionLabel || 'Redo';
+const NOTHING_TO_UNDO_TEXT = UI_LABELS.nothingToUndoText || 'Nothing to undo.';
+const NOTHING_TO_REDO_TEXT = UI_LABELS.nothingToRedoText || 'Nothing to redo.';
 
 const EDIT_MODAL_TITLE = UI_LABELS.editModalTitle || 'Edit Bill';
 const EDIT_MODAL_AMOUNT_LABEL = UI_LABELS.editModalAmountLabel || 'Amount';
@@ -56,6 +127,131 @@ const EDIT_MODAL_STATUS_LABEL = UI_LABELS.editModalStatusLabel || 'Status';
 const EDIT_MODAL_CLOSE_LABEL = UI_LABELS.editModalCloseLabel || 'Close';
 const EDIT_MODAL_SAVE_LABEL = UI_LABELS.editModalSaveLabel || 'Save Changes';
 
+const PAYMENT_MODAL_TITLE = UI_LABELS.paymentModalTitle || 'Record Payment';
+const PAYMENT_DATE_LABEL = UI_LABELS.paymentDateLabel || 'Payment Date';
+const PAYMENT_REFERENCE_LABEL = UI_LABELS.paymentReferenceLabel || 'Reference (optional)';
+const PAYMENT_MODAL_CLOSE_LABEL = UI_LABELS.paymentModalCloseLabel || 'Close';
+const PAYMENT_MODAL_SAVE_LABEL = UI_LABELS.paymentModalSaveLabel || 'Save Payment';
+
+const THEME_LABEL = UI_LABELS.themeLabel || 'Theme';
+const COLOR_MODE_LABEL = UI_LABELS.colorModeLabel || 'Mode';
+const COLOR_MODE_CHOICES = [
+  { value: 'light', label: UI_LABELS.lightModeLabel || 'Light' },
+  { value: 'dark', label: UI_LABELS.darkModeLabel || 'Dark' },
+  { value: 'system', label: UI_LABELS.systemModeLabel || 'System' }
+];
+
+const PROFILE_LABEL = UI_LABELS.profileLabel || 'Profile';
+const DEFAULT_PROFILE_NAME = UI_LABELS.defaultProfileName || 'Home';
+const MANAGE_PROFILES_LABEL = UI_LABELS.manageProfilesLabel || 'Manage Profiles';
+const PROFILE_MODAL_TITLE = UI_LABELS.profileModalTitle || 'Profiles';
+const NEW_PROFILE_TITLE = UI_LABELS.newProfileTitle || 'New Profile';
+const PROFILE_NAME_LABEL = UI_LABELS.profileNameLabel || 'Name';
+const PROFILE_CURRENCY_LABEL = UI_LABELS.profileCurrencyLabel || 'Default Currency';
+const CREATE_PROFILE_BUTTON_LABEL = UI_LABELS.createProfileButtonLabel || 'Create and Switch';
+const TRANSFER_BILLS_TITLE = UI_LABELS.transferBillsTitle || 'Copy or Move Bills';
+const TRANSFER_BILLS_HINT = UI_LABELS.transferBillsHint || 'bills currently shown in the list will be transferred.';
+const TRANSFER_TARGET_LABEL = UI_LABELS.transferTargetLabel || 'To Profile';
+const TRANSFER_COPY_LABEL = UI_LABELS.transferCopyLabel || 'Copy';
+const TRANSFER_MOVE_LABEL = UI_LABELS.transferMoveLabel || 'Move';
+const TRANSFER_BILLS_BUTTON_LABEL = UI_LABELS.transferBillsButtonLabel || 'Transfer Bills';
+const DELETE_PROFILE_BUTTON_LABEL = UI_LABELS.deleteProfileButtonLabel || 'Delete This Profile';
+const DELETE_PROFILE_CONFIRM_TEXT = UI_LABELS.deleteProfileConfirmText || 'Delete this profile and all of its bills? This cannot be undone.';
+const PROFILE_MODAL_CLOSE_LABEL = UI_LABELS.profileModalCloseLabel || 'Close';
+
+const UNLOCK_MODAL_TITLE = UI_LABELS.unlockModalTitle || 'Unlock Your Bills';
+const UNLOCK_HINT_TEXT = UI_LABELS.unlockHintText || 'Enter the passphrase of the profile';
+const UNLOCK_NEW_HINT_TEXT = UI_LABELS.unlockNewHintText || 'Bills are stored encrypted on this device. Choose a passphrase; it cannot be recovered if you forget it. Profile:';
+const UNLOCK_PASSPHRASE_LABEL = UI_LABELS.unlockPassphraseLabel || 'Passphrase';
+const UNLOCK_CONFIRM_LABEL = UI_LABELS.unlockConfirmLabel || 'Repeat Passphrase';
+const UNLOCK_BUTTON_LABEL = UI_LABELS.unlockButtonLabel || 'Unlock';
+const UNLOCK_CANCEL_LABEL = UI_LABELS.unlockCancelLabel || 'Cancel';
+const WRONG_PASSPHRASE_TEXT = UI_LABELS.wrongPassphraseText || 'The passphrase is incorrect.';
+const PASSPHRASE_MISMATCH_TEXT = UI_LABELS.passphraseMismatchText || 'The passphrases do not match.';
+const CHANGE_PASSPHRASE_BUTTON_LABEL = UI_LABELS.changePassphraseButtonLabel || 'Change Passphrase';
+const PASSPHRASE_MODAL_TITLE = UI_LABELS.passphraseModalTitle || 'Change Passphrase';
+const CURRENT_PASSPHRASE_LABEL = UI_LABELS.currentPassphraseLabel || 'Current Passphrase';
+const NEW_PASSPHRASE_LABEL = UI_LABELS.newPassphraseLabel || 'New Passphrase';
+const CONFIRM_PASSPHRASE_LABEL = UI_LABELS.confirmPassphraseLabel || 'Repeat New Passphrase';
+const PASSPHRASE_MODAL_CLOSE_LABEL = UI_LABELS.passphraseModalCloseLabel || 'Close';
+const PASSPHRASE_MODAL_SAVE_LABEL = UI_LABELS.passphraseModalSaveLabel || 'Change Passphrase';
+const PASSPHRASE_CHANGED_TEXT = UI_LABELS.passphraseChangedText || 'Passphrase changed. Your bills were encrypted again with the new one.';
+
+const MANAGE_CATEGORIES_LABEL = UI_LABELS.manageCategoriesLabel || 'Manage Categories';
+const CATEGORIES_MODAL_TITLE = UI_LABELS.categoriesModalTitle || 'Categories';
+const CUSTOM_BILL_TYPES_TITLE = UI_LABELS.customBillTypesTitle || 'Your Bill Types';
+const CUSTOM_PAYMENT_METHODS_TITLE = UI_LABELS.customPaymentMethodsTitle || 'Your Payment Methods';
+const NEW_BILL_TYPE_PLACEHOLDER = UI_LABELS.newBillTypePlaceholder || 'New bill type';
+const NEW_PAYMENT_METHOD_PLACEHOLDER = UI_LABELS.newPaymentMethodPlaceholder || 'New payment method';
+const CATEGORY_COLOR_LABEL = UI_LABELS.categoryColorLabel || 'Colour';
+const ADD_CATEGORY_BUTTON_LABEL = UI_LABELS.addCategoryButtonLabel || 'Add';
+const RENAME_CATEGORY_BUTTON_LABEL = UI_LABELS.renameCategoryButtonLabel || 'Rename';
+const RETIRE_CATEGORY_BUTTON_LABEL = UI_LABELS.retireCategoryButtonLabel || 'Retire';
+const RESTORE_CATEGORY_BUTTON_LABEL = UI_LABELS.restoreCategoryButtonLabel || 'Restore';
+const RETIRED_CATEGORY_LABEL = UI_LABELS.retiredCategoryLabel || 'retired';
+const NO_CUSTOM_CATEGORIES_TEXT = UI_LABELS.noCustomCategoriesText || 'None of your own yet.';
+const CATEGORIES_MODAL_CLOSE_LABEL = UI_LABELS.categoriesModalCloseLabel || 'Close';
+
+const EXPORT_CSV_BUTTON_LABEL = UI_LABELS.exportCsvButtonLabel || 'Export CSV';
+const IMPORT_CSV_BUTTON_LABEL = UI_LABELS.importCsvButtonLabel || 'Import CSV';
+const IMPORT_MODAL_TITLE = UI_LABELS.importModalTitle || 'Import Bills';
+const IMPORT_MODAL_CANCEL_LABEL = UI_LABELS.importModalCancelLabel || 'Cancel';
+const IMPORT_MODAL_CONFIRM_LABEL = UI_LABELS.importModalConfirmLabel || 'Import';
+const EXPORT_BACKUP_BUTTON_LABEL = UI_LABELS.exportBackupButtonLabel || 'Backup';
+const RESTORE_BACKUP_BUTTON_LABEL = UI_LABELS.restoreBackupButtonLabel || 'Restore Backup';
+const RESTORE_BACKUP_CONFIRM_TEXT = UI_LABELS.restoreBackupConfirmText || 'Replace all bills, settings and attachments of this profile with the backup? This cannot be undone.';
+
+const ATTACHMENTS_LABEL = UI_LABELS.attachmentsLabel || 'Attachments';
+const ATTACH_FILES_LABEL = UI_LABELS.attachFilesLabel || 'Attach files';
+const NO_ATTACHMENTS_TEXT = UI_LABELS.noAttachmentsText || 'No files attached.';
+const ATTACHMENT_PREVIEW_LABEL = UI_LABELS.attachmentPreviewLabel || 'Preview';
+const ATTACHMENT_DOWNLOAD_LABEL = UI_LABELS.attachmentDownloadLabel || 'Download';
+const ATTACHMENT_DELETE_LABEL = UI_LABELS.attachmentDeleteLabel || 'Delete';
+const ATTACHMENT_DELETE_CONFIRM_TEXT = UI_LABELS.attachmentDeleteConfirmText || 'Delete this file? This cannot be undone.';
+const NO_PREVIEW_TEXT = UI_LABELS.noPreviewText || 'No preview for this type of file. Download it instead.';
+const ATTACHMENTS_MODAL_CLOSE_LABEL = UI_LABELS.attachmentsModalCloseLabel || 'Close';
+
+const HISTORY_LABEL = UI_LABELS.historyLabel || 'History';
+const EXPORT_HISTORY_BUTTON_LABEL = UI_LABELS.exportHistoryButtonLabel || 'Export History';
+const HISTORY_EXPORT_LABEL = UI_LABELS.historyExportLabel || 'Export CSV';
+const NO_HISTORY_TEXT = UI_LABELS.noHistoryText || 'No changes recorded yet.';
+const EMPTY_VALUE_TEXT = UI_LABELS.emptyValueText || '(none)';
+const HISTORY_MODAL_CLOSE_LABEL = UI_LABELS.historyModalCloseLabel || 'Close';
+
+const EXTERNAL_CHANGE_TEXT = UI_LABELS.externalChangeText || 'Updated with changes made in another tab.';
+const EDIT_CHANGED_ELSEWHERE_TEXT = UI_LABELS.editChangedElsewhereText || 'This bill was changed in another tab. Saving will overwrite those changes.';
+const EDIT_DELETED_ELSEWHERE_TEXT = UI_LABELS.editDeletedElsewhereText || 'This bill was deleted in another tab, so it can no longer be saved.';
+const SHOW_LATEST_BUTTON_LABEL = UI_LABELS.showLatestButtonLabel || 'Show Latest';
+
+const CONFLICT_MODAL_TITLE = UI_LABELS.conflictModalTitle || 'Changed Elsewhere';
+const CONFLICT_INTRO_TEXT = UI_LABELS.conflictIntroText || 'These bills were changed here and on another device or tab. Choose which version of each to keep; every other change from both sides is kept.';
+const CONFLICT_FIELD_LABEL = UI_LABELS.conflictFieldLabel || 'Field';
+const CONFLICT_MINE_LABEL = UI_LABELS.conflictMineLabel || 'Mine';
+const CONFLICT_THEIRS_LABEL = UI_LABELS.conflictTheirsLabel || 'Theirs';
+const CONFLICT_BILL_LABEL = UI_LABELS.conflictBillLabel || 'Bill';
+const CONFLICT_CHANGED_TEXT = UI_LABELS.conflictChangedText || 'Changed';
+const CONFLICT_DELETED_TEXT = UI_LABELS.conflictDeletedText || 'Deleted';
+const KEEP_MINE_LABEL = UI_LABELS.keepMineLabel || 'Keep mine';
+const KEEP_THEIRS_LABEL = UI_LABELS.keepTheirsLabel || 'Keep theirs';
+const CONFLICT_SAVE_LABEL = UI_LABELS.conflictSaveLabel || 'Save Merge';
+const CONFLICT_CLOSE_LABEL = UI_LABELS.conflictCloseLabel || 'Decide Later';
+const CONFLICT_SAVE_TEXT = UI_LABELS.conflictSaveText || 'Not saved yet: it clashes with changes made elsewhere.';
+const CONFLICT_RESOLVED_TEXT = UI_LABELS.conflictResolvedText || 'Merged and saved.';
+
+// Display names of the fields a bill's changes are listed by, in the history and the conflict dialog.
+const LOGGED_FIELD_LABELS = {
+  type: BILLTYPE_LABEL,
+  paymentMethod: PAYMENT_METHOD_LABEL,
+  amount: AMOUNT_LABEL,
+  currency: FILTER_CURRENCY_LABEL,
+  status: STATUS_LABEL,
+  dueDate: DUE_DATE_LABEL,
+  recurrence: RECURRENCE_LABEL,
+  recurrenceInterval: RECURRENCE_INTERVAL_LABEL,
+  notes: NOTES_LABEL,
+  payments: PAYMENTS_LABEL
+};
+
 const STATUS_BADGE_MAP = APP_CONFIG.ui?.statusBadgeMap || {
   "Paid": "success",
   "Pending": "warning",
@@ -73,13 +269,90 @@ const FILTER_CHOICES = UI_OPTIONS.filterChoices || [];
 const BILL_TYPE_CHOICES = UI_OPTIONS.billTypes || [];
 const STATUS_CHOICES = UI_OPTIONS.statuses || [];
 const PAYMENT_METHOD_CHOICES = UI_OPTIONS.paymentMethods || [];
+const RECURRENCE_CHOICES = UI_OPTIONS.recurrenceChoices || [];
 
-const THEME_NAME = APP_CONFIG.theme?.brandName || 'default';
-document.documentElement.setAttribute('data-theme', THEME_NAME); // Set here for early initialization
+// The theme is shared by every profile, so it is stored under the app's own storage key.
+const themeManager = new ThemeManager({
+  storageKey: APP_META.storageKey || 'myBills',
+  config: APP_CONFIG.theme || {}
+});
+themeManager.apply(); // Applied here for early initialization
 
 
 // --- STATE MANAGEMENT INSTANCE ---
-const appBillManager = new BillManager();
+const profileManager = new ProfileManager({
+  storageKey: APP_META.storageKey || 'myBills',
+  defaultProfileName: DEFAULT_PROFILE_NAME,
+  defaultCurrency: CURRENCY_DEFAULT_CODE
+});
+
+// Each profile keeps its bills, settings and view under its own storage key.
+const activeProfile = profileManager.getActiveProfile();
+
+/**
+ * Creates the store for files attached to a profile's bills. Files are kept in IndexedDB whichever
+ * storage adapter holds the bills, since localStorage has too little room for them.
+ * @param {{storageKey: string}} profile The profile.
+ * @returns {AttachmentStore|null} The store, or null if attachments are turned off. They are also off while
+ * encryption is enabled, since the files would be stored unencrypted.
+ */
+function createAttachmentStore(profile) {
+  if (ATTACHMENTS_CONFIG.enabled === false || APP_META.storage?.encryption?.enabled) return null;
+  return new AttachmentStore({
+    adapter: new IndexedDbStorageAdapter({ namespace: profile.storageKey }),
+    maxSize: (ATTACHMENTS_CONFIG.maxSizeMb || 5) * 1024 * 1024
+  });
+}
+
+/**
+ * Creates a BillManager for a profile's storage.
+ * @param {{storageKey: string, currency: string}} profile The profile.
+ * @returns {BillManager} The manager; call `initialize()` before reading its bills.
+ */
+function createBillManager(profile) {
+  return new BillManager({
+    baseCurrency: CURRENCY_DEFAULT_CODE,
+    defaultExchangeRates: CURRENCY_DEFAULT_RATES,
+    reportingCurrency: profile.currency,
+    storageKey: profile.storageKey,
+    sortChoices: SORT_CHOICES.length ? SORT_CHOICES : undefined,
+    attachmentStore: createAttachmentStore(profile),
+    tabSync: new TabSync({ storageKey: profile.storageKey }),
+    defaultCategories: {
+      billTypes: BILL_TYPE_CHOICES.map(choice => choice.value).filter(Boolean),
+      paymentMethods: PAYMENT_METHOD_CHOICES.map(choice => choice.value)
+    }
+  });
+}
+
+const appBillManager = createBillManager(activeProfile);
+
+/**
+ * Creates the CSV service for the current choices: the configured ones plus the user's own bill types
+ * and payment methods, retired ones included, since exported bills may still use them.
+ * @returns {BillCsvService} The service.
+ */
+function createCsvService() {
+  return new BillCsvService({
+    billTypes: mergeCategoryChoices({ choices: BILL_TYPE_CHOICES, categories: appBillManager.categories.billTypes, includeRetired: true }),
+    paymentMethods: mergeCategoryChoices({ choices: PAYMENT_METHOD_CHOICES, categories: appBillManager.categories.paymentMethods, includeRetired: true }),
+    statuses: STATUS_CHOICES,
+    currencies: CURRENCY_CHOICES,
+    recurrenceChoices: RECURRENCE_CHOICES
+  });
+}
+
+// Remembers the last-used filters and sort, next to the bills in storage.
+const viewState = new ViewState({ storageKey: appBillManager.apiService.storageKey });
+
+// The unlock dialog currently waiting for a passphrase: { adapter, isNewPassphrase, resolve, reject }.
+let pendingUnlock = null;
+
+// Bills accepted by the most recent CSV preview, waiting for the user to confirm the import.
+let pendingImportBills = [];
+
+// Another tab saved changes while an operation was running here; they are reloaded once it finishes.
+let externalChangePending = false;
 
 
 // --- DOM REFERENCES ---
@@ -93,6 +366,10 @@ const otherTypeLabelEl = document.querySelector('[data-ui="other-type-label"]');
 const amountLabelEl = document.querySelector('[data-ui="amount-label"]');
 const paymentMethodLabelEl = document.querySelector('[data-ui="payment-method-label"]');
 const statusLabelEl = document.querySelector('[data-ui="status-label"]');
+const dueDateLabelEl = document.querySelector('[data-ui="due-date-label"]');
+const notesLabelEl = document.querySelector('[data-ui="notes-label"]');
+const recurrenceLabelEl = document.querySelector('[data-ui="recurrence-label"]');
+const recurrenceIntervalLabelEl = document.querySelector('[data-ui="recurrence-interval-label"]');
 const sortByLabelEl = document.querySelector('[data-ui="sort-by-label"]');
 const addButtonEl = document.querySelector('[data-ui="add-bill-btn"]');
 const billsSectionTitleEl = document.querySelector('[data-ui="bills-section-title"]');
@@ -101,10 +378,43 @@ const billsListContainer = document.querySelector('#bills-list');
 const totalPaidDisplay = document.querySelector('#total-paid');
 const totalPendingDisplay = document.querySelector('#total-pending');
 const totalUnpaidDisplay = document.querySelector('#total-unpaid');
+const totalGrandDisplay = document.querySelector('#total-grand');
+const totalsByCurrencyContainer = document.querySelector('#totals-by-currency');
+const analyticsContainer = document.querySelector('#analytics');
+const analyticsTitleEl = document.querySelector('[data-ui="analytics-title"]');
+const unsyncedIndicator = document.querySelector('#unsynced-indicator');
+const reportingCurrencySelect = document.querySelector('#reporting-currency');
+const exchangeRatesForm = document.querySelector('#exchange-rates-form');
+const exchangeRatesInputsContainer = document.querySelector('#exchange-rates-inputs');
 const totalPaidLabelEl = document.querySelector('[data-ui="total-paid-label"]');
 const totalPendingLabelEl = document.querySelector('[data-ui="total-pending-label"]');
 const totalUnpaidLabelEl = document.querySelector('[data-ui="total-unpaid-label"]');
+const totalGrandLabelEl = document.querySelector('[data-ui="total-grand-label"]');
+const reportingCurrencyLabelEl = document.querySelector('[data-ui="reporting-currency-label"]');
+const exchangeRatesToggleEl = document.querySelector('[data-ui="exchange-rates-toggle"]');
+const exchangeRatesSaveBtnEl = document.querySelector('[data-ui="exchange-rates-save-btn"]');
 const filterButtonsContainer = document.querySelector('#filter-buttons-container');
+const filterSearchInput = document.querySelector('#filter-search');
+const filterPanelForm = document.querySelector('#filter-panel');
+const filterTypeSelect = document.querySelector('#filter-type');
+const filterPaymentMethodSelect = document.querySelector('#filter-paymentMethod');
+const filterCurrencySelect = document.querySelector('#filter-currency');
+const filterPanelToggleEl = document.querySelector('[data-ui="filter-panel-toggle"]');
+const selectAllCheckbox = document.querySelector('#select-all-bills');
+const selectAllLabelEl = document.querySelector('[data-ui="select-all-label"]');
+const selectionCountEl = document.querySelector('#selection-count');
+const bulkStatusSelect = document.querySelector('#bulk-status');
+const bulkStatusButton = document.querySelector('#bulk-status-btn');
+const bulkPaymentMethodSelect = document.querySelector('#bulk-payment-method');
+const bulkPaymentMethodButton = document.querySelector('#bulk-payment-method-btn');
+const bulkDeleteButton = document.querySelector('#bulk-delete-btn');
+const bulkActionButtons = document.querySelectorAll('.bulk-action-btn');
+const filterTypeLabelEl = document.querySelector('[data-ui="filter-type-label"]');
+const filterPaymentMethodLabelEl = document.querySelector('[data-ui="filter-payment-method-label"]');
+const filterCurrencyLabelEl = document.querySelector('[data-ui="filter-currency-label"]');
+const filterMinAmountLabelEl = document.querySelector('[data-ui="filter-min-amount-label"]');
+const filterMaxAmountLabelEl = document.querySelector('[data-ui="filter-max-amount-label"]');
+const filterClearBtnEl = document.querySelector('[data-ui="filter-clear-btn"]');
 const billTypeSelect = document.querySelector('#billType');
 const currencySelect = document.querySelector('#currency');
 const sortBySelect = document.querySelector('#sort-by');
@@ -112,20 +422,160 @@ const paymentMethodSelect = document.querySelector('#paymentMethod');
 const streamingNameContainer = document.querySelector('#streamingName-container');
 const otherTypeContainer = document.querySelector('#otherType-container');
 const statusSelect = document.querySelector('#status');
+const recurrenceSelect = document.querySelector('#recurrence');
+const recurrenceIntervalContainer = document.querySelector('#recurrenceInterval-container');
+const recurrenceIntervalInput = document.querySelector('#recurrenceInterval');
 const editModalEl = document.querySelector('#editBillModal');
 const editBillForm = document.querySelector('#edit-bill-form');
 const editBillIdInput = document.querySelector('#edit-bill-id');
+const editBillTypeSelect = document.querySelector('#edit-billType');
+const editStreamingNameContainer = document.querySelector('#edit-streamingName-container');
+const editStreamingNameInput = document.querySelector('#edit-streamingName');
+const editOtherTypeContainer = document.querySelector('#edit-otherType-container');
+const editOtherTypeInput = document.querySelector('#edit-otherTypeName');
+const editCurrencySelect = document.querySelector('#edit-currency');
 const editAmountInput = document.querySelector('#edit-amount');
+const editPaymentMethodSelect = document.querySelector('#edit-paymentMethod');
+const editDueDateInput = document.querySelector('#edit-dueDate');
+const editRecurrenceSelect = document.querySelector('#edit-recurrence');
+const editRecurrenceIntervalContainer = document.querySelector('#edit-recurrenceInterval-container');
+const editRecurrenceIntervalInput = document.querySelector('#edit-recurrenceInterval');
 const editStatusSelect = document.querySelector('#edit-status');
+const editNotesInput = document.querySelector('#edit-notes');
+const editConflictAlert = document.querySelector('#edit-conflict-alert');
+const editConflictText = document.querySelector('#edit-conflict-text');
+const editConflictReloadButton = document.querySelector('#edit-conflict-reload-btn');
 const editModal = new bootstrap.Modal(editModalEl);
+const paymentModalEl = document.querySelector('#paymentModal');
+const paymentModal = new bootstrap.Modal(paymentModalEl);
+const paymentForm = document.querySelector('#payment-form');
+const paymentBillIdInput = document.querySelector('#payment-bill-id');
+const paymentOutstandingEl = document.querySelector('#payment-outstanding');
+const paymentDateInput = document.querySelector('#payment-date');
+const paymentAmountInput = document.querySelector('#payment-amount');
+const paymentCurrencySelect = document.querySelector('#payment-currency');
+const paymentMethodFieldSelect = document.querySelector('#payment-paymentMethod');
 const loadingSpinner = document.querySelector('#loading-spinner');
+const exportCsvButton = document.querySelector('#export-csv-btn');
+const importCsvInput = document.querySelector('#import-csv-input');
+const exportBackupButton = document.querySelector('#export-backup-btn');
+const restoreBackupInput = document.querySelector('#restore-backup-input');
+const exportHistoryButton = document.querySelector('#export-history-btn');
+const importModalEl = document.querySelector('#importPreviewModal');
+const importModal = new bootstrap.Modal(importModalEl);
+const importSummaryEl = document.querySelector('#import-summary');
+const importPreviewContainer = document.querySelector('#import-preview');
+const importConfirmButton = document.querySelector('#import-confirm-btn');
+const themeSelect = document.querySelector('#theme-select');
+const colorModeSelect = document.querySelector('#color-mode-select');
+const profileSelect = document.querySelector('#profile-select');
+const profileModalEl = document.querySelector('#profileModal');
+const profileModal = new bootstrap.Modal(profileModalEl);
+const profileCreateForm = document.querySelector('#profile-create-form');
+const profileCurrencySelect = document.querySelector('#profile-currency');
+const profileTransferForm = document.querySelector('#profile-transfer-form');
+const profileTransferTargetSelect = document.querySelector('#profile-transfer-target');
+const profileTransferCountEl = document.querySelector('#profile-transfer-count');
+const deleteProfileButton = document.querySelector('#delete-profile-btn');
+const unlockModalEl = document.querySelector('#unlockModal');
+const unlockModal = new bootstrap.Modal(unlockModalEl);
+const unlockForm = document.querySelector('#unlock-form');
+const unlockHintEl = document.querySelector('#unlock-hint');
+const unlockPassphraseInput = document.querySelector('#unlock-passphrase');
+const unlockConfirmContainer = document.querySelector('#unlock-confirm-container');
+const unlockConfirmInput = document.querySelector('#unlock-confirm');
+const unlockErrorEl = document.querySelector('#unlock-error');
+const unlockCancelButton = document.querySelector('#unlock-cancel-btn');
+const changePassphraseButton = document.querySelector('#change-passphrase-btn');
+const passphraseModalEl = document.querySelector('#passphraseModal');
+const passphraseModal = new bootstrap.Modal(passphraseModalEl);
+const passphraseForm = document.querySelector('#passphrase-form');
+const passphraseErrorEl = document.querySelector('#passphrase-error');
+const categoriesModalEl = document.querySelector('#categoriesModal');
+const billTypeCategoryList = document.querySelector('#bill-type-category-list');
+const paymentMethodCategoryList = document.querySelector('#payment-method-category-list');
+const billTypeCategoryNameInput = document.querySelector('[data-ui="bill-type-category-form"] [name="name"]');
+const paymentMethodCategoryNameInput = document.querySelector('[data-ui="payment-method-category-form"] [name="name"]');
+const attachmentsModalEl = document.querySelector('#attachmentsModal');
+const attachmentsModal = new bootstrap.Modal(attachmentsModalEl);
+const editAttachmentsPanel = document.querySelector('#edit-attachments-panel');
+const attachmentsModalPanel = document.querySelector('#attachments-modal-panel');
+const historyModalEl = document.querySelector('#historyModal');
+const historyModal = new bootstrap.Modal(historyModalEl);
+const historyBillNameEl = document.querySelector('#history-bill-name');
+const historyList = document.querySelector('#history-list');
+const historyExportButton = document.querySelector('#history-export-btn');
+const conflictModalEl = document.querySelector('#conflictModal');
+const conflictModal = new bootstrap.Modal(conflictModalEl);
+const conflictForm = document.querySelector('#conflict-form');
+const conflictList = document.querySelector('#conflict-list');
 
 // Modal text and label elements
 const editModalTitleEl = document.querySelector('[data-ui="edit-modal-title"]');
+const editModalBillTypeLabelEl = document.querySelector('[data-ui="edit-modal-billtype-label"]');
+const editModalOtherTypeLabelEl = document.querySelector('[data-ui="edit-modal-other-type-label"]');
 const editModalAmountLabelEl = document.querySelector('[data-ui="edit-modal-amount-label"]');
+const editModalPaymentMethodLabelEl = document.querySelector('[data-ui="edit-modal-payment-method-label"]');
+const editModalDueDateLabelEl = document.querySelector('[data-ui="edit-modal-due-date-label"]');
+const editModalRecurrenceLabelEl = document.querySelector('[data-ui="edit-modal-recurrence-label"]');
+const editModalRecurrenceIntervalLabelEl = document.querySelector('[data-ui="edit-modal-recurrence-interval-label"]');
 const editModalStatusLabelEl = document.querySelector('[data-ui="edit-modal-status-label"]');
+const editModalNotesLabelEl = document.querySelector('[data-ui="edit-modal-notes-label"]');
 const editModalCloseBtnEl = document.querySelector('[data-ui="edit-modal-close-btn"]');
 const editModalSaveBtnEl = document.querySelector('[data-ui="edit-modal-save-btn"]');
+const paymentModalTitleEl = document.querySelector('[data-ui="payment-modal-title"]');
+const paymentDateLabelEl = document.querySelector('[data-ui="payment-date-label"]');
+const paymentAmountLabelEl = document.querySelector('[data-ui="payment-amount-label"]');
+const paymentMethodFieldLabelEl = document.querySelector('[data-ui="payment-method-field-label"]');
+const paymentReferenceLabelEl = document.querySelector('[data-ui="payment-reference-label"]');
+const paymentModalCloseBtnEl = document.querySelector('[data-ui="payment-modal-close-btn"]');
+const paymentModalSaveBtnEl = document.querySelector('[data-ui="payment-modal-save-btn"]');
+const importCsvLabelEl = document.querySelector('[data-ui="import-csv-label"]');
+const importModalTitleEl = document.querySelector('[data-ui="import-modal-title"]');
+const importModalCloseBtnEl = document.querySelector('[data-ui="import-modal-close-btn"]');
+const themeLabelEl = document.querySelector('[data-ui="theme-label"]');
+const colorModeLabelEl = document.querySelector('[data-ui="color-mode-label"]');
+const profileLabelEl = document.querySelector('[data-ui="profile-label"]');
+const manageProfilesBtnEl = document.querySelector('[data-ui="manage-profiles-btn"]');
+const profileModalTitleEl = document.querySelector('[data-ui="profile-modal-title"]');
+const newProfileTitleEl = document.querySelector('[data-ui="new-profile-title"]');
+const profileNameLabelEl = document.querySelector('[data-ui="profile-name-label"]');
+const profileCurrencyLabelEl = document.querySelector('[data-ui="profile-currency-label"]');
+const createProfileBtnEl = document.querySelector('[data-ui="create-profile-btn"]');
+const transferBillsTitleEl = document.querySelector('[data-ui="transfer-bills-title"]');
+const transferTargetLabelEl = document.querySelector('[data-ui="transfer-target-label"]');
+const transferCopyLabelEl = document.querySelector('[data-ui="transfer-copy-label"]');
+const transferMoveLabelEl = document.querySelector('[data-ui="transfer-move-label"]');
+const transferBillsBtnEl = document.querySelector('[data-ui="transfer-bills-btn"]');
+const profileModalCloseBtnEl = document.querySelector('[data-ui="profile-modal-close-btn"]');
+const unlockModalTitleEl = document.querySelector('[data-ui="unlock-modal-title"]');
+const unlockPassphraseLabelEl = document.querySelector('[data-ui="unlock-passphrase-label"]');
+const unlockConfirmLabelEl = document.querySelector('[data-ui="unlock-confirm-label"]');
+const unlockSubmitBtnEl = document.querySelector('[data-ui="unlock-submit-btn"]');
+const passphraseModalTitleEl = document.querySelector('[data-ui="passphrase-modal-title"]');
+const passphraseCurrentLabelEl = document.querySelector('[data-ui="passphrase-current-label"]');
+const passphraseNewLabelEl = document.querySelector('[data-ui="passphrase-new-label"]');
+const passphraseConfirmLabelEl = document.querySelector('[data-ui="passphrase-confirm-label"]');
+const passphraseModalCloseBtnEl = document.querySelector('[data-ui="passphrase-modal-close-btn"]');
+const passphraseModalSaveBtnEl = document.querySelector('[data-ui="passphrase-modal-save-btn"]');
+const manageCategoriesBtnEl = document.querySelector('[data-ui="manage-categories-btn"]');
+const categoriesModalTitleEl = document.querySelector('[data-ui="categories-modal-title"]');
+const customBillTypesTitleEl = document.querySelector('[data-ui="custom-bill-types-title"]');
+const customPaymentMethodsTitleEl = document.querySelector('[data-ui="custom-payment-methods-title"]');
+const categoryColorInputEls = document.querySelectorAll('[data-ui="category-color-input"]');
+const addCategoryBtnEls = document.querySelectorAll('[data-ui="add-category-btn"]');
+const categoriesModalCloseBtnEl = document.querySelector('[data-ui="categories-modal-close-btn"]');
+const restoreBackupLabelEl = document.querySelector('[data-ui="restore-backup-label"]');
+const attachmentsModalTitleEl = document.querySelector('[data-ui="attachments-modal-title"]');
+const attachmentsTitleEls = document.querySelectorAll('[data-ui="attachments-title"]');
+const attachmentInputEls = document.querySelectorAll('[data-ui="attachment-input"]');
+const attachmentsModalCloseBtnEl = document.querySelector('[data-ui="attachments-modal-close-btn"]');
+const historyModalTitleEl = document.querySelector('[data-ui="history-modal-title"]');
+const historyModalCloseBtnEl = document.querySelector('[data-ui="history-modal-close-btn"]');
+const conflictModalTitleEl = document.querySelector('[data-ui="conflict-modal-title"]');
+const conflictIntroEl = document.querySelector('[data-ui="conflict-intro"]');
+const conflictModalCloseBtnEl = document.querySelector('[data-ui="conflict-modal-close-btn"]');
+const conflictSaveBtnEl = document.querySelector('[data-ui="conflict-save-btn"]');
 
 // Start up text assignments
 if (pageTitleEl) pageTitleEl.textContent = APP_TITLE;
@@ -138,22 +588,123 @@ if (otherTypeLabelEl) otherTypeLabelEl.textContent = OTHER_TYPE_LABEL;
 if (amountLabelEl) amountLabelEl.textContent = AMOUNT_LABEL;
 if (paymentMethodLabelEl) paymentMethodLabelEl.textContent = PAYMENT_METHOD_LABEL;
 if (statusLabelEl) statusLabelEl.textContent = STATUS_LABEL;
+if (dueDateLabelEl) dueDateLabelEl.textContent = DUE_DATE_LABEL;
+if (recurrenceLabelEl) recurrenceLabelEl.textContent = RECURRENCE_LABEL;
+if (recurrenceIntervalLabelEl) recurrenceIntervalLabelEl.textContent = RECURRENCE_INTERVAL_LABEL;
+if (notesLabelEl) notesLabelEl.textContent = NOTES_LABEL;
 if (sortByLabelEl) sortByLabelEl.textContent = SORT_BY_LABEL;
+if (filterSearchInput) filterSearchInput.placeholder = SEARCH_PLACEHOLDER;
+if (filterPanelToggleEl) filterPanelToggleEl.textContent = FILTER_PANEL_TOGGLE_LABEL;
+if (selectAllLabelEl) selectAllLabelEl.textContent = SELECT_ALL_LABEL;
+if (bulkStatusButton) bulkStatusButton.textContent = BULK_STATUS_BUTTON_LABEL;
+if (bulkPaymentMethodButton) bulkPaymentMethodButton.textContent = BULK_PAYMENT_METHOD_BUTTON_LABEL;
+if (bulkDeleteButton) bulkDeleteButton.textContent = BULK_DELETE_BUTTON_LABEL;
+if (filterTypeLabelEl) filterTypeLabelEl.textContent = BILLTYPE_LABEL;
+if (filterPaymentMethodLabelEl) filterPaymentMethodLabelEl.textContent = PAYMENT_METHOD_LABEL;
+if (filterCurrencyLabelEl) filterCurrencyLabelEl.textContent = FILTER_CURRENCY_LABEL;
+if (filterMinAmountLabelEl) filterMinAmountLabelEl.textContent = FILTER_MIN_AMOUNT_LABEL;
+if (filterMaxAmountLabelEl) filterMaxAmountLabelEl.textContent = FILTER_MAX_AMOUNT_LABEL;
+if (filterClearBtnEl) filterClearBtnEl.textContent = CLEAR_FILTERS_LABEL;
 if (billsSectionTitleEl) billsSectionTitleEl.textContent = LIST_SECTION_TITLE;
 if (totalPaidLabelEl) totalPaidLabelEl.textContent = TOTALS_PAID_LABEL;
 if (totalPendingLabelEl) totalPendingLabelEl.textContent = TOTALS_PENDING_LABEL;
 if (totalUnpaidLabelEl) totalUnpaidLabelEl.textContent = TOTALS_UNPAID_LABEL;
+if (totalGrandLabelEl) totalGrandLabelEl.textContent = TOTALS_GRAND_LABEL;
+if (reportingCurrencyLabelEl) reportingCurrencyLabelEl.textContent = REPORTING_CURRENCY_LABEL;
+if (analyticsTitleEl) analyticsTitleEl.textContent = ANALYTICS_TITLE;
+if (exchangeRatesToggleEl) exchangeRatesToggleEl.textContent = EXCHANGE_RATES_TOGGLE_LABEL;
+if (exchangeRatesSaveBtnEl) exchangeRatesSaveBtnEl.textContent = EXCHANGE_RATES_SAVE_LABEL;
 if (editModalTitleEl) editModalTitleEl.textContent = EDIT_MODAL_TITLE;
+if (editModalBillTypeLabelEl) editModalBillTypeLabelEl.textContent = BILLTYPE_LABEL;
+if (editModalOtherTypeLabelEl) editModalOtherTypeLabelEl.textContent = OTHER_TYPE_LABEL;
 if (editModalAmountLabelEl) editModalAmountLabelEl.textContent = EDIT_MODAL_AMOUNT_LABEL;
+if (editModalPaymentMethodLabelEl) editModalPaymentMethodLabelEl.textContent = PAYMENT_METHOD_LABEL;
+if (editModalDueDateLabelEl) editModalDueDateLabelEl.textContent = DUE_DATE_LABEL;
+if (editModalRecurrenceLabelEl) editModalRecurrenceLabelEl.textContent = RECURRENCE_LABEL;
+if (editModalRecurrenceIntervalLabelEl) editModalRecurrenceIntervalLabelEl.textContent = RECURRENCE_INTERVAL_LABEL;
 if (editModalStatusLabelEl) editModalStatusLabelEl.textContent = EDIT_MODAL_STATUS_LABEL;
+if (editModalNotesLabelEl) editModalNotesLabelEl.textContent = NOTES_LABEL;
 if (editModalCloseBtnEl) editModalCloseBtnEl.textContent = EDIT_MODAL_CLOSE_LABEL;
 if (editModalSaveBtnEl) editModalSaveBtnEl.textContent = EDIT_MODAL_SAVE_LABEL;
+if (paymentModalTitleEl) paymentModalTitleEl.textContent = PAYMENT_MODAL_TITLE;
+if (paymentDateLabelEl) paymentDateLabelEl.textContent = PAYMENT_DATE_LABEL;
+if (paymentAmountLabelEl) paymentAmountLabelEl.textContent = AMOUNT_LABEL;
+if (paymentMethodFieldLabelEl) paymentMethodFieldLabelEl.textContent = PAYMENT_METHOD_LABEL;
+if (paymentReferenceLabelEl) paymentReferenceLabelEl.textContent = PAYMENT_REFERENCE_LABEL;
+if (paymentModalCloseBtnEl) paymentModalCloseBtnEl.textContent = PAYMENT_MODAL_CLOSE_LABEL;
+if (paymentModalSaveBtnEl) paymentModalSaveBtnEl.textContent = PAYMENT_MODAL_SAVE_LABEL;
+if (exportCsvButton) exportCsvButton.textContent = EXPORT_CSV_BUTTON_LABEL;
+if (importCsvLabelEl) importCsvLabelEl.textContent = IMPORT_CSV_BUTTON_LABEL;
+if (importModalTitleEl) importModalTitleEl.textContent = IMPORT_MODAL_TITLE;
+if (importModalCloseBtnEl) importModalCloseBtnEl.textContent = IMPORT_MODAL_CANCEL_LABEL;
+if (themeLabelEl) themeLabelEl.textContent = THEME_LABEL;
+if (colorModeLabelEl) colorModeLabelEl.textContent = COLOR_MODE_LABEL;
+if (profileLabelEl) profileLabelEl.textContent = PROFILE_LABEL;
+if (manageProfilesBtnEl) manageProfilesBtnEl.textContent = MANAGE_PROFILES_LABEL;
+if (profileModalTitleEl) profileModalTitleEl.textContent = PROFILE_MODAL_TITLE;
+if (newProfileTitleEl) newProfileTitleEl.textContent = NEW_PROFILE_TITLE;
+if (profileNameLabelEl) profileNameLabelEl.textContent = PROFILE_NAME_LABEL;
+if (profileCurrencyLabelEl) profileCurrencyLabelEl.textContent = PROFILE_CURRENCY_LABEL;
+if (createProfileBtnEl) createProfileBtnEl.textContent = CREATE_PROFILE_BUTTON_LABEL;
+if (transferBillsTitleEl) transferBillsTitleEl.textContent = TRANSFER_BILLS_TITLE;
+if (transferTargetLabelEl) transferTargetLabelEl.textContent = TRANSFER_TARGET_LABEL;
+if (transferCopyLabelEl) transferCopyLabelEl.textContent = TRANSFER_COPY_LABEL;
+if (transferMoveLabelEl) transferMoveLabelEl.textContent = TRANSFER_MOVE_LABEL;
+if (transferBillsBtnEl) transferBillsBtnEl.textContent = TRANSFER_BILLS_BUTTON_LABEL;
+if (deleteProfileButton) deleteProfileButton.textContent = DELETE_PROFILE_BUTTON_LABEL;
+if (profileModalCloseBtnEl) profileModalCloseBtnEl.textContent = PROFILE_MODAL_CLOSE_LABEL;
+if (unlockModalTitleEl) unlockModalTitleEl.textContent = UNLOCK_MODAL_TITLE;
+if (unlockPassphraseLabelEl) unlockPassphraseLabelEl.textContent = UNLOCK_PASSPHRASE_LABEL;
+if (unlockConfirmLabelEl) unlockConfirmLabelEl.textContent = UNLOCK_CONFIRM_LABEL;
+if (unlockSubmitBtnEl) unlockSubmitBtnEl.textContent = UNLOCK_BUTTON_LABEL;
+if (unlockCancelButton) unlockCancelButton.textContent = UNLOCK_CANCEL_LABEL;
+if (changePassphraseButton) changePassphraseButton.textContent = CHANGE_PASSPHRASE_BUTTON_LABEL;
+if (passphraseModalTitleEl) passphraseModalTitleEl.textContent = PASSPHRASE_MODAL_TITLE;
+if (passphraseCurrentLabelEl) passphraseCurrentLabelEl.textContent = CURRENT_PASSPHRASE_LABEL;
+if (passphraseNewLabelEl) passphraseNewLabelEl.textContent = NEW_PASSPHRASE_LABEL;
+if (passphraseConfirmLabelEl) passphraseConfirmLabelEl.textContent = CONFIRM_PASSPHRASE_LABEL;
+if (passphraseModalCloseBtnEl) passphraseModalCloseBtnEl.textContent = PASSPHRASE_MODAL_CLOSE_LABEL;
+if (passphraseModalSaveBtnEl) passphraseModalSaveBtnEl.textContent = PASSPHRASE_MODAL_SAVE_LABEL;
+if (manageCategoriesBtnEl) manageCategoriesBtnEl.textContent = MANAGE_CATEGORIES_LABEL;
+if (categoriesModalTitleEl) categoriesModalTitleEl.textContent = CATEGORIES_MODAL_TITLE;
+if (customBillTypesTitleEl) customBillTypesTitleEl.textContent = CUSTOM_BILL_TYPES_TITLE;
+if (customPaymentMethodsTitleEl) customPaymentMethodsTitleEl.textContent = CUSTOM_PAYMENT_METHODS_TITLE;
+if (billTypeCategoryNameInput) {
+  billTypeCategoryNameInput.placeholder = NEW_BILL_TYPE_PLACEHOLDER;
+  billTypeCategoryNameInput.setAttribute('aria-label', NEW_BILL_TYPE_PLACEHOLDER);
+}
+if (paymentMethodCategoryNameInput) {
+  paymentMethodCategoryNameInput.placeholder = NEW_PAYMENT_METHOD_PLACEHOLDER;
+  paymentMethodCategoryNameInput.setAttribute('aria-label', NEW_PAYMENT_METHOD_PLACEHOLDER);
+}
+categoryColorInputEls.forEach((el) => el.setAttribute('aria-label', CATEGORY_COLOR_LABEL));
+addCategoryBtnEls.forEach((el) => { el.textContent = ADD_CATEGORY_BUTTON_LABEL; });
+if (categoriesModalCloseBtnEl) categoriesModalCloseBtnEl.textContent = CATEGORIES_MODAL_CLOSE_LABEL;
+if (exportBackupButton) exportBackupButton.textContent = EXPORT_BACKUP_BUTTON_LABEL;
+if (restoreBackupLabelEl) restoreBackupLabelEl.textContent = RESTORE_BACKUP_BUTTON_LABEL;
+if (attachmentsModalTitleEl) attachmentsModalTitleEl.textContent = ATTACHMENTS_LABEL;
+attachmentsTitleEls.forEach((el) => { el.textContent = ATTACHMENTS_LABEL; });
+attachmentInputEls.forEach((el) => el.setAttribute('aria-label', ATTACH_FILES_LABEL));
+if (attachmentsModalCloseBtnEl) attachmentsModalCloseBtnEl.textContent = ATTACHMENTS_MODAL_CLOSE_LABEL;
+if (exportHistoryButton) exportHistoryButton.textContent = EXPORT_HISTORY_BUTTON_LABEL;
+if (historyModalTitleEl) historyModalTitleEl.textContent = HISTORY_LABEL;
+if (historyExportButton) historyExportButton.textContent = HISTORY_EXPORT_LABEL;
+if (historyModalCloseBtnEl) historyModalCloseBtnEl.textContent = HISTORY_MODAL_CLOSE_LABEL;
+if (editConflictReloadButton) editConflictReloadButton.textContent = SHOW_LATEST_BUTTON_LABEL;
+if (conflictModalTitleEl) conflictModalTitleEl.textContent = CONFLICT_MODAL_TITLE;
+if (conflictIntroEl) conflictIntroEl.textContent = CONFLICT_INTRO_TEXT;
+if (conflictModalCloseBtnEl) conflictModalCloseBtnEl.textContent = CONFLICT_CLOSE_LABEL;
+if (conflictSaveBtnEl) conflictSaveBtnEl.textContent = CONFLICT_SAVE_LABEL;
 
 // --- DOM ELEMENTS FOR NOTIFICATIONS ---
 const notificationToastEl = document.querySelector('#app-notification-toast');
 const notificationToastBody = document.querySelector('#toast-body');
+const notificationActionButton = document.querySelector('#toast-action-btn');
 const notificationToast = new bootstrap.Toast(notificationToastEl);
 
+// What the toast's action button does for the notification currently shown, if anything.
+let notificationAction = null;
+
 
 // --- FUNCTIONS FOR UI RENDERING AND EVENT HANDLING ---
 
@@ -173,9 +724,13 @@ function updateUIForLoading() {
  * Displays a non-intrusive toast notification to the user.
  * @param {string} message - The message to display in the notification.
  * @param {boolean} isError - True if it's an error message, false for success.
+ * @param {{label: string, onClick: function(): void}} [action] - An optional button shown in the toast, e.g. "Undo".
  */
-function showNotification(message, isError = false) {
+function showNotification(message, isError = false, action = null) {
   notificationToastBody.textContent = message;
+  notificationAction = action;
+  notificationActionButton.textContent = action ? action.label : '';
+  notificationActionButton.classList.toggle('d-none', !action);
   notificationToastEl.classList.remove('bg-success', 'bg-danger');
   if (isError) {
     notificationToastEl.classList.add('bg-danger');
@@ -185,6 +740,120 @@ function showNotification(message, isError = false) {
   notificationToast.show();
 }
 
+/**
+ * Builds the message shown when an operation fails. When BillManager reverted an
+ * optimistic change, its message already names the operation that was undone.
+ * @param {string} fallbackPrefix - Describes the failed action, e.g. 'Failed to delete bill'.
+ * @param {Error} error - The error that was thrown.
+ * @returns {string} The message to display.
+ */
+function getErrorMessage(fallbackPrefix, error) {
+  if (error.revertedOperation) {
+    return error.message;
+  }
+  return `${fallbackPrefix}: ${error.message || 'Unknown error'}.`;
+}
+
+/**
+ * Shows the result of a successful operation. If the change could not reach storage and is
+ * waiting in the sync queue, or clashes with changes made elsewhere and is waiting for the
+ * conflict to be resolved, the message says so instead of claiming it was saved.
+ * @param {string} message - The success message to display.
+ * @param {{label: string, onClick: function(): void}} [action] - An optional toast button, usually UNDO_TOAST_ACTION.
+ */
+function showSaveNotification(message, action = null) {
+  if (appBillManager.conflict) {
+    showNotification(`${message} ${CONFLICT_SAVE_TEXT}`, true, action);
+  } else if (appBillManager.syncQueue.hasPending()) {
+    showNotification(`${message} ${UNSYNCED_SAVE_TEXT}`, true, action);
+  } else {
+    showNotification(message, false, action);
+  }
+}
+
+/**
+ * Undoes the most recent bill operation by delegating to BillManager, then updates the UI.
+ * The confirmation toast offers to redo it.
+ * @async
+ */
+async function handleUndo() {
+  if (appBillManager.isLoading) return; // Let the running operation finish first
+  if (!appBillManager.canUndo()) {
+    showNotification(NOTHING_TO_UNDO_TEXT);
+    return;
+  }
+
+  appBillManager.setLoading(true);
+  try {
+    const description = await appBillManager.undo();
+    showSaveNotification(`Undone: ${description}.`, REDO_TOAST_ACTION);
+  } catch (error) {
+    console.error("Error undoing operation:", error);
+    showNotification(getErrorMessage('Failed to undo', error), true);
+  } finally {
+    appBillManager.setLoading(false);
+  }
+}
+
+/**
+ * Redoes the most recently undone bill operation by delegating to BillManager, then updates the UI.
+ * The confirmation toast offers to undo it again.
+ * @async
+ */
+async function handleRedo() {
+  if (appBillManager.isLoading) return;
+  if (!appBillManager.canRedo()) {
+    showNotification(NOTHING_TO_REDO_TEXT);
+    return;
+  }
+
+  appBillManager.setLoading(true);
+  try {
+    const description = await appBillManager.redo();
+    showSaveNotification(`Redone: ${description}.`, UNDO_TOAST_ACTION);
+  } catch (error) {
+    console.error("Error redoing operation:", error);
+    showNotification(getErrorMessage('Failed to redo', error), true);
+  } finally {
+    appBillManager.setLoading(false);
+  }
+}
+
+// Toast buttons offered after bill operations.
+const UNDO_TOAST_ACTION = { label: UNDO_ACTION_LABEL, onClick: handleUndo };
+const REDO_TOAST_ACTION = { label: REDO_ACTION_LABEL, onClick: handleRedo };
+
+/**
+ * Handles the undo/redo keyboard shortcuts: Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes.
+ * Cmd replaces Ctrl on macOS. Shortcuts typed inside form fields are left to the browser,
+ * so text editing keeps its native undo.
+ * @param {KeyboardEvent} event The keydown event.
+ */
+function handleHistoryShortcut(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+  const target = event.target;
+  if (target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+  const key = event.key.toLowerCase();
+  if (key === 'z' && !event.shiftKey) {
+    event.preventDefault();
+    handleUndo();
+  } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+    event.preventDefault();
+    handleRedo();
+  }
+}
+
+/**
+ * Updates the "N unsynced changes" indicator next to the totals.
+ * Hidden when every change has reached storage.
+ * @param {number} pendingCount - The number of changes waiting in the sync queue.
+ */
+function renderSyncStatus(pendingCount) {
+  unsyncedIndicator.textContent = `${pendingCount} ${UNSYNCED_CHANGES_LABEL}`;
+  unsyncedIndicator.classList.toggle('d-none', pendingCount === 0);
+}
+
 /**
  * Applies the appropriate badge classes to the total amount displays
  * based on their status (Paid, Pending, Unpaid) using the configuration
@@ -205,82 +874,335 @@ function applyTotalsBadgeClasses() {
   }
 }
 
+/**
+ * Formats an ISO due date (YYYY-MM-DD) for display using the browser's locale.
+ * The date is interpreted in UTC so it never shifts by a day across time zones.
+ * @param {string} isoDate The due date to format.
+ * @returns {string} The human-readable date.
+ */
+function formatDueDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC' });
+}
+
+/**
+ * Formats an ISO timestamp, e.g. of a change log entry, for display in the user's locale.
+ * @param {string} isoTimestamp The timestamp.
+ * @returns {string} The formatted date and time.
+ */
+function formatDateTime(isoTimestamp) {
+  return new Date(isoTimestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Returns the display label for a bill's recurrence rule, using the configured
+ * recurrence choices (custom rules show their interval in days).
+ * @param {{frequency: string, interval: number}} recurrence The bill's recurrence rule.
+ * @returns {string} The label to display.
+ */
+function getRecurrenceLabel(recurrence) {
+  if (recurrence.frequency === 'custom') {
+    return `every ${recurrence.interval} days`;
+  }
+  const choice = RECURRENCE_CHOICES.find(({ value }) => value === recurrence.frequency);
+  return choice ? choice.label : recurrence.frequency;
+}
+
 /**
  * Renders the list of bills to the page. It retrieves the filtered and sorted
  * list of bills directly from the BillManager, ensuring the display
  * reflects the current application state.
  */
 function renderBills() {
-  const billsToDisplay = appBillManager.getDisplayBills();
-  billsListContainer.innerHTML = '';
+  renderBillCards({
+    containerEl: billsListContainer,
+    bills: appBillManager.getDisplayBills(),
+    labels: {
+      emptyState: EMPTY_STATE_TEXT,
+      amount: AMOUNT_LABEL,
+      paymentMethod: PAYMENT_METHOD_LABEL,
+      nextDue: NEXT_DUE_LABEL,
+      rollForward: ROLL_FORWARD_BUTTON_LABEL,
+      edit: EDIT_BUTTON_LABEL,
+      delete: DELETE_BUTTON_LABEL,
+      payments: PAYMENTS_LABEL,
+      paid: PAID_SO_FAR_LABEL,
+      outstanding: OUTSTANDING_LABEL,
+      recordPayment: RECORD_PAYMENT_BUTTON_LABEL,
+      noPayments: NO_PAYMENTS_TEXT,
+      select: SELECT_BILL_LABEL,
+      attachments: ATTACHMENTS_LABEL,
+      history: HISTORY_LABEL
+    },
+    statusBadgeMap: STATUS_BADGE_MAP,
+    formatDueDate,
+    getRecurrenceLabel,
+    getPaymentSummary: bill => appBillManager.getPaymentSummary(bill),
+    isSelected: bill => appBillManager.isSelected(bill.id),
+    getCategoryColor: (kind, name) => appBillManager.getCategoryColor(kind, name),
+    getAttachmentCount: appBillManager.attachmentStore ? bill => appBillManager.getAttachments(bill.id).length : null
+  });
+}
 
-  if (billsToDisplay.length === 0) {
-    billsListContainer.innerHTML = `<p class="text-center text-muted">${EMPTY_STATE_TEXT}</p>`;
-    return;
+/**
+ * Shows the BillManager's current status filter in the filter buttons, and whether
+ * any other filter is set on the filter panel toggle.
+ */
+function renderFilterState() {
+  renderFilterButtons({
+    containerEl: filterButtonsContainer,
+    filterChoices: FILTER_CHOICES,
+    manager: appBillManager
+  });
+  filterPanelToggleEl.classList.toggle('active', appBillManager.hasActiveFilters());
+}
+
+/**
+ * Shows the BillManager's current sort choice in the 'Sort By' dropdown.
+ */
+function renderSortState() {
+  renderSortChoices({
+    selEl: sortBySelect,
+    sortChoices: SORT_CHOICES,
+    manager: appBillManager
+  });
+}
+
+/**
+ * Shows the BillManager's current filters in the filter panel's fields, e.g. after a view
+ * was restored from the URL. Not subscribed to filter changes: rewriting a field while the
+ * user types in it would fight their input.
+ */
+function renderViewControls() {
+  const { filters } = appBillManager;
+  ['search', 'type', 'paymentMethod', 'currency', 'minAmount', 'maxAmount'].forEach((name) => {
+    const field = filterPanelForm.elements.namedItem(name);
+    if (field) field.value = filters[name] ?? '';
+  });
+}
+
+/**
+ * Writes the current view to the URL hash and remembers it as the last-used view.
+ * @param {object} [options]
+ * @param {boolean} [options.replace=false] - Replace the current history entry instead of adding one,
+ * e.g. while the user is typing a search, so Back does not step through every keystroke.
+ */
+function saveViewState({ replace = false } = {}) {
+  const view = appBillManager.getViewState();
+  viewState.save(view);
+
+  const hash = ViewState.toHash(view);
+  if (hash === window.location.hash.replace(/^#/, '')) return;
+
+  const url = hash ? `#${hash}` : `${window.location.pathname}${window.location.search}`;
+  if (replace) {
+    history.replaceState(null, '', url);
+  } else {
+    history.pushState(null, '', url);
   }
+}
+
+/**
+ * Applies the view from the URL hash, or the last-used view if the URL has none.
+ * Called on startup and when the user navigates back or forward.
+ * @param {object} [options]
+ * @param {boolean} [options.fallBackToStored=true] - Use the last-used view when the hash is empty.
+ */
+function restoreViewState({ fallBackToStored = true } = {}) {
+  const hash = window.location.hash.replace(/^#/, '');
+  const view = hash || !fallBackToStored ? ViewState.fromHash(hash) : viewState.load();
+  appBillManager.applyViewState(view);
+  renderViewControls();
+}
+
 
-  // Bills Cards
-  const billsHtml = billsToDisplay.map(bill => {
-    const displayName = bill.name || bill.type;
-    return `
-      <div class="card mb-3">
-        <div class="card-body">
-          <div class="d-flex justify-content-between align-items-start">
-            <div>
-              <h5 class="card-title">${displayName}</h5>
-              <h6 class="card-subtitle mb-2 text-muted">${bill.type} Bill</h6>
-            </div>
-            <span class="badge bg-${STATUS_BADGE_MAP[bill.status] || 'secondary'}">${bill.status}</span>
-          </div>
-          <p class="card-text">
-            <strong>Amount:</strong> ${bill.amount.value.toFixed(2)} ${bill.amount.currency}
-          </p>
-          <p class="card-text">
-            <strong>Payment Method:</strong> ${bill.paymentMethod}
-          </p>
-          <button class="btn btn-outline-secondary btn-sm edit-btn me-2" data-bill-id="${bill.id}">
-            ${EDIT_BUTTON_LABEL}
-          </button>
-          <button class="btn btn-outline-danger btn-sm delete-btn" data-bill-id="${bill.id}">
-            ${DELETE_BUTTON_LABEL}
-          </button>
-        </div>
-      </div>
-    `;
-  }).join('');
-
-  billsListContainer.innerHTML = billsHtml;
+/**
+ * Formats an amount with the symbol of the given currency using the browser's locale.
+ * @param {number} value The amount to format.
+ * @param {string} currencyCode The ISO currency code, e.g. 'EUR'.
+ * @returns {string} The formatted amount, e.g. '€12.50'.
+ */
+function formatMoney(value, currencyCode) {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currencyCode }).format(value);
+  } catch (error) {
+    return `${value.toFixed(2)} ${currencyCode}`; // Unknown currency codes fall back to plain text
+  }
 }
 
+/**
+ * Renders the spending analytics section from BillManager's aggregates,
+ * in the reporting currency.
+ */
+function renderAnalyticsSection() {
+  renderAnalytics({
+    containerEl: analyticsContainer,
+    analytics: {
+      byType: appBillManager.getSpendingByType(),
+      byPaymentMethod: appBillManager.getSpendingByPaymentMethod(),
+      byCurrency: appBillManager.getSpendingByCurrency(),
+      monthlyTrend: appBillManager.getMonthlyTrend(),
+      largestBills: appBillManager.getLargestBills()
+    },
+    currency: appBillManager.reportingCurrency,
+    labels: {
+      byType: ANALYTICS_BY_TYPE_LABEL,
+      byPaymentMethod: ANALYTICS_BY_PAYMENT_METHOD_LABEL,
+      byCurrency: ANALYTICS_BY_CURRENCY_LABEL,
+      monthlyTrend: ANALYTICS_TREND_LABEL,
+      largestBills: ANALYTICS_LARGEST_BILLS_LABEL,
+      paid: ANALYTICS_PAID_LABEL,
+      due: ANALYTICS_DUE_LABEL,
+      noData: ANALYTICS_NO_DATA_TEXT
+    },
+    formatMoney
+  });
+}
 
 /**
  * Calculates and renders total amounts for each status category (Paid, Unpaid, Pending)
  * by delegating to the BillManager and renders them to the appropriate
- * display elements on the page.
+ * display elements on the page. Status totals and the grand total are converted into
+ * the reporting currency; the unconverted per-currency breakdown is listed underneath.
+ * The analytics section uses the same figures, so it is refreshed here too.
  */
 function calculateAndRenderTotal() {
+  const reportingCurrency = appBillManager.reportingCurrency;
   const totals = appBillManager.getTotalsByStatus();
-  totalPaidDisplay.textContent = `€${totals.Paid.toFixed(2)}`;
-  totalPendingDisplay.textContent = `€${totals.Pending.toFixed(2)}`;
-  totalUnpaidDisplay.textContent = `€${totals.Unpaid.toFixed(2)}`;
+  totalPaidDisplay.textContent = formatMoney(totals.Paid, reportingCurrency);
+  totalPendingDisplay.textContent = formatMoney(totals.Pending, reportingCurrency);
+  totalUnpaidDisplay.textContent = formatMoney(totals.Unpaid, reportingCurrency);
+  totalGrandDisplay.textContent = formatMoney(appBillManager.getGrandTotal(), reportingCurrency);
+
+  totalsByCurrencyContainer.innerHTML = '';
+  Object.entries(appBillManager.getTotalsByCurrency()).forEach(([currency, currencyTotals]) => {
+    const line = document.createElement('div');
+    line.textContent = `${currency}: ` + [
+      `${TOTALS_PAID_LABEL} ${formatMoney(currencyTotals.Paid, currency)}`,
+      `${TOTALS_PENDING_LABEL} ${formatMoney(currencyTotals.Pending, currency)}`,
+      `${TOTALS_UNPAID_LABEL} ${formatMoney(currencyTotals.Unpaid, currency)}`
+    ].join(' · ');
+    totalsByCurrencyContainer.appendChild(line);
+  });
+
+  const missingRates = appBillManager.getMissingExchangeRates();
+  if (missingRates.length) {
+    const warning = document.createElement('div');
+    warning.className = 'text-danger';
+    warning.textContent = `${MISSING_RATES_TEXT} ${missingRates.join(', ')}`;
+    totalsByCurrencyContainer.appendChild(warning);
+  }
+
+  renderAnalyticsSection();
 }
 
 /**
- * Handles changes in the 'Bill Type' dropdown, dynamically showing or hiding
- * related input fields (e.g., 'Streaming Name' or 'Other Type').
+ * Shows the BillManager's exchange rates and reporting currency in their controls.
  */
-function handleBillTypeChange() {
-  const selectedValue = billTypeSelect.value;
-  streamingNameContainer.classList.add('d-none');
-  otherTypeContainer.classList.add('d-none');
+function renderSettingsControls() {
+  renderExchangeRateInputs({
+    containerEl: exchangeRatesInputsContainer,
+    currencyChoices: CURRENCY_CHOICES,
+    manager: appBillManager
+  });
+  reportingCurrencySelect.value = appBillManager.reportingCurrency;
+}
+
+/**
+ * Handles the submission of the exchange-rate form.
+ * Delegates saving the rate table to BillManager; the subscribed views show the result.
+ * @param {Event} event The form submission event object.
+ * @async
+ */
+async function handleExchangeRatesSubmit(event) {
+  event.preventDefault();
+
+  appBillManager.setLoading(true);
+  try {
+    const rates = Object.fromEntries(new FormData(exchangeRatesForm).entries());
+    await appBillManager.setExchangeRates(rates);
+    showSaveNotification('Exchange rates saved.');
+  } catch (error) {
+    console.error("Error saving exchange rates:", error);
+    showNotification(getErrorMessage('Failed to save exchange rates', error), true);
+  } finally {
+    appBillManager.setLoading(false);
+  }
+}
+
+/**
+ * Shows the name field that matches the selected bill type ('Streaming Name'
+ * or 'Other Type') and hides the other one. Shared by the add and edit forms.
+ * @param {HTMLSelectElement} typeSelect The form's 'Bill Type' dropdown.
+ * @param {HTMLElement} streamingContainer The wrapper of the streaming service name input.
+ * @param {HTMLElement} otherContainer The wrapper of the 'Specify Bill Type' input.
+ */
+function toggleNameFields(typeSelect, streamingContainer, otherContainer) {
+  const selectedValue = typeSelect.value;
+  streamingContainer.classList.add('d-none');
+  otherContainer.classList.add('d-none');
 
   if (selectedValue === 'Streaming') {
-    streamingNameContainer.classList.remove('d-none');
+    streamingContainer.classList.remove('d-none');
   } else if (selectedValue === 'Other') {
-    otherTypeContainer.classList.remove('d-none');
+    otherContainer.classList.remove('d-none');
   }
 }
 
+/**
+ * Picks the bill name from submitted form data: the streaming service name for
+ * 'Streaming' bills, the specified type for 'Other' bills, and no name otherwise.
+ * @param {object} billData The form data, with 'type', 'name-streaming' and 'name-other' entries.
+ * @returns {string|null} The bill name.
+ */
+function getBillNameFromForm(billData) {
+  if (billData.type === 'Streaming') return billData['name-streaming'] || null;
+  if (billData.type === 'Other') return billData['name-other'] || null;
+  return null;
+}
+
+/**
+ * Shows the interval input only when a custom recurrence is selected.
+ * Shared by the add and edit forms.
+ * @param {HTMLSelectElement} recurrenceSelectEl The form's 'Repeats' dropdown.
+ * @param {HTMLElement} intervalContainer The wrapper of the interval input.
+ * @param {HTMLInputElement} intervalInput The interval input.
+ */
+function toggleRecurrenceInterval(recurrenceSelectEl, intervalContainer, intervalInput) {
+  const isCustom = recurrenceSelectEl.value === 'custom';
+  intervalContainer.classList.toggle('d-none', !isCustom);
+  intervalInput.required = isCustom;
+}
+
+/**
+ * Handles changes in the 'Bill Type' dropdown, dynamically showing or hiding
+ * related input fields (e.g., 'Streaming Name' or 'Other Type').
+ */
+function handleBillTypeChange() {
+  toggleNameFields(billTypeSelect, streamingNameContainer, otherTypeContainer);
+}
+
+/**
+ * Handles changes in the 'Repeats' dropdown, showing the interval input
+ * only when a custom recurrence is selected.
+ */
+function handleRecurrenceChange() {
+  toggleRecurrenceInterval(recurrenceSelect, recurrenceIntervalContainer, recurrenceIntervalInput);
+}
+
+/**
+ * Handles changes in the edit modal's 'Bill Type' dropdown.
+ */
+function handleEditBillTypeChange() {
+  toggleNameFields(editBillTypeSelect, editStreamingNameContainer, editOtherTypeContainer);
+}
+
+/**
+ * Handles changes in the edit modal's 'Repeats' dropdown.
+ */
+function handleEditRecurrenceChange() {
+  toggleRecurrenceInterval(editRecurrenceSelect, editRecurrenceIntervalContainer, editRecurrenceIntervalInput);
+}
+
 /**
  * Deletes a bill from the application state by delegating to BillManager.
  * After deletion, it triggers a UI refresh.
@@ -289,198 +1211,1240 @@ function handleBillTypeChange() {
  */
 async function deleteBill(id) {
   appBillManager.setLoading(true);
-  updateUIForLoading();
   try {
     console.log('Deleting bill (simulated delay)...');
     await appBillManager.deleteBill(id);
-    showNotification('Bill deleted successfully.');
+    showSaveNotification('Bill deleted successfully.', UNDO_TOAST_ACTION);
     console.log('Bill deleted. Updating UI...');
-    renderSortChoices({ 
-      selEl: sortBySelect, 
-      sortChoices: SORT_CHOICES, 
-      manager: appBillManager 
-    });
-    renderBills();
-    calculateAndRenderTotal();
   } catch (error) {
     console.error("Error deleting bill:", error);
-    showNotification(`Failed to delete bill: ${error.message || 'Unknown error'}.`, true);
-    renderSortChoices({ 
-      selEl: sortBySelect, 
-      sortChoices: SORT_CHOICES, 
-      manager: appBillManager 
-    });
-    renderBills();
-    calculateAndRenderTotal();
+    showNotification(getErrorMessage('Failed to delete bill', error), true);
   } finally {
     appBillManager.setLoading(false);
-    updateUIForLoading();
   }
 }
 
 /**
- * Opens the "Edit Bill" modal and populates its form fields with data
- * from the specified bill object.
- * @param {object} bill The bill object to be edited.
+ * Rolls a paid recurring bill forward into its next cycle by delegating to BillManager.
+ * After the update, it triggers a UI refresh.
+ * @param {string} id The unique ID of the bill to roll forward.
+ * @async
  */
-function openEditModal(bill) {
-  editBillIdInput.value = bill.id;
-  editAmountInput.value = bill.amount.value;
-  editStatusSelect.value = bill.status;
-  editModal.show();
+async function rollForwardBill(id) {
+  appBillManager.setLoading(true);
+  try {
+    const bill = await appBillManager.rollForwardBill(id);
+    showSaveNotification(`Next cycle started. Due ${formatDueDate(bill.dueDate)}.`, UNDO_TOAST_ACTION);
+  } catch (error) {
+    console.error("Error rolling bill forward:", error);
+    showNotification(getErrorMessage('Failed to start next cycle', error), true);
+  } finally {
+    appBillManager.setLoading(false);
+  }
 }
 
 /**
- * Handles the submission of the main 'Add Bill' form.
- * Delegates bill creation and saving to BillManager, then updates the UI.
- * @param {Event} event The form submission event object provided by the browser.
- * @async
+ * Shows how many of the displayed bills are selected, checks the "select all" box when all of
+ * them are (or marks it indeterminate for some), and enables the bulk actions while any are.
  */
-async function handleSubmit(event) {
-  event.preventDefault();
+function renderSelectionState() {
+  const displayedCount = appBillManager.getDisplayBills().length;
+  const selectedCount = appBillManager.getSelectedBills().length;
 
-  const formData = new FormData(billForm);
-  const billData = Object.fromEntries(formData.entries());
-  billData.name = billData['name-streaming'] || billData['name-other'];
+  selectionCountEl.textContent = selectedCount ? `${selectedCount} ${SELECTED_COUNT_LABEL}` : '';
+  selectAllCheckbox.checked = displayedCount > 0 && selectedCount === displayedCount;
+  selectAllCheckbox.indeterminate = selectedCount > 0 && selectedCount < displayedCount;
+  selectAllCheckbox.disabled = displayedCount === 0;
+  bulkActionButtons.forEach((button) => {
+    button.disabled = selectedCount === 0;
+  });
+}
 
-  const newBill = new Bill(billData);
+/**
+ * Applies the same change to every selected bill that is displayed, in a single save,
+ * by delegating to BillManager.
+ * @param {object} changes The fields to change, e.g. { status: 'Paid' }.
+ * @async
+ */
+async function handleBulkUpdate(changes) {
+  const ids = appBillManager.getSelectedBills().map(bill => bill.id);
+  if (ids.length === 0) return;
 
   appBillManager.setLoading(true);
-  updateUIForLoading();
   try {
-    await appBillManager.addBill(newBill);
-    showNotification('New bill added successfully.');
-    console.log('New bill added:', newBill);
-    console.log('All current bills managed by BillManager:', appBillManager.bills);
-    billForm.reset();
-    handleBillTypeChange();
-    renderSortChoices({ 
-      selEl: sortBySelect, 
-      sortChoices: SORT_CHOICES, 
-      manager: appBillManager 
-    });
-    renderBills();
-    calculateAndRenderTotal();
+    await appBillManager.updateBills(ids, changes);
+    showSaveNotification(`${ids.length} bills updated successfully.`, UNDO_TOAST_ACTION);
   } catch (error) {
-    console.error('Error adding bill:', error);
-    showNotification(`Failed to add bill: ${error.message || 'Unknown error'}.`, true);
+    console.error("Error updating bills:", error);
+    showNotification(getErrorMessage('Failed to update bills', error), true);
   } finally {
     appBillManager.setLoading(false);
-    updateUIForLoading();
   }
 }
 
 /**
- * Handles the submission of the 'Edit Bill' form within the modal.
- * Delegates bill updating and saving to BillManager, then updates the UI.
- * @param {Event} event The form submission event object.
+ * Deletes every selected bill that is displayed, in a single save, by delegating to BillManager.
+ * The confirmation toast offers to undo it.
  * @async
  */
-async function handleEditSubmit(event) {
-  event.preventDefault();
+async function handleBulkDelete() {
+  const ids = appBillManager.getSelectedBills().map(bill => bill.id);
+  if (ids.length === 0) return;
 
   appBillManager.setLoading(true);
-  updateUIForLoading();
   try {
-    console.log('Updating bill (simulated delay)...');
-    const formData = new FormData(editBillForm);
-    const updatedData = Object.fromEntries(formData.entries());
-
-    await appBillManager.updateBill(updatedData);
-    showNotification('Bill updated successfully.');
-    console.log('Bill updated. Updating UI...');
-    editModal.hide();
-    renderSortChoices({ 
-      selEl: sortBySelect, 
-      sortChoices: SORT_CHOICES, 
-      manager: appBillManager 
-    });
-    renderBills();
-    calculateAndRenderTotal();
+    await appBillManager.deleteBills(ids);
+    showSaveNotification(`${ids.length} bills deleted successfully.`, UNDO_TOAST_ACTION);
   } catch (error) {
-    console.error("Error updating bill:", error);
-    showNotification(`Failed to update bill: ${error.message || 'Unknown error'}.`, true);
-    editModal.hide();
-    renderSortChoices({ 
-      selEl: sortBySelect, 
-      sortChoices: SORT_CHOICES, 
-      manager: appBillManager 
-    });
-    renderBills();
-    calculateAndRenderTotal();
+    console.error("Error deleting bills:", error);
+    showNotification(getErrorMessage('Failed to delete bills', error), true);
   } finally {
     appBillManager.setLoading(false);
-    updateUIForLoading();
   }
 }
 
-
-// --- EVENT LISTENERS ---
-billForm.addEventListener('submit', handleSubmit);
+/**
+ * Opens the "Edit Bill" modal and populates its form fields with data
+ * from the specified bill object.
+ * @param {object} bill The bill object to be edited.
+ */
+function openEditModal(bill) {
+  editBillForm.reset();
+  editBillIdInput.value = bill.id;
+  editBillTypeSelect.value = bill.type;
+  if (bill.type === 'Streaming') editStreamingNameInput.value = bill.name || '';
+  if (bill.type === 'Other') editOtherTypeInput.value = bill.name || '';
+  editCurrencySelect.value = bill.amount.currency;
+  editAmountInput.value = bill.amount.value;
+  editPaymentMethodSelect.value = bill.paymentMethod;
+  editDueDateInput.value = bill.dueDate || '';
+  editRecurrenceSelect.value = bill.recurrence ? bill.recurrence.frequency : 'none';
+  editRecurrenceIntervalInput.value = bill.recurrence?.frequency === 'custom' ? bill.recurrence.interval : '';
+  editStatusSelect.value = bill.status;
+  editNotesInput.value = bill.notes;
+  showEditConflict(null);
+  handleEditBillTypeChange();
+  handleEditRecurrenceChange();
+  openAttachmentsPanel(editAttachmentsPanel, bill.id);
+  editModal.show();
+}
+
+/**
+ * Shows or hides the warning in the edit modal that the bill was changed in another tab.
+ * @param {string|null} message The warning, or null to hide it.
+ * @param {{deleted: boolean}} [options] deleted: the bill no longer exists, so it can neither be saved nor reloaded.
+ */
+function showEditConflict(message, { deleted = false } = {}) {
+  editConflictText.textContent = message || '';
+  editConflictAlert.classList.toggle('d-none', !message);
+  editConflictReloadButton.classList.toggle('d-none', deleted);
+  editModalSaveBtnEl.disabled = deleted;
+}
+
+/**
+ * Reloads everything after another tab saved changes to this profile. The views re-render from the
+ * reloaded state, keeping the filters, the selection and any half-filled form. If the bill open in the
+ * edit modal was changed or deleted in the other tab, the modal warns instead of saving over it unseen.
+ * @async
+ */
+async function handleExternalChange() {
+  if (appBillManager.isLoading) {
+    externalChangePending = true; // Reloading now could drop the running operation's result
+    return;
+  }
+  externalChangePending = false;
+  const editedId = editModalEl.classList.contains('show') ? editBillIdInput.value : null;
+
+  appBillManager.setLoading(true);
+  try {
+    const { changedIds, removedIds } = await appBillManager.reload();
+    if (removedIds.includes(editedId)) {
+      showEditConflict(EDIT_DELETED_ELSEWHERE_TEXT, { deleted: true });
+    } else if (changedIds.includes(editedId)) {
+      showEditConflict(EDIT_CHANGED_ELSEWHERE_TEXT);
+    }
+    showNotification(EXTERNAL_CHANGE_TEXT);
+  } catch (error) {
+    console.error("Error reloading changes from another tab:", error);
+    showNotification(getErrorMessage('Failed to load changes from another tab', error), true);
+  } finally {
+    appBillManager.setLoading(false);
+  }
+}
+
+/**
+ * Shows the conflict dialog while bills changed both here and elsewhere wait for the user to pick a
+ * version of each (see BillManager#conflict), and hides it once the conflict is resolved.
+ */
+function renderConflict() {
+  const { conflict } = appBillManager;
+  if (!conflict) {
+    conflictModal.hide();
+    return;
+  }
+  renderConflictList({
+    listEl: conflictList,
+    conflicts: conflict.bills,
+    labels: {
+      field: CONFLICT_FIELD_LABEL,
+      mine: CONFLICT_MINE_LABEL,
+      theirs: CONFLICT_THEIRS_LABEL,
+      bill: CONFLICT_BILL_LABEL,
+      changed: CONFLICT_CHANGED_TEXT,
+      deleted: CONFLICT_DELETED_TEXT,
+      keepMine: KEEP_MINE_LABEL,
+      keepTheirs: KEEP_THEIRS_LABEL,
+      emptyValue: EMPTY_VALUE_TEXT
+    },
+    fieldLabels: LOGGED_FIELD_LABELS
+  });
+  conflictModal.show();
+}
+
+/**
+ * Handles the submission of the conflict dialog: keeps the picked version of each conflicting
+ * bill, merges in the other changes made elsewhere and saves.
+ * @param {Event} event The form submission event.
+ * @async
+ */
+async function handleConflictSubmit(event) {
+  event.preventDefault();
+  // The radio buttons are named "conflict-<billId>"
+  const choices = Object.fromEntries([...new FormData(conflictForm)].map(([name, value]) => [name.replace(/^conflict-/, ''), value]));
+
+  appBillManager.setLoading(true);
+  try {
+    await appBillManager.resolveConflict(choices);
+    if (!appBillManager.conflict) showSaveNotification(CONFLICT_RESOLVED_TEXT); // Otherwise the bills changed once more and the dialog stays
+  } catch (error) {
+    console.error("Error resolving conflict:", error);
+    showNotification(getErrorMessage('Failed to save the merged bills', error), true);
+  } finally {
+    appBillManager.setLoading(false);
+  }
+}
+
+/**
+ * Opens the history modal for a bill.
+ * @param {string} billId The bill ID.
+ */
+function openHistoryModal(billId) {
+  historyModalEl.dataset.billId = billId;
+  renderHistory();
+  historyModal.show();
+}
+
+/**
+ * Lists the change log of the bill the history modal is open for, newest change first.
+ */
+function renderHistory() {
+  const bill = appBillManager.bills.find(({ id }) => id === historyModalEl.dataset.billId);
+  historyBillNameEl.textContent = bill ? bill.name || bill.type : '';
+  historyExportButton.disabled = !bill;
+  renderChangeLog({
+    listEl: historyList,
+    changeLog: bill ? bill.changeLog : [],
+    labels: { empty: NO_HISTORY_TEXT, emptyValue: EMPTY_VALUE_TEXT },
+    fieldLabels: LOGGED_FIELD_LABELS,
+    formatDateTime
+  });
+}
+
+/**
+ * Shows a bill's attachments in one of the attachment panels (in the edit modal or the attachments modal).
+ * @param {HTMLElement} panelEl The panel.
+ * @param {string} billId The bill ID.
+ */
+function openAttachmentsPanel(panelEl, billId) {
+  panelEl.dataset.billId = billId;
+  showAttachmentPreview(panelEl, null);
+  renderAttachmentPanel(panelEl);
+}
+
+/**
+ * Lists the attachments of the bill a panel is open for. The panel is hidden when attachments
+ * are unavailable.
+ * @param {HTMLElement} panelEl The panel.
+ */
+function renderAttachmentPanel(panelEl) {
+  const { billId } = panelEl.dataset;
+  panelEl.classList.toggle('d-none', !appBillManager.attachmentStore || !billId);
+  if (!appBillManager.attachmentStore || !billId) return;
+
+  renderAttachmentList({
+    listEl: panelEl.querySelector('.attachment-list'),
+    attachments: appBillManager.getAttachments(billId),
+    labels: {
+      preview: ATTACHMENT_PREVIEW_LABEL,
+      download: ATTACHMENT_DOWNLOAD_LABEL,
+      delete: ATTACHMENT_DELETE_LABEL,
+      empty: NO_ATTACHMENTS_TEXT
+    }
+  });
+}
+
+/**
+ * Re-lists the attachments in both panels.
+ */
+function renderAttachmentPanels() {
+  renderAttachmentPanel(editAttachmentsPanel);
+  renderAttachmentPanel(attachmentsModalPanel);
+}
+
+/**
+ * Shows a file in a panel's preview area: images inline, PDFs in a frame, anything else as a note.
+ * The object URL of the previous preview is released.
+ * @param {HTMLElement} panelEl The panel.
+ * @param {{blob: Blob, name: string}|null} file The file to show, or null to clear the preview.
+ */
+function showAttachmentPreview(panelEl, file) {
+  const previewEl = panelEl.querySelector('.attachment-preview');
+  const previousUrl = previewEl.dataset.objectUrl;
+  if (previousUrl) URL.revokeObjectURL(previousUrl);
+  delete previewEl.dataset.objectUrl;
+  previewEl.innerHTML = '';
+  if (!file) return;
+
+  const { blob, name } = file;
+  let mediaEl;
+  if (blob.type.startsWith('image/')) {
+    mediaEl = document.createElement('img');
+    mediaEl.className = 'img-fluid border rounded';
+    mediaEl.alt = name;
+  } else if (blob.type === 'application/pdf') {
+    mediaEl = document.createElement('iframe');
+    mediaEl.className = 'w-100 border rounded';
+    mediaEl.style.height = '24rem';
+    mediaEl.title = name;
+  } else {
+    previewEl.textContent = NO_PREVIEW_TEXT;
+    return;
+  }
+  const url = URL.createObjectURL(blob);
+  previewEl.dataset.objectUrl = url;
+  mediaEl.src = url;
+  previewEl.appendChild(mediaEl);
+}
+
+/**
+ * Reads a file chosen in a file input.
+ * @param {File} file The file.
+ * @returns {Promise<string>} The contents, base64-encoded.
+ */
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || ''); // Drop the "data:<type>;base64," prefix
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * @param {string} data Base64-encoded contents.
+ * @param {string} type The MIME type.
+ * @returns {Blob} The decoded file.
+ */
+function base64ToBlob(data, type) {
+  return new Blob([Uint8Array.from(atob(data), char => char.charCodeAt(0))], { type });
+}
+
+/**
+ * Reads an attachment of the bill a panel is open for.
+ * @param {HTMLElement} panelEl The panel.
+ * @param {string} attachmentId The attachment ID.
+ * @returns {Promise<{blob: Blob, name: string}>} The file and its name.
+ * @throws {Error} If the attachment or its contents are missing.
+ * @async
+ */
+async function readAttachment(panelEl, attachmentId) {
+  const attachment = appBillManager.getAttachments(panelEl.dataset.billId).find(({ id }) => id === attachmentId);
+  const data = attachment ? await appBillManager.getAttachmentData(attachmentId) : null;
+  if (data === null) {
+    throw new Error('The file could not be found');
+  }
+  return { blob: base64ToBlob(data, attachment.type), name: attachment.name };
+}
+
+/**
+ * Attaches the files chosen in a panel's file input to the bill the panel is open for.
+ * Each file is added on its own, so one that is too large does not stop the rest.
+ * @param {Event} event The change event from the file input.
+ * @async
+ */
+async function handleAttachmentInputChange(event) {
+  if (!event.target.classList.contains('attachment-input')) return;
+  const files = [...event.target.files];
+  event.target.value = ''; // Allow choosing the same file again later
+  const { billId } = event.currentTarget.dataset;
+  if (!files.length || !billId) return;
+
+  appBillManager.setLoading(true);
+  try {
+    let added = 0;
+    for (const file of files) {
+      try {
+        await appBillManager.addAttachment(billId, { name: file.name, type: file.type, data: await readFileAsBase64(file) });
+        added++;
+      } catch (error) {
+        console.error("Error attaching file:", error);
+        showNotification(getErrorMessage('Failed to attach file', error), true);
+      }
+    }
+    if (added) showNotification(`${added} ${added === 1 ? 'file' : 'files'} attached.`);
+  } finally {
+    appBillManager.setLoading(false);
+  }
+}
+
+/**
+ * Handles the preview, download and delete buttons of a panel's attachment list.
+ * @param {Event} event The click event.
+ * @async
+ */
+async function handleAttachmentPanelClick(event) {
+  const { attachmentId } = event.target.dataset;
+  if (!attachmentId) return;
+  const panelEl = event.currentTarget;
+  const isDelete = event.target.classList.contains('attachment-delete-btn');
+
+  try {
+    if (event.target.classList.contains('attachment-preview-btn')) {
+      showAttachmentPreview(panelEl, await readAttachment(panelEl, attachmentId));
+    } else if (event.target.classList.contains('attachment-download-btn')) {
+      const { blob, name } = await readAttachment(panelEl, attachmentId);
+      downloadBlob(blob, name);
+    } else if (isDelete) {
+      if (!window.confirm(ATTACHMENT_DELETE_CONFIRM_TEXT)) return;
+      await appBillManager.removeAttachment(panelEl.dataset.billId, attachmentId);
+      showAttachmentPreview(panelEl, null);
+      showNotification('File deleted.');
+    }
+  } catch (error) {
+    console.error("Error handling attachment:", error);
+    showNotification(getErrorMessage(isDelete ? 'Failed to delete file' : 'Failed to open file', error), true);
+  }
+}
+
+/**
+ * Opens the "Record Payment" modal for a bill, prefilled with today's date,
+ * the outstanding balance and the bill's currency and payment method.
+ * @param {object} bill The bill that was paid.
+ */
+function openPaymentModal(bill) {
+  const { outstanding, currency } = appBillManager.getPaymentSummary(bill);
+
+  paymentForm.reset();
+  paymentBillIdInput.value = bill.id;
+  paymentOutstandingEl.textContent = `${bill.name || bill.type} · ${OUTSTANDING_LABEL}: ${formatMoney(outstanding, currency)}`;
+  paymentDateInput.value = new Date().toISOString().slice(0, 10);
+  paymentAmountInput.value = outstanding > 0 ? outstanding.toFixed(2) : '';
+  paymentCurrencySelect.value = currency;
+  paymentMethodFieldSelect.value = bill.paymentMethod;
+  paymentModal.show();
+}
+
+/**
+ * Handles the submission of the 'Record Payment' form within the modal.
+ * Delegates recording the payment to BillManager, then updates the UI.
+ * @param {Event} event The form submission event object.
+ * @async
+ */
+async function handlePaymentSubmit(event) {
+  event.preventDefault();
+
+  const { id, ...payment } = Object.fromEntries(new FormData(paymentForm).entries());
+
+  appBillManager.setLoading(true);
+  try {
+    const bill = await appBillManager.recordPayment(id, payment);
+    const { outstanding, currency } = appBillManager.getPaymentSummary(bill);
+    showSaveNotification(outstanding > 0
+      ? `Payment recorded. ${formatMoney(outstanding, currency)} still outstanding.`
+      : 'Payment recorded. The bill is fully paid.', UNDO_TOAST_ACTION);
+    paymentModal.hide();
+  } catch (error) {
+    console.error("Error recording payment:", error);
+    showNotification(getErrorMessage('Failed to record payment', error), true);
+  } finally {
+    appBillManager.setLoading(false);
+  }
+}
+
+/**
+ * Handles the submission of the main 'Add Bill' form.
+ * Delegates bill creation and saving to BillManager, then updates the UI.
+ * @param {Event} event The form submission event object provided by the browser.
+ * @async
+ */
+async function handleSubmit(event) {
+  event.preventDefault();
+
+  const formData = new FormData(billForm);
+  const billData = Object.fromEntries(formData.entries());
+  billData.name = getBillNameFromForm(billData);
+
+  const newBill = new Bill(billData);
+
+  appBillManager.setLoading(true);
+  try {
+    await appBillManager.addBill(newBill);
+    showSaveNotification('New bill added successfully.', UNDO_TOAST_ACTION);
+    console.log('New bill added:', newBill);
+    console.log('All current bills managed by BillManager:', appBillManager.bills);
+    billForm.reset();
+    currencySelect.value = activeProfile.currency; // reset() falls back to the first option
+    handleBillTypeChange();
+    handleRecurrenceChange();
+  } catch (error) {
+    console.error('Error adding bill:', error);
+    showNotification(getErrorMessage('Failed to add bill', error), true);
+  } finally {
+    appBillManager.setLoading(false);
+  }
+}
+
+/**
+ * Handles the submission of the 'Edit Bill' form within the modal.
+ * Delegates bill updating and saving to BillManager, then updates the UI.
+ * @param {Event} event The form submission event object.
+ * @async
+ */
+async function handleEditSubmit(event) {
+  event.preventDefault();
+
+  appBillManager.setLoading(true);
+  try {
+    console.log('Updating bill (simulated delay)...');
+    const formData = new FormData(editBillForm);
+    const { 'name-streaming': streamingName, 'name-other': otherName, ...updatedData } = Object.fromEntries(formData.entries());
+    updatedData.name = getBillNameFromForm({ type: updatedData.type, 'name-streaming': streamingName, 'name-other': otherName });
+
+    await appBillManager.updateBill(updatedData);
+    showSaveNotification('Bill updated successfully.', UNDO_TOAST_ACTION);
+    console.log('Bill updated. Updating UI...');
+    editModal.hide();
+  } catch (error) {
+    console.error("Error updating bill:", error);
+    showNotification(getErrorMessage('Failed to update bill', error), true);
+    editModal.hide();
+  } finally {
+    appBillManager.setLoading(false);
+  }
+}
+
+/**
+ * Triggers a download of a file in the browser.
+ * @param {Blob} blob The file contents.
+ * @param {string} fileName The name to save it under.
+ */
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Exports every bill (not just the filtered view) to a CSV file and
+ * triggers a download in the browser.
+ */
+function handleExportCsv() {
+  const csvText = createCsvService().exportBills(appBillManager.bills);
+  downloadBlob(new Blob([csvText], { type: 'text/csv;charset=utf-8' }), `bills-${new Date().toISOString().slice(0, 10)}.csv`);
+}
+
+/**
+ * Exports the change logs of bills to a CSV file, one row per change, and triggers a download.
+ * @param {Array<Bill|object>} bills The bills whose changes to export, deleted ones included (see BillManager#deletedBills).
+ * @param {string} fileName The name to save the file under.
+ */
+function exportChangeLog(bills, fileName) {
+  const csvText = createCsvService().exportChangeLog(bills);
+  downloadBlob(new Blob([csvText], { type: 'text/csv;charset=utf-8' }), fileName);
+}
+
+/**
+ * Downloads a backup of the active profile: bills, categories, settings and attachments in one JSON file.
+ * @async
+ */
+async function handleExportBackup() {
+  appBillManager.setLoading(true);
+  try {
+    const backup = await appBillManager.exportBackup();
+    downloadBlob(new Blob([JSON.stringify(backup)], { type: 'application/json' }), `bills-backup-${new Date().toISOString().slice(0, 10)}.json`);
+  } catch (error) {
+    console.error("Error exporting backup:", error);
+    showNotification(getErrorMessage('Failed to export backup', error), true);
+  } finally {
+    appBillManager.setLoading(false);
+  }
+}
+
+/**
+ * Handles a backup file chosen for restore: after confirmation, replaces the active profile's
+ * bills, categories, settings and attachments with the backup's.
+ * @param {Event} event The change event from the file input.
+ * @async
+ */
+async function handleRestoreBackupChange(event) {
+  const [file] = event.target.files;
+  event.target.value = ''; // Allow choosing the same file again later
+  if (!file || !window.confirm(RESTORE_BACKUP_CONFIRM_TEXT)) return;
+
+  appBillManager.setLoading(true);
+  try {
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch {
+      throw new Error('This file is not a Bill Calculator Pro backup.');
+    }
+    await appBillManager.restoreBackup(backup);
+    showSaveNotification(`Backup restored: ${appBillManager.bills.length} bills.`);
+  } catch (error) {
+    console.error("Error restoring backup:", error);
+    showNotification(getErrorMessage('Failed to restore backup', error), true);
+  } finally {
+    appBillManager.setLoading(false);
+  }
+}
+
+/**
+ * Handles a CSV file chosen for import: parses and validates it, then opens the
+ * preview modal listing accepted rows and per-row errors. Nothing is saved yet.
+ * @param {Event} event The change event from the file input.
+ * @async
+ */
+async function handleImportFileChange(event) {
+  const [file] = event.target.files;
+  event.target.value = ''; // Allow choosing the same file again later
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+    const { rows } = createCsvService().previewImport(text, appBillManager.bills.map(bill => bill.id));
+    pendingImportBills = rows.filter(row => row.bill).map(row => row.bill);
+
+    const rejectedCount = rows.length - pendingImportBills.length;
+    importSummaryEl.textContent = `${pendingImportBills.length} of ${rows.length} rows can be imported`
+      + (rejectedCount ? `; ${rejectedCount} will be skipped.` : '.');
+    renderImportPreview({ containerEl: importPreviewContainer, rows });
+
+    importConfirmButton.disabled = pendingImportBills.length === 0;
+    importConfirmButton.textContent = `${IMPORT_MODAL_CONFIRM_LABEL} (${pendingImportBills.length})`;
+    importModal.show();
+  } catch (error) {
+    console.error("Error reading CSV file:", error);
+    showNotification(getErrorMessage('Failed to read CSV file', error), true);
+  }
+}
+
+/**
+ * Imports the bills accepted by the current preview through BillManager
+ * in a single save, then updates the UI.
+ * @async
+ */
+async function handleImportConfirm() {
+  appBillManager.setLoading(true);
+  try {
+    await appBillManager.importBills(pendingImportBills);
+    showSaveNotification(`${pendingImportBills.length} bills imported successfully.`, UNDO_TOAST_ACTION);
+    pendingImportBills = [];
+    importModal.hide();
+  } catch (error) {
+    console.error("Error importing bills:", error);
+    showNotification(getErrorMessage('Failed to import bills', error), true);
+  } finally {
+    appBillManager.setLoading(false);
+  }
+}
+
+/**
+ * Makes another profile active and reloads the page, so every component reads that profile's
+ * storage. The URL hash is dropped so the profile opens with its own last-used view.
+ * @param {string} profileId The ID of the profile to switch to.
+ */
+function switchProfile(profileId) {
+  profileManager.setActiveProfile(profileId);
+  history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+  window.location.reload();
+}
+
+/**
+ * Fills the theme switcher with the configured theme packs and the colour modes, showing the user's choice.
+ */
+function renderThemeControls() {
+  renderThemeChoices({ selEl: themeSelect, themeChoices: themeManager.packChoices, selectedValue: themeManager.packName });
+  renderThemeChoices({ selEl: colorModeSelect, themeChoices: COLOR_MODE_CHOICES, selectedValue: themeManager.mode });
+}
+
+/**
+ * Fills the profile switcher and the profile modal from the ProfileManager.
+ * Transfers are only offered when there is another profile, and the default profile cannot be deleted.
+ */
+function renderProfileControls() {
+  const profiles = profileManager.getProfiles();
+  renderProfileChoices({ selEl: profileSelect, profiles, selectedId: activeProfile.id });
+  renderProfileChoices({ selEl: profileTransferTargetSelect, profiles, excludeId: activeProfile.id });
+  profileTransferForm.classList.toggle('d-none', profiles.length < 2);
+  deleteProfileButton.classList.toggle('d-none', activeProfile.id === DEFAULT_PROFILE_ID);
+}
+
+/**
+ * Handles the new profile form: creates the profile and switches to it.
+ * @param {Event} event The form submission event.
+ */
+function handleCreateProfile(event) {
+  event.preventDefault();
+  const { name, currency } = Object.fromEntries(new FormData(profileCreateForm));
+  try {
+    const profile = profileManager.createProfile({ name, currency });
+    switchProfile(profile.id);
+  } catch (error) {
+    console.error("Error creating profile:", error);
+    showNotification(getErrorMessage('Failed to create profile', error), true);
+  }
+}
+
+/**
+ * Handles the transfer form: copies or moves the bills currently shown in the list
+ * (after filtering) into the chosen profile's storage.
+ * @param {Event} event The form submission event.
+ * @async
+ */
+async function handleTransferBills(event) {
+  event.preventDefault();
+  const { targetId, mode } = Object.fromEntries(new FormData(profileTransferForm));
+  const targetProfile = profileManager.getProfile(targetId);
+  const ids = appBillManager.getDisplayBills().map(bill => bill.id);
+  if (!targetProfile || ids.length === 0) return;
+
+  appBillManager.setLoading(true);
+  const targetManager = createBillManager(targetProfile);
+  try {
+    profileModal.hide();
+    await unlockStorage(targetManager, targetProfile, { cancellable: true });
+    await targetManager.initialize();
+    if (mode === 'move') {
+      await appBillManager.moveBillsTo(ids, targetManager);
+    } else {
+      await appBillManager.copyBillsTo(ids, targetManager);
+    }
+    showNotification(`${ids.length} bills ${mode === 'move' ? 'moved' : 'copied'} to "${targetProfile.name}".`);
+  } catch (error) {
+    console.error("Error transferring bills:", error);
+    showNotification(getErrorMessage('Failed to transfer bills', error), true);
+  } finally {
+    targetManager.close(); // Stops its retries and tab sync; tabs showing the target profile have already been told
+    appBillManager.setLoading(false);
+  }
+}
+
+/**
+ * Deletes the active profile and everything stored for it, after confirmation,
+ * then switches to the default profile.
+ * @async
+ */
+async function handleDeleteProfile() {
+  if (!window.confirm(DELETE_PROFILE_CONFIRM_TEXT)) return;
+
+  try {
+    await appBillManager.apiService.clear();
+    await appBillManager.attachmentStore?.removeAll(Object.keys(appBillManager.attachmentStore.index));
+    profileManager.deleteProfile(activeProfile.id);
+    switchProfile(DEFAULT_PROFILE_ID);
+  } catch (error) {
+    console.error("Error deleting profile:", error);
+    showNotification(getErrorMessage('Failed to delete profile', error), true);
+  }
+}
+
+/**
+ * Shows or hides the error line of a form in a modal.
+ * @param {HTMLElement} errorEl The error element.
+ * @param {string|null} message The error to show, or null to hide it.
+ */
+function showFormError(errorEl, message) {
+  errorEl.textContent = message || '';
+  errorEl.classList.toggle('d-none', !message);
+}
+
+/**
+ * Asks for the passphrase of a profile whose storage is encrypted, and unlocks it.
+ * Storage that is not encrypted, or already unlocked, resolves straight away. When no passphrase
+ * has been set yet, the dialog asks for a new one twice and the existing data is encrypted with it.
+ * @param {BillManager} manager The manager whose storage to unlock.
+ * @param {{name: string}} profile The profile the storage belongs to, named in the dialog.
+ * @param {object} [options]
+ * @param {boolean} [options.cancellable=false] Offer a Cancel button. Not on startup, where nothing can be shown without the data.
+ * @returns {Promise<void>} A promise that resolves once the storage is unlocked, or rejects if the user cancels.
+ * @async
+ */
+async function unlockStorage(manager, profile, { cancellable = false } = {}) {
+  const { adapter } = manager.apiService;
+  if (!adapter.encrypted || !adapter.isLocked) return;
+
+  const isNewPassphrase = !(await adapter.hasPassphrase());
+  unlockForm.reset();
+  unlockHintEl.textContent = `${isNewPassphrase ? UNLOCK_NEW_HINT_TEXT : UNLOCK_HINT_TEXT} "${profile.name}".`;
+  unlockConfirmContainer.classList.toggle('d-none', !isNewPassphrase);
+  unlockConfirmInput.required = isNewPassphrase;
+  unlockCancelButton.classList.toggle('d-none', !cancellable);
+  showFormError(unlockErrorEl, null);
+  unlockModal.show();
+
+  await new Promise((resolve, reject) => {
+    pendingUnlock = { adapter, isNewPassphrase, resolve, reject };
+  });
+}
+
+/**
+ * Handles the unlock form. A wrong passphrase keeps the dialog open with an error;
+ * the right one closes it and lets the waiting caller continue.
+ * @param {Event} event The form submission event.
+ * @async
+ */
+async function handleUnlockSubmit(event) {
+  event.preventDefault();
+  if (!pendingUnlock) return;
+
+  const { passphrase, confirm } = Object.fromEntries(new FormData(unlockForm));
+  if (pendingUnlock.isNewPassphrase && passphrase !== confirm) {
+    showFormError(unlockErrorEl, PASSPHRASE_MISMATCH_TEXT);
+    return;
+  }
+
+  try {
+    await pendingUnlock.adapter.unlock(passphrase);
+  } catch (error) {
+    console.error("Error unlocking storage:", error);
+    showFormError(unlockErrorEl, error.code === WRONG_PASSPHRASE ? WRONG_PASSPHRASE_TEXT : getErrorMessage('Failed to unlock', error));
+    unlockPassphraseInput.select();
+    return;
+  }
+
+  const { resolve } = pendingUnlock;
+  pendingUnlock = null;
+  unlockForm.reset();
+  unlockModal.hide();
+  resolve();
+}
+
+/**
+ * Closes a cancellable unlock dialog without unlocking.
+ */
+function handleUnlockCancel() {
+  if (!pendingUnlock) return;
+  const { reject } = pendingUnlock;
+  pendingUnlock = null;
+  unlockModal.hide();
+  reject(new Error('Unlocking was cancelled'));
+}
+
+/**
+ * Handles the change passphrase form: re-encrypts the active profile's data with the new passphrase.
+ * @param {Event} event The form submission event.
+ * @async
+ */
+async function handleChangePassphrase(event) {
+  event.preventDefault();
+  const { current, next, confirm } = Object.fromEntries(new FormData(passphraseForm));
+  if (next !== confirm) {
+    showFormError(passphraseErrorEl, PASSPHRASE_MISMATCH_TEXT);
+    return;
+  }
+
+  appBillManager.setLoading(true);
+  try {
+    await appBillManager.apiService.adapter.changePassphrase(current, next);
+    passphraseForm.reset();
+    showFormError(passphraseErrorEl, null);
+    passphraseModal.hide();
+    showNotification(PASSPHRASE_CHANGED_TEXT);
+  } catch (error) {
+    console.error("Error changing passphrase:", error);
+    showFormError(passphraseErrorEl, error.code === WRONG_PASSPHRASE ? WRONG_PASSPHRASE_TEXT : getErrorMessage('Failed to change passphrase', error));
+  } finally {
+    appBillManager.setLoading(false);
+  }
+}
+
+
+/**
+ * Renders everything that lists bill types or payment methods from the configured choices plus the
+ * user's own: the form, bulk and filter dropdowns and the lists in the categories modal. Retired
+ * categories are not offered for new bills or bulk changes, but stay in the edit and payment forms
+ * and the filters, because existing bills may still use them.
+ */
+function renderCategoryChoices() {
+  const { billTypes, paymentMethods } = appBillManager.categories;
+
+  renderBillTypeChoices({
+    selEl: billTypeSelect,
+    billTypes: BILL_TYPE_CHOICES,
+    customTypes: billTypes
+  });
+
+  renderBillTypeChoices({
+    selEl: editBillTypeSelect,
+    billTypes: BILL_TYPE_CHOICES,
+    customTypes: billTypes,
+    includeRetired: true
+  });
+
+  renderPaymentMethodChoices({
+    selEl: paymentMethodSelect,
+    paymentMethodChoices: PAYMENT_METHOD_CHOICES,
+    customMethods: paymentMethods
+  });
+
+  renderPaymentMethodChoices({
+    selEl: editPaymentMethodSelect,
+    paymentMethodChoices: PAYMENT_METHOD_CHOICES,
+    customMethods: paymentMethods,
+    includeRetired: true
+  });
+
+  renderPaymentMethodChoices({
+    selEl: paymentMethodFieldSelect,
+    paymentMethodChoices: PAYMENT_METHOD_CHOICES,
+    customMethods: paymentMethods,
+    includeRetired: true
+  });
+
+  renderPaymentMethodChoices({
+    selEl: bulkPaymentMethodSelect,
+    paymentMethodChoices: PAYMENT_METHOD_CHOICES,
+    customMethods: paymentMethods
+  });
+
+  renderFilterChoices({
+    selEl: filterTypeSelect,
+    choices: mergeCategoryChoices({ choices: BILL_TYPE_CHOICES, categories: billTypes, includeRetired: true }),
+    anyLabel: FILTER_ANY_LABEL
+  });
+
+  renderFilterChoices({
+    selEl: filterPaymentMethodSelect,
+    choices: mergeCategoryChoices({ choices: PAYMENT_METHOD_CHOICES, categories: paymentMethods, includeRetired: true }),
+    anyLabel: FILTER_ANY_LABEL
+  });
+
+  const labels = {
+    color: CATEGORY_COLOR_LABEL,
+    rename: RENAME_CATEGORY_BUTTON_LABEL,
+    retire: RETIRE_CATEGORY_BUTTON_LABEL,
+    restore: RESTORE_CATEGORY_BUTTON_LABEL,
+    retired: RETIRED_CATEGORY_LABEL,
+    empty: NO_CUSTOM_CATEGORIES_TEXT
+  };
+  renderCategoryList({ listEl: billTypeCategoryList, categories: billTypes, labels });
+  renderCategoryList({ listEl: paymentMethodCategoryList, categories: paymentMethods, labels });
+}
+
+/**
+ * Finds the category a control in the categories modal belongs to.
+ * @param {HTMLElement} control A control inside a category row.
+ * @returns {{kind: string, name: string, row: HTMLElement}} The category kind ('billTypes' or 'paymentMethods'), its name and its row.
+ */
+function getCategoryRow(control) {
+  const row = control.closest('li[data-name]');
+  return { kind: row.closest('[data-category-kind]').dataset.categoryKind, name: row.dataset.name, row };
+}
+
+/**
+ * Handles the add forms of the categories modal: adds a bill type or payment method of the
+ * user's own by delegating to BillManager.
+ * @param {Event} event The form submission event.
+ * @async
+ */
+async function handleAddCategory(event) {
+  const form = event.target.closest('.category-add-form');
+  if (!form) return;
+  event.preventDefault();
+  const { name, color } = Object.fromEntries(new FormData(form));
+
+  appBillManager.setLoading(true);
+  try {
+    const category = await appBillManager.addCategory(form.dataset.categoryKind, { name, color });
+    form.reset();
+    showSaveNotification(`"${category.name}" added successfully.`);
+  } catch (error) {
+    console.error("Error adding category:", error);
+    showNotification(getErrorMessage('Failed to add category', error), true);
+  } finally {
+    appBillManager.setLoading(false);
+  }
+}
+
+/**
+ * Handles the rename and retire/restore buttons of the categories modal. A rename also renames
+ * every bill using the category, in the same save.
+ * @param {Event} event The click event from the modal.
+ * @async
+ */
+async function handleCategoryListClick(event) {
+  const button = event.target.closest('.category-rename-btn, .category-retire-btn');
+  if (!button) return;
+  const { kind, name, row } = getCategoryRow(button);
+  const newName = row.querySelector('.category-name').value;
+  const isRename = button.classList.contains('category-rename-btn');
+  if (isRename && newName.trim() === name) return;
+
+  appBillManager.setLoading(true);
+  try {
+    if (isRename) {
+      const category = await appBillManager.renameCategory(kind, name, newName);
+      showSaveNotification(`"${name}" renamed to "${category.name}" successfully.`);
+    } else {
+      const retired = button.dataset.retired !== 'true';
+      await appBillManager.setCategoryRetired(kind, name, retired);
+      showSaveNotification(`"${name}" ${retired ? 'retired' : 'restored'} successfully.`);
+    }
+  } catch (error) {
+    console.error("Error updating category:", error);
+    showNotification(getErrorMessage('Failed to update category', error), true);
+  } finally {
+    appBillManager.setLoading(false);
+  }
+}
+
+/**
+ * Saves the colour picked for a category in the categories modal.
+ * @param {Event} event The change event from the modal.
+ * @async
+ */
+async function handleCategoryColorChange(event) {
+  if (!event.target.classList.contains('category-color')) return;
+  const { kind, name } = getCategoryRow(event.target);
+
+  appBillManager.setLoading(true);
+  try {
+    await appBillManager.setCategoryColor(kind, name, event.target.value);
+  } catch (error) {
+    console.error("Error updating category colour:", error);
+    showNotification(getErrorMessage('Failed to update category colour', error), true);
+  } finally {
+    appBillManager.setLoading(false);
+  }
+}
+
+// --- EVENT LISTENERS ---
+billForm.addEventListener('submit', handleSubmit);
 editBillForm.addEventListener('submit', handleEditSubmit);
+conflictForm.addEventListener('submit', handleConflictSubmit);
+paymentForm.addEventListener('submit', handlePaymentSubmit);
+exchangeRatesForm.addEventListener('submit', handleExchangeRatesSubmit);
+exportCsvButton.addEventListener('click', handleExportCsv);
+importCsvInput.addEventListener('change', handleImportFileChange);
+exportBackupButton.addEventListener('click', handleExportBackup);
+exportHistoryButton.addEventListener('click', () => {
+  // Deleted bills are exported too; their history outlives them.
+  exportChangeLog([...appBillManager.bills, ...appBillManager.deletedBills], `bills-history-${new Date().toISOString().slice(0, 10)}.csv`);
+});
+historyExportButton.addEventListener('click', () => {
+  const bill = appBillManager.bills.find(({ id }) => id === historyModalEl.dataset.billId);
+  if (bill) exportChangeLog([bill], `bill-${bill.id}-history.csv`);
+});
+restoreBackupInput.addEventListener('change', handleRestoreBackupChange);
+importConfirmButton.addEventListener('click', handleImportConfirm);
+themeSelect.addEventListener('change', (event) => themeManager.setPack(event.target.value));
+colorModeSelect.addEventListener('change', (event) => themeManager.setMode(event.target.value));
+profileSelect.addEventListener('change', (event) => switchProfile(event.target.value));
+profileCreateForm.addEventListener('submit', handleCreateProfile);
+profileTransferForm.addEventListener('submit', handleTransferBills);
+deleteProfileButton.addEventListener('click', handleDeleteProfile);
+unlockForm.addEventListener('submit', handleUnlockSubmit);
+unlockCancelButton.addEventListener('click', handleUnlockCancel);
+passphraseForm.addEventListener('submit', handleChangePassphrase);
+categoriesModalEl.addEventListener('submit', handleAddCategory);
+categoriesModalEl.addEventListener('click', handleCategoryListClick);
+categoriesModalEl.addEventListener('change', handleCategoryColorChange);
+[editAttachmentsPanel, attachmentsModalPanel].forEach((panelEl) => {
+  panelEl.addEventListener('change', handleAttachmentInputChange);
+  panelEl.addEventListener('click', handleAttachmentPanelClick);
+});
+// Release the preview's object URL once its modal is closed.
+editModalEl.addEventListener('hidden.bs.modal', () => showAttachmentPreview(editAttachmentsPanel, null));
+editConflictReloadButton.addEventListener('click', () => {
+  const bill = appBillManager.bills.find(({ id }) => id === editBillIdInput.value);
+  if (bill) openEditModal(bill);
+});
+attachmentsModalEl.addEventListener('hidden.bs.modal', () => showAttachmentPreview(attachmentsModalPanel, null));
+
+profileModalEl.addEventListener('show.bs.modal', () => {
+  profileTransferCountEl.textContent = `${appBillManager.getDisplayBills().length} ${TRANSFER_BILLS_HINT}`;
+});
 billTypeSelect.addEventListener('change', handleBillTypeChange);
+recurrenceSelect.addEventListener('change', handleRecurrenceChange);
+editBillTypeSelect.addEventListener('change', handleEditBillTypeChange);
+editRecurrenceSelect.addEventListener('change', handleEditRecurrenceChange);
+document.addEventListener('keydown', handleHistoryShortcut);
+
+notificationActionButton.addEventListener('click', () => {
+  const action = notificationAction;
+  notificationToast.hide();
+  if (action) action.onClick();
+});
 
 sortBySelect.addEventListener('change', (event) => {
   appBillManager.setSort(event.target.value);
-  renderSortChoices({ 
-    selEl: sortBySelect, 
-    sortChoices: SORT_CHOICES, 
-    manager: appBillManager 
-  });
-  renderBills();
+  saveViewState();
 });
 
 billsListContainer.addEventListener('click', async (event) => {
   if (event.target.classList.contains('delete-btn')) {
     const billId = event.target.dataset.billId;
     await deleteBill(billId);
+  } else if (event.target.classList.contains('roll-forward-btn')) {
+    const billId = event.target.dataset.billId;
+    await rollForwardBill(billId);
+  } else if (event.target.classList.contains('record-payment-btn')) {
+    const billToPay = appBillManager.bills.find(bill => bill.id === event.target.dataset.billId);
+    if (billToPay) {
+      openPaymentModal(billToPay);
+    }
   } else if (event.target.classList.contains('edit-btn')) {
     const billId = event.target.dataset.billId;
     const billToEdit = appBillManager.bills.find(bill => bill.id === billId);
     if (billToEdit) {
       openEditModal(billToEdit);
     }
+  } else if (event.target.classList.contains('history-btn')) {
+    openHistoryModal(event.target.dataset.billId);
+  } else if (event.target.classList.contains('attachments-btn')) {
+    openAttachmentsPanel(attachmentsModalPanel, event.target.dataset.billId);
+    attachmentsModal.show();
+  }
+});
+
+billsListContainer.addEventListener('change', (event) => {
+  if (event.target.classList.contains('bill-select')) {
+    appBillManager.setSelected(event.target.dataset.billId, event.target.checked);
+  }
+});
+
+selectAllCheckbox.addEventListener('change', (event) => {
+  appBillManager.selectDisplayed(event.target.checked);
+});
+
+bulkStatusButton.addEventListener('click', () => handleBulkUpdate({ status: bulkStatusSelect.value }));
+bulkPaymentMethodButton.addEventListener('click', () => handleBulkUpdate({ paymentMethod: bulkPaymentMethodSelect.value }));
+bulkDeleteButton.addEventListener('click', handleBulkDelete);
+
+reportingCurrencySelect.addEventListener('change', async (event) => {
+  try {
+    await appBillManager.setReportingCurrency(event.target.value);
+  } catch (error) {
+    console.error("Error saving reporting currency:", error);
+    showNotification(getErrorMessage('Failed to save reporting currency', error), true);
+  }
+});
+
+unsyncedIndicator.addEventListener('click', () => {
+  appBillManager.syncQueue.flush(); // Retry now instead of waiting for the next backoff step
+});
+
+appBillManager.syncQueue.subscribe((pendingCount, failure) => {
+  const wasPending = !unsyncedIndicator.classList.contains('d-none');
+  renderSyncStatus(pendingCount);
+  if (failure) {
+    // The queue gave up on the write; later changes are saved directly again.
+    showNotification(getErrorMessage(SYNC_FAILED_TEXT, failure.error), true);
+  } else if (wasPending && pendingCount === 0) {
+    showNotification(SYNC_COMPLETE_TEXT);
   }
 });
 
 filterButtonsContainer.addEventListener('click', (event) => {
   if (event.target.classList.contains('filter-btn')) {
-    const buttons = filterButtonsContainer.querySelectorAll('.filter-btn');
-    buttons.forEach(btn => btn.classList.remove('active'));
-    event.target.classList.add('active');
     appBillManager.setFilter(event.target.dataset.filter);
-    renderSortChoices({ 
-      selEl: sortBySelect, 
-      sortChoices: SORT_CHOICES, 
-      manager: appBillManager 
-    });
-    renderBills();
+    saveViewState();
   }
 });
 
+// The search box lives outside the panel but belongs to its form, so one handler covers every field.
+filterPanelForm.addEventListener('input', (event) => {
+  appBillManager.setFilters(Object.fromEntries(new FormData(filterPanelForm)));
+  // Typed values update the current history entry; picking from a dropdown adds one.
+  saveViewState({ replace: !(event.target instanceof HTMLSelectElement) });
+});
+
+filterPanelForm.addEventListener('reset', () => {
+  appBillManager.resetFilters();
+  saveViewState();
+});
+
+// Back/forward (and edits to the hash) switch between views; an empty hash means the default view.
+window.addEventListener('popstate', () => {
+  restoreViewState({ fallBackToStored: false });
+  viewState.save(appBillManager.getViewState());
+});
+
+// Views subscribe to the BillManager state they show, so handlers only change state and never re-render by hand.
+appBillManager.subscribe(CHANGE_EVENTS.LOADING, updateUIForLoading);
+appBillManager.subscribe(CHANGE_EVENTS.LOADING, () => {
+  if (externalChangePending && !appBillManager.isLoading) handleExternalChange();
+});
+appBillManager.subscribe([CHANGE_EVENTS.BILLS, CHANGE_EVENTS.SETTINGS, CHANGE_EVENTS.CATEGORIES, CHANGE_EVENTS.ATTACHMENTS, CHANGE_EVENTS.FILTER, CHANGE_EVENTS.SORT, CHANGE_EVENTS.SELECTION], renderBills);
+appBillManager.subscribe([CHANGE_EVENTS.BILLS, CHANGE_EVENTS.SETTINGS, CHANGE_EVENTS.FILTER, CHANGE_EVENTS.SELECTION], renderSelectionState);
+appBillManager.subscribe([CHANGE_EVENTS.BILLS, CHANGE_EVENTS.SETTINGS], calculateAndRenderTotal);
+appBillManager.subscribe(CHANGE_EVENTS.SETTINGS, renderSettingsControls);
+appBillManager.subscribe(CHANGE_EVENTS.FILTER, renderFilterState);
+appBillManager.subscribe(CHANGE_EVENTS.SORT, renderSortState);
+appBillManager.subscribe(CHANGE_EVENTS.CATEGORIES, renderCategoryChoices);
+appBillManager.subscribe(CHANGE_EVENTS.ATTACHMENTS, renderAttachmentPanels);
+appBillManager.subscribe(CHANGE_EVENTS.BILLS, renderHistory);
+appBillManager.subscribe(CHANGE_EVENTS.CONFLICT, renderConflict);
+
 
 // --- INITIALIZATION ---
 async function init() {
+  renderThemeControls();
+  renderProfileControls(); // Before loading, so another profile can be picked even if this one fails to load
   appBillManager.setLoading(true);
-  updateUIForLoading();
   try {
+    changePassphraseButton.classList.toggle('d-none', !appBillManager.apiService.adapter.encrypted);
+    await unlockStorage(appBillManager, activeProfile); // The data cannot be read before this
     await appBillManager.initialize();
+    appBillManager.tabSync.subscribe(handleExternalChange); // Changes from other tabs arriving during startup wait for it to finish
     
-    // Render all dynamic select options after data is loaded to ensure they reflect the current state and configuration
-    renderBillTypeChoices({ 
-      selEl: billTypeSelect, 
-      billTypes: BILL_TYPE_CHOICES 
-    });
-    
+    // Render all dynamic select options after data is loaded to ensure they reflect the current state and configuration.
+    // Bill type and payment method choices include the user's own, so initialize() has already rendered them (renderCategoryChoices).
     renderCurrencyChoices({
       selEl: currencySelect,
       currencyChoices: CURRENCY_CHOICES,
+      defaultCode: activeProfile.currency
+    });
+
+    renderCurrencyChoices({
+      selEl: profileCurrencySelect,
+      currencyChoices: CURRENCY_CHOICES,
+      defaultCode: activeProfile.currency
+    });
+
+    renderCurrencyChoices({
+      selEl: editCurrencySelect,
+      currencyChoices: CURRENCY_CHOICES,
       defaultCode: CURRENCY_DEFAULT_CODE
     });
 
-    renderPaymentMethodChoices({
-      selEl: paymentMethodSelect,
-      paymentMethodChoices: PAYMENT_METHOD_CHOICES
+    renderCurrencyChoices({
+      selEl: paymentCurrencySelect,
+      currencyChoices: CURRENCY_CHOICES,
+      defaultCode: CURRENCY_DEFAULT_CODE
+    });
+
+    renderCurrencyChoices({
+      selEl: reportingCurrencySelect,
+      currencyChoices: CURRENCY_CHOICES,
+      defaultCode: appBillManager.reportingCurrency
     });
 
     renderStatusChoices({
@@ -493,27 +2457,48 @@ async function init() {
       statusChoices: STATUS_CHOICES
     });
 
+    renderStatusChoices({
+      selEl: bulkStatusSelect,
+      statusChoices: STATUS_CHOICES
+    });
+
+    renderRecurrenceChoices({
+      selEl: recurrenceSelect,
+      recurrenceChoices: RECURRENCE_CHOICES
+    });
+
+    renderRecurrenceChoices({
+      selEl: editRecurrenceSelect,
+      recurrenceChoices: RECURRENCE_CHOICES
+    });
+
     renderFilterButtons({ 
       containerEl: filterButtonsContainer, 
       filterChoices: FILTER_CHOICES, 
       manager: appBillManager 
     });
 
-    renderSortChoices({ 
-      selEl: sortBySelect, 
-      sortChoices: SORT_CHOICES, 
-      manager: appBillManager 
+    renderFilterChoices({
+      selEl: filterCurrencySelect,
+      choices: CURRENCY_CHOICES,
+      anyLabel: FILTER_ANY_LABEL
     });
 
+    // The filter dropdowns must have their options before the restored view selects one
+    restoreViewState();
+    saveViewState({ replace: true });
+
     applyTotalsBadgeClasses();
-    renderBills();
-    calculateAndRenderTotal();
+    renderSyncStatus(appBillManager.syncQueue.getPendingCount());
+
+    if (appBillManager.invalidRecords.length) {
+      showNotification(`${appBillManager.invalidRecords.length} ${INVALID_RECORDS_TEXT}`, true);
+    }
   } catch (error) {
     console.error("Initialization error:", error);
-    showNotification(`Failed to load initial data: ${error.message || 'Unknown error'}.`, true);
+    showNotification(getErrorMessage('Failed to load initial data', error), true);
   } finally {
     appBillManager.setLoading(false);
-    updateUIForLoading();
   }
 }
 
@@ -0,0 +1,21 @@
+/**
+ * @file mergeCategoryChoices.js
+ * @description Merges the user's own bill types or payment methods into the configured choices.
+ * User-defined choices go just before the configured "Other" choice, or at the end if there is none.
+ * @param {Object} params
+ * @param {Array} params.choices - The configured options, as { value, label } objects.
+ * @param {Array} [params.categories] - The user's categories, as { name, color, retired } objects (see BillManager#categories).
+ * @param {boolean} [params.includeRetired=false] - Whether to include retired categories, e.g. for filters and
+ * for editing bills that already use them.
+ * @returns {Array} The merged options, as { value, label } objects.
+ */
+export default function mergeCategoryChoices({ choices, categories = [], includeRetired = false }) {
+    const customChoices = categories
+        .filter((category) => includeRetired || !category.retired)
+        .map(({ name }) => ({ value: name, label: name }));
+
+    const otherIndex = choices.findIndex((choice) => choice.value === "Other");
+    if (otherIndex === -1) return [...choices, ...customChoices];
+
+    return [...choices.slice(0, otherIndex), ...customChoices, ...choices.slice(otherIndex)];
+}
@@ -0,0 +1,26 @@
+// docs/tools/mergeCategoryChoices.test.js
+
+import mergeCategoryChoices from './mergeCategoryChoices.js';
+
+describe('mergeCategoryChoices', () => {
+  const categories = [
+    { name: 'Gym', color: '#ff0000', retired: false },
+    { name: 'Phone', color: null, retired: true }
+  ];
+
+  // Test case 1: Check that user-defined choices go before "Other" and retired ones are left out by default.
+  it('should list active user-defined choices before "Other"', () => {
+    const choices = [{ value: '', label: 'Select a type...' }, { value: 'Energy', label: 'Energy' }, { value: 'Other', label: 'Other' }];
+
+    expect(mergeCategoryChoices({ choices, categories }).map(choice => choice.value)).toEqual(['', 'Energy', 'Gym', 'Other']);
+    expect(mergeCategoryChoices({ choices, categories, includeRetired: true }).map(choice => choice.value)).toEqual(['', 'Energy', 'Gym', 'Phone', 'Other']);
+  });
+
+  // Test case 2: Check that they are appended when there is no "Other" choice.
+  it('should append user-defined choices when there is no "Other" choice', () => {
+    const choices = [{ value: 'Cash', label: 'Cash' }];
+
+    expect(mergeCategoryChoices({ choices, categories })).toEqual([{ value: 'Cash', label: 'Cash' }, { value: 'Gym', label: 'Gym' }]);
+    expect(mergeCategoryChoices({ choices })).toEqual(choices);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * @file renderAnalytics.js
+ * @description Renders the spending analytics section: bar charts of spending by bill type,
+ * payment method and currency, a month-over-month trend chart and the largest bills.
+ * Charts are plain DOM and inline SVG, so no chart library has to be downloaded.
+ * @param {Object} params
+ * @param {HTMLElement} params.containerEl - The container element to populate.
+ * @param {Object} params.analytics - The aggregates from BillManager: byType, byPaymentMethod, byCurrency
+ * ([{ key, total, count }]), monthlyTrend ([{ month, paid, due, change }]) and largestBills ([{ bill, amount }]).
+ * @param {string} params.currency - The reporting currency every amount is expressed in.
+ * @param {Object} params.labels - The UI labels: byType, byPaymentMethod, byCurrency, monthlyTrend, largestBills, paid, due and noData.
+ * @param {Function} params.formatMoney - Formats an amount in a currency, e.g. (12.5, "EUR") => "€12.50".
+ */
+export default function renderAnalytics({ containerEl, analytics, currency, labels, formatMoney }) {
+    if (!containerEl) return;
+
+    containerEl.innerHTML = ""; // Clear the previous charts
+
+    const money = (value) => formatMoney(value, currency);
+    containerEl.append(
+        createPanel(labels.byType, createBarList(analytics.byType, money, labels.noData)),
+        createPanel(labels.byPaymentMethod, createBarList(analytics.byPaymentMethod, money, labels.noData)),
+        createPanel(labels.byCurrency, createBarList(analytics.byCurrency, money, labels.noData)),
+        createPanel(labels.largestBills, createLargestBills(analytics.largestBills, money, labels.noData)),
+        createPanel(labels.monthlyTrend, createTrendChart(analytics.monthlyTrend, money, labels), "col-12")
+    );
+}
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * Creates an element with an optional class and text content.
+ * @param {string} tagName - The tag to create.
+ * @param {string} [className] - The class attribute.
+ * @param {string} [text] - The text content.
+ * @returns {HTMLElement} The new element.
+ */
+function createElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+/**
+ * Creates an SVG element with the given attributes.
+ * @param {string} tagName - The SVG tag to create.
+ * @param {Object} attributes - The attributes to set.
+ * @returns {SVGElement} The new element.
+ */
+function createSvgElement(tagName, attributes) {
+    const element = document.createElementNS(SVG_NS, tagName);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+/**
+ * Wraps a chart in a titled card.
+ * @param {string} title - The card title.
+ * @param {HTMLElement} content - The chart.
+ * @param {string} [columnClass="col-md-6"] - The grid column class.
+ * @returns {HTMLDivElement} The grid column holding the card.
+ */
+function createPanel(title, content, columnClass = "col-md-6") {
+    const column = createElement("div", columnClass);
+    const card = createElement("div", "card h-100");
+    const body = createElement("div", "card-body");
+    body.append(createElement("h6", "card-title", title), content);
+    card.appendChild(body);
+    column.appendChild(card);
+    return column;
+}
+
+/**
+ * Creates a horizontal bar chart: one labelled bar per group, scaled to the largest total.
+ * @param {Array<{key: string, total: number, count: number}>} groups - The groups, largest first.
+ * @param {Function} money - Formats an amount in the reporting currency.
+ * @param {string} noDataText - Shown when there is nothing to chart.
+ * @returns {HTMLElement} The chart.
+ */
+function createBarList(groups, money, noDataText) {
+    if (!groups.length) {
+        return createElement("p", "small text-muted mb-0", noDataText);
+    }
+
+    const max = Math.max(...groups.map(({ total }) => total)) || 1;
+    const list = createElement("div", "analytics-bars");
+    groups.forEach(({ key, total, count }) => {
+        const row = createElement("div", "mb-2");
+        const legend = createElement("div", "d-flex justify-content-between small");
+        legend.append(createElement("span", "", `${key} (${count})`), createElement("span", "", money(total)));
+
+        const track = createElement("div", "progress");
+        track.setAttribute("role", "img");
+        track.setAttribute("aria-label", `${key}: ${money(total)}`);
+        const bar = createElement("div", "progress-bar");
+        bar.style.width = `${Math.max((total / max) * 100, 0)}%`;
+        track.appendChild(bar);
+
+        row.append(legend, track);
+        list.appendChild(row);
+    });
+    return list;
+}
+
+/**
+ * Creates the list of the largest bills.
+ * @param {Array<{bill: Object, amount: number}>} largestBills - The bills, largest first.
+ * @param {Function} money - Formats an amount in the reporting currency.
+ * @param {string} noDataText - Shown when there are no bills.
+ * @returns {HTMLElement} The list.
+ */
+function createLargestBills(largestBills, money, noDataText) {
+    if (!largestBills.length) {
+        return createElement("p", "small text-muted mb-0", noDataText);
+    }
+
+    const list = createElement("ol", "small mb-0 ps-3");
+    largestBills.forEach(({ bill, amount }) => {
+        const item = createElement("li", "d-flex justify-content-between");
+        item.append(createElement("span", "", bill.name || bill.type), createElement("strong", "", money(amount)));
+        list.appendChild(item);
+    });
+    return list;
+}
+
+/**
+ * Formats a YYYY-MM month as a short month name and year in the browser's locale.
+ * @param {string} month - The month.
+ * @returns {string} E.g. "Mar 2025".
+ */
+function formatMonth(month) {
+    return new Date(`${month}-01T00:00:00Z`).toLocaleDateString(undefined, { month: "short", year: "numeric", timeZone: "UTC" });
+}
+
+/**
+ * Creates the month-over-month chart: an SVG with a "paid" and a "due" bar per month,
+ * and the change in payments versus the previous month underneath each month.
+ * @param {Array<{month: string, paid: number, due: number, change: number|null}>} trend - The months, oldest first.
+ * @param {Function} money - Formats an amount in the reporting currency.
+ * @param {Object} labels - The UI labels (paid, due, noData).
+ * @returns {HTMLElement} The chart.
+ */
+function createTrendChart(trend, money, labels) {
+    const max = Math.max(0, ...trend.flatMap(({ paid, due }) => [paid, due]));
+    if (max === 0) {
+        return createElement("p", "small text-muted mb-0", labels.noData);
+    }
+
+    const chartHeight = 120;
+    const slotWidth = 60;
+    const barWidth = 20;
+    const svg = createSvgElement("svg", {
+        viewBox: `0 0 ${trend.length * slotWidth} ${chartHeight + 20}`,
+        width: "100%",
+        role: "img",
+        class: "analytics-trend"
+    });
+
+    trend.forEach(({ month, paid, due }, index) => {
+        const x = index * slotWidth + (slotWidth - barWidth * 2) / 2;
+        [[paid, labels.paid, "var(--bs-success)"], [due, labels.due, "var(--bs-secondary)"]].forEach(([value, label, color], barIndex) => {
+            const height = (value / max) * chartHeight;
+            const bar = createSvgElement("rect", {
+                x: x + barIndex * barWidth,
+                y: chartHeight - height,
+                width: barWidth - 2,
+                height,
+                fill: color
+            });
+            const tooltip = createSvgElement("title", {});
+            tooltip.textContent = `${formatMonth(month)} · ${label}: ${money(value)}`;
+            bar.appendChild(tooltip);
+            svg.appendChild(bar);
+        });
+
+        const monthLabel = createSvgElement("text", {
+            x: index * slotWidth + slotWidth / 2,
+            y: chartHeight + 15,
+            "text-anchor": "middle",
+            "font-size": "10"
+        });
+        monthLabel.textContent = formatMonth(month);
+        svg.appendChild(monthLabel);
+    });
+
+    const chart = createElement("div");
+    const legend = createElement("div", "small text-muted mb-1");
+    legend.append(
+        createElement("span", "badge bg-success me-1", labels.paid),
+        createElement("span", "badge bg-secondary", labels.due)
+    );
+
+    const changes = createElement("div", "d-flex small text-muted text-center");
+    trend.forEach(({ change }) => {
+        const text = change === null ? "–" : `${change >= 0 ? "+" : ""}${Math.round(change * 100)}%`;
+        const cell = createElement("span", "flex-fill", text);
+        if (change !== null) cell.classList.add(change > 0 ? "text-danger" : "text-success");
+        changes.appendChild(cell);
+    });
+
+    chart.append(legend, svg, changes);
+    return chart;
+}
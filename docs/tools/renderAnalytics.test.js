@@ -0,0 +1,62 @@
+// docs/tools/renderAnalytics.test.js
+
+import renderAnalytics from './renderAnalytics.js';
+
+describe('renderAnalytics', () => {
+  const labels = {
+    byType: 'By Bill Type',
+    byPaymentMethod: 'By Payment Method',
+    byCurrency: 'By Currency',
+    monthlyTrend: 'Month over Month',
+    largestBills: 'Largest Bills',
+    paid: 'Paid',
+    due: 'Due',
+    noData: 'Nothing to show yet.'
+  };
+
+  let containerEl;
+  const render = (analytics) => renderAnalytics({
+    containerEl,
+    analytics: { byType: [], byPaymentMethod: [], byCurrency: [], monthlyTrend: [], largestBills: [], ...analytics },
+    currency: 'EUR',
+    labels,
+    formatMoney: (value, currency) => `${value.toFixed(2)} ${currency}`
+  });
+
+  beforeEach(() => {
+    containerEl = document.createElement('div');
+  });
+
+  // Test case 1: Check that bars are scaled to the largest group and labelled as text.
+  it('should render one scaled bar per group', () => {
+    render({ byType: [{ key: '<b>Energy</b>', total: 100, count: 2 }, { key: 'Streaming', total: 25, count: 1 }] });
+
+    const bars = containerEl.querySelectorAll('.progress-bar');
+    expect([...bars].map(bar => bar.style.width)).toEqual(['100%', '25%']);
+    expect(containerEl.querySelector('b')).toBeNull();
+    expect(containerEl.textContent).toContain('<b>Energy</b> (2)100.00 EUR');
+  });
+
+  // Test case 2: Check the SVG trend chart and the month-over-month changes.
+  it('should draw the monthly trend as SVG bars with percentage changes', () => {
+    render({
+      monthlyTrend: [
+        { month: '2025-01', paid: 40, due: 80, change: null },
+        { month: '2025-02', paid: 50, due: 0, change: 0.25 }
+      ]
+    });
+
+    const svg = containerEl.querySelector('svg');
+    expect(svg.namespaceURI).toBe('http://www.w3.org/2000/svg');
+    expect(svg.querySelectorAll('rect')).toHaveLength(4);
+    expect(svg.querySelector('rect').getAttribute('height')).toBe('60'); // 40 of a max of 80, on a 120px chart
+    expect(containerEl.textContent).toContain('+25%');
+  });
+
+  // Test case 3: Check the empty states.
+  it('should show the no-data text for empty charts', () => {
+    render({});
+    expect(containerEl.querySelectorAll('.card')).toHaveLength(5);
+    expect(containerEl.textContent.match(/Nothing to show yet\./g)).toHaveLength(5);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * @file renderAttachmentList.js
+ * @description Renders the files attached to a bill as a list with preview, download and delete
+ * buttons (classes "attachment-preview-btn", "attachment-download-btn" and "attachment-delete-btn"),
+ * each carrying the attachment ID in `data-attachment-id`. File names are set as text, never as markup.
+ * @param {Object} params
+ * @param {HTMLElement} params.listEl - The list element to populate.
+ * @param {Array} params.attachments - The attachments, as { id, name, type, size } objects (see BillManager#getAttachments).
+ * @param {Object} params.labels - The UI labels: preview, download, delete and empty.
+ */
+export default function renderAttachmentList({ listEl, attachments, labels }) {
+    if (!listEl) return;
+
+    listEl.innerHTML = ""; // Clear the previous list
+
+    if (attachments.length === 0) {
+        const emptyItem = document.createElement("li");
+        emptyItem.className = "text-muted";
+        emptyItem.textContent = labels.empty;
+        listEl.appendChild(emptyItem);
+        return;
+    }
+
+    attachments.forEach(({ id, name, size }) => {
+        const item = document.createElement("li");
+        item.className = "d-flex flex-wrap align-items-center gap-2 mb-1";
+
+        const nameEl = document.createElement("span");
+        nameEl.className = "text-break me-auto";
+        nameEl.textContent = `${name} (${formatSize(size)})`;
+        item.appendChild(nameEl);
+
+        [
+            ["btn-outline-secondary attachment-preview-btn", labels.preview],
+            ["btn-outline-secondary attachment-download-btn", labels.download],
+            ["btn-outline-danger attachment-delete-btn", labels.delete]
+        ].forEach(([className, text]) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = `btn btn-sm ${className}`;
+            button.textContent = text;
+            button.dataset.attachmentId = id;
+            item.appendChild(button);
+        });
+        listEl.appendChild(item);
+    });
+}
+
+/**
+ * @param {number} bytes - A file size in bytes.
+ * @returns {string} The size for display, e.g. "820 B", "12 KB" or "1.4 MB".
+ */
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -1,12 +1,18 @@
+import mergeCategoryChoices from "./mergeCategoryChoices.js";
+
 /**
  * @file renderBillTypeChoices.js
  * @description Renders bill type choices into the bill type select element.
  * @param {Object} params
  * @param {HTMLSelectElement} params.selEl - The select element to populate with bill type options.
  * @param {Array} params.billTypes - The configured bill type options.
+ * @param {Array} [params.customTypes] - The user's own bill types (see BillManager#categories), listed before "Other".
+ * @param {boolean} [params.includeRetired=false] - Whether to list retired user-defined types too.
  */
-export default function renderBillTypeChoices({ selEl, billTypes }) {
-    if (!selEl || !billTypes.length) return;
+export default function renderBillTypeChoices({ selEl, billTypes: configuredTypes, customTypes = [], includeRetired = false }) {
+    if (!selEl || !configuredTypes.length) return;
+
+    const billTypes = mergeCategoryChoices({ choices: configuredTypes, categories: customTypes, includeRetired });
 
     const currentValue = selEl.value; // Preserve current selection if possible
 
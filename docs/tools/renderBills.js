@@ -0,0 +1,195 @@
+/**
+ * @file renderBills.js
+ * @description Renders the bill cards into the bills list. Cards are built with DOM
+ * methods and every bill value is set through textContent or dataset, so names typed
+ * by the user or read from an imported file always show as text, never as markup.
+ * @param {Object} params
+ * @param {HTMLElement} params.containerEl - The container element to populate.
+ * @param {Array} params.bills - The bills to display, already filtered and sorted.
+ * @param {Object} params.labels - The UI labels: emptyState, amount, paymentMethod, nextDue, rollForward, edit, delete,
+ * and for the payment ledger: payments, paid, outstanding, recordPayment and noPayments; select labels the selection checkbox,
+ * attachments the attachments button and history the change log button (class "history-btn", carrying the bill ID).
+ * @param {Object} [params.statusBadgeMap] - Maps a status to its Bootstrap color, e.g. { Paid: "success" }.
+ * @param {Function} params.formatDueDate - Formats an ISO date (due dates and payment dates) for display.
+ * @param {Function} params.getRecurrenceLabel - Returns the display label of a recurrence rule.
+ * @param {Function} [params.getPaymentSummary] - Returns { paid, outstanding, currency } for a bill's current cycle,
+ * usually BillManager#getPaymentSummary. When omitted, no balance line is shown.
+ * @param {Function} [params.isSelected] - Returns whether a bill is selected for a bulk action, usually
+ * BillManager#isSelected by ID. When given, every card gets a checkbox (class "bill-select") carrying the bill ID.
+ * @param {Function} [params.getCategoryColor] - Returns the colour of a bill type or payment method, or null, given
+ * the kind ("billTypes" or "paymentMethods") and the name; usually BillManager#getCategoryColor. A coloured type
+ * marks the card's left border and a coloured payment method gets a swatch.
+ * @param {Function} [params.getAttachmentCount] - Returns how many files are attached to a bill. When given, every card
+ * gets an attachments button (class "attachments-btn") carrying the bill ID.
+ */
+export default function renderBills({ containerEl, bills, labels, statusBadgeMap = {}, formatDueDate, getRecurrenceLabel, getPaymentSummary = null, isSelected = null, getCategoryColor = () => null, getAttachmentCount = null }) {
+    if (!containerEl) return;
+
+    containerEl.innerHTML = ""; // Clear the previous list
+
+    if (bills.length === 0) {
+        const emptyState = document.createElement("p");
+        emptyState.className = "text-center text-muted";
+        emptyState.textContent = labels.emptyState;
+        containerEl.appendChild(emptyState);
+        return;
+    }
+
+    bills.forEach((bill) => {
+        containerEl.appendChild(createBillCard({ bill, labels, statusBadgeMap, formatDueDate, getRecurrenceLabel, getPaymentSummary, isSelected, getCategoryColor, getAttachmentCount }));
+    });
+}
+
+/**
+ * Creates an element with an optional class and text content.
+ * @param {string} tagName - The tag to create.
+ * @param {string} [className] - The class attribute.
+ * @param {string} [text] - The text content; set as text, never parsed as HTML.
+ * @returns {HTMLElement} The new element.
+ */
+function createElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+/**
+ * Creates a "<strong>Label:</strong> value" paragraph.
+ * @param {string} label - The field label.
+ * @param {string} value - The field value.
+ * @returns {HTMLParagraphElement} The paragraph.
+ */
+function createField(label, value) {
+    const paragraph = createElement("p", "card-text");
+    paragraph.append(createElement("strong", "", `${label}:`), ` ${value}`);
+    return paragraph;
+}
+
+/**
+ * Creates an action button that carries the bill ID for the list's click handler.
+ * @param {string} className - The button classes, including the action class (e.g. "edit-btn").
+ * @param {string} text - The button label.
+ * @param {string} billId - The bill ID.
+ * @returns {HTMLButtonElement} The button.
+ */
+function createActionButton(className, text, billId) {
+    const button = createElement("button", `btn btn-sm ${className}`, text);
+    button.type = "button";
+    button.dataset.billId = billId;
+    return button;
+}
+
+/**
+ * Builds the card for a single bill.
+ * @param {Object} params - The bill plus the renderBills() options.
+ * @returns {HTMLDivElement} The card element.
+ */
+function createBillCard({ bill, labels, statusBadgeMap, formatDueDate, getRecurrenceLabel, getPaymentSummary, isSelected, getCategoryColor, getAttachmentCount }) {
+    const card = createElement("div", "card mb-3");
+    const typeColor = getCategoryColor("billTypes", bill.type);
+    if (typeColor) {
+        card.style.borderLeft = `4px solid ${typeColor}`;
+    }
+    const body = createElement("div", "card-body");
+    card.appendChild(body);
+
+    const header = createElement("div", "d-flex justify-content-between align-items-start");
+    const titles = createElement("div", "d-flex align-items-start gap-2");
+    if (isSelected) {
+        const checkbox = createElement("input", "form-check-input mt-1 bill-select");
+        checkbox.type = "checkbox";
+        checkbox.checked = isSelected(bill);
+        checkbox.dataset.billId = bill.id;
+        checkbox.setAttribute("aria-label", `${labels.select} ${bill.name || bill.type}`);
+        titles.appendChild(checkbox);
+    }
+    const titleText = createElement("div");
+    titleText.append(
+        createElement("h5", "card-title", bill.name || bill.type),
+        createElement("h6", "card-subtitle mb-2 text-muted", `${bill.type} Bill`)
+    );
+    titles.appendChild(titleText);
+    header.append(titles, createElement("span", `badge bg-${statusBadgeMap[bill.status] || "secondary"}`, bill.status));
+    body.appendChild(header);
+
+    const paymentMethodField = createField(labels.paymentMethod, bill.paymentMethod);
+    const paymentMethodColor = getCategoryColor("paymentMethods", bill.paymentMethod);
+    if (paymentMethodColor) {
+        const swatch = createElement("span", "d-inline-block rounded-circle ms-2 category-swatch");
+        swatch.style.width = swatch.style.height = "0.75em";
+        swatch.style.backgroundColor = paymentMethodColor;
+        paymentMethodField.appendChild(swatch);
+    }
+    body.append(
+        createField(labels.amount, `${bill.amount.value.toFixed(2)} ${bill.amount.currency}`),
+        paymentMethodField
+    );
+
+    const isRecurring = Boolean(bill.recurrence);
+    if (bill.dueDate) {
+        const recurrenceText = isRecurring ? ` (${getRecurrenceLabel(bill.recurrence)})` : "";
+        body.appendChild(createField(labels.nextDue, `${formatDueDate(bill.dueDate)}${recurrenceText}`));
+    }
+
+    if (bill.notes) {
+        const notes = createElement("p", "card-text small text-muted bill-notes", bill.notes);
+        notes.style.whiteSpace = "pre-line"; // Keep the line breaks typed into the notes
+        body.appendChild(notes);
+    }
+
+    const payments = bill.payments || [];
+    if (getPaymentSummary && bill.getCurrentCyclePayments().length) {
+        const { paid, outstanding, currency } = getPaymentSummary(bill);
+        body.appendChild(createField(labels.paid, `${paid.toFixed(2)} ${currency} · ${labels.outstanding}: ${outstanding.toFixed(2)} ${currency}`));
+    }
+
+    if (isRecurring && bill.dueDate && bill.status === "Paid") {
+        body.appendChild(createActionButton("btn-outline-primary roll-forward-btn me-2", labels.rollForward, bill.id));
+    }
+    body.append(
+        createActionButton("btn-outline-success record-payment-btn me-2", labels.recordPayment, bill.id),
+        createActionButton("btn-outline-secondary edit-btn me-2", labels.edit, bill.id),
+        createActionButton("btn-outline-secondary history-btn me-2", `${labels.history} (${bill.changeLog.length})`, bill.id)
+    );
+    if (getAttachmentCount) {
+        body.appendChild(createActionButton("btn-outline-secondary attachments-btn me-2", `${labels.attachments} (${getAttachmentCount(bill)})`, bill.id));
+    }
+    body.append(
+        createActionButton("btn-outline-danger delete-btn", labels.delete, bill.id),
+        createPaymentHistory(payments, labels, formatDueDate)
+    );
+
+    return card;
+}
+
+/**
+ * Builds the expandable payment history of a bill, most recent payment first.
+ * Uses a native <details> element, so it needs no IDs or script to expand.
+ * @param {Array<Object>} payments - The bill's payment records.
+ * @param {Object} labels - The UI labels.
+ * @param {Function} formatDueDate - Formats an ISO date for display.
+ * @returns {HTMLDetailsElement} The history element.
+ */
+function createPaymentHistory(payments, labels, formatDueDate) {
+    const details = createElement("details", "mt-2 payment-history");
+    details.appendChild(createElement("summary", "small text-muted", `${labels.payments} (${payments.length})`));
+
+    if (payments.length === 0) {
+        details.appendChild(createElement("p", "small text-muted mb-0", labels.noPayments));
+        return details;
+    }
+
+    const list = createElement("ul", "list-unstyled small mb-0");
+    [...payments].reverse().forEach((payment) => {
+        const parts = [
+            formatDueDate(payment.date),
+            `${payment.amount.toFixed(2)} ${payment.currency}`,
+            payment.paymentMethod,
+            payment.reference
+        ].filter(Boolean);
+        list.appendChild(createElement("li", "", parts.join(" · ")));
+    });
+    details.appendChild(list);
+    return details;
+}
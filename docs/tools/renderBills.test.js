@@ -0,0 +1,174 @@
+// docs/tools/renderBills.test.js
+
+import renderBills from './renderBills.js';
+import Bill from '../components/Bill.js';
+
+describe('renderBills', () => {
+  const labels = {
+    emptyState: 'No bills to display.',
+    amount: 'Amount',
+    paymentMethod: 'Payment Method',
+    nextDue: 'Next due',
+    rollForward: 'Start Next Cycle',
+    edit: 'Edit',
+    delete: 'Delete Bill',
+    payments: 'Payments',
+    paid: 'Paid',
+    outstanding: 'Outstanding',
+    recordPayment: 'Record Payment',
+    noPayments: 'No payments recorded yet.',
+    select: 'Select',
+    attachments: 'Attachments',
+    history: 'History'
+  };
+
+  let containerEl;
+  const render = (bills) => renderBills({
+    containerEl,
+    bills,
+    labels,
+    statusBadgeMap: { Paid: 'success' },
+    formatDueDate: isoDate => isoDate,
+    getRecurrenceLabel: recurrence => recurrence.frequency
+  });
+
+  beforeEach(() => {
+    containerEl = document.createElement('div');
+  });
+
+  // Test case 1: Check that markup in user-supplied fields is shown as text.
+  it('should render names, types and payment methods as literal text', () => {
+    const payload = '<img src=x onerror="window.__xss = true">';
+    render([new Bill({ id: 'x1', type: `${payload}type`, name: payload, paymentMethod: `${payload}card`, amount: 10 })]);
+
+    expect(containerEl.querySelector('img')).toBeNull();
+    expect(containerEl.querySelector('.card-title').textContent).toBe(payload);
+    expect(containerEl.querySelector('.card-subtitle').textContent).toBe(`${payload}type Bill`);
+    expect(containerEl.textContent).toContain(`${payload}card`);
+    expect(window.__xss).toBeUndefined();
+  });
+
+  // Test case 2: Check that a bill ID cannot break out of the data attribute.
+  it('should keep hostile IDs inside the buttons data attribute', () => {
+    const id = '"><script>window.__xss = true</script>';
+    render([new Bill({ id, type: 'Energy', amount: 10 })]);
+
+    expect(containerEl.querySelector('script')).toBeNull();
+    expect(containerEl.querySelector('.edit-btn').dataset.billId).toBe(id);
+    expect(containerEl.querySelector('.delete-btn').dataset.billId).toBe(id);
+  });
+
+  // Test case 3: Check the card content and the roll-forward button for paid recurring bills.
+  it('should render the amount, due date and actions of each bill', () => {
+    render([new Bill({ id: 'r1', type: 'Energy', amount: 42.5, currency: 'USD', status: 'Paid', dueDate: '2025-03-15', recurrence: 'monthly' })]);
+
+    expect(containerEl.textContent).toContain('Amount: 42.50 USD');
+    expect(containerEl.textContent).toContain('Next due: 2025-03-15 (monthly)');
+    expect(containerEl.querySelector('.badge').className).toBe('badge bg-success');
+    expect(containerEl.querySelector('.roll-forward-btn').dataset.billId).toBe('r1');
+  });
+
+  // Test case 4: Check the empty state.
+  it('should show the empty state when there are no bills', () => {
+    render([]);
+    expect(containerEl.textContent).toBe('No bills to display.');
+  });
+
+  // Test case 5: Check the expandable payment history and the balance line.
+  it('should list payments newest first and show the outstanding balance', () => {
+    const bill = new Bill({
+      id: 'p1', type: 'Energy', amount: 100, dueDate: '2025-03-15',
+      payments: [
+        { id: 'a', date: '2025-03-01', amount: 30, currency: 'EUR', paymentMethod: 'Debit Card', reference: '<b>ref</b>', cycleDueDate: '2025-03-15' },
+        { id: 'b', date: '2025-03-05', amount: 20, currency: 'EUR', paymentMethod: 'Debit Card', reference: null, cycleDueDate: '2025-03-15' }
+      ]
+    });
+    renderBills({
+      containerEl, bills: [bill], labels,
+      formatDueDate: isoDate => isoDate,
+      getRecurrenceLabel: () => '',
+      getPaymentSummary: () => ({ paid: 50, outstanding: 50, currency: 'EUR' })
+    });
+
+    const history = containerEl.querySelector('details.payment-history');
+    expect(history.querySelector('summary').textContent).toBe('Payments (2)');
+    expect([...history.querySelectorAll('li')].map(li => li.textContent)).toEqual([
+      '2025-03-05 · 20.00 EUR · Debit Card',
+      '2025-03-01 · 30.00 EUR · Debit Card · <b>ref</b>'
+    ]);
+    expect(containerEl.textContent).toContain('Paid: 50.00 EUR · Outstanding: 50.00 EUR');
+    expect(containerEl.querySelector('.record-payment-btn').dataset.billId).toBe('p1');
+  });
+
+  // Test case 6: Check the selection checkboxes, which are only rendered when selection is supported.
+  it('should render a checked selection checkbox for selected bills', () => {
+    const bills = [new Bill({ id: 's1', type: 'Energy', amount: 10 }), new Bill({ id: 's2', type: 'Water', amount: 5 })];
+    render(bills);
+    expect(containerEl.querySelector('.bill-select')).toBeNull();
+
+    renderBills({
+      containerEl, bills, labels,
+      formatDueDate: isoDate => isoDate,
+      getRecurrenceLabel: () => '',
+      isSelected: bill => bill.id === 's2'
+    });
+
+    const checkboxes = [...containerEl.querySelectorAll('.bill-select')];
+    expect(checkboxes.map(box => [box.dataset.billId, box.checked])).toEqual([['s1', false], ['s2', true]]);
+    expect(checkboxes[0].getAttribute('aria-label')).toBe('Select Energy');
+  });
+
+  // Test case 7: Check the colour tags of user-defined bill types and payment methods.
+  it('should mark coloured bill types and payment methods', () => {
+    const bills = [new Bill({ id: 'c1', type: 'Gym', amount: 10, paymentMethod: 'Wallet' }), new Bill({ id: 'c2', type: 'Energy', amount: 5, paymentMethod: 'Cash' })];
+    const colors = { 'billTypes:Gym': '#ff0000', 'paymentMethods:Wallet': '#0000ff' };
+    renderBills({
+      containerEl, bills, labels,
+      formatDueDate: isoDate => isoDate,
+      getRecurrenceLabel: () => '',
+      getCategoryColor: (kind, name) => colors[`${kind}:${name}`] || null
+    });
+
+    const [gymCard, energyCard] = containerEl.querySelectorAll('.card');
+    expect(gymCard.style.borderLeft).toBe('4px solid rgb(255, 0, 0)');
+    expect(gymCard.querySelector('.category-swatch').style.backgroundColor).toBe('rgb(0, 0, 255)');
+    expect(energyCard.style.borderLeft).toBe('');
+    expect(energyCard.querySelector('.category-swatch')).toBeNull();
+  });
+
+  // Test case 8: Check the attachments button, which is only rendered when attachments are available.
+  it('should show an attachments button with the number of files', () => {
+    const bills = [new Bill({ id: 'a1', type: 'Energy', amount: 10 })];
+    render(bills);
+    expect(containerEl.querySelector('.attachments-btn')).toBeNull();
+
+    renderBills({
+      containerEl, bills, labels,
+      formatDueDate: isoDate => isoDate,
+      getRecurrenceLabel: () => '',
+      getAttachmentCount: () => 2
+    });
+
+    const button = containerEl.querySelector('.attachments-btn');
+    expect(button.textContent).toBe('Attachments (2)');
+    expect(button.dataset.billId).toBe('a1');
+  });
+
+  // Test case 9: Check that notes are shown as text with their line breaks, and the history button counts log entries.
+  it('should show notes and a history button with the number of changes', () => {
+    const changeLog = [{ at: '2025-06-01T09:00:00.000Z', action: 'Adding "Energy"', field: null, oldValue: null, newValue: null }];
+    render([
+      new Bill({ id: 'h1', type: 'Energy', amount: 10, notes: 'Meter <b>42</b>\nCall before noon', changeLog }),
+      new Bill({ id: 'h2', type: 'Water', amount: 5 })
+    ]);
+
+    const [energyCard, waterCard] = containerEl.querySelectorAll('.card');
+    const notes = energyCard.querySelector('.bill-notes');
+    expect(notes.textContent).toBe('Meter <b>42</b>\nCall before noon');
+    expect(notes.querySelector('b')).toBeNull();
+    expect(notes.style.whiteSpace).toBe('pre-line');
+    expect(energyCard.querySelector('.history-btn').textContent).toBe('History (1)');
+    expect(waterCard.querySelector('.bill-notes')).toBeNull();
+    expect(waterCard.querySelector('.history-btn').textContent).toBe('History (0)');
+  });
+});
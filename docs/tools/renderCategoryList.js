@@ -0,0 +1,63 @@
+/**
+ * @file renderCategoryList.js
+ * @description Renders the user's own bill types or payment methods as editable rows for the
+ * categories modal: a colour input (class "category-color"), a name input (class "category-name")
+ * with a rename button (class "category-rename-btn") and a retire/restore button (class
+ * "category-retire-btn"). Each row carries the category name in `data-name`, for the modal's handlers.
+ * @param {Object} params
+ * @param {HTMLElement} params.listEl - The list element to populate.
+ * @param {Array} params.categories - The categories, as { name, color, retired } objects (see BillManager#categories).
+ * @param {Object} params.labels - The UI labels: color, rename, retire, restore, retired and empty.
+ */
+export default function renderCategoryList({ listEl, categories, labels }) {
+    if (!listEl) return;
+
+    listEl.innerHTML = ""; // Clear the previous rows
+
+    if (categories.length === 0) {
+        const emptyItem = document.createElement("li");
+        emptyItem.className = "text-muted small";
+        emptyItem.textContent = labels.empty;
+        listEl.appendChild(emptyItem);
+        return;
+    }
+
+    categories.forEach(({ name, color, retired }) => {
+        const item = document.createElement("li");
+        item.className = "d-flex gap-2 align-items-center mb-2";
+        item.dataset.name = name;
+
+        const colorInput = document.createElement("input");
+        colorInput.type = "color";
+        colorInput.className = "form-control form-control-color form-control-sm category-color";
+        colorInput.value = color || "#6c757d"; // A colour input cannot be empty; Bootstrap's secondary grey stands in
+        colorInput.setAttribute("aria-label", `${labels.color}: ${name}`);
+
+        const nameInput = document.createElement("input");
+        nameInput.type = "text";
+        nameInput.className = `form-control form-control-sm category-name${retired ? " text-muted" : ""}`;
+        nameInput.value = name;
+        nameInput.required = true;
+        nameInput.setAttribute("aria-label", name);
+
+        const renameButton = document.createElement("button");
+        renameButton.type = "button";
+        renameButton.className = "btn btn-sm btn-outline-secondary category-rename-btn";
+        renameButton.textContent = labels.rename;
+
+        const retireButton = document.createElement("button");
+        retireButton.type = "button";
+        retireButton.className = `btn btn-sm ${retired ? "btn-outline-success" : "btn-outline-warning"} category-retire-btn`;
+        retireButton.dataset.retired = String(retired);
+        retireButton.textContent = retired ? labels.restore : labels.retire;
+
+        item.append(colorInput, nameInput, renameButton, retireButton);
+        if (retired) {
+            const badge = document.createElement("span");
+            badge.className = "badge bg-secondary";
+            badge.textContent = labels.retired;
+            item.appendChild(badge);
+        }
+        listEl.appendChild(item);
+    });
+}
@@ -0,0 +1,46 @@
+/**
+ * @file renderChangeLog.js
+ * @description Renders a bill's change log for the history modal, newest change first. Each entry shows
+ * when it happened and the operation that made it, plus the field with its old and new value; entries
+ * without a field (the bill was added, deleted or brought back) show the operation only. Values are set as text.
+ * @param {Object} params
+ * @param {HTMLElement} params.listEl - The list element to populate.
+ * @param {Array} params.changeLog - The entries, as { at, action, field, oldValue, newValue } objects (see Bill#changeLog).
+ * @param {Object} params.labels - The UI labels: empty (no entries) and emptyValue (shown for a null value).
+ * @param {Object} [params.fieldLabels] - Display names of the logged fields, e.g. { amount: "Amount" }. Fields
+ * without one are shown by their own name.
+ * @param {Function} params.formatDateTime - Formats an ISO timestamp for display.
+ */
+export default function renderChangeLog({ listEl, changeLog, labels, fieldLabels = {}, formatDateTime }) {
+    if (!listEl) return;
+
+    listEl.innerHTML = ""; // Clear the previous entries
+
+    if (changeLog.length === 0) {
+        const emptyItem = document.createElement("li");
+        emptyItem.className = "text-muted";
+        emptyItem.textContent = labels.empty;
+        listEl.appendChild(emptyItem);
+        return;
+    }
+
+    const formatValue = value => (value === null || value === undefined || value === "" ? labels.emptyValue : String(value));
+
+    [...changeLog].reverse().forEach(({ at, action, field, oldValue, newValue }) => {
+        const item = document.createElement("li");
+        item.className = "mb-2 change-log-entry";
+
+        const heading = document.createElement("div");
+        heading.className = "text-muted";
+        heading.textContent = `${formatDateTime(at)} · ${action}`;
+        item.appendChild(heading);
+
+        if (field) {
+            const change = document.createElement("div");
+            change.style.whiteSpace = "pre-line"; // Notes may span several lines
+            change.textContent = `${fieldLabels[field] || field}: ${formatValue(oldValue)} → ${formatValue(newValue)}`;
+            item.appendChild(change);
+        }
+        listEl.appendChild(item);
+    });
+}
@@ -0,0 +1,70 @@
+/**
+ * @file renderConflictList.js
+ * @description Renders the bills that were changed both here and elsewhere (see BillManager#conflict) for the
+ * merge modal. Each bill shows how the two versions differ, field by field, with a pair of radio buttons named
+ * `conflict-<billId>` to keep "mine" (checked by default) or "theirs". A bill deleted on one side shows a single
+ * row saying so. Values are set as text.
+ * @param {Object} params
+ * @param {HTMLElement} params.listEl - The list element to populate.
+ * @param {Array} params.conflicts - The conflicting bills, as { id, mine, theirs } objects; a side is null if the bill was deleted there.
+ * @param {Object} params.labels - The UI labels: field, mine, theirs (column headings), bill (the row of a deleted bill),
+ * changed, deleted, keepMine, keepTheirs and emptyValue (shown for a null value).
+ * @param {Object} [params.fieldLabels] - Display names of the compared fields, e.g. { amount: "Amount" }. Fields
+ * without one are shown by their own name.
+ */
+export default function renderConflictList({ listEl, conflicts, labels, fieldLabels = {} }) {
+    if (!listEl) return;
+
+    listEl.innerHTML = ""; // Clear the previous conflicts
+
+    const formatValue = value => (value === null || value === undefined || value === "" ? labels.emptyValue : String(value));
+
+    conflicts.forEach(({ id, mine, theirs }) => {
+        const item = document.createElement("li");
+        item.className = "mb-3 conflict-item";
+
+        const heading = document.createElement("div");
+        heading.className = "fw-semibold";
+        heading.textContent = (mine || theirs).name || (mine || theirs).type;
+        item.appendChild(heading);
+
+        const rows = mine && theirs
+            ? mine.getChangesTo(theirs).map(({ field, oldValue, newValue }) => [fieldLabels[field] || field, formatValue(oldValue), formatValue(newValue)])
+            : [[labels.bill, mine ? labels.changed : labels.deleted, theirs ? labels.changed : labels.deleted]];
+
+        const table = document.createElement("table");
+        table.className = "table table-sm small mb-1";
+        [[labels.field, labels.mine, labels.theirs], ...rows].forEach((cells, rowIndex) => {
+            const row = table.insertRow();
+            cells.forEach((text) => {
+                const cell = document.createElement(rowIndex === 0 ? "th" : "td");
+                cell.style.whiteSpace = "pre-line"; // Notes may span several lines
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+        });
+        item.appendChild(table);
+
+        [["mine", labels.keepMine], ["theirs", labels.keepTheirs]].forEach(([value, text]) => {
+            const choice = document.createElement("div");
+            choice.className = "form-check form-check-inline";
+
+            const input = document.createElement("input");
+            input.type = "radio";
+            input.className = "form-check-input";
+            input.name = `conflict-${id}`;
+            input.id = `conflict-${id}-${value}`;
+            input.value = value;
+            input.checked = value === "mine";
+
+            const label = document.createElement("label");
+            label.className = "form-check-label";
+            label.htmlFor = input.id;
+            label.textContent = text;
+
+            choice.append(input, label);
+            item.appendChild(choice);
+        });
+        listEl.appendChild(item);
+    });
+}
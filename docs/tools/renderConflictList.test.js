@@ -0,0 +1,37 @@
+// docs/tools/renderConflictList.test.js
+
+import renderConflictList from './renderConflictList.js';
+import Bill from '../components/Bill.js';
+
+describe('renderConflictList', () => {
+  const labels = {
+    field: 'Field', mine: 'Mine', theirs: 'Theirs', bill: 'Bill', changed: 'Changed', deleted: 'Deleted',
+    keepMine: 'Keep mine', keepTheirs: 'Keep theirs', emptyValue: '(none)'
+  };
+  const mine = new Bill({ id: 'c1', type: 'Streaming', name: 'Netflix', amount: 15, notes: 'Family plan' });
+  let listEl;
+  const rowsOf = item => [...item.querySelectorAll('tr')].map(row => [...row.cells].map(cell => cell.textContent));
+
+  beforeEach(() => {
+    listEl = document.createElement('ul');
+  });
+
+  // Test case 1: Check that the fields that differ are listed side by side, with "mine" picked by default.
+  it('should compare the two versions field by field', () => {
+    const theirs = mine.withChanges({ amount: 18, notes: '' });
+
+    renderConflictList({ listEl, conflicts: [{ id: 'c1', mine, theirs }], labels, fieldLabels: { amount: 'Amount' } });
+
+    const item = listEl.querySelector('.conflict-item');
+    expect(item.firstChild.textContent).toBe('Netflix');
+    expect(rowsOf(item)).toEqual([['Field', 'Mine', 'Theirs'], ['Amount', '15', '18'], ['notes', 'Family plan', '(none)']]);
+    expect([...item.querySelectorAll('input[name="conflict-c1"]')].map(input => [input.value, input.checked])).toEqual([['mine', true], ['theirs', false]]);
+  });
+
+  // Test case 2: Check that a bill deleted on one side says so instead of listing fields.
+  it('should show which side deleted the bill', () => {
+    renderConflictList({ listEl, conflicts: [{ id: 'c1', mine, theirs: null }], labels });
+
+    expect(rowsOf(listEl)).toEqual([['Field', 'Mine', 'Theirs'], ['Bill', 'Changed', 'Deleted']]);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * @file renderExchangeRateInputs.js
+ * @description Renders one number input per supported currency into the exchange-rate form.
+ * The base currency is shown read-only, since every other rate is expressed against it.
+ * @param {Object} params
+ * @param {HTMLElement} params.containerEl - The container element to populate.
+ * @param {Array} params.currencyChoices - Array of currency codes from config.
+ * @param {Object} params.manager - The BillManager instance holding the base currency and current rates.
+ */
+export default function renderExchangeRateInputs({ containerEl, currencyChoices, manager }) {
+    if (!containerEl || !currencyChoices.length) return;
+
+    containerEl.innerHTML = ""; // Clear existing inputs
+
+    currencyChoices.forEach((code) => {
+        const isBase = code === manager.baseCurrency;
+
+        const row = document.createElement("div");
+        row.className = "input-group input-group-sm mb-2";
+
+        const prefix = document.createElement("span");
+        prefix.className = "input-group-text";
+        prefix.textContent = `1 ${manager.baseCurrency} =`;
+
+        const input = document.createElement("input");
+        input.type = "number";
+        input.className = "form-control";
+        input.name = code;
+        input.min = "0";
+        input.step = "any";
+        input.value = manager.exchangeRates[code] ?? "";
+        input.disabled = isBase;
+        input.setAttribute("aria-label", `${code} per ${manager.baseCurrency}`);
+
+        const suffix = document.createElement("span");
+        suffix.className = "input-group-text";
+        suffix.textContent = code;
+
+        row.append(prefix, input, suffix);
+        containerEl.appendChild(row);
+    });
+}
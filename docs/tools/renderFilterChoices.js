@@ -0,0 +1,32 @@
+/**
+ * @file renderFilterChoices.js
+ * @description Renders the options of a filter dropdown: an "any" option with an empty
+ * value, followed by the configured choices.
+ * @param {Object} params
+ * @param {HTMLSelectElement} params.selEl - The select element to populate.
+ * @param {Array} params.choices - The options, as { value, label } objects or plain strings (e.g. currency codes).
+ * @param {string} params.anyLabel - The label of the option that matches everything.
+ */
+export default function renderFilterChoices({ selEl, choices, anyLabel }) {
+    if (!selEl) return;
+
+    const currentValue = selEl.value; // Preserve current selection if possible
+
+    selEl.innerHTML = ""; // Clear existing options
+
+    const options = [
+        { value: "", label: anyLabel },
+        ...choices
+            .map((choice) => (typeof choice === "string" ? { value: choice, label: choice } : choice))
+            .filter(({ value }) => value !== "") // Skip placeholders such as "Select a type..."
+    ];
+
+    options.forEach(({ value, label }) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        selEl.appendChild(option);
+    });
+
+    selEl.value = options.some((option) => option.value === currentValue) ? currentValue : "";
+}
@@ -0,0 +1,33 @@
+// docs/tools/renderFilterChoices.test.js
+
+import renderFilterChoices from './renderFilterChoices.js';
+
+describe('renderFilterChoices', () => {
+  let selEl;
+  const optionValues = () => [...selEl.options].map(option => [option.value, option.textContent]);
+
+  beforeEach(() => {
+    selEl = document.createElement('select');
+  });
+
+  // Test case 1: Check the "any" option, placeholder skipping and plain-string choices.
+  it('should start with an empty "any" option and accept objects or strings', () => {
+    renderFilterChoices({ selEl, choices: [{ value: '', label: 'Select a type...' }, { value: 'Energy', label: 'Energy' }], anyLabel: 'Any' });
+    expect(optionValues()).toEqual([['', 'Any'], ['Energy', 'Energy']]);
+
+    renderFilterChoices({ selEl, choices: ['EUR', 'USD'], anyLabel: 'Any' });
+    expect(optionValues()).toEqual([['', 'Any'], ['EUR', 'EUR'], ['USD', 'USD']]);
+  });
+
+  // Test case 2: Check that the current selection survives a re-render.
+  it('should keep the selected value when it is still a choice', () => {
+    renderFilterChoices({ selEl, choices: ['EUR', 'USD'], anyLabel: 'Any' });
+    selEl.value = 'USD';
+
+    renderFilterChoices({ selEl, choices: ['EUR', 'USD'], anyLabel: 'Any' });
+    expect(selEl.value).toBe('USD');
+
+    renderFilterChoices({ selEl, choices: ['EUR'], anyLabel: 'Any' });
+    expect(selEl.value).toBe('');
+  });
+});
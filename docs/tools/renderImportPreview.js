@@ -0,0 +1,40 @@
+/**
+ * @file renderImportPreview.js
+ * @description Renders the CSV import preview: one table row per CSV data row, showing the
+ * parsed bill or the validation errors that will keep it from being imported.
+ * @param {Object} params
+ * @param {HTMLElement} params.containerEl - The container element to populate.
+ * @param {Array} params.rows - The preview rows from BillCsvService.previewImport().
+ */
+export default function renderImportPreview({ containerEl, rows }) {
+    if (!containerEl) return;
+
+    containerEl.innerHTML = ""; // Clear any previous preview
+
+    const table = document.createElement("table");
+    table.className = "table table-sm align-middle";
+
+    const headerRow = table.createTHead().insertRow();
+    ["Row", "Bill", "Amount", "Status", "Result"].forEach((heading) => {
+        const th = document.createElement("th");
+        th.scope = "col";
+        th.textContent = heading;
+        headerRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    rows.forEach(({ rowNumber, bill, errors }) => {
+        const tr = body.insertRow();
+        tr.className = errors.length ? "table-danger" : "";
+
+        const cells = bill
+            ? [rowNumber, bill.name || bill.type, `${bill.amount.value.toFixed(2)} ${bill.amount.currency}`, bill.status, "OK"]
+            : [rowNumber, "", "", "", errors.join(" ")];
+
+        cells.forEach((value) => {
+            tr.insertCell().textContent = value; // textContent keeps imported text from being parsed as markup
+        });
+    });
+
+    containerEl.appendChild(table);
+}
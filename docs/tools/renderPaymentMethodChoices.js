@@ -1,12 +1,18 @@
+import mergeCategoryChoices from "./mergeCategoryChoices.js";
+
 /**
  * @file renderPaymentMethodChoices.js
  * @description Renders payment method choices into a select element from config.
  * @param {Object} params
  * @param {HTMLSelectElement} params.selEl - The select element to populate.
  * @param {Array} params.paymentMethods - Array of payment method options from config.
+ * @param {Array} [params.customMethods] - The user's own payment methods (see BillManager#categories), listed after the configured ones.
+ * @param {boolean} [params.includeRetired=false] - Whether to list retired user-defined methods too.
  */
- export default function renderPaymentMethodChoices({ selEl, paymentMethodChoices }) {
-    if (!selEl || !paymentMethodChoices.length) return;
+ export default function renderPaymentMethodChoices({ selEl, paymentMethodChoices: configuredMethods, customMethods = [], includeRetired = false }) {
+    if (!selEl || !configuredMethods.length) return;
+
+    const paymentMethodChoices = mergeCategoryChoices({ choices: configuredMethods, categories: customMethods, includeRetired });
 
     const currentValue = selEl.value; // Preserve current selection if possible
 
@@ -0,0 +1,25 @@
+/**
+ * @file renderProfileChoices.js
+ * @description Renders household profiles into a select element, for the profile switcher
+ * and for picking the profile to copy or move bills to.
+ * @param {Object} params
+ * @param {HTMLSelectElement} params.selEl - The select element to populate.
+ * @param {Array} params.profiles - The profiles from ProfileManager, as { id, name } objects.
+ * @param {string} [params.selectedId] - The ID of the profile to select.
+ * @param {string} [params.excludeId] - The ID of a profile to leave out, e.g. the active one.
+ */
+export default function renderProfileChoices({ selEl, profiles, selectedId, excludeId }) {
+    if (!selEl) return;
+
+    selEl.innerHTML = ""; // Clear existing options
+
+    profiles
+        .filter(({ id }) => id !== excludeId)
+        .forEach(({ id, name }) => {
+            const option = document.createElement("option");
+            option.value = id;
+            option.textContent = name;
+            option.selected = id === selectedId;
+            selEl.appendChild(option);
+        });
+}
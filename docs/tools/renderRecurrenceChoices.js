@@ -0,0 +1,26 @@
+/**
+ * @file renderRecurrenceChoices.js
+ * @description Renders recurrence choices into a select element from config.
+ * @param {Object} params
+ * @param {HTMLSelectElement} params.selEl - The select element to populate.
+ * @param {Array} params.recurrenceChoices - Array of recurrence options from config.
+ */
+export default function renderRecurrenceChoices({ selEl, recurrenceChoices }) {
+    if (!selEl || !recurrenceChoices.length) return;
+
+    const currentValue = selEl.value; // Preserve current selection if possible
+
+    selEl.innerHTML = ""; // Clear existing options
+
+    recurrenceChoices.forEach(({ value, label }) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        selEl.appendChild(option);
+    });
+
+    const hasCurrentValue = recurrenceChoices.some(
+        (choice) => choice.value === currentValue);
+
+    selEl.value = hasCurrentValue ? currentValue : recurrenceChoices[0]?.value || ""; // If no current value, select first option (no recurrence)
+}
@@ -0,0 +1,21 @@
+/**
+ * @file renderThemeChoices.js
+ * @description Renders theme pack or colour mode choices into a select element, for the theme switcher.
+ * @param {Object} params
+ * @param {HTMLSelectElement} params.selEl - The select element to populate.
+ * @param {Array} params.themeChoices - The choices, as { value, label } objects.
+ * @param {string} [params.selectedValue] - The value to select, e.g. ThemeManager#packName.
+ */
+export default function renderThemeChoices({ selEl, themeChoices, selectedValue }) {
+    if (!selEl || !themeChoices.length) return;
+
+    selEl.innerHTML = ""; // Clear existing options
+
+    themeChoices.forEach(({ value, label }) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        option.selected = value === selectedValue;
+        selEl.appendChild(option);
+    });
+}
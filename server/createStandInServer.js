@@ -0,0 +1,81 @@
+/**
+ * @file createStandInServer.js
+ * @description Builds the local REST stand-in server (see rest-stand-in.js for the contract and usage).
+ * Kept separate from the command-line entry point so tests can start it on a free port.
+ */
+import http from 'node:http';
+import fs from 'node:fs';
+
+/**
+ * Creates the stand-in server without starting it, so tests can listen on a free port.
+ * @param {object} [options]
+ * @param {string} [options.dataFile] - A JSON file to load from and save to; in-memory only if omitted.
+ * @returns {http.Server} The server.
+ */
+export function createStandInServer({ dataFile } = {}) {
+  const store = dataFile && fs.existsSync(dataFile)
+    ? new Map(Object.entries(JSON.parse(fs.readFileSync(dataFile, 'utf8'))))
+    : new Map();
+
+  const persist = () => {
+    if (dataFile) {
+      fs.writeFileSync(dataFile, JSON.stringify(Object.fromEntries(store), null, 2));
+    }
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Accept, If-Match',
+      ...(body === undefined ? {} : { 'Content-Type': 'application/json' })
+    });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+  };
+
+  return http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      send(res, 204);
+      return;
+    }
+
+    const match = new URL(req.url, 'http://localhost').pathname.match(/^\/api\/([^/]+)\/([^/]+)$/);
+    if (!match) {
+      send(res, 404, { error: 'Expected /api/{namespace}/{resource}.' });
+      return;
+    }
+    const key = `${decodeURIComponent(match[1])}/${decodeURIComponent(match[2])}`;
+
+    if (req.method === 'GET') {
+      store.has(key) ? send(res, 200, store.get(key)) : send(res, 404, { error: 'Not found.' });
+    } else if (req.method === 'DELETE') {
+      const existed = store.delete(key);
+      persist();
+      send(res, existed ? 204 : 404);
+    } else if (req.method === 'PUT') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        let value;
+        try {
+          value = JSON.parse(body);
+        } catch (error) {
+          send(res, 400, { error: 'Body must be valid JSON.' });
+          return;
+        }
+        // If-Match carries the revision the write was based on; refuse it if the stored value has moved on.
+        const expected = req.headers['if-match'];
+        const storedRevision = Number.isInteger(store.get(key)?.revision) ? store.get(key).revision : 0;
+        if (expected !== undefined && expected.replace(/"/g, '') !== String(storedRevision)) {
+          send(res, 412, { error: 'The resource was changed since it was read.', revision: storedRevision });
+          return;
+        }
+        store.set(key, value);
+        persist();
+        send(res, 204);
+      });
+    } else {
+      send(res, 405, { error: `Method ${req.method} not allowed.` });
+    }
+  });
+}
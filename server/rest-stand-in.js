@@ -0,0 +1,26 @@
+/**
+ * @file rest-stand-in.js
+ * @description A small local server implementing the REST storage contract used by
+ * RestStorageAdapter, for development and tests. Not meant for production use.
+ *
+ * Contract (namespace = the app's storageKey, resource = 'bills', 'settings', ...):
+ * - GET    /api/{namespace}/{resource} -> 200 with the stored JSON, 404 if never written
+ * - PUT    /api/{namespace}/{resource} -> 204, body must be JSON. With an `If-Match: "<revision>"` header the
+ *   write only happens if the stored value's `revision` (0 if it has none) matches; otherwise 412 with
+ *   `{ error, revision }`.
+ * - DELETE /api/{namespace}/{resource} -> 204, or 404 if never written
+ *
+ * Usage: `npm run start:api` (or `node server/rest-stand-in.js [--port 3001] [--data ./bills-data.json]`).
+ * Without --data everything lives in memory and is lost when the server stops.
+ */
+import { createStandInServer } from './createStandInServer.js';
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+const port = Number(argValue('--port')) || 3001;
+
+createStandInServer({ dataFile: argValue('--data') }).listen(port, () => {
+  console.log(`REST stand-in listening on http://localhost:${port}/api`);
+});